@@ -0,0 +1,394 @@
+// analytics.controller.js
+const Joi = require('joi')
+const mongoose = require('mongoose')
+const { Payment, Course, Bundle, SubscriptionPlan } = require('../models')
+
+// Default look-back window per interval when no date range is given
+const DEFAULT_RANGE_DAYS = {
+  day: 30,
+  week: 7 * 12,
+  month: 365,
+}
+
+// IANA time zones MongoDB date operators accept. UTC isn't in Intl's list of canonical zones
+const TIMEZONES = ['UTC', ...Intl.supportedValuesOf('timeZone')]
+
+// Validation schemas
+const revenueQuerySchema = Joi.object({
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).messages({
+    'date.min': 'End date must be after start date',
+  }),
+  interval: Joi.string().valid('day', 'week', 'month').default('day'),
+  timezone: Joi.string()
+    .trim()
+    .valid(...TIMEZONES)
+    .default('UTC')
+    .messages({ 'any.only': 'Invalid timezone. Use an IANA time zone such as Asia/Dhaka' }),
+  courseId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': 'Invalid course ID',
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+}).options({ abortEarly: false })
+
+// Amount the learner actually paid
+const paidAmount = { $ifNull: ['$discountedAmount', '$amount'] }
+
+// What a payment bought: the bundle or membership plan for those purchases, otherwise the course
+const byPurchaseType = (bundle, subscription, otherwise) => ({
+  $switch: {
+    branches: [
+      { case: { $eq: ['$purchaseType', 'bundle'] }, then: bundle },
+      { case: { $eq: ['$purchaseType', 'subscription'] }, then: subscription },
+    ],
+    default: otherwise,
+  },
+})
+
+// Helper functions
+
+function validateRevenueQuery(req, res) {
+  const { error, value } = revenueQuerySchema.validate(req.query)
+  if (error) {
+    res.status(400).json({
+      status: 'error',
+      errors: error.details.map((detail) => ({
+        field: detail.context.key,
+        message: detail.message,
+      })),
+    })
+    return null
+  }
+
+  const endDate = value.endDate || new Date()
+  const startDate = value.startDate || new Date(endDate.getTime() - DEFAULT_RANGE_DAYS[value.interval] * 24 * 60 * 60 * 1000)
+
+  return { ...value, startDate, endDate }
+}
+
+// Paid payments (completed or later refunded) within the range. Free upgrades are not revenue
+function buildPaidMatch({ startDate, endDate, courseId }, dateField = 'completedAt') {
+  const match = {
+    status: { $in: ['completed', 'refunded'] },
+    [dateField]: { $gte: startDate, $lte: endDate },
+    transactionId: { $not: /^free-upgrade-/ },
+  }
+
+  if (courseId) {
+    match.course = new mongoose.Types.ObjectId(courseId)
+  }
+
+  return match
+}
+
+// Revenue totals shared by every breakdown
+const revenueTotals = {
+  grossRevenue: { $sum: paidAmount },
+  refundedAmount: {
+    $sum: { $cond: [{ $eq: ['$status', 'refunded'] }, { $ifNull: ['$refundAmount', paidAmount] }, 0] },
+  },
+  payments: { $sum: 1 },
+  refundedPayments: { $sum: { $cond: [{ $eq: ['$status', 'refunded'] }, 1, 0] } },
+}
+
+function formatTotals(totals = {}) {
+  const grossRevenue = totals.grossRevenue || 0
+  const refundedAmount = totals.refundedAmount || 0
+  const payments = totals.payments || 0
+  const refundedPayments = totals.refundedPayments || 0
+
+  return {
+    grossRevenue: round(grossRevenue),
+    refundedAmount: round(refundedAmount),
+    netRevenue: round(grossRevenue - refundedAmount),
+    payments,
+    refundedPayments,
+    refundRate: payments ? round((refundedPayments / payments) * 100) : 0,
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+// Revenue summary and timeline by day, week or month
+exports.getRevenueOverview = async (req, res, next) => {
+  try {
+    const query = validateRevenueQuery(req, res)
+    if (!query) return
+
+    const { interval, timezone } = query
+    const period = (dateField) => ({
+      $dateTrunc: { date: dateField, unit: interval, timezone, ...(interval === 'week' && { startOfWeek: 'monday' }) },
+    })
+
+    const [sales] = await Payment.aggregate([
+      { $match: buildPaidMatch(query) },
+      {
+        $facet: {
+          summary: [
+            {
+              $group: {
+                _id: null,
+                ...revenueTotals,
+                listPriceTotal: { $sum: '$amount' },
+                discountedPayments: { $sum: { $cond: [{ $ifNull: ['$discount', false] }, 1, 0] } },
+                totalDiscount: {
+                  $sum: { $cond: [{ $ifNull: ['$discount', false] }, { $subtract: ['$amount', paidAmount] }, 0] },
+                },
+                discountRateSum: {
+                  $sum: {
+                    $cond: [
+                      { $and: [{ $ifNull: ['$discount', false] }, { $gt: ['$amount', 0] }] },
+                      { $divide: [{ $subtract: ['$amount', paidAmount] }, '$amount'] },
+                      0,
+                    ],
+                  },
+                },
+              },
+            },
+          ],
+          timeline: [
+            {
+              $group: {
+                _id: period('$completedAt'),
+                grossRevenue: { $sum: paidAmount },
+                payments: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ])
+
+    // Refunds are placed in the period they were issued, not when the original sale happened
+    const refundTimeline = await Payment.aggregate([
+      { $match: { ...buildPaidMatch(query, 'refundedAt'), status: 'refunded' } },
+      {
+        $group: {
+          _id: period('$refundedAt'),
+          refundedAmount: { $sum: { $ifNull: ['$refundAmount', paidAmount] } },
+          refunds: { $sum: 1 },
+        },
+      },
+    ])
+
+    const periods = new Map()
+    sales.timeline.forEach((entry) => {
+      periods.set(entry._id.toISOString(), { grossRevenue: entry.grossRevenue, payments: entry.payments, refundedAmount: 0, refunds: 0 })
+    })
+    refundTimeline.forEach((entry) => {
+      const key = entry._id.toISOString()
+      const existing = periods.get(key) || { grossRevenue: 0, payments: 0 }
+      periods.set(key, { ...existing, refundedAmount: entry.refundedAmount, refunds: entry.refunds })
+    })
+
+    const timeline = [...periods.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([periodStart, entry]) => ({
+        period: periodStart,
+        grossRevenue: round(entry.grossRevenue),
+        refundedAmount: round(entry.refundedAmount),
+        netRevenue: round(entry.grossRevenue - entry.refundedAmount),
+        payments: entry.payments,
+        refunds: entry.refunds,
+      }))
+
+    const summary = sales.summary[0] || {}
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Revenue overview fetched successfully',
+      data: {
+        range: { startDate: query.startDate, endDate: query.endDate, interval, timezone },
+        summary: {
+          ...formatTotals(summary),
+          averageOrderValue: summary.payments ? round(summary.grossRevenue / summary.payments) : 0,
+          discountedPayments: summary.discountedPayments || 0,
+          totalDiscount: round(summary.totalDiscount || 0),
+          averageDiscount: summary.discountedPayments ? round(summary.totalDiscount / summary.discountedPayments) : 0,
+          averageDiscountRate: summary.discountedPayments ? round((summary.discountRateSum / summary.discountedPayments) * 100) : 0,
+        },
+        timeline,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Revenue broken down by course, with bundles and membership plans listed separately
+exports.getRevenueByCourse = async (req, res, next) => {
+  try {
+    const query = validateRevenueQuery(req, res)
+    if (!query) return
+
+    const products = await Payment.aggregate([
+      { $match: buildPaidMatch(query) },
+      {
+        $group: {
+          _id: {
+            kind: byPurchaseType('bundle', 'plan', 'course'),
+            id: byPurchaseType('$bundle', '$subscriptionPlan', '$course'),
+          },
+          ...revenueTotals,
+          modulePurchases: { $sum: { $cond: [{ $eq: ['$purchaseType', 'module'] }, 1, 0] } },
+          coursePurchases: { $sum: { $cond: [{ $eq: ['$purchaseType', 'course'] }, 1, 0] } },
+        },
+      },
+      { $sort: { grossRevenue: -1 } },
+      { $group: { _id: '$_id.kind', entries: { $push: '$$ROOT' } } },
+      { $project: { entries: { $slice: ['$entries', query.limit] } } },
+    ])
+
+    const entriesOf = (kind) => products.find((p) => p._id === kind)?.entries || []
+    const idsOf = (kind) => entriesOf(kind).map((entry) => entry._id.id).filter(Boolean)
+
+    const [courses, bundles, plans] = await Promise.all([
+      Course.find({ _id: { $in: idsOf('course') } }).select('title').lean(),
+      Bundle.find({ _id: { $in: idsOf('bundle') } }).select('title type').lean(),
+      SubscriptionPlan.find({ _id: { $in: idsOf('plan') } }).select('name interval').lean(),
+    ])
+
+    const findById = (docs, id) => docs.find((doc) => doc._id.toString() === id?.toString())
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Revenue by course fetched successfully',
+      data: {
+        range: { startDate: query.startDate, endDate: query.endDate },
+        courses: entriesOf('course').map((entry) => ({
+          courseId: entry._id.id,
+          title: findById(courses, entry._id.id)?.title || null,
+          ...formatTotals(entry),
+          coursePurchases: entry.coursePurchases,
+          modulePurchases: entry.modulePurchases,
+        })),
+        bundles: entriesOf('bundle').map((entry) => {
+          const bundle = findById(bundles, entry._id.id)
+          return {
+            bundleId: entry._id.id,
+            title: bundle?.title || null,
+            type: bundle?.type || null,
+            ...formatTotals(entry),
+          }
+        }),
+        plans: entriesOf('plan').map((entry) => {
+          const plan = findById(plans, entry._id.id)
+          return {
+            planId: entry._id.id,
+            name: plan?.name || null,
+            interval: plan?.interval || null,
+            ...formatTotals(entry),
+          }
+        }),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Revenue per purchase type: courses, modules, bundles and memberships
+exports.getRevenueByPurchaseType = async (req, res, next) => {
+  try {
+    const query = validateRevenueQuery(req, res)
+    if (!query) return
+
+    const purchaseTypes = await Payment.aggregate([
+      { $match: buildPaidMatch(query) },
+      {
+        $group: {
+          _id: '$purchaseType',
+          ...revenueTotals,
+          modulesSold: { $sum: { $size: { $ifNull: ['$modules', []] } } },
+        },
+      },
+    ])
+
+    const byType = Payment.schema.path('purchaseType').enumValues.map((type) => {
+      const entry = purchaseTypes.find((p) => p._id === type) || {}
+      return {
+        purchaseType: type,
+        ...formatTotals(entry),
+        ...(type === 'module' && { modulesSold: entry.modulesSold || 0 }),
+      }
+    })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Revenue by purchase type fetched successfully',
+      data: {
+        range: { startDate: query.startDate, endDate: query.endDate },
+        purchaseTypes: byType,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Revenue and discount given per coupon. A payment with stacked coupons counts towards each of them
+exports.getRevenueByCoupon = async (req, res, next) => {
+  try {
+    const query = validateRevenueQuery(req, res)
+    if (!query) return
+
+    const coupons = await Payment.aggregate([
+      { $match: { ...buildPaidMatch(query), $or: [{ 'appliedDiscounts.0': { $exists: true } }, { discount: { $ne: null } }] } },
+      // One entry per coupon used. Payments from before stacking only have `discount` and its whole discount
+      {
+        $addFields: {
+          couponUses: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$appliedDiscounts', []] } }, 0] },
+              '$appliedDiscounts',
+              [{ discount: '$discount', amount: { $subtract: ['$amount', paidAmount] } }],
+            ],
+          },
+        },
+      },
+      { $unwind: '$couponUses' },
+      {
+        $group: {
+          _id: '$couponUses.discount',
+          ...revenueTotals,
+          listPriceTotal: { $sum: '$amount' },
+          totalDiscount: { $sum: '$couponUses.amount' },
+        },
+      },
+      { $sort: { grossRevenue: -1 } },
+      { $limit: query.limit },
+      {
+        $lookup: {
+          from: 'discounts',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'discount',
+        },
+      },
+      { $unwind: { path: '$discount', preserveNullAndEmptyArrays: true } },
+    ])
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Revenue by coupon fetched successfully',
+      data: {
+        range: { startDate: query.startDate, endDate: query.endDate },
+        coupons: coupons.map((entry) => ({
+          discountId: entry._id,
+          code: entry.discount?.code || null,
+          type: entry.discount?.type || null,
+          value: entry.discount?.value ?? null,
+          ...formatTotals(entry),
+          listPriceTotal: round(entry.listPriceTotal),
+          totalDiscount: round(entry.totalDiscount),
+          averageDiscount: round(entry.totalDiscount / entry.payments),
+        })),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -1,8 +1,17 @@
 const bcrypt = require('bcryptjs')
 const Joi = require('joi')
-const { User } = require('../models')
+const { User, AuthSession, OAuthState } = require('../models')
 const { AppError } = require('../utils/errors')
-const { generateToken } = require('../utils/token')
+const { createSession, rotateSession, revokeUserSessions } = require('../utils/session')
+const { generateTwoFactorToken, verifyToken, hashToken } = require('../utils/token')
+const { generateSecret, verifyCode, getOtpAuthUrl, getQrCodeDataUrl, generateRecoveryCodes, normalizeRecoveryCode } = require('../utils/totp')
+const { requiresTwoFactor } = require('../middleware/auth')
+const { generateRandomToken } = require('../utils/crypto')
+const { autoJoinOrganizations } = require('../utils/organizations')
+const { getEnabledProviders, createAuthorizationParams, getAuthorizationUrl, fetchProfile } = require('../utils/oauth')
+
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000
+const OAUTH_LOGIN_CODE_TTL_MS = 2 * 60 * 1000
 const { sendVerificationOtp, sendPasswordResetOtp } = require('../utils/email')
 
 const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/
@@ -103,11 +112,201 @@ const changePasswordSchema = Joi.object({
   }),
 }).options({ abortEarly: false })
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'any.required': 'Refresh token is required',
+  }),
+}).options({ abortEarly: false })
+
+const twoFactorLoginSchema = Joi.object({
+  twoFactorToken: Joi.string().required().messages({
+    'any.required': 'Two-factor token is required',
+  }),
+  code: Joi.string().trim(),
+  recoveryCode: Joi.string().trim(),
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Authentication code or recovery code is required',
+    'object.xor': 'Provide either an authentication code or a recovery code',
+  })
+  .options({ abortEarly: false })
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().required().messages({
+    'any.required': 'Authentication code is required',
+  }),
+}).options({ abortEarly: false })
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required',
+  }),
+  code: Joi.string().trim().required().messages({
+    'any.required': 'Authentication code is required',
+  }),
+}).options({ abortEarly: false })
+
+const oauthExchangeSchema = Joi.object({
+  code: Joi.string().required().messages({
+    'any.required': 'Login code is required',
+  }),
+}).options({ abortEarly: false })
+
 const formatValidationErrors = (error) => {
   if (!error || !error.details) return 'Validation failed'
   return error.details.map((detail) => detail.message).join(', ')
 }
 
+// Start a session and send the tokens along with the user profile
+const sendLoginResponse = async (req, res, user, extra = {}) => {
+  const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user._id, req)
+
+  const userData = {
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    email: user.email,
+    isEmailVerified: user.isEmailVerified,
+    enrolledCourses: user.enrolledCourses,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  }
+
+  res.status(200).json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    ...extra,
+    data: userData,
+  })
+}
+
+// Finish a login once the first factor has been checked, asking for the second factor when needed
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Second step: the client exchanges the restricted token and a code at /login/2fa
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      twoFactorToken: generateTwoFactorToken(user._id, '2fa_login'),
+      ...extra,
+    })
+  }
+
+  // Staff must enroll before they get a session. The setup token only works on the /2fa setup endpoints
+  if (requiresTwoFactor(user)) {
+    return res.status(200).json({
+      message: 'Two-factor authentication must be set up for this account',
+      twoFactorSetupRequired: true,
+      twoFactorToken: generateTwoFactorToken(user._id, '2fa_setup'),
+      ...extra,
+    })
+  }
+
+  await sendLoginResponse(req, res, user, extra)
+}
+
+// Find the user for a social login profile, linking or creating the account as needed
+const findOrCreateOAuthUser = async (provider, profile) => {
+  const linkedUser = await User.findOne({
+    oauthAccounts: { $elemMatch: { provider, subject: profile.subject } },
+  })
+  if (linkedUser) {
+    return { user: linkedUser, isNewUser: false }
+  }
+
+  if (!profile.email) {
+    throw new AppError('Your account did not share an email address', 400)
+  }
+
+  // Only link to an existing account, or claim the address for a new one, if the provider vouches for it.
+  // Otherwise the provider has to be linked from a signed-in session
+  if (!profile.emailVerified) {
+    throw new AppError('Your email address is not verified with this provider. Sign in with your password and link it from your account settings', 400)
+  }
+
+  const oauthAccount = { provider, subject: profile.subject, email: profile.email }
+
+  const existingUser = await User.findOne({ email: profile.email })
+  if (existingUser) {
+    existingUser.oauthAccounts.push(oauthAccount)
+    existingUser.isEmailVerified = true
+    existingUser.verificationToken = undefined
+    await existingUser.save()
+    await autoJoinOrganizations(existingUser)
+    return { user: existingUser, isNewUser: false }
+  }
+
+  const user = await User.create({
+    firstName: profile.firstName,
+    lastName: profile.lastName,
+    email: profile.email,
+    isEmailVerified: true,
+    oauthAccounts: [oauthAccount],
+  })
+  await autoJoinOrganizations(user)
+  return { user, isNewUser: true }
+}
+
+// Link a provider identity to a signed-in user's account
+const linkOAuthAccount = async (userId, provider, profile) => {
+  const linkedUser = await User.findOne({
+    oauthAccounts: { $elemMatch: { provider, subject: profile.subject } },
+  }).select('_id')
+
+  if (linkedUser) {
+    if (!linkedUser._id.equals(userId)) {
+      throw new AppError('This sign-in account is already linked to another user', 409)
+    }
+    return
+  }
+
+  const user = await User.findById(userId)
+  if (!user) {
+    throw new AppError('User no longer exists', 401)
+  }
+
+  user.oauthAccounts.push({ provider, subject: profile.subject, email: profile.email })
+  await user.save()
+}
+
+// Only same-site paths, so the callback can't be used as an open redirect
+const getOAuthReturnTo = (req) => (typeof req.query.returnTo === 'string' && /^\/(?!\/)/.test(req.query.returnTo) ? req.query.returnTo : undefined)
+
+const redirectToOAuthFrontend = (res, params) => {
+  res.redirect(`${process.env.FRONTEND_URL}/auth/oauth/callback?${new URLSearchParams(params).toString()}`)
+}
+
+// Check a TOTP or recovery code against the user's enrolled secret. Consumes the code on success
+const consumeTwoFactorCode = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode))
+    const index = user.twoFactor.recoveryCodes.indexOf(hash)
+    if (index === -1) return false
+
+    user.twoFactor.recoveryCodes.splice(index, 1)
+    await user.save()
+    return true
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code)
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false
+  }
+
+  user.twoFactor.lastUsedStep = step
+  await user.save()
+  return true
+}
+
+const createRecoveryCodes = (user) => {
+  const recoveryCodes = generateRecoveryCodes()
+  user.twoFactor.recoveryCodes = recoveryCodes.map((code) => hashToken(normalizeRecoveryCode(code)))
+  return recoveryCodes
+}
+
 const generateOTP = () => {
   const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
   let otp = ''
@@ -141,7 +340,7 @@ exports.signup = async (req, res, next) => {
       verificationToken,
     })
 
-    const token = generateToken({ id: user._id })
+    const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user._id, req)
 
     const userData = {
       _id: user._id,
@@ -155,6 +354,8 @@ exports.signup = async (req, res, next) => {
     res.status(201).json({
       message: "Your signup was successful!",
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       data: userData,
     })
   } catch (error) {
@@ -184,6 +385,8 @@ exports.verifyEmail = async (req, res, next) => {
     user.verificationToken = undefined
     await user.save()
 
+    await autoJoinOrganizations(user)
+
     res.status(200).json({
       message: 'Email verified successfully',
     })
@@ -206,28 +409,51 @@ exports.login = async (req, res, next) => {
       return next(new AppError('Invalid email or password', 401))
     }
 
+    // Social login accounts have no password until one is set through forgot password
+    if (!user.password) {
+      return next(new AppError('This account uses Google or Microsoft sign-in. Log in with it or reset your password', 401))
+    }
+
     const isPasswordValid = await bcrypt.compare(password, user.password)
     if (!isPasswordValid) {
       return next(new AppError('Invalid email or password', 401))
     }
 
-    const token = generateToken({ id: user._id })
+    await completeLogin(req, res, user)
+  } catch (error) {
+    next(error)
+  }
+}
 
-    const userData = {
-      _id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      role: user.role,
-      email: user.email,
-      isEmailVerified: user.isEmailVerified,
-      enrolledCourses: user.enrolledCourses,
+exports.verifyLoginTwoFactor = async (req, res, next) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body)
+    if (error) {
+      return next(new AppError(formatValidationErrors(error), 400))
     }
 
-    res.status(200).json({
-      message: 'Login successful',
-      token,
-      data: userData,
-    })
+    let decoded
+    try {
+      decoded = await verifyToken(value.twoFactorToken)
+    } catch (tokenError) {
+      return next(new AppError('Your login attempt has expired. Please log in again', 401))
+    }
+
+    if (decoded.purpose !== '2fa_login') {
+      return next(new AppError('Invalid two-factor token', 401))
+    }
+
+    const user = await User.findById(decoded.id).select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep')
+    if (!user || !user.twoFactor?.enabled) {
+      return next(new AppError('Invalid two-factor token', 401))
+    }
+
+    const isValid = await consumeTwoFactorCode(user, value)
+    if (!isValid) {
+      return next(new AppError(value.recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code', 401))
+    }
+
+    await sendLoginResponse(req, res, user)
   } catch (error) {
     next(error)
   }
@@ -294,6 +520,9 @@ exports.resetPassword = async (req, res, next) => {
     user.resetPasswordExpires = undefined
     await user.save()
 
+    // Whoever had the old password may still be logged in
+    await revokeUserSessions(user._id, { reason: 'password_reset' })
+
     res.status(200).json({
       message: 'Password reset successful',
     })
@@ -313,6 +542,10 @@ exports.changePassword = async (req, res, next) => {
 
     const user = await User.findById(req.user._id).select('+password')
 
+    if (!user.password) {
+      return next(new AppError('This account has no password yet. Use forgot password to set one', 400))
+    }
+
     const isPasswordValid = await bcrypt.compare(currentPassword, user.password)
     if (!isPasswordValid) {
       return next(new AppError('Current password is incorrect', 401))
@@ -321,6 +554,9 @@ exports.changePassword = async (req, res, next) => {
     user.password = newPassword
     await user.save()
 
+    // Keep the current device logged in and sign out everywhere else
+    await revokeUserSessions(user._id, { exceptSessionId: req.authSession._id, reason: 'password_changed' })
+
     res.status(200).json({
       message: 'Password changed successfully',
     })
@@ -329,6 +565,381 @@ exports.changePassword = async (req, res, next) => {
   }
 }
 
+// Generate a new secret to scan. Replaces any unconfirmed one
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+
+    if (user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is already enabled', 400))
+    }
+
+    const secret = generateSecret()
+    const otpAuthUrl = getOtpAuthUrl(secret, user.email)
+
+    user.twoFactor.pendingSecret = secret
+    await user.save()
+
+    res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpAuthUrl,
+        qrCode: await getQrCodeDataUrl(otpAuthUrl),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Confirm enrollment with a first code and hand out the recovery codes
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body)
+    if (error) {
+      return next(new AppError(formatValidationErrors(error), 400))
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret')
+
+    if (user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is already enabled', 400))
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return next(new AppError('Start two-factor setup first', 400))
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, value.code)
+    if (step === null) {
+      return next(new AppError('Invalid authentication code', 400))
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret
+    user.twoFactor.pendingSecret = undefined
+    user.twoFactor.lastUsedStep = step
+    user.twoFactor.enabled = true
+    user.twoFactor.enabledAt = new Date()
+    const recoveryCodes = createRecoveryCodes(user)
+    await user.save()
+
+    // Staff finishing mandatory enrollment at login get their session now
+    if (req.twoFactorSetup) {
+      const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user._id, req)
+      return res.status(200).json({
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+        token,
+        refreshToken,
+        refreshTokenExpiresAt,
+        data: { recoveryCodes },
+      })
+    }
+
+    // Sign out other devices so they have to pass the second factor too
+    await revokeUserSessions(user._id, { exceptSessionId: req.authSession._id, reason: 'two_factor_enabled' })
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { error, value } = disableTwoFactorSchema.validate(req.body)
+    if (error) {
+      return next(new AppError(formatValidationErrors(error), 400))
+    }
+
+    const user = await User.findById(req.user._id).select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep')
+
+    if (requiresTwoFactor(user)) {
+      return next(new AppError('Two-factor authentication is mandatory for this account', 403))
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is not enabled', 400))
+    }
+
+    const isPasswordValid = await bcrypt.compare(value.password, user.password)
+    if (!isPasswordValid) {
+      return next(new AppError('Password is incorrect', 401))
+    }
+
+    if (!(await consumeTwoFactorCode(user, { code: value.code }))) {
+      return next(new AppError('Invalid authentication code', 401))
+    }
+
+    user.twoFactor = { enabled: false }
+    await user.save()
+
+    res.status(200).json({
+      message: 'Two-factor authentication disabled',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Replace all recovery codes, e.g. after some have been used up
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body)
+    if (error) {
+      return next(new AppError(formatValidationErrors(error), 400))
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep')
+
+    if (!user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is not enabled', 400))
+    }
+
+    if (!(await consumeTwoFactorCode(user, { code: value.code }))) {
+      return next(new AppError('Invalid authentication code', 401))
+    }
+
+    const recoveryCodes = createRecoveryCodes(user)
+    await user.save()
+
+    res.status(200).json({
+      message: 'Recovery codes regenerated. Previous codes no longer work',
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.getOAuthProviders = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      message: 'Login providers fetched successfully',
+      data: getEnabledProviders(),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Send the browser to the identity provider
+exports.startOAuthLogin = async (req, res, next) => {
+  try {
+    const { provider } = req.params
+    const { state, codeVerifier, codeChallenge } = createAuthorizationParams()
+
+    const authorizationUrl = await getAuthorizationUrl(provider, { state, codeChallenge })
+
+    await OAuthState.create({
+      state,
+      provider,
+      codeVerifier,
+      returnTo: getOAuthReturnTo(req),
+      expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MS),
+    })
+
+    res.redirect(authorizationUrl)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Start linking a provider to the signed-in account. The request carries the access token in a header,
+// so the client is given the provider URL to open rather than a redirect
+exports.startOAuthLink = async (req, res, next) => {
+  try {
+    const { provider } = req.params
+    const { state, codeVerifier, codeChallenge } = createAuthorizationParams()
+
+    const authorizationUrl = await getAuthorizationUrl(provider, { state, codeChallenge })
+
+    await OAuthState.create({
+      state,
+      provider,
+      codeVerifier,
+      returnTo: getOAuthReturnTo(req),
+      linkUser: req.user._id,
+      expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MS),
+    })
+
+    res.status(200).json({
+      message: 'Account linking started',
+      data: { authorizationUrl },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// The identity provider redirects here. Hands the frontend a one-time code rather than tokens in the URL
+exports.handleOAuthCallback = async (req, res) => {
+  const { provider } = req.params
+  const { code, state, error: providerError } = req.query
+
+  try {
+    const oauthState = await OAuthState.findOneAndDelete({
+      state,
+      provider,
+      user: null,
+      expiresAt: { $gt: new Date() },
+    })
+
+    if (!oauthState) {
+      return redirectToOAuthFrontend(res, { error: 'Your sign-in attempt has expired. Please try again' })
+    }
+
+    if (providerError || !code) {
+      return redirectToOAuthFrontend(res, { error: 'Sign-in was cancelled', returnTo: oauthState.returnTo || '' })
+    }
+
+    const profile = await fetchProfile(provider, { code, codeVerifier: oauthState.codeVerifier })
+
+    if (oauthState.linkUser) {
+      await linkOAuthAccount(oauthState.linkUser, provider, profile)
+      return redirectToOAuthFrontend(res, { linked: provider, returnTo: oauthState.returnTo || '' })
+    }
+
+    const { user, isNewUser } = await findOrCreateOAuthUser(provider, profile)
+
+    const loginCode = generateRandomToken()
+    await OAuthState.create({
+      state: oauthState.state,
+      provider,
+      codeVerifier: oauthState.codeVerifier,
+      returnTo: oauthState.returnTo,
+      user: user._id,
+      isNewUser,
+      loginCodeHash: hashToken(loginCode),
+      expiresAt: new Date(Date.now() + OAUTH_LOGIN_CODE_TTL_MS),
+    })
+
+    redirectToOAuthFrontend(res, { code: loginCode, returnTo: oauthState.returnTo || '' })
+  } catch (error) {
+    console.error('OAuth callback error:', error)
+    redirectToOAuthFrontend(res, { error: error.isOperational ? error.message : 'Sign-in failed. Please try again' })
+  }
+}
+
+// Frontend swaps the one-time code for tokens, with the usual two-factor checks
+exports.exchangeOAuthCode = async (req, res, next) => {
+  try {
+    const { error, value } = oauthExchangeSchema.validate(req.body)
+    if (error) {
+      return next(new AppError(formatValidationErrors(error), 400))
+    }
+
+    const oauthState = await OAuthState.findOneAndDelete({
+      loginCodeHash: hashToken(value.code),
+      expiresAt: { $gt: new Date() },
+    })
+
+    if (!oauthState) {
+      return next(new AppError('Invalid or expired login code', 401))
+    }
+
+    const user = await User.findById(oauthState.user)
+    if (!user) {
+      return next(new AppError('User no longer exists', 401))
+    }
+
+    await completeLogin(req, res, user, { isNewUser: Boolean(oauthState.isNewUser), returnTo: oauthState.returnTo || null })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body)
+    if (error) {
+      return next(new AppError(formatValidationErrors(error), 400))
+    }
+
+    const { token, refreshToken, refreshTokenExpiresAt } = await rotateSession(value.refreshToken, req)
+
+    res.status(200).json({
+      message: 'Token refreshed successfully',
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.logout = async (req, res, next) => {
+  try {
+    await AuthSession.updateOne({ _id: req.authSession._id }, { revokedAt: new Date(), revokedReason: 'logout' })
+
+    res.status(200).json({
+      message: 'Logged out successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user._id, { reason: 'logout_all' })
+
+    res.status(200).json({
+      message: 'Logged out from all devices',
+      data: { revokedCount },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await AuthSession.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('device userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean()
+
+    res.status(200).json({
+      message: 'Sessions fetched successfully',
+      data: sessions.map((session) => ({
+        ...session,
+        isCurrent: session._id.toString() === req.authSession._id.toString(),
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await AuthSession.findOneAndUpdate(
+      { _id: req.params.sessionId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_user' },
+      { new: true }
+    )
+
+    if (!session) {
+      return next(new AppError('Session not found', 404))
+    }
+
+    res.status(200).json({
+      message: 'Session revoked successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // const bcrypt = require('bcryptjs')
 // const Joi = require('joi')
 // const { User } = require('../models')
@@ -0,0 +1,266 @@
+// bundle.controller.js
+const Joi = require('joi')
+const { Bundle, Course, Certificate, User } = require('../models')
+const { AppError } = require('../utils/errors')
+
+// Validation Schemas
+const courseIdsSchema = Joi.array()
+  .items(
+    Joi.string()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .messages({ 'string.pattern.base': 'Invalid course ID' })
+  )
+  .min(2)
+  .unique()
+  .messages({ 'array.min': 'A bundle needs at least 2 courses', 'array.unique': 'A course can only appear once' })
+
+const createBundleSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200).required(),
+  description: Joi.string().trim().max(5000).allow(''),
+  type: Joi.string().valid('bundle', 'path').default('bundle'),
+  // In the order learners should take them
+  courseIds: courseIdsSchema.required(),
+  price: Joi.number().min(0).required(),
+  isPublished: Joi.boolean().default(false),
+}).options({ abortEarly: false })
+
+const updateBundleSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200),
+  description: Joi.string().trim().max(5000).allow(''),
+  type: Joi.string().valid('bundle', 'path'),
+  courseIds: courseIdsSchema,
+  price: Joi.number().min(0),
+  isPublished: Joi.boolean(),
+})
+  .min(1)
+  .options({ abortEarly: false })
+
+// Helper Functions
+const hasAdminAccess = (user) => {
+  return ['admin', 'subAdmin'].includes(user?.role)
+}
+
+// optionalAuth only provides the user ID, so load the role and enrollments from the database
+const getRequestUser = async (req) => {
+  if (!req.user) return null
+  return User.findById(req.user._id).select('+role +enrolledCourses').lean()
+}
+
+// Load the courses and turn them into the ordered bundle entries
+async function buildBundleCourses(courseIds) {
+  const courses = await Course.find({ _id: { $in: courseIds }, isDeleted: false }).select('_id')
+
+  if (courses.length !== courseIds.length) {
+    const foundIds = courses.map((c) => c._id.toString())
+    throw new AppError(`One or more courses not found: ${courseIds.filter((id) => !foundIds.includes(id)).join(', ')}`, 404)
+  }
+
+  return courseIds.map((courseId, index) => ({ course: courseId, order: index + 1 }))
+}
+
+// Ordered courses with the combined price of buying them one by one
+function formatBundle(bundle) {
+  const courses = bundle.courses
+    .filter((c) => c.course)
+    .sort((a, b) => a.order - b.order)
+    .map((c) => ({ ...c.course, order: c.order }))
+
+  const coursesPrice = courses.reduce((sum, course) => sum + (Number(course.price) || 0), 0)
+
+  return {
+    ...bundle,
+    courses,
+    coursesPrice,
+    savings: Math.max(coursesPrice - bundle.price, 0),
+  }
+}
+
+// Create Bundle
+exports.createBundle = async (req, res, next) => {
+  try {
+    const { error, value } = createBundleSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const { courseIds, ...bundleData } = value
+
+    const bundle = await Bundle.create({
+      ...bundleData,
+      courses: await buildBundleCourses(courseIds),
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json({
+      status: 'success',
+      message: `${bundle.type === 'path' ? 'Learning path' : 'Bundle'} created successfully`,
+      data: bundle,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// List bundles and learning paths. Drafts are only visible to admins
+exports.getBundles = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    const user = await getRequestUser(req)
+
+    const filter = { isDeleted: false }
+    if (!hasAdminAccess(user)) {
+      filter.isPublished = true
+    }
+    if (['bundle', 'path'].includes(req.query.type)) {
+      filter.type = req.query.type
+    }
+
+    const [totalBundles, bundles] = await Promise.all([
+      Bundle.countDocuments(filter),
+      Bundle.find(filter)
+        .select('-createdBy')
+        .populate({ path: 'courses.course', match: { isDeleted: false }, select: 'title thumbnail price' })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+    ])
+
+    const totalPages = Math.ceil(totalBundles / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Bundles fetched successfully',
+      data: {
+        bundles: bundles.map(formatBundle),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalBundles,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get Bundle. Signed-in learners also see their access and completion per course
+exports.getBundle = async (req, res, next) => {
+  try {
+    const user = await getRequestUser(req)
+
+    const filter = { _id: req.params.bundleId, isDeleted: false }
+    if (!hasAdminAccess(user)) {
+      filter.isPublished = true
+    }
+
+    const bundle = await Bundle.findOne(filter)
+      .select('-createdBy')
+      .populate({ path: 'courses.course', match: { isDeleted: false }, select: 'title description thumbnail price category instructors' })
+      .lean()
+
+    if (!bundle) {
+      return next(new AppError('Bundle not found', 404))
+    }
+
+    const data = formatBundle(bundle)
+
+    if (user) {
+      const certificates = await Certificate.find({
+        user: user._id,
+        isRevoked: false,
+        $or: [{ certificateType: 'course', course: { $in: data.courses.map((c) => c._id) } }, { certificateType: 'path', bundle: bundle._id }],
+      }).select('certificateType course certificateId')
+
+      data.courses = data.courses.map((course) => {
+        const enrollment = user.enrolledCourses?.find((ec) => ec.course.toString() === course._id.toString())
+        return {
+          ...course,
+          enrollmentType: enrollment?.enrollmentType || null,
+          isCompleted: certificates.some((c) => c.certificateType === 'course' && c.course.toString() === course._id.toString()),
+        }
+      })
+      data.hasFullAccess = data.courses.every((course) => course.enrollmentType === 'full')
+      data.pathCertificateId = certificates.find((c) => c.certificateType === 'path')?.certificateId || null
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Bundle fetched successfully',
+      data,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update Bundle. Sending courseIds replaces the courses and their order
+exports.updateBundle = async (req, res, next) => {
+  try {
+    const { error, value } = updateBundleSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const bundle = await Bundle.findOne({ _id: req.params.bundleId, isDeleted: false })
+    if (!bundle) {
+      return next(new AppError('Bundle not found', 404))
+    }
+
+    const { courseIds, ...bundleData } = value
+    Object.assign(bundle, bundleData)
+
+    if (courseIds) {
+      bundle.courses = await buildBundleCourses(courseIds)
+    }
+
+    await bundle.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Bundle updated successfully',
+      data: bundle,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete Bundle. Learners keep the courses they bought
+exports.deleteBundle = async (req, res, next) => {
+  try {
+    const bundle = await Bundle.findOne({ _id: req.params.bundleId, isDeleted: false })
+    if (!bundle) {
+      return next(new AppError('Bundle not found', 404))
+    }
+
+    bundle.isDeleted = true
+    bundle.isPublished = false
+    await bundle.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Bundle deleted successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -1,12 +1,38 @@
 const mongoose = require('mongoose')
-const { Course, Module, User, Lesson, Progress, Certificate } = require('../models')
+const Joi = require('joi')
+const { Course, Module, User, Lesson, Progress, Certificate, Bundle } = require('../models')
 const { AppError } = require('../utils/errors')
+const { uploadToS3, downloadFromS3 } = require('../utils/s3')
+const { generateCertificatePdf } = require('../utils/certificatePdf')
+const { createNotification } = require('../utils/notifications')
 const crypto = require('crypto')
 
+// Validation Schemas
+const revokeCertificateSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'string.min': 'Reason must be at least 3 characters long',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'A reason is required to revoke a certificate',
+  }),
+}).options({ abortEarly: false })
+
+const reissueCertificateSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'string.min': 'Reason must be at least 3 characters long',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'A reason is required to reissue a certificate',
+  }),
+  // Optional corrected name, defaults to the user's current name
+  studentName: Joi.string().trim().min(2).max(100).messages({
+    'string.min': 'Student name must be at least 2 characters long',
+    'string.max': 'Student name cannot exceed 100 characters',
+  }),
+}).options({ abortEarly: false })
+
 // Generate a short, unique certificate ID (max 10 chars, uppercase)
 function generateCertificateId(type) {
-  // Use 'C' prefix for course, 'M' for module
-  const prefix = type === 'course' ? 'C' : 'M'
+  // Use 'C' prefix for course, 'M' for module, 'P' for learning path
+  const prefix = { course: 'C', module: 'M', path: 'P' }[type]
 
   // Generate random bytes and convert to base36 string
   const randomBytes = crypto.randomBytes(4).toString('hex').toUpperCase().substring(0, 8)
@@ -20,14 +46,23 @@ exports.verifyCertificate = async (req, res, next) => {
   try {
     const { certificateId } = req.params
 
-    // Find certificate in database
+    // Find certificate in database, including revoked ones so callers can be told about it
     const certificate = await Certificate.findOne({
       certificateId: certificateId.toUpperCase(),
-      isRevoked: false,
     })
+      .select('-revokedBy -pdfKey')
+      .populate('replacedBy', 'certificateId issueDate')
 
     if (!certificate) {
-      return next(new AppError('Certificate not found or has been revoked', 404))
+      return next(new AppError('Certificate not found', 404))
+    }
+
+    if (certificate.isRevoked) {
+      return res.status(200).json({
+        status: 'success',
+        message: `Certificate was revoked on ${certificate.revokedAt.toISOString()}`,
+        data: certificate,
+      })
     }
 
     // Return certificate data
@@ -47,136 +82,648 @@ exports.getCourseCertificate = async (req, res, next) => {
     const { courseId } = req.params
     const userId = req.user._id
 
-    const certificateData = await getCourseCompletionData(userId, courseId)
+    const { certificateData, isNew } = await findOrIssueCourseCertificate(userId, courseId)
 
-    if (!certificateData.isCompleted) {
-      return next(new AppError('Course not yet completed. All modules must be completed to generate a certificate.', 400))
-    }
+    res.status(200).json({
+      status: 'success',
+      message: isNew ? 'Certificate data generated successfully' : 'Existing certificate retrieved successfully',
+      data: certificateData,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
 
-    // Check if a certificate already exists
-    let certificate = await Certificate.findOne({
-      user: userId,
-      course: courseId,
-      certificateType: 'course',
-      isRevoked: false,
+// Get certificate data for a completed module
+exports.getModuleCertificate = async (req, res, next) => {
+  try {
+    const { courseId, moduleId } = req.params
+    const userId = req.user._id
+
+    const { certificateData, isNew } = await findOrIssueModuleCertificate(userId, courseId, moduleId)
+
+    res.status(200).json({
+      status: 'success',
+      message: isNew ? 'Certificate data generated successfully' : 'Existing certificate retrieved successfully',
+      data: certificateData,
     })
+  } catch (error) {
+    next(error)
+  }
+}
 
-    // If certificate exists, use it
-    if (certificate) {
-      certificateData.certificateId = certificate.certificateId
-      certificateData.issueDate = certificate.issueDate
+// Download the rendered PDF for a completed course
+exports.getCourseCertificatePdf = async (req, res, next) => {
+  try {
+    const { courseId } = req.params
+    const userId = req.user._id
 
-      res.status(200).json({
-        status: 'success',
-        message: 'Existing certificate retrieved successfully',
-        data: certificateData,
-      })
-      return
+    const { certificate } = await findOrIssueCourseCertificate(userId, courseId)
+
+    await sendCertificatePdf(res, certificate)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Download the rendered PDF for a completed module
+exports.getModuleCertificatePdf = async (req, res, next) => {
+  try {
+    const { courseId, moduleId } = req.params
+    const userId = req.user._id
+
+    const { certificate } = await findOrIssueModuleCertificate(userId, courseId, moduleId)
+
+    await sendCertificatePdf(res, certificate)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get certificate data for a completed learning path
+exports.getPathCertificate = async (req, res, next) => {
+  try {
+    const { certificateData, isNew } = await findOrIssuePathCertificate(req.user._id, req.params.bundleId)
+
+    res.status(200).json({
+      status: 'success',
+      message: isNew ? 'Certificate data generated successfully' : 'Existing certificate retrieved successfully',
+      data: certificateData,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Download the rendered PDF for a completed learning path
+exports.getPathCertificatePdf = async (req, res, next) => {
+  try {
+    const { certificate } = await findOrIssuePathCertificate(req.user._id, req.params.bundleId)
+
+    await sendCertificatePdf(res, certificate)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// ADMIN CERTIFICATE MANAGEMENT
+
+// List and search certificates
+exports.getAllCertificatesAdmin = async (req, res, next) => {
+  try {
+    // Parse pagination parameters
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    // Parse filter parameters (optional)
+    const filters = {}
+
+    if (req.query.certificateType && Certificate.schema.path('certificateType').enumValues.includes(req.query.certificateType)) {
+      filters.certificateType = req.query.certificateType
     }
 
-    // Generate a certificate ID for new certificate
-    const certificateId = generateCertificateId('course')
-    certificateData.certificateId = certificateId
+    if (req.query.courseId && mongoose.Types.ObjectId.isValid(req.query.courseId)) {
+      filters.course = req.query.courseId
+    }
 
-    // Save certificate to database
-    certificate = await Certificate.create({
-      certificateId,
-      certificateType: 'course',
-      user: userId,
-      course: courseId,
-      courseTitle: certificateData.courseTitle,
-      studentName: certificateData.studentName,
-      completionDate: certificateData.completionDate,
-      issueDate: new Date(),
-      metadata: {
-        category: certificateData.category,
-        totalModules: certificateData.totalModules,
-        completedModules: certificateData.completedModules,
-        instructors: certificateData.instructors,
-        creatorName: certificateData.creatorName,
+    if (req.query.moduleId && mongoose.Types.ObjectId.isValid(req.query.moduleId)) {
+      filters.module = req.query.moduleId
+    }
+
+    if (req.query.userId && mongoose.Types.ObjectId.isValid(req.query.userId)) {
+      filters.user = req.query.userId
+    }
+
+    // Status filter: active or revoked (default: all)
+    if (req.query.status === 'active') {
+      filters.isRevoked = false
+    } else if (req.query.status === 'revoked') {
+      filters.isRevoked = true
+    }
+
+    // Search by certificate ID, student name or titles
+    const search = req.query.search?.trim()
+    if (search) {
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      filters.$or = [
+        { certificateId: { $regex: pattern, $options: 'i' } },
+        { studentName: { $regex: pattern, $options: 'i' } },
+        { courseTitle: { $regex: pattern, $options: 'i' } },
+        { moduleTitle: { $regex: pattern, $options: 'i' } },
+      ]
+    }
+
+    const totalCertificates = await Certificate.countDocuments(filters)
+
+    const certificates = await Certificate.find(filters)
+      .populate('user', 'firstName lastName email')
+      .populate('revokedBy', 'firstName lastName email')
+      .populate('replacedBy', 'certificateId issueDate')
+      .populate('reissuedFrom', 'certificateId issueDate')
+      .sort({ issueDate: -1 })
+      .skip(skip)
+      .limit(limit)
+
+    const totalPages = Math.ceil(totalCertificates / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Certificates fetched successfully',
+      data: {
+        certificates,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCertificates,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
       },
     })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get a single certificate with its revocation history
+exports.getCertificateAdmin = async (req, res, next) => {
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId.toUpperCase() })
+      .populate('user', 'firstName lastName email')
+      .populate('revokedBy', 'firstName lastName email')
+      .populate('replacedBy', 'certificateId issueDate')
+      .populate('reissuedFrom', 'certificateId issueDate')
+
+    if (!certificate) {
+      return next(new AppError('Certificate not found', 404))
+    }
 
     res.status(200).json({
       status: 'success',
-      message: 'Certificate data generated successfully',
-      data: certificateData,
+      message: 'Certificate fetched successfully',
+      data: certificate,
     })
   } catch (error) {
     next(error)
   }
 }
 
-// Get certificate data for a completed module
-exports.getModuleCertificate = async (req, res, next) => {
+// Revoke a certificate
+exports.revokeCertificate = async (req, res, next) => {
   try {
-    const { courseId, moduleId } = req.params
-    const userId = req.user._id
+    const { error, value } = revokeCertificateSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
 
-    const certificateData = await getModuleCompletionData(userId, courseId, moduleId)
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId.toUpperCase() })
 
-    if (!certificateData.isCompleted) {
-      return next(new AppError('Module not yet completed. All lessons must be completed to generate a certificate.', 400))
+    if (!certificate) {
+      return next(new AppError('Certificate not found', 404))
     }
 
-    // Check if a certificate already exists
-    let certificate = await Certificate.findOne({
-      user: userId,
-      course: courseId,
-      module: moduleId,
-      certificateType: 'module',
-      isRevoked: false,
+    if (certificate.isRevoked) {
+      return next(new AppError('Certificate has already been revoked', 400))
+    }
+
+    certificate.isRevoked = true
+    certificate.revokedAt = new Date()
+    certificate.revokedBy = req.user._id
+    certificate.revocationReason = value.reason
+    await certificate.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Certificate revoked successfully',
+      data: certificate,
     })
+  } catch (error) {
+    next(error)
+  }
+}
 
-    // If certificate exists, use it
-    if (certificate) {
-      certificateData.certificateId = certificate.certificateId
-      certificateData.issueDate = certificate.issueDate
+// Reissue a certificate, e.g. after a name correction. The original is revoked and linked to a new certificate ID
+exports.reissueCertificate = async (req, res, next) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
 
-      res.status(200).json({
-        status: 'success',
-        message: 'Existing certificate retrieved successfully',
-        data: certificateData,
+  try {
+    const { error, value } = reissueCertificateSchema.validate(req.body)
+    if (error) {
+      await session.abortTransaction()
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
       })
-      return
     }
 
-    // Generate a certificate ID for new certificate
-    const certificateId = generateCertificateId('module')
-    certificateData.certificateId = certificateId
+    const original = await Certificate.findOne({ certificateId: req.params.certificateId.toUpperCase() }).session(session)
 
-    // Save certificate to database
-    certificate = await Certificate.create({
-      certificateId,
-      certificateType: 'module',
-      user: userId,
-      course: courseId,
-      module: moduleId,
-      courseTitle: certificateData.courseTitle,
-      moduleTitle: certificateData.moduleTitle,
-      studentName: certificateData.studentName,
-      completionDate: certificateData.completionDate,
-      issueDate: new Date(),
-      metadata: {
-        category: certificateData.category,
-        totalLessons: certificateData.totalLessons,
-        completedLessons: certificateData.completedLessons,
-        progress: certificateData.progress,
-        instructors: certificateData.instructors,
-        creatorName: certificateData.creatorName,
-      },
-    })
+    if (!original) {
+      throw new AppError('Certificate not found', 404)
+    }
 
-    res.status(200).json({
+    if (original.replacedBy) {
+      throw new AppError('Certificate has already been reissued', 400)
+    }
+
+    // A revoked certificate may be reissued only if the learner has no other active one
+    if (original.isRevoked) {
+      const activeCertificate = await Certificate.exists({
+        user: original.user,
+        course: original.course,
+        module: original.module,
+        bundle: original.bundle,
+        certificateType: original.certificateType,
+        isRevoked: false,
+      }).session(session)
+
+      if (activeCertificate) {
+        throw new AppError('An active certificate already exists for this learner', 400)
+      }
+    }
+
+    let studentName = value.studentName
+    if (!studentName) {
+      const user = await User.findById(original.user).select('firstName lastName').session(session)
+      studentName = user ? `${user.firstName} ${user.lastName}` : original.studentName
+    }
+
+    const [certificate] = await Certificate.create(
+      [
+        {
+          certificateId: generateCertificateId(original.certificateType),
+          certificateType: original.certificateType,
+          user: original.user,
+          course: original.course,
+          module: original.module,
+          bundle: original.bundle,
+          pathTitle: original.pathTitle,
+          courseTitle: original.courseTitle,
+          moduleTitle: original.moduleTitle,
+          studentName,
+          completionDate: original.completionDate,
+          issueDate: new Date(),
+          metadata: original.metadata,
+          reissuedFrom: original._id,
+        },
+      ],
+      { session }
+    )
+
+    // Keep the original revocation details if it was already revoked
+    if (!original.isRevoked) {
+      original.isRevoked = true
+      original.revokedAt = new Date()
+      original.revokedBy = req.user._id
+      original.revocationReason = value.reason
+    }
+    original.replacedBy = certificate._id
+    await original.save({ session })
+
+    await session.commitTransaction()
+
+    await notifyCertificateIssued(certificate, true)
+
+    res.status(201).json({
       status: 'success',
-      message: 'Certificate data generated successfully',
-      data: certificateData,
+      message: 'Certificate reissued successfully',
+      data: {
+        certificate,
+        revokedCertificate: original,
+      },
     })
   } catch (error) {
+    await session.abortTransaction()
     next(error)
+  } finally {
+    session.endSession()
+  }
+}
+
+// Helper function to notify the learner about a newly issued certificate
+async function notifyCertificateIssued(certificate, reissued = false) {
+  const subject = { module: certificate.moduleTitle, path: certificate.pathTitle }[certificate.certificateType] || certificate.courseTitle
+
+  await createNotification(certificate.user, {
+    type: 'certificate_issued',
+    title: reissued ? 'Certificate reissued' : 'Certificate issued',
+    message: reissued ? `Your certificate for ${subject} has been reissued` : `Congratulations! Your certificate for ${subject} is ready`,
+    link: `/certificates/${certificate.certificateId}`,
+    data: {
+      certificateId: certificate.certificateId,
+      courseId: certificate.course,
+      moduleId: certificate.module,
+      bundleId: certificate.bundle,
+    },
+  })
+}
+
+// Helper function to find the user's course certificate or issue a new one once the course is completed
+async function findOrIssueCourseCertificate(userId, courseId) {
+  const certificateData = await getCourseCompletionData(userId, courseId)
+
+  if (!certificateData.isCompleted) {
+    throw new AppError('Course not yet completed. All modules must be completed to generate a certificate.', 400)
+  }
+
+  // Check if a certificate already exists
+  let certificate = await Certificate.findOne({
+    user: userId,
+    course: courseId,
+    certificateType: 'course',
+    isRevoked: false,
+  })
+
+  // If certificate exists, use it
+  if (certificate) {
+    certificateData.certificateId = certificate.certificateId
+    certificateData.issueDate = certificate.issueDate
+    return { certificate, certificateData, isNew: false }
+  }
+
+  // A revoked certificate can only be replaced by an admin reissue
+  const revokedCertificate = await Certificate.exists({
+    user: userId,
+    course: courseId,
+    certificateType: 'course',
+    isRevoked: true,
+  })
+
+  if (revokedCertificate) {
+    throw new AppError('Your certificate has been revoked. Please contact support.', 403)
+  }
+
+  // Generate a certificate ID for new certificate
+  const certificateId = generateCertificateId('course')
+  certificateData.certificateId = certificateId
+
+  // Save certificate to database
+  certificate = await Certificate.create({
+    certificateId,
+    certificateType: 'course',
+    user: userId,
+    course: courseId,
+    courseTitle: certificateData.courseTitle,
+    studentName: certificateData.studentName,
+    completionDate: certificateData.completionDate,
+    issueDate: new Date(),
+    metadata: {
+      category: certificateData.category,
+      totalModules: certificateData.totalModules,
+      completedModules: certificateData.completedModules,
+      instructors: certificateData.instructors,
+      creatorName: certificateData.creatorName,
+    },
+  })
+
+  await notifyCertificateIssued(certificate)
+  await issueCompletedPathCertificates(userId, courseId)
+
+  return { certificate, certificateData, isNew: true }
+}
+
+// Helper function to find the user's module certificate or issue a new one once the module is completed
+async function findOrIssueModuleCertificate(userId, courseId, moduleId) {
+  const certificateData = await getModuleCompletionData(userId, courseId, moduleId)
+
+  if (!certificateData.isCompleted) {
+    throw new AppError('Module not yet completed. All lessons must be completed to generate a certificate.', 400)
+  }
+
+  // Check if a certificate already exists
+  let certificate = await Certificate.findOne({
+    user: userId,
+    course: courseId,
+    module: moduleId,
+    certificateType: 'module',
+    isRevoked: false,
+  })
+
+  // If certificate exists, use it
+  if (certificate) {
+    certificateData.certificateId = certificate.certificateId
+    certificateData.issueDate = certificate.issueDate
+    return { certificate, certificateData, isNew: false }
+  }
+
+  // A revoked certificate can only be replaced by an admin reissue
+  const revokedCertificate = await Certificate.exists({
+    user: userId,
+    course: courseId,
+    module: moduleId,
+    certificateType: 'module',
+    isRevoked: true,
+  })
+
+  if (revokedCertificate) {
+    throw new AppError('Your certificate has been revoked. Please contact support.', 403)
+  }
+
+  // Generate a certificate ID for new certificate
+  const certificateId = generateCertificateId('module')
+  certificateData.certificateId = certificateId
+
+  // Save certificate to database
+  certificate = await Certificate.create({
+    certificateId,
+    certificateType: 'module',
+    user: userId,
+    course: courseId,
+    module: moduleId,
+    courseTitle: certificateData.courseTitle,
+    moduleTitle: certificateData.moduleTitle,
+    studentName: certificateData.studentName,
+    completionDate: certificateData.completionDate,
+    issueDate: new Date(),
+    metadata: {
+      category: certificateData.category,
+      totalLessons: certificateData.totalLessons,
+      completedLessons: certificateData.completedLessons,
+      progress: certificateData.progress,
+      instructors: certificateData.instructors,
+      creatorName: certificateData.creatorName,
+    },
+  })
+
+  await notifyCertificateIssued(certificate)
+
+  return { certificate, certificateData, isNew: true }
+}
+
+// Helper function to find the user's learning path certificate or issue a new one once every course is completed
+async function findOrIssuePathCertificate(userId, bundleId) {
+  const bundle = await Bundle.findOne({ _id: bundleId, type: 'path', isDeleted: false }).populate('courses.course', 'title')
+
+  if (!bundle) {
+    throw new AppError('Learning path not found', 404)
+  }
+
+  const courses = bundle.courses.filter((c) => c.course).sort((a, b) => a.order - b.order)
+
+  // Course certificates are issued along the way, so each course is checked the same way as on its own
+  const courseCertificates = []
+  const incompleteCourses = []
+  for (const { course } of courses) {
+    try {
+      const { certificate } = await findOrIssueCourseCertificate(userId, course._id.toString())
+      courseCertificates.push(certificate)
+    } catch (error) {
+      if (!error.isOperational) throw error
+      incompleteCourses.push(course.title)
+    }
+  }
+
+  if (!courses.length || incompleteCourses.length) {
+    throw new AppError(`Learning path not yet completed. Remaining courses: ${incompleteCourses.join(', ')}`, 400)
+  }
+
+  // Issuing the last course certificate may already have issued the path certificate
+  let certificate = await Certificate.findOne({
+    user: userId,
+    bundle: bundle._id,
+    certificateType: 'path',
+    isRevoked: false,
+  })
+
+  let isNew = false
+  if (!certificate) {
+    certificate = await issuePathCertificate(userId, bundle, courseCertificates)
+    isNew = true
+  }
+
+  return {
+    certificate,
+    certificateData: {
+      isCompleted: true,
+      certificateType: 'path',
+      certificateId: certificate.certificateId,
+      pathTitle: certificate.pathTitle,
+      studentName: certificate.studentName,
+      completionDate: certificate.completionDate,
+      issueDate: certificate.issueDate,
+      bundleId: bundle._id,
+      courses: certificate.metadata.courses,
+    },
+    isNew,
+  }
+}
+
+// Create a path certificate from the learner's course certificates
+async function issuePathCertificate(userId, bundle, courseCertificates) {
+  const revokedCertificate = await Certificate.exists({
+    user: userId,
+    bundle: bundle._id,
+    certificateType: 'path',
+    isRevoked: true,
+  })
+
+  if (revokedCertificate) {
+    throw new AppError('Your certificate has been revoked. Please contact support.', 403)
+  }
+
+  const user = await User.findById(userId).select('firstName lastName')
+
+  const certificate = await Certificate.create({
+    certificateId: generateCertificateId('path'),
+    certificateType: 'path',
+    user: userId,
+    bundle: bundle._id,
+    pathTitle: bundle.title,
+    studentName: `${user.firstName} ${user.lastName}`,
+    completionDate: new Date(Math.max(...courseCertificates.map((c) => c.completionDate.getTime()))),
+    issueDate: new Date(),
+    metadata: {
+      courses: courseCertificates.map((c) => ({ courseId: c.course, courseTitle: c.courseTitle, certificateId: c.certificateId })),
+      instructors: [...new Set(courseCertificates.flatMap((c) => c.metadata?.instructors || []))],
+    },
+  })
+
+  await notifyCertificateIssued(certificate)
+
+  return certificate
+}
+
+// Issue path certificates for every learning path the newly completed course finishes
+async function issueCompletedPathCertificates(userId, courseId) {
+  try {
+    const paths = await Bundle.find({ type: 'path', isDeleted: false, 'courses.course': courseId })
+
+    for (const bundle of paths) {
+      const pathCertificate = await Certificate.exists({ user: userId, bundle: bundle._id, certificateType: 'path' })
+      if (pathCertificate) continue
+
+      const courseCertificates = await Certificate.find({
+        user: userId,
+        course: { $in: bundle.courses.map((c) => c.course) },
+        certificateType: 'course',
+        isRevoked: false,
+      })
+
+      const completedCourseIds = new Set(courseCertificates.map((c) => c.course.toString()))
+      if (bundle.courses.every((c) => completedCourseIds.has(c.course.toString()))) {
+        await issuePathCertificate(userId, bundle, courseCertificates)
+      }
+    }
+  } catch (error) {
+    // The course certificate is already issued, the path one can be claimed later
+    console.error('Path certificate issuing failed:', error)
   }
 }
 
+// Helper function to send a certificate PDF, rendering and caching it in S3 on first request
+async function sendCertificatePdf(res, certificate) {
+  let pdfBuffer
+
+  if (certificate.pdfKey) {
+    try {
+      pdfBuffer = await downloadFromS3(certificate.pdfKey)
+    } catch (error) {
+      // Cached file is missing or unreadable - render it again below
+      console.error(`Cached PDF for certificate ${certificate.certificateId} could not be loaded:`, error.message)
+    }
+  }
+
+  if (!pdfBuffer) {
+    pdfBuffer = await generateCertificatePdf(certificate)
+
+    const fileName = `${certificate.certificateId}.pdf`
+    const key = `certificates/${fileName}`
+
+    certificate.pdfUrl = await uploadToS3(
+      {
+        buffer: pdfBuffer,
+        mimetype: 'application/pdf',
+        originalname: fileName,
+      },
+      key,
+      {
+        contentDisposition: `attachment; filename="certificate-${fileName}"`,
+        metadata: { certificateId: certificate.certificateId },
+      }
+    )
+    certificate.pdfKey = key
+    await certificate.save()
+  }
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="certificate-${certificate.certificateId}.pdf"`,
+    'Content-Length': pdfBuffer.length,
+  })
+  res.status(200).send(pdfBuffer)
+}
+
 // Helper function to check course completion and get data
 async function getCourseCompletionData(userId, courseId) {
   // Get the course details
@@ -0,0 +1,361 @@
+// cohort.controller.js
+const Joi = require('joi')
+const mongoose = require('mongoose')
+const { Cohort, Course, Module, User } = require('../models')
+const { AppError } = require('../utils/errors')
+const { getReleaseDate } = require('../utils/cohortSchedule')
+
+// Validation Schemas
+const cohortSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  description: Joi.string().allow('').trim(),
+  startDate: Joi.date().iso().required(),
+  enrollmentOpensAt: Joi.date().iso().required(),
+  enrollmentClosesAt: Joi.date().iso().min(Joi.ref('enrollmentOpensAt')).required().messages({
+    'date.min': 'Enrollment must close after it opens',
+  }),
+  capacity: Joi.number().integer().min(1).allow(null),
+}).options({ abortEarly: false })
+
+const updateCohortSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  description: Joi.string().allow('').trim(),
+  startDate: Joi.date().iso(),
+  enrollmentOpensAt: Joi.date().iso(),
+  enrollmentClosesAt: Joi.date().iso(),
+  capacity: Joi.number().integer().min(1).allow(null),
+}).options({ abortEarly: false })
+
+const assignMemberSchema = Joi.object({
+  userId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid user ID',
+      'any.required': 'User ID is required',
+    }),
+}).options({ abortEarly: false })
+
+// Helper Functions
+const hasAdminAccess = (user) => {
+  return ['admin', 'subAdmin', 'moderator'].includes(user?.role)
+}
+
+// Atomically take a seat in the cohort, respecting capacity
+async function reserveSeat(cohortId, session) {
+  return Cohort.findOneAndUpdate(
+    {
+      _id: cohortId,
+      isDeleted: false,
+      $or: [{ capacity: null }, { $expr: { $lt: ['$enrolledCount', '$capacity'] } }],
+    },
+    { $inc: { enrolledCount: 1 } },
+    { new: true, session }
+  )
+}
+
+// Move an enrolled learner into a cohort, releasing their seat in any previous one
+async function assignLearnerToCohort(userId, cohort, session) {
+  const user = await User.findById(userId).session(session)
+  if (!user) {
+    throw new AppError('User not found', 404)
+  }
+
+  const enrollment = user.enrolledCourses.find((ec) => ec.course.toString() === cohort.course.toString())
+  if (!enrollment) {
+    throw new AppError('User must be enrolled in the course before joining a cohort', 400)
+  }
+
+  if (enrollment.cohort?.toString() === cohort._id.toString()) {
+    throw new AppError('User is already a member of this cohort', 400)
+  }
+
+  const reserved = await reserveSeat(cohort._id, session)
+  if (!reserved) {
+    throw new AppError('This cohort is full', 400)
+  }
+
+  if (enrollment.cohort) {
+    await Cohort.updateOne({ _id: enrollment.cohort, enrolledCount: { $gt: 0 } }, { $inc: { enrolledCount: -1 } }, { session })
+  }
+
+  enrollment.cohort = cohort._id
+  await user.save({ session })
+
+  return reserved
+}
+
+// Module release schedule for a cohort
+async function buildSchedule(cohort) {
+  const modules = await Module.find({ course: cohort.course, isDeleted: false }).select('title order releaseOffsetDays').sort({ order: 1 })
+  const now = new Date()
+
+  return modules.map((module) => {
+    const releaseDate = getReleaseDate(cohort, module)
+    return {
+      moduleId: module._id,
+      title: module.title,
+      order: module.order,
+      releaseOffsetDays: module.releaseOffsetDays || 0,
+      releaseDate,
+      isReleased: releaseDate <= now,
+    }
+  })
+}
+
+// Create Cohort
+exports.createCohort = async (req, res, next) => {
+  try {
+    const { error, value } = cohortSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const course = await Course.findOne({ _id: req.params.courseId, isDeleted: false })
+    if (!course) {
+      return next(new AppError('Course not found', 404))
+    }
+
+    const cohort = await Cohort.create({
+      ...value,
+      course: course._id,
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Cohort created successfully',
+      data: cohort,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get Cohorts for a course
+exports.getCohorts = async (req, res, next) => {
+  try {
+    const filter = { course: req.params.courseId, isDeleted: false }
+
+    // optionalAuth only provides the user ID, so read the role from the database
+    const user = req.user ? await User.findById(req.user._id).select('+role').lean() : null
+
+    // Learners only see cohorts still open for enrollment
+    if (!hasAdminAccess(user)) {
+      filter.enrollmentClosesAt = { $gte: new Date() }
+    }
+
+    const cohorts = await Cohort.find(filter).select('-createdBy').sort({ startDate: 1 })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cohorts fetched successfully',
+      data: cohorts.map((cohort) => ({
+        ...cohort.toObject(),
+        seatsRemaining: cohort.capacity === null ? null : Math.max(cohort.capacity - cohort.enrolledCount, 0),
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get Cohort with its module release schedule
+exports.getCohort = async (req, res, next) => {
+  try {
+    const cohort = await Cohort.findOne({
+      _id: req.params.cohortId,
+      course: req.params.courseId,
+      isDeleted: false,
+    })
+
+    if (!cohort) {
+      return next(new AppError('Cohort not found', 404))
+    }
+
+    const schedule = await buildSchedule(cohort)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cohort fetched successfully',
+      data: {
+        ...cohort.toObject(),
+        seatsRemaining: cohort.capacity === null ? null : Math.max(cohort.capacity - cohort.enrolledCount, 0),
+        schedule,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update Cohort
+exports.updateCohort = async (req, res, next) => {
+  try {
+    const { error, value } = updateCohortSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const cohort = await Cohort.findOne({
+      _id: req.params.cohortId,
+      course: req.params.courseId,
+      isDeleted: false,
+    })
+
+    if (!cohort) {
+      return next(new AppError('Cohort not found', 404))
+    }
+
+    Object.assign(cohort, value)
+
+    if (cohort.enrollmentClosesAt < cohort.enrollmentOpensAt) {
+      return next(new AppError('Enrollment must close after it opens', 400))
+    }
+
+    if (cohort.capacity !== null && cohort.capacity < cohort.enrolledCount) {
+      return next(new AppError(`Capacity cannot be lower than the ${cohort.enrolledCount} learners already enrolled`, 400))
+    }
+
+    await cohort.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cohort updated successfully',
+      data: cohort,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete Cohort
+exports.deleteCohort = async (req, res, next) => {
+  try {
+    const cohort = await Cohort.findOne({
+      _id: req.params.cohortId,
+      course: req.params.courseId,
+      isDeleted: false,
+    })
+
+    if (!cohort) {
+      return next(new AppError('Cohort not found', 404))
+    }
+
+    if (cohort.enrolledCount > 0) {
+      return next(new AppError('Cannot delete a cohort that has enrolled learners', 400))
+    }
+
+    cohort.isDeleted = true
+    await cohort.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cohort deleted successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Learner joins a cohort during its enrollment window
+exports.joinCohort = async (req, res, next) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const cohort = await Cohort.findOne({
+      _id: req.params.cohortId,
+      course: req.params.courseId,
+      isDeleted: false,
+    }).session(session)
+
+    if (!cohort) {
+      throw new AppError('Cohort not found', 404)
+    }
+
+    const now = new Date()
+    if (now < cohort.enrollmentOpensAt) {
+      throw new AppError(`Enrollment for this cohort opens on ${cohort.enrollmentOpensAt.toISOString()}`, 400)
+    }
+
+    if (now > cohort.enrollmentClosesAt) {
+      throw new AppError('Enrollment for this cohort has closed', 400)
+    }
+
+    const updatedCohort = await assignLearnerToCohort(req.user._id, cohort, session)
+
+    await session.commitTransaction()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Joined cohort successfully',
+      data: {
+        cohort: updatedCohort,
+        schedule: await buildSchedule(updatedCohort),
+      },
+    })
+  } catch (error) {
+    await session.abortTransaction()
+    next(error)
+  } finally {
+    session.endSession()
+  }
+}
+
+// Admin places a learner in a cohort, ignoring the enrollment window
+exports.assignCohortMember = async (req, res, next) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const { error, value } = assignMemberSchema.validate(req.body)
+    if (error) {
+      await session.abortTransaction()
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const cohort = await Cohort.findOne({
+      _id: req.params.cohortId,
+      course: req.params.courseId,
+      isDeleted: false,
+    }).session(session)
+
+    if (!cohort) {
+      throw new AppError('Cohort not found', 404)
+    }
+
+    const updatedCohort = await assignLearnerToCohort(value.userId, cohort, session)
+
+    await session.commitTransaction()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Learner assigned to cohort successfully',
+      data: updatedCohort,
+    })
+  } catch (error) {
+    await session.abortTransaction()
+    next(error)
+  } finally {
+    session.endSession()
+  }
+}
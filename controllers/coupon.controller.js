@@ -1,8 +1,32 @@
+const crypto = require('crypto')
 const Joi = require('joi')
-const { Discount, Course, Module } = require('../models')
+const mongoose = require('mongoose')
+const { Discount, Course, Module, Bundle, CouponBatch } = require('../models')
 const { AppError } = require('../utils/errors')
+const { getRequestedCodes, evaluateCoupons } = require('../utils/coupons')
+const { toCsv } = require('../utils/csv')
+
+// Generated codes skip characters that are easy to misread (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+const MAX_BATCH_SIZE = 5000
+const BATCH_EXPORT_COLUMNS = ['code', 'status', 'usedCount', 'type', 'value', 'startDate', 'endDate']
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/)
 
 // Validation Schemas
+
+// Eligibility and stacking rules, shared by create and update
+const couponRuleFields = {
+  courses: Joi.array().items(objectId),
+  categories: Joi.array().items(Joi.string().trim()),
+  perUserLimit: Joi.number().integer().positive().allow(null),
+  minOrderAmount: Joi.number().min(0).allow(null),
+  firstPurchaseOnly: Joi.boolean(),
+  allowedEmailDomains: Joi.array().items(Joi.string().trim().lowercase().domain()),
+  maxDiscountAmount: Joi.number().positive().allow(null),
+  stacking: Joi.string().valid('exclusive', 'stackable'),
+}
+
 const createCouponSchema = Joi.object({
   code: Joi.string().uppercase().alphanum().min(4).max(20).required().messages({
     'string.min': 'Coupon code must be at least 4 characters',
@@ -41,6 +65,7 @@ const createCouponSchema = Joi.object({
     'any.required': 'End date is required',
   }),
   maxUses: Joi.number().integer().positive().allow(null).optional(),
+  ...couponRuleFields,
 }).options({ abortEarly: false })
 
 const updateCouponSchema = Joi.object({
@@ -59,8 +84,33 @@ const updateCouponSchema = Joi.object({
       then: Joi.date().greater(Joi.ref('startDate')),
     }),
   maxUses: Joi.number().integer().positive().allow(null),
+  ...couponRuleFields,
 }).options({ abortEarly: false })
 
+// Same rules as a single coupon. Every generated code is single-use
+const createCouponBatchSchema = createCouponSchema.keys({
+  code: Joi.forbidden(),
+  maxUses: Joi.forbidden(),
+  name: Joi.string().trim().min(3).max(100).required(),
+  description: Joi.string().trim().max(500).allow(''),
+  quantity: Joi.number().integer().min(1).max(MAX_BATCH_SIZE).required(),
+  prefix: Joi.string().uppercase().alphanum().max(8).allow('').default(''),
+  codeLength: Joi.number().integer().min(6).max(12).default(8),
+}).options({ abortEarly: false })
+
+const validateCouponSchema = Joi.object({
+  code: Joi.string().trim(),
+  codes: Joi.array().items(Joi.string().trim()).min(1).max(5),
+  courseId: objectId,
+  moduleId: objectId,
+  moduleIds: Joi.array().items(objectId),
+  bundleId: objectId,
+  amount: Joi.number().min(0),
+})
+  .or('code', 'codes')
+  .messages({ 'object.missing': 'Coupon code is required' })
+  .options({ abortEarly: false })
+
 // Create a new coupon
 exports.createCoupon = async (req, res, next) => {
   try {
@@ -100,6 +150,13 @@ exports.createCoupon = async (req, res, next) => {
       }
     }
 
+    if (value.courses?.length) {
+      const courseCount = await Course.countDocuments({ _id: { $in: value.courses } })
+      if (courseCount !== new Set(value.courses).size) {
+        return next(new AppError('One or more course IDs are invalid', 400))
+      }
+    }
+
     // Create the coupon
     const coupon = await Discount.create({
       ...value,
@@ -142,6 +199,12 @@ exports.getAllCoupons = async (req, res, next) => {
       query.module = req.query.module
     }
 
+    // Generated campaign codes are listed per batch instead of mixed in with regular coupons
+    if (req.query.batch && !mongoose.Types.ObjectId.isValid(req.query.batch)) {
+      return next(new AppError('Invalid batch ID', 400))
+    }
+    query.batch = req.query.batch || null
+
     const [totalCoupons, coupons] = await Promise.all([
       Discount.countDocuments(query),
       Discount.find(query)
@@ -231,6 +294,13 @@ exports.updateCoupon = async (req, res, next) => {
       return next(new AppError('Coupon not found', 404))
     }
 
+    if (value.courses?.length) {
+      const courseCount = await Course.countDocuments({ _id: { $in: value.courses } })
+      if (courseCount !== new Set(value.courses).size) {
+        return next(new AppError('One or more course IDs are invalid', 400))
+      }
+    }
+
     // Update the coupon
     Object.keys(value).forEach((key) => {
       coupon[key] = value[key]
@@ -272,95 +342,239 @@ exports.deleteCoupon = async (req, res, next) => {
   }
 }
 
-// Validate coupon for users
+// Preview coupons for an order. Runs the same evaluator as checkout, so a code that previews fine also applies at payment
 exports.validateCoupon = async (req, res, next) => {
   try {
-    const { code, courseId, moduleId, moduleIds, amount } = req.body
+    const { error, value } = validateCouponSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
 
-    if (!code) {
-      return next(new AppError('Coupon code is required', 400))
+    const moduleIds = value.moduleIds || (value.moduleId ? [value.moduleId] : [])
+    const purchase = { amount: value.amount || 0 }
+
+    if (value.bundleId) {
+      const bundle = await Bundle.findOne({ _id: value.bundleId, isDeleted: false }).select('price')
+      if (!bundle) {
+        return next(new AppError('Bundle not found', 404))
+      }
+      purchase.purchaseType = 'bundle'
+      purchase.amount = value.amount ?? bundle.price
+    } else if (value.courseId && moduleIds.length) {
+      const modules = await Module.find({ _id: { $in: moduleIds }, course: value.courseId, isDeleted: false }).select('price')
+      purchase.purchaseType = 'module'
+      purchase.courseId = value.courseId
+      purchase.moduleIds = moduleIds
+      purchase.amount = value.amount ?? modules.reduce((sum, module) => sum + (module.price || 0), 0)
+    } else if (value.courseId) {
+      const course = await Course.findOne({ _id: value.courseId, isDeleted: false }).select('price')
+      if (!course) {
+        return next(new AppError('Course not found', 404))
+      }
+      purchase.purchaseType = 'course'
+      purchase.courseId = value.courseId
+      purchase.amount = value.amount ?? (course.price || 0)
     }
 
-    // Find the coupon
-    const coupon = await Discount.findOne({
-      code: code.toUpperCase(),
-      startDate: { $lte: new Date() },
-      endDate: { $gte: new Date() },
-      isDeleted: false,
+    const codes = getRequestedCodes({ discountCode: value.code, discountCodes: value.codes })
+    const { appliedDiscounts, discountAmount, finalAmount } = await evaluateCoupons({ codes, user: req.user, purchase })
+    const [first] = appliedDiscounts
+    const originalAmount = purchase.amount
+
+    res.status(200).json({
+      status: 'success',
+      message: appliedDiscounts.length > 1 ? 'Coupons are valid' : 'Coupon is valid',
+      data: {
+        code: first.coupon.code,
+        type: first.coupon.type,
+        value: first.coupon.value,
+        isGlobal: !first.coupon.course && !first.coupon.module && !first.coupon.courses?.length && !first.coupon.categories?.length,
+        applicableTo: first.coupon.module ? 'module' : first.coupon.course || first.coupon.courses?.length || first.coupon.categories?.length ? 'course' : 'all',
+        coupons: appliedDiscounts.map(({ coupon, amount }) => ({
+          code: coupon.code,
+          type: coupon.type,
+          value: coupon.value,
+          stacking: coupon.stacking,
+          maxDiscountAmount: coupon.maxDiscountAmount,
+          discountAmount: amount,
+        })),
+        pricing: {
+          originalAmount: parseFloat(originalAmount.toFixed(2)),
+          discountAmount,
+          finalAmount,
+          discountPercentage: originalAmount > 0 ? parseFloat(((discountAmount / originalAmount) * 100).toFixed(2)) : 0,
+        },
+      },
     })
+  } catch (error) {
+    next(error)
+  }
+}
 
-    if (!coupon) {
-      return next(new AppError('Invalid or expired coupon code', 400))
-    }
+// COUPON BATCHES
 
-    // Check if coupon has remaining uses
-    if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
-      return next(new AppError('This coupon has reached its usage limit', 400))
-    }
+// Random codes that don't exist yet. Collisions with existing coupons are regenerated
+async function generateUniqueCodes(quantity, prefix, codeLength) {
+  const codes = new Set()
 
-    // Check if coupon is for specific course/module
-    if (coupon.course && courseId) {
-      if (coupon.course.toString() !== courseId) {
-        return next(new AppError('This coupon is not valid for this course', 400))
+  for (let attempt = 0; attempt < 5 && codes.size < quantity; attempt++) {
+    const candidates = new Set()
+    while (candidates.size < quantity - codes.size) {
+      let code = prefix
+      for (let i = 0; i < codeLength; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
       }
+      if (!codes.has(code)) candidates.add(code)
     }
 
-    if (coupon.module && moduleId) {
-      if (coupon.module.toString() !== moduleId) {
-        return next(new AppError('This coupon is not valid for this module', 400))
-      }
-    }
+    // Includes soft-deleted coupons, since the code index is unique across all of them
+    const taken = await Discount.collection.distinct('code', { code: { $in: [...candidates] } })
+    candidates.forEach((code) => !taken.includes(code) && codes.add(code))
+  }
 
-    // If coupon is global (no specific course/module), it's valid
-    const isGlobal = !coupon.course && !coupon.module
+  if (codes.size < quantity) {
+    throw new AppError('Could not generate enough unique codes, try a longer code length', 400)
+  }
 
-    // Calculate discounted price if amount is provided
-    let originalAmount = amount || 0
-    let discountAmount = 0
-    let finalAmount = originalAmount
+  return [...codes]
+}
 
-    // If no amount provided but courseId exists, fetch course price
-    if (!amount && courseId) {
-      const course = await Course.findById(courseId).select('price')
-      if (course) {
-        originalAmount = course.price || 0
-      }
+// Redemption counts per batch, keyed by batch ID
+async function getBatchRedemptions(batchIds) {
+  const rows = await Discount.aggregate([
+    { $match: { batch: { $in: batchIds }, isDeleted: false } },
+    {
+      $group: {
+        _id: '$batch',
+        totalCodes: { $sum: 1 },
+        redeemedCodes: { $sum: { $cond: [{ $gt: ['$usedCount', 0] }, 1, 0] } },
+      },
+    },
+  ])
+
+  return new Map(
+    rows.map((row) => [
+      row._id.toString(),
+      {
+        totalCodes: row.totalCodes,
+        redeemedCodes: row.redeemedCodes,
+        redemptionRate: row.totalCodes ? parseFloat(((row.redeemedCodes / row.totalCodes) * 100).toFixed(2)) : 0,
+      },
+    ])
+  )
+}
+
+// Generate a named batch of single-use codes sharing one rule set
+exports.createCouponBatch = async (req, res, next) => {
+  const session = await mongoose.startSession()
+
+  try {
+    const { error, value } = createCouponBatchSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
     }
 
-    // If no amount provided but moduleIds exist, fetch module prices
-    if (!amount && moduleIds && moduleIds.length > 0) {
-      const modules = await Module.find({
-        _id: { $in: moduleIds },
-        isDeleted: false,
-      }).select('price')
+    if (value.prefix.length + value.codeLength > 20) {
+      return next(new AppError('Prefix and code length together cannot exceed 20 characters', 400))
+    }
+
+    if (value.course && !(await Course.exists({ _id: value.course }))) {
+      return next(new AppError('Invalid course ID', 400))
+    }
 
-      originalAmount = modules.reduce((sum, module) => sum + (module.price || 0), 0)
+    if (value.module && !(await Module.exists({ _id: value.module }))) {
+      return next(new AppError('Invalid module ID', 400))
     }
 
-    // Calculate discount
-    if (originalAmount > 0) {
-      if (coupon.type === 'percentage') {
-        discountAmount = (originalAmount * coupon.value) / 100
-      } else {
-        discountAmount = coupon.value
+    if (value.courses?.length) {
+      const courseCount = await Course.countDocuments({ _id: { $in: value.courses } })
+      if (courseCount !== new Set(value.courses).size) {
+        return next(new AppError('One or more course IDs are invalid', 400))
       }
-      finalAmount = Math.max(0, originalAmount - discountAmount)
     }
 
+    const { name, description, quantity, prefix, codeLength, ...rules } = value
+    const codes = await generateUniqueCodes(quantity, prefix, codeLength)
+
+    session.startTransaction()
+
+    const [batch] = await CouponBatch.create([{ name, description, prefix, codeLength, quantity, createdBy: req.user._id }], { session })
+
+    await Discount.insertMany(
+      codes.map((code) => ({
+        ...rules,
+        code,
+        maxUses: 1,
+        usedCount: 0,
+        batch: batch._id,
+        createdBy: req.user._id,
+      })),
+      { session }
+    )
+
+    await session.commitTransaction()
+
+    res.status(201).json({
+      status: 'success',
+      message: `${quantity} coupon codes generated successfully`,
+      data: {
+        batch,
+        codes,
+      },
+    })
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction()
+    }
+    next(error)
+  } finally {
+    session.endSession()
+  }
+}
+
+// List batches with redemption counts
+exports.getCouponBatches = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    const query = { isDeleted: false }
+
+    const [totalBatches, batches] = await Promise.all([
+      CouponBatch.countDocuments(query),
+      CouponBatch.find(query).populate('createdBy', 'firstName lastName').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    ])
+
+    const redemptions = await getBatchRedemptions(batches.map((batch) => batch._id))
+    const totalPages = Math.ceil(totalBatches / limit)
+
     res.status(200).json({
       status: 'success',
-      message: 'Coupon is valid',
+      message: 'Coupon batches fetched successfully',
       data: {
-        code: coupon.code,
-        type: coupon.type,
-        value: coupon.value,
-        isGlobal,
-        applicableTo: coupon.course ? 'course' : coupon.module ? 'module' : 'all',
-        pricing: {
-          originalAmount: parseFloat(originalAmount.toFixed(2)),
-          discountAmount: parseFloat(discountAmount.toFixed(2)),
-          finalAmount: parseFloat(finalAmount.toFixed(2)),
-          discountPercentage: coupon.type === 'percentage' ? coupon.value : parseFloat(((discountAmount / originalAmount) * 100).toFixed(2)),
+        batches: batches.map((batch) => ({
+          ...batch,
+          ...(redemptions.get(batch._id.toString()) || { totalCodes: 0, redeemedCodes: 0, redemptionRate: 0 }),
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalBatches,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
         },
       },
     })
@@ -369,6 +583,89 @@ exports.validateCoupon = async (req, res, next) => {
   }
 }
 
+// Get a batch with its shared rules and redemption counts
+exports.getCouponBatch = async (req, res, next) => {
+  try {
+    const batch = await CouponBatch.findOne({ _id: req.params.batchId, isDeleted: false }).populate('createdBy', 'firstName lastName').lean()
+
+    if (!batch) {
+      return next(new AppError('Coupon batch not found', 404))
+    }
+
+    // Every code shares the same rules, so any one of them describes the batch
+    const [redemptions, sample] = await Promise.all([
+      getBatchRedemptions([batch._id]),
+      Discount.findOne({ batch: batch._id })
+        .select('-code -usedCount -batch -_id -__v -createdAt -updatedAt')
+        .populate('course', 'title')
+        .populate('module', 'title')
+        .lean(),
+    ])
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Coupon batch fetched successfully',
+      data: {
+        ...batch,
+        ...(redemptions.get(batch._id.toString()) || { totalCodes: 0, redeemedCodes: 0, redemptionRate: 0 }),
+        rules: sample,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Download every code in a batch as CSV
+exports.exportCouponBatch = async (req, res, next) => {
+  try {
+    const batch = await CouponBatch.findOne({ _id: req.params.batchId, isDeleted: false })
+
+    if (!batch) {
+      return next(new AppError('Coupon batch not found', 404))
+    }
+
+    const coupons = await Discount.find({ batch: batch._id }).select('code usedCount type value startDate endDate').sort({ code: 1 }).lean()
+
+    const records = coupons.map((coupon) => ({
+      ...coupon,
+      status: coupon.usedCount > 0 ? 'redeemed' : 'available',
+    }))
+
+    const fileName = `coupons-${batch.name.replace(/[^a-zA-Z0-9-_]+/g, '-')}-${batch._id}.csv`
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    })
+    res.status(200).send(toCsv(records, BATCH_EXPORT_COLUMNS))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Soft delete a batch and every code in it
+exports.deleteCouponBatch = async (req, res, next) => {
+  try {
+    const batch = await CouponBatch.findOne({ _id: req.params.batchId, isDeleted: false })
+
+    if (!batch) {
+      return next(new AppError('Coupon batch not found', 404))
+    }
+
+    batch.isDeleted = true
+    await batch.save()
+    await Discount.updateMany({ batch: batch._id }, { isDeleted: true })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Coupon batch deleted successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // Get coupon statistics
 exports.getCouponStats = async (req, res, next) => {
   try {
@@ -418,6 +715,30 @@ exports.getCouponStats = async (req, res, next) => {
               },
             },
           ],
+          byBatch: [
+            { $match: { batch: { $ne: null } } },
+            {
+              $group: {
+                _id: '$batch',
+                totalCodes: { $sum: 1 },
+                redeemedCodes: { $sum: { $cond: [{ $gt: ['$usedCount', 0] }, 1, 0] } },
+              },
+            },
+            { $lookup: { from: 'couponbatches', localField: '_id', foreignField: '_id', as: 'batch' } },
+            { $unwind: '$batch' },
+            { $match: { 'batch.isDeleted': false } },
+            {
+              $project: {
+                _id: 0,
+                batchId: '$_id',
+                name: '$batch.name',
+                totalCodes: 1,
+                redeemedCodes: 1,
+                redemptionRate: { $round: [{ $multiply: [{ $divide: ['$redeemedCodes', '$totalCodes'] }, 100] }, 2] },
+              },
+            },
+            { $sort: { redeemedCodes: -1 } },
+          ],
         },
       },
     ])
@@ -433,6 +754,7 @@ exports.getCouponStats = async (req, res, next) => {
         },
         byType: stats[0].byType,
         topCoupons: stats[0].topCoupons,
+        byBatch: stats[0].byBatch,
       },
     })
   } catch (error) {
@@ -5,6 +5,7 @@ const { AppError } = require('../utils/errors')
 const { uploadToS3, deleteFromS3 } = require('../utils/s3')
 const sanitizeHtml = require('sanitize-html')
 const CloudflareService = require('../utils/cloudflare')
+const { findActiveMembership } = require('../utils/subscriptions')
 
 // const instructorSchema = Joi.object({
 //   name: Joi.string().required().trim(),
@@ -42,6 +43,9 @@ const instructorSchema = Joi.object({
   }).optional(),
   bio: Joi.string().trim(),
   achievements: Joi.array().items(Joi.string()),
+  user: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .allow(null),
 }).options({ stripUnknown: true })
 
 const courseSchema = Joi.object({
@@ -1315,7 +1319,8 @@ exports.getCourse = async (req, res, next) => {
     }
 
     // --- Determine Access Level ---
-    const hasFullAccess = isCreator || isAdmin || (enrollment && enrollment.enrollmentType === 'full')
+    const membership = authenticatedUser && !(enrollment && enrollment.enrollmentType === 'full') ? await findActiveMembership(authenticatedUser._id, courseId) : null
+    const hasFullAccess = isCreator || isAdmin || (enrollment && enrollment.enrollmentType === 'full') || Boolean(membership)
     console.log(`User has full access: ${hasFullAccess}`)
 
     const enrolledModuleIds = new Set()
@@ -2319,6 +2324,22 @@ exports.checkModuleAccess = async (req, res, next) => {
     }
     const enrollment = req.user.enrolledCourses?.find((e) => e.course.toString() === courseId)
 
+    // Members of a plan covering the course have the same access as a full enrollment
+    if (!enrollment || enrollment.enrollmentType !== 'full') {
+      const membership = await findActiveMembership(req.user._id, courseId)
+      if (membership) {
+        return res.status(200).json({
+          message: 'User has access to this course through a subscription',
+          data: {
+            hasAccess: true,
+            enrollmentType: 'subscription',
+            subscriptionId: membership._id,
+            accessEndsAt: membership.graceEndsAt,
+          },
+        })
+      }
+    }
+
     if (!enrollment) {
       return res.status(200).json({
         status: 'success',
@@ -0,0 +1,629 @@
+// discussion.controller.js
+const Joi = require('joi')
+const mongoose = require('mongoose')
+const { DiscussionPost, Course, Module, Lesson } = require('../models')
+const { AppError } = require('../utils/errors')
+const { notifyUsers } = require('../utils/notifications')
+const { getModuleAccess } = require('../utils/moduleAccess')
+
+// Validation Schemas
+const threadSchema = Joi.object({
+  title: Joi.string().trim().min(5).max(200).required(),
+  body: Joi.string().trim().min(1).max(10000).required(),
+}).options({ abortEarly: false })
+
+const replySchema = Joi.object({
+  body: Joi.string().trim().min(1).max(10000).required(),
+  parentId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': 'Invalid parent post ID' }),
+}).options({ abortEarly: false })
+
+const updatePostSchema = Joi.object({
+  title: Joi.string().trim().min(5).max(200),
+  body: Joi.string().trim().min(1).max(10000),
+})
+  .min(1)
+  .options({ abortEarly: false })
+
+const acceptAnswerSchema = Joi.object({
+  postId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .required()
+    .messages({ 'string.pattern.base': 'Invalid post ID' }),
+}).options({ abortEarly: false })
+
+const moderateThreadSchema = Joi.object({
+  isPinned: Joi.boolean(),
+  isLocked: Joi.boolean(),
+})
+  .min(1)
+  .options({ abortEarly: false })
+
+const moderatePostSchema = Joi.object({
+  isHidden: Joi.boolean().required(),
+  reason: Joi.string().trim().max(500).allow(''),
+}).options({ abortEarly: false })
+
+const HIDDEN_POST_BODY = '[This post has been hidden by a moderator]'
+
+// Helper Functions
+const hasAdminAccess = (user) => {
+  return ['admin', 'subAdmin', 'moderator'].includes(user?.role)
+}
+
+const formatValidationErrors = (error) => {
+  return error.details.map((detail) => ({
+    field: detail.context.key,
+    message: detail.message,
+  }))
+}
+
+// Discussions follow the same access rules as the module's lessons
+async function checkDiscussionAccess(user, courseId, moduleId) {
+  const { hasAccess, unlocksAt } = await getModuleAccess(user._id, courseId, moduleId)
+
+  if (unlocksAt) {
+    throw new AppError(`This module unlocks on ${unlocksAt.toISOString()}`, 403)
+  }
+  if (!hasAccess) {
+    throw new AppError('You do not have access to this module', 403)
+  }
+}
+
+// User IDs linked to the course instructors, for instructor badges
+async function getInstructorUserIds(courseId) {
+  const course = await Course.findById(courseId).select('instructors.user')
+  return new Set((course?.instructors || []).filter((instructor) => instructor.user).map((instructor) => instructor.user.toString()))
+}
+
+function formatPost(post, { user, instructorIds, acceptedAnswerId = null }) {
+  const isStaff = hasAdminAccess(user)
+  const author = post.author
+
+  return {
+    id: post._id,
+    thread: post.thread,
+    parent: post.parent,
+    title: post.title,
+    body: post.isHidden && !isStaff ? HIDDEN_POST_BODY : post.body,
+    author: author?._id
+      ? {
+          id: author._id,
+          name: `${author.firstName} ${author.lastName}`,
+          isInstructor: instructorIds.has(author._id.toString()),
+          isModerator: hasAdminAccess(author),
+        }
+      : null,
+    upvoteCount: post.upvoteCount,
+    hasUpvoted: post.upvotes.some((id) => id.toString() === user._id.toString()),
+    isAccepted: !!acceptedAnswerId && acceptedAnswerId.toString() === post._id.toString(),
+    ...(!post.thread && {
+      lesson: post.lesson,
+      module: post.module,
+      replyCount: post.replyCount,
+      acceptedAnswer: post.acceptedAnswer,
+      isPinned: post.isPinned,
+      isLocked: post.isLocked,
+      lastActivityAt: post.lastActivityAt,
+    }),
+    isHidden: post.isHidden,
+    ...(isStaff && post.isHidden && { moderationReason: post.moderationReason }),
+    editedAt: post.editedAt,
+    createdAt: post.createdAt,
+  }
+}
+
+// Make sure the lesson exists in the given module and course
+async function findLesson(courseId, moduleId, lessonId) {
+  const module = await Module.findOne({ _id: moduleId, course: courseId, isDeleted: false })
+  if (!module) {
+    throw new AppError('Module not found', 404)
+  }
+
+  const lesson = await Lesson.findOne({ _id: lessonId, module: moduleId, isDeleted: false })
+  if (!lesson) {
+    throw new AppError('Lesson not found', 404)
+  }
+
+  return lesson
+}
+
+// Find a thread root in the lesson and check the user can take part in it
+async function findThread(req) {
+  const { courseId, moduleId, lessonId, threadId } = req.params
+
+  await checkDiscussionAccess(req.user, courseId, moduleId)
+
+  const thread = await DiscussionPost.findOne({
+    _id: threadId,
+    course: courseId,
+    module: moduleId,
+    lesson: lessonId,
+    thread: null,
+    isDeleted: false,
+  })
+
+  if (!thread || (thread.isHidden && !hasAdminAccess(req.user))) {
+    throw new AppError('Discussion not found', 404)
+  }
+
+  return thread
+}
+
+// Find any post in the lesson's discussions
+async function findPost(req) {
+  const { courseId, moduleId, lessonId, postId } = req.params
+
+  await checkDiscussionAccess(req.user, courseId, moduleId)
+
+  const post = await DiscussionPost.findOne({
+    _id: postId,
+    course: courseId,
+    module: moduleId,
+    lesson: lessonId,
+    isDeleted: false,
+  })
+
+  if (!post) {
+    throw new AppError('Post not found', 404)
+  }
+
+  return post
+}
+
+// Shared thread listing for lesson, module and course views
+async function listThreads(req, res, filter) {
+  const page = Math.max(parseInt(req.query.page) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+  const skip = (page - 1) * limit
+
+  const query = { ...filter, thread: null, isDeleted: false }
+
+  if (!hasAdminAccess(req.user)) {
+    query.isHidden = false
+  }
+
+  let sort = { isPinned: -1, lastActivityAt: -1 }
+  if (req.query.sort === 'top') {
+    sort = { isPinned: -1, upvoteCount: -1, lastActivityAt: -1 }
+  } else if (req.query.sort === 'unanswered') {
+    query.acceptedAnswer = null
+  }
+
+  if (req.query.search?.trim()) {
+    const pattern = req.query.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    query.$or = [{ title: { $regex: pattern, $options: 'i' } }, { body: { $regex: pattern, $options: 'i' } }]
+  }
+
+  const [totalThreads, threads, instructorIds] = await Promise.all([
+    DiscussionPost.countDocuments(query),
+    DiscussionPost.find(query).populate('author', 'firstName lastName role').sort(sort).skip(skip).limit(limit),
+    getInstructorUserIds(filter.course),
+  ])
+
+  const totalPages = Math.ceil(totalThreads / limit)
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Discussions fetched successfully',
+    data: {
+      threads: threads.map((thread) => formatPost(thread, { user: req.user, instructorIds, acceptedAnswerId: null })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalThreads,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    },
+  })
+}
+
+// List threads for a lesson
+exports.getLessonDiscussions = async (req, res, next) => {
+  try {
+    const { courseId, moduleId, lessonId } = req.params
+
+    await checkDiscussionAccess(req.user, courseId, moduleId)
+
+    await findLesson(courseId, moduleId, lessonId)
+
+    await listThreads(req, res, {
+      course: new mongoose.Types.ObjectId(courseId),
+      module: new mongoose.Types.ObjectId(moduleId),
+      lesson: new mongoose.Types.ObjectId(lessonId),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// List threads across all lessons of a module
+exports.getModuleDiscussions = async (req, res, next) => {
+  try {
+    const { courseId, moduleId } = req.params
+
+    await checkDiscussionAccess(req.user, courseId, moduleId)
+
+    await listThreads(req, res, {
+      course: new mongoose.Types.ObjectId(courseId),
+      module: new mongoose.Types.ObjectId(moduleId),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// List threads across the course, limited to the modules the user can access
+exports.getCourseDiscussions = async (req, res, next) => {
+  try {
+    const { courseId } = req.params
+    const filter = { course: new mongoose.Types.ObjectId(courseId) }
+
+    if (!hasAdminAccess(req.user)) {
+      const enrollment = req.user.enrolledCourses?.find((ec) => ec.course.toString() === courseId)
+      if (!enrollment) {
+        return next(new AppError('You are not enrolled in this course', 403))
+      }
+
+      if (enrollment.enrollmentType !== 'full') {
+        filter.module = { $in: enrollment.enrolledModules.map((em) => em.module) }
+      }
+    }
+
+    await listThreads(req, res, filter)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Start a new thread on a lesson
+exports.createDiscussionThread = async (req, res, next) => {
+  try {
+    const { error, value } = threadSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const { courseId, moduleId, lessonId } = req.params
+
+    await checkDiscussionAccess(req.user, courseId, moduleId)
+
+    await findLesson(courseId, moduleId, lessonId)
+
+    const thread = await DiscussionPost.create({
+      course: courseId,
+      module: moduleId,
+      lesson: lessonId,
+      author: req.user._id,
+      title: value.title,
+      body: value.body,
+    })
+
+    await thread.populate('author', 'firstName lastName role')
+    const instructorIds = await getInstructorUserIds(courseId)
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Discussion created successfully',
+      data: formatPost(thread, { user: req.user, instructorIds }),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get a thread with its nested replies
+exports.getDiscussionThread = async (req, res, next) => {
+  try {
+    const thread = await findThread(req)
+
+    const [replies, instructorIds] = await Promise.all([
+      DiscussionPost.find({ thread: thread._id, isDeleted: false }).populate('author', 'firstName lastName role').sort({ createdAt: 1 }),
+      getInstructorUserIds(thread.course),
+      thread.populate('author', 'firstName lastName role'),
+    ])
+
+    const options = { user: req.user, instructorIds, acceptedAnswerId: thread.acceptedAnswer }
+
+    // Build the reply tree
+    const nodes = new Map()
+    replies.forEach((reply) => nodes.set(reply._id.toString(), { ...formatPost(reply, options), replies: [] }))
+
+    const topLevel = []
+    nodes.forEach((node) => {
+      const parentNode = node.parent && nodes.get(node.parent.toString())
+      if (parentNode) {
+        parentNode.replies.push(node)
+      } else {
+        topLevel.push(node)
+      }
+    })
+
+    // Accepted answer first, then by votes
+    topLevel.sort((a, b) => b.isAccepted - a.isAccepted || b.upvoteCount - a.upvoteCount || new Date(a.createdAt) - new Date(b.createdAt))
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Discussion fetched successfully',
+      data: {
+        ...formatPost(thread, options),
+        replies: topLevel,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Reply to a thread or to another reply
+exports.createDiscussionReply = async (req, res, next) => {
+  try {
+    const { error, value } = replySchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const thread = await findThread(req)
+
+    if (thread.isLocked && !hasAdminAccess(req.user)) {
+      return next(new AppError('This discussion is locked', 403))
+    }
+
+    let parent = thread._id
+    let parentAuthor = thread.author
+    if (value.parentId && value.parentId !== thread._id.toString()) {
+      const parentPost = await DiscussionPost.findOne({ _id: value.parentId, thread: thread._id, isDeleted: false })
+      if (!parentPost) {
+        return next(new AppError('Parent post not found in this discussion', 404))
+      }
+      parent = parentPost._id
+      parentAuthor = parentPost.author
+    }
+
+    const reply = await DiscussionPost.create({
+      course: thread.course,
+      module: thread.module,
+      lesson: thread.lesson,
+      author: req.user._id,
+      thread: thread._id,
+      parent,
+      body: value.body,
+    })
+
+    await DiscussionPost.updateOne({ _id: thread._id }, { $inc: { replyCount: 1 }, $set: { lastActivityAt: new Date() } })
+
+    // Notify the thread starter and the author being replied to, but never the replier
+    const recipients = [...new Set([thread.author, parentAuthor].map((id) => id.toString()))].filter((id) => id !== req.user._id.toString())
+    await notifyUsers(recipients, {
+      type: 'discussion_reply',
+      title: 'New reply in a discussion',
+      message: `${req.user.firstName} replied in "${thread.title}"`,
+      link: `/courses/${thread.course}/modules/${thread.module}/lessons/${thread.lesson}/discussions/${thread._id}`,
+      data: { courseId: thread.course, moduleId: thread.module, lessonId: thread.lesson, threadId: thread._id, postId: reply._id },
+    })
+
+    await reply.populate('author', 'firstName lastName role')
+    const instructorIds = await getInstructorUserIds(thread.course)
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Reply posted successfully',
+      data: formatPost(reply, { user: req.user, instructorIds }),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Edit own post
+exports.updateDiscussionPost = async (req, res, next) => {
+  try {
+    const { error, value } = updatePostSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const post = await findPost(req)
+
+    if (post.author.toString() !== req.user._id.toString()) {
+      return next(new AppError('You can only edit your own posts', 403))
+    }
+
+    if (value.title && post.thread) {
+      return next(new AppError('Only discussions have a title', 400))
+    }
+
+    Object.assign(post, value)
+    post.editedAt = new Date()
+    await post.save()
+
+    await post.populate('author', 'firstName lastName role')
+    const instructorIds = await getInstructorUserIds(post.course)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Post updated successfully',
+      data: formatPost(post, { user: req.user, instructorIds }),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete own post, or any post for moderators
+exports.deleteDiscussionPost = async (req, res, next) => {
+  try {
+    const post = await findPost(req)
+
+    if (post.author.toString() !== req.user._id.toString() && !hasAdminAccess(req.user)) {
+      return next(new AppError('You can only delete your own posts', 403))
+    }
+
+    post.isDeleted = true
+    await post.save()
+
+    if (post.thread) {
+      await DiscussionPost.updateOne({ _id: post.thread, replyCount: { $gt: 0 } }, { $inc: { replyCount: -1 } })
+
+      // Deleting the accepted answer clears it
+      await DiscussionPost.updateOne({ _id: post.thread, acceptedAnswer: post._id }, { $set: { acceptedAnswer: null } })
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Post deleted successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Toggle an upvote on a post
+exports.toggleDiscussionUpvote = async (req, res, next) => {
+  try {
+    const post = await findPost(req)
+
+    if (post.author.toString() === req.user._id.toString()) {
+      return next(new AppError('You cannot upvote your own post', 400))
+    }
+
+    const hasUpvoted = post.upvotes.some((id) => id.toString() === req.user._id.toString())
+
+    const updated = await DiscussionPost.findOneAndUpdate(
+      { _id: post._id, upvotes: hasUpvoted ? req.user._id : { $ne: req.user._id } },
+      hasUpvoted ? { $pull: { upvotes: req.user._id }, $inc: { upvoteCount: -1 } } : { $addToSet: { upvotes: req.user._id }, $inc: { upvoteCount: 1 } },
+      { new: true }
+    )
+
+    res.status(200).json({
+      status: 'success',
+      message: hasUpvoted ? 'Upvote removed' : 'Post upvoted',
+      data: {
+        postId: post._id,
+        upvoteCount: (updated || post).upvoteCount,
+        hasUpvoted: !hasUpvoted,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Mark a reply as the accepted answer. Allowed for the thread author, course instructors and moderators
+exports.acceptDiscussionAnswer = async (req, res, next) => {
+  try {
+    const { error, value } = acceptAnswerSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const thread = await findThread(req)
+    const instructorIds = await getInstructorUserIds(thread.course)
+
+    const canAccept =
+      thread.author.toString() === req.user._id.toString() || instructorIds.has(req.user._id.toString()) || hasAdminAccess(req.user)
+
+    if (!canAccept) {
+      return next(new AppError('Only the discussion author or an instructor can accept an answer', 403))
+    }
+
+    if (value.postId) {
+      const answer = await DiscussionPost.findOne({ _id: value.postId, thread: thread._id, isDeleted: false })
+      if (!answer) {
+        return next(new AppError('Reply not found in this discussion', 404))
+      }
+    }
+
+    thread.acceptedAnswer = value.postId
+    await thread.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: value.postId ? 'Answer accepted' : 'Accepted answer cleared',
+      data: {
+        threadId: thread._id,
+        acceptedAnswer: thread.acceptedAnswer,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Moderator: pin or lock a thread
+exports.moderateDiscussionThread = async (req, res, next) => {
+  try {
+    const { error, value } = moderateThreadSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const thread = await findThread(req)
+
+    Object.assign(thread, value)
+    thread.moderatedBy = req.user._id
+    await thread.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Discussion updated successfully',
+      data: {
+        threadId: thread._id,
+        isPinned: thread.isPinned,
+        isLocked: thread.isLocked,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Moderator: hide or restore a post
+exports.moderateDiscussionPost = async (req, res, next) => {
+  try {
+    const { error, value } = moderatePostSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const post = await findPost(req)
+
+    post.isHidden = value.isHidden
+    post.moderationReason = value.isHidden ? value.reason : undefined
+    post.moderatedBy = req.user._id
+    await post.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: value.isHidden ? 'Post hidden successfully' : 'Post restored successfully',
+      data: {
+        postId: post._id,
+        isHidden: post.isHidden,
+        moderationReason: post.moderationReason,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -3,6 +3,7 @@ const mongoose = require('mongoose')
 const { Lesson, Module, Progress, Quiz, User, LessonProgress, VideoProgress, AssetProgress, QuizAttempt } = require('../models')
 const { AppError } = require('../utils/errors')
 const CloudflareService = require('../utils/cloudflare')
+const { getModuleAccess } = require('../utils/moduleAccess')
 const { uploadToS3, deleteFromS3, uploadMultipleToS3, deleteMultipleFromS3, fileConfig } = require('../utils/s3')
 const sanitizeHtml = require('sanitize-html')
 
@@ -514,23 +515,13 @@ async function validateAssetIds(assetIds, lessonId) {
   return assetIds.every((assetId) => lesson.assets.some((asset) => asset._id.toString() === assetId))
 }
 
-async function checkModuleAccess(userId, courseId, moduleId) {
-  const user = await User.findOne({ _id: userId }).select('+role')
-
-  if (!user) return false
-
-  // Check if user is admin/subAdmin/moderator
-  if (['admin', 'subAdmin', 'moderator'].includes(user.role)) {
-    return true
-  }
-
-  // For regular users, check course enrollment
-  const enrollment = user.enrolledCourses?.find((ec) => ec.course.toString() === courseId)
-  if (!enrollment) return false
-
-  if (enrollment.enrollmentType === 'full') return true
-
-  return enrollment.enrolledModules.some((em) => em.module.toString() === moduleId)
+// 403 for a module the learner's cohort hasn't released yet
+function sendModuleLocked(res, unlocksAt) {
+  return res.status(403).json({
+    status: 'fail',
+    message: `This module unlocks on ${unlocksAt.toISOString()}`,
+    data: { unlocksAt },
+  })
 }
 
 // Create Lesson
@@ -683,14 +674,10 @@ exports.getLessons = async (req, res, next) => {
         data: lessons,
       })
     }
-    // If NOT admin, check for enrollment
-    const enrolledCourse = user.enrolledCourses?.find((ec) => ec.course.toString() === courseId)
-    if (!enrolledCourse) {
-      return next(new AppError('You do not have access to this course', 403))
-    }
-    // Check for module access (full course or specific module)
-    const hasModuleAccess = enrolledCourse.enrollmentType === 'full' || enrolledCourse.enrolledModules?.some((em) => em.module.toString() === moduleId)
-    if (!hasModuleAccess) {
+    // If NOT admin, check for enrollment or membership, and the cohort release date
+    const { hasAccess, unlocksAt } = await getModuleAccess(userId, courseId, moduleId)
+    if (unlocksAt) return sendModuleLocked(res, unlocksAt)
+    if (!hasAccess) {
       return next(new AppError('You do not have access to this module', 403))
     }
     // Fetch lessons
@@ -869,11 +856,8 @@ exports.getLesson = async (req, res, next) => {
     const isAdmin = ['admin', 'subAdmin', 'moderator'].includes(user.role)
 
     if (!isAdmin) {
-      const enrolledCourse = user.enrolledCourses?.find((ec) => ec.course.toString() === courseId)
-      if (!enrolledCourse) {
-        return next(new AppError('You do not have access to this course', 403))
-      }
-      const hasAccess = enrolledCourse.enrollmentType === 'full' || enrolledCourse.enrolledModules.some((em) => em.module.toString() === moduleId)
+      const { hasAccess, unlocksAt } = await getModuleAccess(userId, courseId, moduleId)
+      if (unlocksAt) return sendModuleLocked(res, unlocksAt)
       if (!hasAccess) {
         return next(new AppError('You do not have access to this module', 403))
       }
@@ -1601,7 +1585,8 @@ exports.getVideoStreamUrl = async (req, res, next) => {
     const userId = req.user._id
 
     // Check module access
-    const hasAccess = await checkModuleAccess(userId, courseId, moduleId)
+    const { hasAccess, unlocksAt } = await getModuleAccess(userId, courseId, moduleId)
+    if (unlocksAt) return sendModuleLocked(res, unlocksAt)
     if (!hasAccess) {
       return next(new AppError('You do not have access to this module', 403))
     }
@@ -1699,7 +1684,8 @@ exports.markLessonComplete = async (req, res, next) => {
     const userId = req.user._id
 
     // Check access
-    const hasAccess = await checkModuleAccess(userId, courseId, moduleId)
+    const { hasAccess, unlocksAt } = await getModuleAccess(userId, courseId, moduleId)
+    if (unlocksAt) return sendModuleLocked(res, unlocksAt)
     if (!hasAccess) {
       return next(new AppError('You do not have access to this module', 403))
     }
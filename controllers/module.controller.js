@@ -3,6 +3,9 @@ const Joi = require('joi')
 const mongoose = require('mongoose')
 const { Module, Course, Lesson, User, Progress } = require('../models')
 const { AppError } = require('../utils/errors')
+const { findActiveMembership } = require('../utils/subscriptions')
+const { getModuleAccess } = require('../utils/moduleAccess')
+const { notifyUsers } = require('../utils/notifications')
 
 // Helper function to check if user has admin privileges
 const hasAdminAccess = (user) => {
@@ -16,6 +19,7 @@ const moduleSchema = Joi.object({
   order: Joi.number().integer().min(1).required(),
   price: Joi.number().min(0).required(),
   isAccessible: Joi.boolean().default(true),
+  releaseOffsetDays: Joi.number().integer().min(0).default(0),
   prerequisites: Joi.array().items(Joi.string().regex(/^[0-9a-fA-F]{24}$/)),
   dependencies: Joi.array().items(
     Joi.object({
@@ -31,6 +35,7 @@ const updateModuleSchema = Joi.object({
   order: Joi.number().integer().min(1),
   price: Joi.number().min(0),
   isAccessible: Joi.boolean(),
+  releaseOffsetDays: Joi.number().integer().min(0),
   prerequisites: Joi.array().items(Joi.string().regex(/^[0-9a-fA-F]{24}$/)),
   dependencies: Joi.array().items(
     Joi.object({
@@ -134,25 +139,6 @@ async function checkPrerequisitesCompletion(prerequisites, userId, courseId) {
   return results.every((result) => result)
 }
 
-// Check if user has access to module (either full course or specific module)
-async function hasModuleAccess(userId, courseId, moduleId) {
-  const user = await User.findById(userId)
-
-  if (!user) return false
-
-  const enrollment = user.enrolledCourses.find((ec) => ec.course.toString() === courseId)
-
-  if (!enrollment) return false
-
-  // Check for full course access
-  if (enrollment.enrollmentType === 'full') {
-    return true
-  }
-
-  // Check for specific module access
-  return enrollment.enrolledModules.some((em) => em.module.toString() === moduleId)
-}
-
 // Create Module
 // exports.createModule = async (req, res, next) => {
 //   const session = await mongoose.startSession()
@@ -297,6 +283,19 @@ exports.createModule = async (req, res, next) => {
 
     await session.commitTransaction()
 
+    // Tell everyone enrolled in the course about the new module
+    const enrolledUsers = await User.find({ 'enrolledCourses.course': course._id }).select('_id').lean()
+    await notifyUsers(
+      enrolledUsers.map((user) => user._id),
+      {
+        type: 'new_module',
+        title: 'New module available',
+        message: `A new module "${module[0].title}" was added to ${course.title}`,
+        link: `/courses/${course._id}/modules/${module[0]._id}`,
+        data: { courseId: course._id, moduleId: module[0]._id },
+      }
+    )
+
     const populatedModule = await Module.findById(module[0]._id).populate([
       {
         path: 'prerequisites',
@@ -375,6 +374,7 @@ exports.getModules = async (req, res, next) => {
     }
 
     const enrolledCourse = user.enrolledCourses?.find((course) => course?.course?.toString() === req.params.courseId)
+    const membership = enrolledCourse?.enrollmentType === 'full' ? null : await findActiveMembership(req.user._id, req.params.courseId)
 
     const modulesWithStatus = modules.map((module) => {
       const moduleObj = {
@@ -396,6 +396,13 @@ exports.getModules = async (req, res, next) => {
         }
       }
 
+      if (membership && !moduleObj.enrollment.hasAccess) {
+        moduleObj.enrollment = {
+          hasAccess: true,
+          type: 'subscription',
+        }
+      }
+
       return moduleObj
     })
 
@@ -801,12 +808,20 @@ exports.getModuleLessons = async (req, res, next) => {
       return next(new AppError('Module not found', 404))
     }
 
-    const hasAccess = await hasModuleAccess(
+    const { hasAccess, unlocksAt } = await getModuleAccess(
       req.user._id,
       req.params.courseId,
       req.params.moduleId
     )
 
+    if (unlocksAt) {
+      return res.status(403).json({
+        status: 'fail',
+        message: `This module unlocks on ${unlocksAt.toISOString()}`,
+        data: { unlocksAt },
+      })
+    }
+
     if (!hasAccess) {
       return next(new AppError('You do not have access to this module', 403))
     }
@@ -1011,6 +1026,9 @@ exports.getModuleEnrollmentStatus = async (req, res, next) => {
       return next(new AppError('Module not found', 404))
     }
 
+    // Same rules as opening the module: purchases, memberships and cohort release dates
+    const { hasAccess, unlocksAt } = await getModuleAccess(req.user._id, req.params.courseId, module._id)
+
     const enrollment = await User.findOne(
       {
         _id: req.user._id,
@@ -1019,28 +1037,28 @@ exports.getModuleEnrollmentStatus = async (req, res, next) => {
       { 'enrolledCourses.$': 1 }
     )
 
-    if (!enrollment) {
-      return res.status(200).json({
-        status: 'success',
-        data: {
-          hasAccess: false,
-          reason: 'not_enrolled_in_course'
-        }
-      })
-    }
-
-    const enrolledCourse = enrollment.enrolledCourses[0]
-    const hasAccess = enrolledCourse.enrollmentType === 'full' || 
-      enrolledCourse.enrolledModules.some(em => em.module.toString() === module._id.toString())
+    const enrolledCourse = enrollment?.enrolledCourses[0]
+    const ownsModule = Boolean(enrolledCourse) && (enrolledCourse.enrollmentType === 'full' ||
+      enrolledCourse.enrolledModules.some(em => em.module.toString() === module._id.toString()))
+    const membership = ownsModule ? null : await findActiveMembership(req.user._id, req.params.courseId)
+    const enrollmentType = ownsModule ? enrolledCourse.enrollmentType : membership ? 'subscription' : enrolledCourse?.enrollmentType
 
     if (!hasAccess) {
+      let reason = 'module_not_purchased'
+      if (unlocksAt) {
+        reason = 'module_locked'
+      } else if (!enrolledCourse && !membership) {
+        reason = 'not_enrolled_in_course'
+      }
+
       return res.status(200).json({
         status: 'success',
         message: 'Module enrollment status fetched successfully',
         data: {
           hasAccess: false,
-          reason: 'module_not_purchased',
-          enrollmentType: enrolledCourse.enrollmentType
+          reason,
+          enrollmentType,
+          unlocksAt
         }
       })
     }
@@ -1084,7 +1102,7 @@ exports.getModuleEnrollmentStatus = async (req, res, next) => {
       message: 'Module enrollment status fetched successfully',
       data: {
         hasAccess: true,
-        enrollmentType: enrolledCourse.enrollmentType,
+        enrollmentType,
         progress: progress ? {
           overall: progress.progress,
           completedLessons: progress.completedLessons.length,
@@ -2,6 +2,7 @@ const Joi = require('joi')
 const mongoose = require('mongoose')
 const { Module, ModuleReview, Progress, Course } = require('../models')
 const { AppError } = require('../utils/errors')
+const { createNotification } = require('../utils/notifications')
 
 // Validation schema
 const reviewSchema = Joi.object({
@@ -9,6 +10,10 @@ const reviewSchema = Joi.object({
   feedback: Joi.string().allow('', null),
 }).options({ abortEarly: false })
 
+const replySchema = Joi.object({
+  text: Joi.string().trim().min(1).max(2000).required(),
+}).options({ abortEarly: false })
+
 // Create or update a module review
 exports.createModuleReview = async (req, res, next) => {
   try {
@@ -188,6 +193,71 @@ exports.deleteReviewAdmin = async (req, res, next) => {
   }
 };
 
+// Reply to a module review (staff only). Replying again replaces the previous reply
+exports.replyToReview = async (req, res, next) => {
+  try {
+    const { error, value } = replySchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const { moduleId, courseId, reviewId } = req.params
+
+    const module = await Module.findOne({
+      _id: moduleId,
+      course: courseId,
+      isDeleted: false,
+    }).select('title')
+
+    if (!module) {
+      return next(new AppError('Module not found', 404))
+    }
+
+    const review = await ModuleReview.findOneAndUpdate(
+      {
+        _id: reviewId,
+        module: moduleId,
+        course: courseId,
+        isDeleted: false,
+      },
+      {
+        reply: {
+          text: value.text,
+          repliedBy: req.user._id,
+          repliedAt: new Date(),
+        },
+      },
+      { new: true }
+    )
+
+    if (!review) {
+      return next(new AppError('Review not found', 404))
+    }
+
+    await createNotification(review.user, {
+      type: 'review_reply',
+      title: 'New reply to your review',
+      message: `Your review of ${module.title} received a reply`,
+      link: `/courses/${courseId}/modules/${moduleId}/reviews`,
+      data: { courseId, moduleId, reviewId: review._id },
+    })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Reply posted successfully',
+      data: review,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // Get public reviews for a module (accessible to all users)
 exports.getPublicModuleReviews = async (req, res, next) => {
   try {
@@ -232,6 +302,7 @@ exports.getPublicModuleReviews = async (req, res, next) => {
       },
       rating: review.rating,
       feedback: review.feedback,
+      reply: review.reply?.text ? { text: review.reply.text, repliedAt: review.reply.repliedAt } : null,
       createdAt: review.createdAt,
     }))
 
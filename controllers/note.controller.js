@@ -0,0 +1,318 @@
+// note.controller.js
+const Joi = require('joi')
+const mongoose = require('mongoose')
+const { LessonNote, Course, Lesson } = require('../models')
+const { AppError } = require('../utils/errors')
+const { getModuleAccess } = require('../utils/moduleAccess')
+
+// Validation Schemas
+const createNoteSchema = Joi.object({
+  type: Joi.string().valid('note', 'bookmark').default('note'),
+  title: Joi.string().trim().max(200).allow(''),
+  content: Joi.string()
+    .trim()
+    .max(10000)
+    .when('type', { is: 'note', then: Joi.required(), otherwise: Joi.allow('') }),
+  videoTimestamp: Joi.number()
+    .min(0)
+    .when('type', { is: 'bookmark', then: Joi.required(), otherwise: Joi.allow(null) }),
+}).options({ abortEarly: false })
+
+const updateNoteSchema = Joi.object({
+  title: Joi.string().trim().max(200).allow(''),
+  content: Joi.string().trim().max(10000).allow(''),
+  videoTimestamp: Joi.number().min(0).allow(null),
+})
+  .min(1)
+  .options({ abortEarly: false })
+
+// Helper Functions
+// Notes follow the same access rules as the module's lessons
+async function checkNoteAccess(user, courseId, moduleId) {
+  const { hasAccess, unlocksAt } = await getModuleAccess(user._id, courseId, moduleId)
+
+  if (unlocksAt) {
+    throw new AppError(`This module unlocks on ${unlocksAt.toISOString()}`, 403)
+  }
+  if (!hasAccess) {
+    throw new AppError('You do not have access to this module', 403)
+  }
+}
+
+// Format seconds as h:mm:ss or m:ss
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds)
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = String(total % 60).padStart(2, '0')
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
+
+function buildNotesQuery(userId, courseId, query) {
+  const filter = { user: userId, course: courseId }
+
+  if (query.moduleId && mongoose.Types.ObjectId.isValid(query.moduleId)) {
+    filter.module = query.moduleId
+  }
+
+  if (query.lessonId && mongoose.Types.ObjectId.isValid(query.lessonId)) {
+    filter.lesson = query.lessonId
+  }
+
+  if (['note', 'bookmark'].includes(query.type)) {
+    filter.type = query.type
+  }
+
+  const search = query.search?.trim()
+  if (search) {
+    const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    filter.$or = [{ title: { $regex: pattern, $options: 'i' } }, { content: { $regex: pattern, $options: 'i' } }]
+  }
+
+  return filter
+}
+
+// Create a note or bookmark on a lesson
+exports.createNote = async (req, res, next) => {
+  try {
+    const { error, value } = createNoteSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const { courseId, moduleId, lessonId } = req.params
+
+    await checkNoteAccess(req.user, courseId, moduleId)
+
+    const lesson = await Lesson.findOne({ _id: lessonId, module: moduleId, isDeleted: false })
+    if (!lesson) {
+      return next(new AppError('Lesson not found', 404))
+    }
+
+    const note = await LessonNote.create({
+      ...value,
+      user: req.user._id,
+      course: courseId,
+      module: moduleId,
+      lesson: lessonId,
+    })
+
+    res.status(201).json({
+      status: 'success',
+      message: `${value.type === 'bookmark' ? 'Bookmark' : 'Note'} created successfully`,
+      data: note,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// List own notes and bookmarks for a lesson, in video order
+exports.getLessonNotes = async (req, res, next) => {
+  try {
+    const { courseId, moduleId, lessonId } = req.params
+
+    await checkNoteAccess(req.user, courseId, moduleId)
+
+    const notes = await LessonNote.find({
+      user: req.user._id,
+      course: courseId,
+      module: moduleId,
+      lesson: lessonId,
+    }).sort({ videoTimestamp: 1, createdAt: 1 })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notes fetched successfully',
+      data: notes,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update own note or bookmark
+exports.updateNote = async (req, res, next) => {
+  try {
+    const { error, value } = updateNoteSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const note = await LessonNote.findOne({
+      _id: req.params.noteId,
+      user: req.user._id,
+      lesson: req.params.lessonId,
+    })
+
+    if (!note) {
+      return next(new AppError('Note not found', 404))
+    }
+
+    if (note.type === 'bookmark' && value.videoTimestamp === null) {
+      return next(new AppError('Bookmarks need a video timestamp', 400))
+    }
+
+    Object.assign(note, value)
+    await note.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Note updated successfully',
+      data: note,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete own note or bookmark
+exports.deleteNote = async (req, res, next) => {
+  try {
+    const note = await LessonNote.findOneAndDelete({
+      _id: req.params.noteId,
+      user: req.user._id,
+      lesson: req.params.lessonId,
+    })
+
+    if (!note) {
+      return next(new AppError('Note not found', 404))
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Note deleted successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// List and search own notes and bookmarks across a course
+exports.getCourseNotes = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    const skip = (page - 1) * limit
+
+    const filter = buildNotesQuery(req.user._id, req.params.courseId, req.query)
+
+    const [totalNotes, notes] = await Promise.all([
+      LessonNote.countDocuments(filter),
+      LessonNote.find(filter)
+        .populate('module', 'title order')
+        .populate('lesson', 'title order')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+    ])
+
+    const totalPages = Math.ceil(totalNotes / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notes fetched successfully',
+      data: {
+        notes,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalNotes,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Export own notes and bookmarks for a course as Markdown
+exports.exportCourseNotes = async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select('title')
+    if (!course) {
+      return next(new AppError('Course not found', 404))
+    }
+
+    const notes = await LessonNote.find(buildNotesQuery(req.user._id, course._id, req.query))
+      .populate('module', 'title order')
+      .populate('lesson', 'title order')
+      .sort({ videoTimestamp: 1, createdAt: 1 })
+
+    // Group by module, then lesson, in course order
+    const modules = new Map()
+    notes.forEach((note) => {
+      if (!note.module || !note.lesson) return
+
+      const moduleKey = note.module._id.toString()
+      if (!modules.has(moduleKey)) {
+        modules.set(moduleKey, { module: note.module, lessons: new Map() })
+      }
+
+      const lessons = modules.get(moduleKey).lessons
+      const lessonKey = note.lesson._id.toString()
+      if (!lessons.has(lessonKey)) {
+        lessons.set(lessonKey, { lesson: note.lesson, notes: [] })
+      }
+      lessons.get(lessonKey).notes.push(note)
+    })
+
+    const lines = [`# ${course.title} - My Notes`, '', `_Exported on ${new Date().toISOString().split('T')[0]}_`, '']
+
+    ;[...modules.values()]
+      .sort((a, b) => a.module.order - b.module.order)
+      .forEach(({ module, lessons }) => {
+        lines.push(`## ${module.title}`, '')
+
+        ;[...lessons.values()]
+          .sort((a, b) => a.lesson.order - b.lesson.order)
+          .forEach(({ lesson, notes: lessonNotes }) => {
+            lines.push(`### ${lesson.title}`, '')
+
+            lessonNotes.forEach((note) => {
+              const time = note.videoTimestamp !== null && note.videoTimestamp !== undefined ? `[${formatTimestamp(note.videoTimestamp)}]` : null
+              const title = note.type === 'bookmark' ? `Bookmark: ${note.title || 'Untitled'}` : note.title && `**${note.title}**`
+              const heading = [time, title].filter(Boolean).join(' ')
+              const content = note.content ? note.content.replace(/\n/g, '\n  ') : ''
+
+              if (heading) {
+                lines.push(`- ${heading}`)
+                if (content) lines.push(`  ${content}`)
+              } else {
+                lines.push(`- ${content}`)
+              }
+            })
+
+            lines.push('')
+          })
+      })
+
+    if (!modules.size) {
+      lines.push('_No notes yet._', '')
+    }
+
+    const fileName = `${course.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-notes.md`
+
+    res.set({
+      'Content-Type': 'text/markdown; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    })
+    res.status(200).send(lines.join('\n'))
+  } catch (error) {
+    next(error)
+  }
+}
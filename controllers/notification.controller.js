@@ -0,0 +1,195 @@
+// notification.controller.js
+const { Notification } = require('../models')
+const { AppError } = require('../utils/errors')
+const { subscribe, unsubscribe, writeEvent } = require('../utils/notifications')
+const { generateStreamTicket } = require('../utils/token')
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000
+
+// List own notifications, newest first
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    const skip = (page - 1) * limit
+
+    const filter = { user: req.user._id }
+
+    if (req.query.unread === 'true') {
+      filter.isRead = false
+    }
+
+    if (req.query.type) {
+      filter.type = req.query.type
+    }
+
+    const [totalNotifications, unreadCount, notifications] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, isRead: false }),
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    ])
+
+    const totalPages = Math.ceil(totalNotifications / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notifications fetched successfully',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalNotifications,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Unread badge count
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, isRead: false })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Unread count fetched successfully',
+      data: { unreadCount },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Mark one notification as read
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.notificationId, user: req.user._id })
+
+    if (!notification) {
+      return next(new AppError('Notification not found', 404))
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true
+      notification.readAt = new Date()
+      await notification.save()
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification marked as read',
+      data: notification,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Mark one notification as unread again
+exports.markAsUnread = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, user: req.user._id },
+      { isRead: false, $unset: { readAt: 1 } },
+      { new: true }
+    )
+
+    if (!notification) {
+      return next(new AppError('Notification not found', 404))
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification marked as unread',
+      data: notification,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Mark all own notifications as read
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany({ user: req.user._id, isRead: false }, { isRead: true, readAt: new Date() })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'All notifications marked as read',
+      data: { updatedCount: result.modifiedCount },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete own notification
+exports.deleteNotification = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.notificationId, user: req.user._id })
+
+    if (!notification) {
+      return next(new AppError('Notification not found', 404))
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification deleted successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Short-lived ticket for opening the stream, so the access token never goes in a URL.
+// EventSource reconnects with the same URL, so clients fetch a new ticket when the stream drops
+exports.createStreamTicket = async (req, res, next) => {
+  try {
+    res.status(201).json({
+      status: 'success',
+      message: 'Stream ticket created successfully',
+      data: { ticket: generateStreamTicket(req.user._id, req.authSession._id) },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Server-Sent Events stream of new notifications for the user the ticket was issued to
+exports.streamNotifications = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, isRead: false })
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no',
+    })
+    res.status(200)
+    res.flushHeaders()
+
+    writeEvent(res, 'ready', { unreadCount })
+    subscribe(req.user._id, res)
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n')
+      if (typeof res.flush === 'function') res.flush()
+    }, HEARTBEAT_INTERVAL_MS)
+
+    req.on('close', () => {
+      clearInterval(heartbeat)
+      unsubscribe(req.user._id, res)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,721 @@
+// organization.controller.js
+const crypto = require('crypto')
+const Joi = require('joi')
+const mongoose = require('mongoose')
+const { Organization, SeatPool, SeatAssignment, Course, User, Module, Lesson, Progress, LessonProgress } = require('../models')
+const { AppError } = require('../utils/errors')
+const { grantSeatEnrollment, releaseSeatEnrollment } = require('../utils/enrollment')
+
+const objectId = (label) =>
+  Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': `Invalid ${label} ID` })
+
+const domainSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[a-z0-9-]+(\.[a-z0-9-]+)+$/)
+  .messages({ 'string.pattern.base': 'Invalid email domain' })
+
+// Validation Schemas
+const createOrganizationSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(120).required(),
+  domains: Joi.array().items(domainSchema).unique().default([]),
+  autoJoinEnabled: Joi.boolean().default(false),
+  adminEmails: Joi.array().items(Joi.string().trim().lowercase().email()).default([]),
+}).options({ abortEarly: false })
+
+const updateOrganizationSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(120),
+  domains: Joi.array().items(domainSchema).unique(),
+  autoJoinEnabled: Joi.boolean(),
+  inviteEnabled: Joi.boolean(),
+})
+  .min(1)
+  .options({ abortEarly: false })
+
+const addMemberSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  role: Joi.string().valid('admin', 'member').default('member'),
+}).options({ abortEarly: false })
+
+const updateMemberSchema = Joi.object({
+  role: Joi.string().valid('admin', 'member').required(),
+}).options({ abortEarly: false })
+
+const joinSchema = Joi.object({
+  inviteCode: Joi.string().trim().required(),
+}).options({ abortEarly: false })
+
+const seatPoolSchema = Joi.object({
+  courseId: objectId('course').required(),
+  totalSeats: Joi.number().integer().min(0).required(),
+  expiresAt: Joi.date().iso().allow(null),
+  notes: Joi.string().trim().max(500).allow(''),
+}).options({ abortEarly: false })
+
+const assignSeatSchema = Joi.object({
+  courseId: objectId('course').required(),
+  userId: objectId('user').required(),
+}).options({ abortEarly: false })
+
+const reassignSeatSchema = Joi.object({
+  userId: objectId('user').required(),
+}).options({ abortEarly: false })
+
+// Helper Functions
+const hasPlatformAdminAccess = (user) => {
+  return ['admin', 'subAdmin'].includes(user?.role)
+}
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    status: 'error',
+    errors: error.details.map((detail) => ({
+      field: detail.context.key,
+      message: detail.message,
+    })),
+  })
+}
+
+const generateInviteCode = () => crypto.randomBytes(12).toString('base64url')
+
+const findMember = (organization, userId) => organization.members.find((m) => m.user.toString() === userId.toString())
+
+// Load an organization the current user may manage: platform admins or the organization's own admins
+async function getManagedOrganization(req, session = null) {
+  const organization = await Organization.findOne({ _id: req.params.organizationId, isDeleted: false }).session(session)
+  if (!organization) {
+    throw new AppError('Organization not found', 404)
+  }
+
+  if (!hasPlatformAdminAccess(req.user) && findMember(organization, req.user._id)?.role !== 'admin') {
+    throw new AppError('You do not have permission to manage this organization', 403)
+  }
+
+  return organization
+}
+
+// Take a seat from the pool, respecting the purchased total and expiry
+async function reserveSeat(organizationId, courseId, session) {
+  return SeatPool.findOneAndUpdate(
+    {
+      organization: organizationId,
+      course: courseId,
+      $expr: { $lt: ['$usedSeats', '$totalSeats'] },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    },
+    { $inc: { usedSeats: 1 } },
+    { new: true, session }
+  )
+}
+
+async function assignSeat(organization, courseId, userId, assignedBy, session) {
+  if (!findMember(organization, userId)) {
+    throw new AppError('User is not a member of this organization', 400)
+  }
+
+  const existingSeat = await SeatAssignment.exists({ user: userId, course: courseId, status: 'active' }).session(session)
+  if (existingSeat) {
+    throw new AppError('User already has a seat for this course', 400)
+  }
+
+  const seatPool = await reserveSeat(organization._id, courseId, session)
+  if (!seatPool) {
+    throw new AppError('No seats available for this course', 400)
+  }
+
+  const [seat] = await SeatAssignment.create(
+    [
+      {
+        organization: organization._id,
+        seatPool: seatPool._id,
+        course: courseId,
+        user: userId,
+        assignedBy,
+      },
+    ],
+    { session }
+  )
+
+  await grantSeatEnrollment(userId, courseId, seat._id, session)
+
+  return seat
+}
+
+async function revokeSeat(seat, revokedBy, session) {
+  seat.status = 'revoked'
+  seat.revokedAt = new Date()
+  seat.revokedBy = revokedBy
+  await seat.save({ session })
+
+  await SeatPool.updateOne({ _id: seat.seatPool, usedSeats: { $gt: 0 } }, { $inc: { usedSeats: -1 } }, { session })
+  await releaseSeatEnrollment(seat.user, seat.course, seat._id, session)
+}
+
+// Platform admin: create an organization
+exports.createOrganization = async (req, res, next) => {
+  try {
+    const { error, value } = createOrganizationSchema.validate(req.body)
+    if (error) return validationError(res, error)
+
+    const admins = await User.find({ email: { $in: value.adminEmails } }).select('_id email')
+    const missing = value.adminEmails.filter((email) => !admins.some((admin) => admin.email === email))
+    if (missing.length) {
+      return next(new AppError(`No account found for: ${missing.join(', ')}`, 400))
+    }
+
+    const organization = await Organization.create({
+      name: value.name,
+      domains: value.domains,
+      autoJoinEnabled: value.autoJoinEnabled,
+      inviteCode: generateInviteCode(),
+      members: admins.map((admin) => ({ user: admin._id, role: 'admin', joinedVia: 'admin' })),
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Organization created successfully',
+      data: organization,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Platform admin: list organizations
+exports.getOrganizations = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    const filter = { isDeleted: false }
+    const search = req.query.search?.trim()
+    if (search) {
+      filter.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' }
+    }
+
+    const [totalOrganizations, organizations] = await Promise.all([
+      Organization.countDocuments(filter),
+      Organization.aggregate([
+        { $match: filter },
+        { $sort: { createdAt: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { name: 1, domains: 1, autoJoinEnabled: 1, createdAt: 1, memberCount: { $size: '$members' } } },
+      ]),
+    ])
+
+    const totalPages = Math.ceil(totalOrganizations / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Organizations fetched successfully',
+      data: {
+        organizations,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalOrganizations,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Organizations the current user belongs to
+exports.getMyOrganizations = async (req, res, next) => {
+  try {
+    const organizations = await Organization.find({ 'members.user': req.user._id, isDeleted: false }).select('name domains members')
+
+    const seats = await SeatAssignment.find({ user: req.user._id, status: 'active' }).populate('course', 'title thumbnail')
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Organizations fetched successfully',
+      data: organizations.map((organization) => ({
+        _id: organization._id,
+        name: organization.name,
+        role: findMember(organization, req.user._id).role,
+        seats: seats.filter((seat) => seat.organization.toString() === organization._id.toString()).map((seat) => seat.course),
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Join an organization through its invite link
+exports.joinOrganization = async (req, res, next) => {
+  try {
+    const { error, value } = joinSchema.validate(req.body)
+    if (error) return validationError(res, error)
+
+    const organization = await Organization.findOne({ inviteCode: value.inviteCode, inviteEnabled: true, isDeleted: false })
+    if (!organization) {
+      return next(new AppError('Invalid or expired invite link', 404))
+    }
+
+    if (findMember(organization, req.user._id)) {
+      return next(new AppError('You are already a member of this organization', 400))
+    }
+
+    await Organization.updateOne(
+      { _id: organization._id, 'members.user': { $ne: req.user._id } },
+      { $push: { members: { user: req.user._id, role: 'member', joinedVia: 'invite', joinedAt: new Date() } } }
+    )
+
+    res.status(200).json({
+      status: 'success',
+      message: `You joined ${organization.name}`,
+      data: { _id: organization._id, name: organization.name },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Organization details with seat pools
+exports.getOrganization = async (req, res, next) => {
+  try {
+    const organization = await getManagedOrganization(req)
+    await organization.populate('members.user', 'firstName lastName email')
+
+    const seatPools = await SeatPool.find({ organization: organization._id }).populate('course', 'title')
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Organization fetched successfully',
+      data: {
+        ...organization.toObject(),
+        seatPools: seatPools.map((pool) => ({
+          ...pool.toObject(),
+          availableSeats: Math.max(pool.totalSeats - pool.usedSeats, 0),
+        })),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.updateOrganization = async (req, res, next) => {
+  try {
+    const { error, value } = updateOrganizationSchema.validate(req.body)
+    if (error) return validationError(res, error)
+
+    // Auto-join enrolls anyone with a matching email, so only platform admins decide which domains it covers
+    if ((value.domains !== undefined || value.autoJoinEnabled !== undefined) && !hasPlatformAdminAccess(req.user)) {
+      return next(new AppError('Only platform admins can change email domains or auto-join', 403))
+    }
+
+    const organization = await getManagedOrganization(req)
+    Object.assign(organization, value)
+    await organization.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Organization updated successfully',
+      data: organization,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// New invite link. The previous one stops working
+exports.regenerateInviteCode = async (req, res, next) => {
+  try {
+    const organization = await getManagedOrganization(req)
+    organization.inviteCode = generateInviteCode()
+    organization.inviteEnabled = true
+    await organization.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invite link regenerated',
+      data: {
+        inviteCode: organization.inviteCode,
+        inviteUrl: `${process.env.FRONTEND_URL}/organizations/join?code=${organization.inviteCode}`,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Add an existing user by email
+exports.addMember = async (req, res, next) => {
+  try {
+    const { error, value } = addMemberSchema.validate(req.body)
+    if (error) return validationError(res, error)
+
+    const organization = await getManagedOrganization(req)
+
+    const user = await User.findOne({ email: value.email }).select('_id firstName lastName email')
+    if (!user) {
+      return next(new AppError('No account found for this email', 404))
+    }
+
+    if (findMember(organization, user._id)) {
+      return next(new AppError('User is already a member of this organization', 400))
+    }
+
+    organization.members.push({ user: user._id, role: value.role, joinedVia: 'admin' })
+    await organization.save()
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Member added successfully',
+      data: { user, role: value.role },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.updateMember = async (req, res, next) => {
+  try {
+    const { error, value } = updateMemberSchema.validate(req.body)
+    if (error) return validationError(res, error)
+
+    const organization = await getManagedOrganization(req)
+    const member = findMember(organization, req.params.userId)
+    if (!member) {
+      return next(new AppError('Member not found', 404))
+    }
+
+    if (member.role === 'admin' && value.role !== 'admin' && organization.members.filter((m) => m.role === 'admin').length === 1) {
+      return next(new AppError('An organization needs at least one admin', 400))
+    }
+
+    member.role = value.role
+    await organization.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Member updated successfully',
+      data: member,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Remove a member and release all their seats
+exports.removeMember = async (req, res, next) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const organization = await getManagedOrganization(req, session)
+    const member = findMember(organization, req.params.userId)
+    if (!member) {
+      throw new AppError('Member not found', 404)
+    }
+
+    if (member.role === 'admin' && organization.members.filter((m) => m.role === 'admin').length === 1) {
+      throw new AppError('An organization needs at least one admin', 400)
+    }
+
+    const seats = await SeatAssignment.find({ organization: organization._id, user: member.user, status: 'active' }).session(session)
+    for (const seat of seats) {
+      await revokeSeat(seat, req.user._id, session)
+    }
+
+    organization.members.pull(member._id)
+    await organization.save({ session })
+
+    await session.commitTransaction()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Member removed successfully',
+      data: { revokedSeats: seats.length },
+    })
+  } catch (error) {
+    await session.abortTransaction()
+    next(error)
+  } finally {
+    session.endSession()
+  }
+}
+
+// Platform admin: set the number of seats bought for a course
+exports.upsertSeatPool = async (req, res, next) => {
+  try {
+    const { error, value } = seatPoolSchema.validate(req.body)
+    if (error) return validationError(res, error)
+
+    const organization = await Organization.findOne({ _id: req.params.organizationId, isDeleted: false })
+    if (!organization) {
+      return next(new AppError('Organization not found', 404))
+    }
+
+    const course = await Course.findOne({ _id: value.courseId, isDeleted: false }).select('title')
+    if (!course) {
+      return next(new AppError('Course not found', 404))
+    }
+
+    const existingPool = await SeatPool.findOne({ organization: organization._id, course: course._id })
+    if (existingPool && value.totalSeats < existingPool.usedSeats) {
+      return next(new AppError(`Cannot reduce seats below the ${existingPool.usedSeats} already assigned`, 400))
+    }
+
+    const seatPool = await SeatPool.findOneAndUpdate(
+      { organization: organization._id, course: course._id },
+      { totalSeats: value.totalSeats, expiresAt: value.expiresAt ?? null, notes: value.notes },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    )
+
+    res.status(existingPool ? 200 : 201).json({
+      status: 'success',
+      message: 'Seat pool saved successfully',
+      data: seatPool,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// List seat assignments
+exports.getSeats = async (req, res, next) => {
+  try {
+    const organization = await getManagedOrganization(req)
+
+    const filter = { organization: organization._id, status: req.query.status === 'revoked' ? 'revoked' : 'active' }
+    if (req.query.courseId && mongoose.Types.ObjectId.isValid(req.query.courseId)) {
+      filter.course = req.query.courseId
+    }
+
+    const seats = await SeatAssignment.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('course', 'title')
+      .populate('assignedBy', 'firstName lastName')
+      .sort({ assignedAt: -1 })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Seats fetched successfully',
+      data: seats,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Give a member a seat for a course
+exports.assignSeat = async (req, res, next) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const { error, value } = assignSeatSchema.validate(req.body)
+    if (error) {
+      await session.abortTransaction()
+      return validationError(res, error)
+    }
+
+    const organization = await getManagedOrganization(req, session)
+    const seat = await assignSeat(organization, value.courseId, value.userId, req.user._id, session)
+
+    await session.commitTransaction()
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Seat assigned successfully',
+      data: seat,
+    })
+  } catch (error) {
+    await session.abortTransaction()
+    next(error)
+  } finally {
+    session.endSession()
+  }
+}
+
+// Take a seat back, freeing it for someone else
+exports.revokeSeat = async (req, res, next) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const organization = await getManagedOrganization(req, session)
+
+    const seat = await SeatAssignment.findOne({ _id: req.params.seatId, organization: organization._id, status: 'active' }).session(session)
+    if (!seat) {
+      throw new AppError('Seat not found', 404)
+    }
+
+    await revokeSeat(seat, req.user._id, session)
+
+    await session.commitTransaction()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Seat revoked successfully',
+      data: seat,
+    })
+  } catch (error) {
+    await session.abortTransaction()
+    next(error)
+  } finally {
+    session.endSession()
+  }
+}
+
+// Move a seat from one member to another
+exports.reassignSeat = async (req, res, next) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const { error, value } = reassignSeatSchema.validate(req.body)
+    if (error) {
+      await session.abortTransaction()
+      return validationError(res, error)
+    }
+
+    const organization = await getManagedOrganization(req, session)
+
+    const seat = await SeatAssignment.findOne({ _id: req.params.seatId, organization: organization._id, status: 'active' }).session(session)
+    if (!seat) {
+      throw new AppError('Seat not found', 404)
+    }
+
+    if (seat.user.toString() === value.userId) {
+      throw new AppError('Seat is already assigned to this user', 400)
+    }
+
+    await revokeSeat(seat, req.user._id, session)
+    const newSeat = await assignSeat(organization, seat.course, value.userId, req.user._id, session)
+
+    seat.reassignedTo = newSeat._id
+    await seat.save({ session })
+
+    await session.commitTransaction()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Seat reassigned successfully',
+      data: newSeat,
+    })
+  } catch (error) {
+    await session.abortTransaction()
+    next(error)
+  } finally {
+    session.endSession()
+  }
+}
+
+// Progress of every member in the courses they hold seats for
+exports.getOrganizationDashboard = async (req, res, next) => {
+  try {
+    const organization = await getManagedOrganization(req)
+    await organization.populate('members.user', 'firstName lastName email')
+
+    const seats = await SeatAssignment.find({ organization: organization._id, status: 'active' }).populate('course', 'title')
+    const courseIds = [...new Set(seats.map((seat) => seat.course._id.toString()))]
+    const memberIds = organization.members.filter((m) => m.user).map((m) => m.user._id)
+
+    // Lessons per course, to turn completed lessons into a percentage
+    const modules = await Module.find({ course: { $in: courseIds }, isDeleted: false }).select('_id course')
+    const lessons = await Lesson.find({ module: { $in: modules.map((m) => m._id) }, isDeleted: false }).select('_id module')
+
+    const courseByModule = new Map(modules.map((m) => [m._id.toString(), m.course.toString()]))
+    const courseByLesson = new Map(lessons.map((l) => [l._id.toString(), courseByModule.get(l.module.toString())]))
+    const lessonCounts = new Map()
+    lessons.forEach((lesson) => {
+      const courseId = courseByLesson.get(lesson._id.toString())
+      lessonCounts.set(courseId, (lessonCounts.get(courseId) || 0) + 1)
+    })
+
+    const [progressDocs, lessonProgressDocs] = await Promise.all([
+      Progress.find({ user: { $in: memberIds }, course: { $in: courseIds } }).select('user course completedLessons lastAccessed'),
+      LessonProgress.find({ user: { $in: memberIds }, lesson: { $in: lessons.map((l) => l._id) } }).select('user lesson timeSpent'),
+    ])
+
+    // "<userId>:<courseId>" -> aggregated stats
+    const stats = new Map()
+    const getStats = (userId, courseId) => {
+      const key = `${userId}:${courseId}`
+      if (!stats.has(key)) {
+        stats.set(key, { completedLessons: 0, timeSpent: 0, lastAccessed: null })
+      }
+      return stats.get(key)
+    }
+
+    progressDocs.forEach((doc) => {
+      const entry = getStats(doc.user, doc.course)
+      entry.completedLessons += doc.completedLessons.length
+      if (!entry.lastAccessed || doc.lastAccessed > entry.lastAccessed) {
+        entry.lastAccessed = doc.lastAccessed
+      }
+    })
+
+    lessonProgressDocs.forEach((doc) => {
+      const courseId = courseByLesson.get(doc.lesson.toString())
+      if (courseId) {
+        getStats(doc.user, courseId).timeSpent += doc.timeSpent
+      }
+    })
+
+    const members = organization.members
+      .filter((member) => member.user)
+      .map((member) => {
+        const memberSeats = seats.filter((seat) => seat.user.toString() === member.user._id.toString())
+
+        return {
+          user: member.user,
+          role: member.role,
+          joinedAt: member.joinedAt,
+          courses: memberSeats.map((seat) => {
+            const courseId = seat.course._id.toString()
+            const entry = getStats(member.user._id, courseId)
+            const totalLessons = lessonCounts.get(courseId) || 0
+
+            return {
+              seatId: seat._id,
+              course: seat.course,
+              assignedAt: seat.assignedAt,
+              completedLessons: entry.completedLessons,
+              totalLessons,
+              progress: totalLessons ? Math.round((Math.min(entry.completedLessons, totalLessons) / totalLessons) * 100) : 0,
+              timeSpent: entry.timeSpent,
+              lastAccessed: entry.lastAccessed,
+            }
+          }),
+        }
+      })
+
+    const seatPools = await SeatPool.find({ organization: organization._id }).populate('course', 'title')
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Organization dashboard fetched successfully',
+      data: {
+        organization: { _id: organization._id, name: organization.name },
+        summary: {
+          members: members.length,
+          activeSeats: seats.length,
+          totalSeats: seatPools.reduce((sum, pool) => sum + pool.totalSeats, 0),
+        },
+        seatPools: seatPools.map((pool) => ({
+          course: pool.course,
+          totalSeats: pool.totalSeats,
+          usedSeats: pool.usedSeats,
+          expiresAt: pool.expiresAt,
+        })),
+        members,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -1,15 +1,22 @@
 // payment.controller.js
 const Joi = require('joi')
 const mongoose = require('mongoose')
-const { Payment, Course, Module, User, Discount } = require('../models')
+const { Payment, Course, Module, User, Bundle, SubscriptionPlan, PaymentReconciliationReport } = require('../models')
 const { AppError } = require('../utils/errors')
-const { initiatePayment, validateIPN } = require('../utils/sslcommerz')
+const { getGateway } = require('../utils/paymentGateway')
+const { createNotification } = require('../utils/notifications')
+const { processEnrollment, processBundleEnrollment } = require('../utils/enrollment')
+const { activateSubscriptionPeriod } = require('../utils/subscriptions')
+const { deliverInvoice, issueInvoice, renderInvoiceHtml } = require('../utils/invoices')
+const { getRequestedCodes, evaluateCoupons, recordCouponUse } = require('../utils/coupons')
+const { generateInvoicePdf } = require('../utils/invoicePdf')
 const crypto = require('crypto')
 
 // Validation schemas
 const initiatePaymentSchema = Joi.object({
   redirectUrl: Joi.string().uri().required(),
   discountCode: Joi.string().trim(),
+  discountCodes: Joi.array().items(Joi.string().trim()).max(5),
   shippingAddress: Joi.object({
     address: Joi.string().required(),
     city: Joi.string().required(),
@@ -25,6 +32,7 @@ const initiateModulePaymentSchema = Joi.object({
     .required(),
   redirectUrl: Joi.string().uri().required(),
   discountCode: Joi.string().trim(),
+  discountCodes: Joi.array().items(Joi.string().trim()).max(5),
   shippingAddress: Joi.object({
     address: Joi.string().required(),
     city: Joi.string().required(),
@@ -33,28 +41,18 @@ const initiateModulePaymentSchema = Joi.object({
   }).required(),
 }).options({ abortEarly: false })
 
-const ipnValidationSchema = Joi.object({
-  tran_id: Joi.string().required(),
-  val_id: Joi.string().required(),
-  amount: Joi.string().required(),
-  card_type: Joi.string().allow('', null),
-  store_amount: Joi.string().allow('', null),
-  card_no: Joi.string().allow('', null),
-  bank_tran_id: Joi.string().allow('', null),
-  status: Joi.string().required(),
-  tran_date: Joi.string().allow('', null),
-  currency: Joi.string().allow('', null),
-  card_issuer: Joi.string().allow('', null),
-  card_brand: Joi.string().allow('', null),
-  risk_level: Joi.string().allow('', null),
-  risk_title: Joi.string().allow('', null),
-  verify_sign: Joi.string().required(),
-  verify_key: Joi.string().required(),
-}).options({
-  abortEarly: false,
-  stripUnknown: true,
-  allowUnknown: true, // Allow additional fields from SSLCommerz
-})
+const mockCheckoutSchema = Joi.object({
+  transactionId: Joi.string().required(),
+  outcome: Joi.string().valid('success', 'failed', 'cancelled').default('success'),
+  ipn: Joi.string().valid('immediate', 'late', 'none').default('immediate'),
+}).options({ abortEarly: false })
+
+const resolveReviewSchema = Joi.object({
+  reviewNote: Joi.string().trim().min(3).max(1000).required().messages({
+    'string.min': 'Note must be at least 3 characters long',
+    'any.required': 'A note describing how the payment was resolved is required',
+  }),
+}).options({ abortEarly: false })
 
 // Helper functions
 
@@ -162,54 +160,6 @@ async function calculateModulePriceAdjustment(userId, courseId, session) {
 //   }
 // }
 
-async function calculateDiscountedAmount(amount, discountCode, courseId, moduleId = null) {
-  if (!discountCode) return { discountedAmount: amount, discount: null }
-
-  // First, find discounts that match the code and are within valid dates
-  const baseQuery = {
-    code: discountCode.toUpperCase(),
-    startDate: { $lte: new Date() },
-    endDate: { $gte: new Date() },
-    isDeleted: false,
-  }
-
-  // Add course/module specificity
-  if (courseId && moduleId) {
-    baseQuery.$or = [
-      { course: courseId, module: null },
-      { course: null, module: moduleId },
-      { course: null, module: null }, // Global discount
-    ]
-  } else if (courseId) {
-    baseQuery.$or = [
-      { course: courseId },
-      { course: null, module: null }, // Global discount
-    ]
-  } else if (moduleId) {
-    baseQuery.$or = [
-      { module: moduleId },
-      { course: null, module: null }, // Global discount
-    ]
-  }
-
-  const discount = await Discount.findOne(baseQuery)
-
-  if (!discount) return { discountedAmount: amount, discount: null }
-
-  // Check usage limit after finding the discount
-  if (discount.maxUses && discount.usedCount >= discount.maxUses) {
-    return { discountedAmount: amount, discount: null }
-  }
-
-  // Calculate the discount amount
-  const discountAmount = discount.type === 'percentage' ? (amount * discount.value) / 100 : discount.value
-
-  return {
-    discountedAmount: Math.max(0, amount - discountAmount),
-    discount: discount._id,
-  }
-}
-
 async function verifyAccess(userId, courseId, moduleIds = []) {
   const enrollment = await User.findOne(
     {
@@ -235,94 +185,144 @@ async function verifyAccess(userId, courseId, moduleIds = []) {
   return true
 }
 
+// Why a gateway verification can't complete this payment, or null when it can
+function getVerificationFailure(payment, verification) {
+  if (!verification?.valid) {
+    return 'Payment could not be validated with the gateway'
+  }
 
-async function processEnrollment(userId, courseId, purchaseType, moduleIds = [], session) {
-  const user = await User.findById(userId).session(session)
-  if (!user) {
-    throw new AppError('User not found', 404)
+  const expectedAmount = payment.discountedAmount ?? payment.amount
+  if (Math.abs(verification.amount - expectedAmount) > 0.01) {
+    return `Amount mismatch: paid ${verification.amount}, expected ${expectedAmount}`
   }
 
-  // Find existing course enrollment
-  const existingEnrollment = user.enrolledCourses.find((ec) => ec.course.toString() === courseId.toString())
+  return null
+}
 
-  if (purchaseType === 'course') {
-    // Handle full course enrollment
-    if (existingEnrollment) {
-      if (existingEnrollment.enrollmentType === 'full') {
-        throw new AppError('Already enrolled in this course', 400)
-      }
-      // Upgrade from module to full access
-      existingEnrollment.enrollmentType = 'full'
-      existingEnrollment.enrolledModules = []
-    } else {
-      // Create new full course enrollment
-      user.enrolledCourses.push({
-        course: courseId,
-        enrollmentType: 'full',
-        enrolledAt: new Date(),
-        enrolledModules: [],
-      })
+// Grant access for a paid payment and mark it completed
+async function completePaymentEnrollment(payment, session) {
+  // A coupon another checkout used up first doesn't stop the purchase, the learner has already paid
+  const overusedCodes = await recordCouponUse(payment, session)
+  if (overusedCodes.length) {
+    payment.needsReview = true
+    payment.reviewReason = `Coupon ${overusedCodes.join(', ')} was used more times than allowed`
+  }
+
+  if (payment.purchaseType === 'bundle') {
+    const bundle = await Bundle.findById(payment.bundle).session(session)
+    if (!bundle) {
+      throw new AppError('Bundle not found', 404)
     }
+
+    // Every course in the bundle is granted in this same transaction
+    payment.bundleCourses = await processBundleEnrollment(payment.user, bundle.courses.map((c) => c.course), session)
+  } else if (payment.purchaseType === 'subscription') {
+    // Membership access comes from the subscription, not enrolledCourses
+    await activateSubscriptionPeriod(payment, session)
   } else {
-    // Handle module enrollment
-    if (!moduleIds.length) {
-      throw new AppError('No modules specified for module purchase', 400)
-    }
+    // Process enrollment
+    await processEnrollment(payment.user, payment.course, payment.purchaseType, payment.modules || [], session)
+  }
 
-    // Validate all modules exist and belong to the course
-    const modules = await Module.find({
-      _id: { $in: moduleIds },
-      course: courseId,
-      isDeleted: false,
+  // Update course total students if this is their first enrollment
+  if (['course', 'module'].includes(payment.purchaseType)) {
+    const existingEnrollment = await User.findOne({
+      _id: payment.user,
+      'enrolledCourses.course': payment.course,
     }).session(session)
 
-    if (modules.length !== moduleIds.length) {
-      throw new AppError('One or more modules not found or do not belong to this course', 404)
+    if (!existingEnrollment) {
+      await Course.updateOne({ _id: payment.course }, { $inc: { totalStudents: 1 } }, { session })
     }
+  }
 
-    if (existingEnrollment) {
-      // Check existing enrollment type
-      if (existingEnrollment.enrollmentType === 'full') {
-        throw new AppError('Already have full access to this course', 400)
-      }
+  // Update payment status. Saved last so a failure above leaves the document's changes unsaved
+  payment.status = 'completed'
+  payment.completedAt = new Date()
+  await payment.save({ session })
+}
 
-      // Check for duplicate module enrollments
-      const existingModuleIds = existingEnrollment.enrolledModules.map((em) => em.module.toString())
-      const newModuleIds = moduleIds.filter((moduleId) => !existingModuleIds.includes(moduleId.toString()))
+// The gateway took the money but access couldn't be granted, e.g. the learner is already enrolled or a
+// module was deleted meanwhile. Roll back what the enrollment wrote and keep the payment as completed,
+// flagged for an admin to enroll the learner by hand or refund them. A paid payment is never failed
+async function flagUnfulfilledPayment(payment, enrollmentError, session) {
+  await session.abortTransaction()
+  session.startTransaction()
 
-      if (!newModuleIds.length) {
-        throw new AppError('Already enrolled in all specified modules', 400)
-      }
+  payment.status = 'completed'
+  payment.completedAt = new Date()
+  payment.bundleCourses = []
+  payment.enrollmentFailed = true
+  payment.needsReview = true
+  payment.reviewReason = `Access could not be granted: ${enrollmentError.message}`
+
+  // The coupons were still spent on a paid checkout
+  const overusedCodes = await recordCouponUse(payment, session)
+  if (overusedCodes.length) {
+    payment.reviewReason += `. Coupon ${overusedCodes.join(', ')} was used more times than allowed`
+  }
 
-      // Add new modules to existing enrollment
-      newModuleIds.forEach((moduleId) => {
-        existingEnrollment.enrolledModules.push({
-          module: moduleId,
-          enrolledAt: new Date(),
-          completedLessons: [],
-          completedQuizzes: [],
-          lastAccessed: new Date(),
-        })
-      })
-    } else {
-      // Create new module-based enrollment
-      user.enrolledCourses.push({
-        course: courseId,
-        enrollmentType: 'module',
-        enrolledAt: new Date(),
-        enrolledModules: moduleIds.map((moduleId) => ({
-          module: moduleId,
-          enrolledAt: new Date(),
-          completedLessons: [],
-          completedQuizzes: [],
-          lastAccessed: new Date(),
-        })),
-      })
-    }
+  await payment.save({ session })
+}
+
+// Let the learner know their payment arrived but their access is waiting on an admin. Call after the transaction commits
+async function notifyPaymentUnderReview(payment) {
+  deliverInvoice(payment)
+
+  await createNotification(payment.user, {
+    type: 'payment_completed',
+    title: 'Payment received',
+    message: `We received your payment of ${payment.discountedAmount ?? payment.amount} but couldn't add the purchase to your account. Our team will set up your access or refund you shortly`,
+    link: `/payments/${payment._id}`,
+    data: { paymentId: payment._id, transactionId: payment.transactionId },
+  })
+}
+
+// Let the learner know their purchase went through and send the invoice. Call after the transaction commits
+async function notifyPaymentCompleted(payment) {
+  // Not awaited so a slow mail server doesn't hold up the redirect. deliverInvoice never throws
+  deliverInvoice(payment)
+
+  if (payment.purchaseType === 'bundle') {
+    const bundle = await Bundle.findById(payment.bundle).select('title').lean()
+
+    await createNotification(payment.user, {
+      type: 'payment_completed',
+      title: 'Payment successful',
+      message: `Your payment of ${payment.discountedAmount ?? payment.amount} for ${bundle?.title || 'your bundle'} was successful. ${payment.bundleCourses.length} course(s) were added to your account`,
+      link: `/bundles/${payment.bundle}`,
+      data: { paymentId: payment._id, bundleId: payment.bundle, transactionId: payment.transactionId },
+    })
+    return
   }
 
-  await user.save({ session })
-  return user
+  if (payment.purchaseType === 'subscription') {
+    const plan = await SubscriptionPlan.findById(payment.subscriptionPlan).select('name').lean()
+
+    await createNotification(payment.user, {
+      type: 'subscription_renewed',
+      title: 'Payment successful',
+      message: `Your payment of ${payment.discountedAmount ?? payment.amount} for the ${plan?.name || 'membership'} plan was successful. Your membership is active`,
+      link: `/subscriptions/${payment.subscription}`,
+      data: { paymentId: payment._id, subscriptionId: payment.subscription, transactionId: payment.transactionId },
+    })
+    return
+  }
+
+  const course = await Course.findById(payment.course).select('title').lean()
+  const courseTitle = course?.title || 'your course'
+  const amount = payment.discountedAmount ?? payment.amount
+
+  await createNotification(payment.user, {
+    type: 'payment_completed',
+    title: 'Payment successful',
+    message:
+      payment.purchaseType === 'module'
+        ? `Your payment of ${amount} for ${payment.modules?.length || 0} module(s) of ${courseTitle} was successful`
+        : `Your payment of ${amount} for ${courseTitle} was successful`,
+    link: `/courses/${payment.course}`,
+    data: { paymentId: payment._id, courseId: payment.course, transactionId: payment.transactionId },
+  })
 }
 
 
@@ -514,7 +514,7 @@ exports.initiateCoursePayment = async (req, res, next) => {
         await processEnrollment(req.user._id, course._id, 'course', [], session)
 
         // Create a special "free upgrade" payment record
-        await Payment.create(
+        const [upgradePayment] = await Payment.create(
           [
             {
               user: req.user._id,
@@ -544,6 +544,8 @@ exports.initiateCoursePayment = async (req, res, next) => {
 
         await session.commitTransaction()
 
+        await notifyPaymentCompleted(upgradePayment)
+
         // Return success for free upgrade
         return res.status(200).json({
           status: 'success',
@@ -564,35 +566,13 @@ exports.initiateCoursePayment = async (req, res, next) => {
     }
 
     // If we reach here, we need to process a payment for the remaining amount
-    const { discountedAmount, discount } = await calculateDiscountedAmount(adjustedPrice, value.discountCode, course._id)
+    const { finalAmount: discountedAmount, appliedDiscounts } = await evaluateCoupons({
+      codes: getRequestedCodes(value),
+      user: req.user,
+      purchase: { purchaseType: 'course', amount: adjustedPrice, courseId: course._id },
+    })
     const transactionId = crypto.randomBytes(16).toString('hex')
-
-    const sslData = {
-      store_id: process.env.SSLCOMMERZ_STORE_ID,
-      store_passwd: process.env.SSLCOMMERZ_STORE_PASSWORD,
-      total_amount: discountedAmount.toFixed(2), // Ensure proper decimal formatting
-      currency: 'BDT',
-      tran_id: transactionId,
-      success_url: `${process.env.API_BASE_URL}/api/payments/redirect`,
-      fail_url: `${process.env.API_BASE_URL}/api/payments/redirect`,
-      cancel_url: `${process.env.API_BASE_URL}/api/payments/redirect`,
-      ipn_url: `${process.env.API_BASE_URL}/api/payments/ipn`,
-      product_name: course.title,
-      product_category: 'Course',
-      product_profile: 'non-physical-goods',
-      cus_name: `${req.user.firstName} ${req.user.lastName}`,
-      cus_email: req.user.email,
-      cus_add1: value.shippingAddress.address,
-      cus_city: value.shippingAddress.city,
-      cus_country: value.shippingAddress.country,
-      cus_phone: value.shippingAddress.phone,
-      shipping_method: 'NO',
-      num_of_item: 1,
-      emi_option: 0,
-      value_a: course._id.toString(),
-      value_b: 'course',
-      value_c: req.user._id.toString(),
-    }
+    const gateway = getGateway()
 
     const payment = await Payment.create(
       [
@@ -604,9 +584,11 @@ exports.initiateCoursePayment = async (req, res, next) => {
           originalAmount: validCoursePrice,
           modulesPriceAdjustment: modulesPriceAdjustment,
           purchasedModuleIds: purchasedModuleIds,
-          discount,
+          discount: appliedDiscounts[0]?.discount,
+          appliedDiscounts,
           discountedAmount,
           transactionId,
+          gateway: gateway.name,
           customerDetails: {
             name: `${req.user.firstName} ${req.user.lastName}`,
             email: req.user.email,
@@ -619,18 +601,22 @@ exports.initiateCoursePayment = async (req, res, next) => {
       { session }
     )
 
-    const sslResponse = await initiatePayment(sslData)
-
-    if (!sslResponse?.GatewayPageURL || !sslResponse?.sessionkey) {
-      await session.abortTransaction()
-      return next(new AppError('Failed to initialize payment gateway', 500))
-    }
+    const checkout = await gateway.initiate({
+      transactionId,
+      amount: discountedAmount,
+      currency: 'BDT',
+      productName: course.title,
+      productCategory: 'Course',
+      itemCount: 1,
+      customer: payment[0].customerDetails,
+      metadata: { referenceId: course._id.toString(), purchaseType: 'course', userId: req.user._id.toString() },
+    })
 
     await Payment.findByIdAndUpdate(
       payment[0]._id,
       {
-        sslcommerzSessionKey: sslResponse.sessionkey,
-        gatewayPageURL: sslResponse.GatewayPageURL,
+        sslcommerzSessionKey: checkout.sessionKey,
+        gatewayPageURL: checkout.gatewayPageURL,
       },
       { session }
     )
@@ -647,7 +633,7 @@ exports.initiateCoursePayment = async (req, res, next) => {
         adjustedPrice: adjustedPrice,
         finalAmount: discountedAmount,
         purchasedModules: purchasedModuleDetails,
-        gatewayRedirectURL: sslResponse.GatewayPageURL,
+        gatewayRedirectURL: checkout.gatewayPageURL,
       },
     })
   } catch (error) {
@@ -721,50 +707,34 @@ exports.initiateModulePayment = async (req, res, next) => {
     }
 
     // Calculate any discounts
-    const { discountedAmount, discount } = await calculateDiscountedAmount(totalAmount, value.discountCode, course._id)
+    const { finalAmount: discountedAmount, appliedDiscounts } = await evaluateCoupons({
+      codes: getRequestedCodes(value),
+      user: req.user,
+      purchase: { purchaseType: 'module', amount: totalAmount, courseId: course._id, moduleIds },
+    })
     console.log('Final price after discount:', discountedAmount)
 
     // Generate transaction ID
     const transactionId = crypto.randomBytes(16).toString('hex')
 
-    // Prepare SSL data
-    const sslData = {
-      store_id: process.env.SSLCOMMERZ_STORE_ID,
-      store_passwd: process.env.SSLCOMMERZ_STORE_PASSWORD,
-      total_amount: discountedAmount,
-      currency: 'BDT',
-      tran_id: transactionId,
-      success_url: `${process.env.API_BASE_URL}/api/payments/redirect`,
-      fail_url: `${process.env.API_BASE_URL}/api/payments/redirect`,
-      cancel_url: `${process.env.API_BASE_URL}/api/payments/redirect`,
-      ipn_url: `${process.env.API_BASE_URL}/api/payments/ipn`,
-      product_name: `${modules.length} Module(s) from ${course.title}`,
-      product_category: 'Course Modules',
-      product_profile: 'non-physical-goods',
-      cus_name: `${req.user.firstName} ${req.user.lastName}`,
-      cus_email: req.user.email,
-      cus_add1: value.shippingAddress.address,
-      cus_city: value.shippingAddress.city,
-      cus_country: value.shippingAddress.country,
-      cus_phone: value.shippingAddress.phone,
-      shipping_method: 'NO',
-      num_of_item: modules.length,
-      emi_option: 0,
-      value_a: course._id.toString(),
-      value_b: 'module',
-      value_c: req.user._id.toString(),
-      value_d: moduleIds.join(','),
+    const customerDetails = {
+      name: `${req.user.firstName} ${req.user.lastName}`,
+      email: req.user.email,
+      ...value.shippingAddress,
     }
 
-    console.log('Amount being sent to SSLCommerz:', sslData.total_amount)
-
-    // First initialize payment with SSLCommerz
-    const sslResponse = await initiatePayment(sslData)
-
-    if (!sslResponse?.GatewayPageURL || !sslResponse?.sessionkey) {
-      console.error('SSLCommerz initialization failed:', sslResponse)
-      return next(new AppError('Failed to initialize payment gateway', 500))
-    }
+    // First initialize the payment with the gateway
+    const gateway = getGateway()
+    const checkout = await gateway.initiate({
+      transactionId,
+      amount: discountedAmount,
+      currency: 'BDT',
+      productName: `${modules.length} Module(s) from ${course.title}`,
+      productCategory: 'Course Modules',
+      itemCount: modules.length,
+      customer: customerDetails,
+      metadata: { referenceId: course._id.toString(), purchaseType: 'module', userId: req.user._id.toString(), moduleIds },
+    })
 
     // create payment record
     const paymentData = {
@@ -773,19 +743,17 @@ exports.initiateModulePayment = async (req, res, next) => {
       purchaseType: 'module',
       modules: moduleIds,
       amount: totalAmount,
-      discount: discount,
+      discount: appliedDiscounts[0]?.discount,
+      appliedDiscounts,
       discountedAmount: discountedAmount,
       transactionId: transactionId,
-      customerDetails: {
-        name: `${req.user.firstName} ${req.user.lastName}`,
-        email: req.user.email,
-        ...value.shippingAddress,
-      },
+      gateway: gateway.name,
+      customerDetails,
       status: 'pending',
       redirectStatus: 'pending',
       ipnStatus: 'pending',
-      sslcommerzSessionKey: sslResponse.sessionkey,
-      gatewayPageURL: sslResponse.GatewayPageURL,
+      sslcommerzSessionKey: checkout.sessionKey,
+      gatewayPageURL: checkout.gatewayPageURL,
     }
 
     const payment = await Payment.create(paymentData)
@@ -800,7 +768,7 @@ exports.initiateModulePayment = async (req, res, next) => {
         amount: discountedAmount,
         modulesCount: modules.length,
         moduleDetails: modules.map((m) => ({ id: m._id.toString(), title: m.title, price: m.price })),
-        gatewayRedirectURL: sslResponse.GatewayPageURL,
+        gatewayRedirectURL: checkout.gatewayPageURL,
       },
     })
   } catch (error) {
@@ -809,13 +777,112 @@ exports.initiateModulePayment = async (req, res, next) => {
   }
 }
 
+// Pay for a bundle or learning path. Every included course is granted when the payment completes
+exports.initiateBundlePayment = async (req, res, next) => {
+  try {
+    const { error, value } = initiatePaymentSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const bundle = await Bundle.findOne({
+      _id: req.params.bundleId,
+      isPublished: true,
+      isDeleted: false,
+    })
+
+    if (!bundle) {
+      return next(new AppError('Bundle not found', 404))
+    }
+
+    const courses = await Course.find({
+      _id: { $in: bundle.courses.map((c) => c.course) },
+      isDeleted: false,
+    }).select('_id title')
+
+    if (courses.length !== bundle.courses.length) {
+      return next(new AppError('One or more courses in this bundle are no longer available', 400))
+    }
+
+    // At least one course must still be missing full access
+    const accessChecks = await Promise.all(courses.map((course) => verifyAccess(req.user._id, course._id)))
+    if (!accessChecks.some(Boolean)) {
+      return next(new AppError('You already have access to every course in this bundle', 400))
+    }
+
+    const { finalAmount: discountedAmount, appliedDiscounts } = await evaluateCoupons({
+      codes: getRequestedCodes(value),
+      user: req.user,
+      purchase: { purchaseType: 'bundle', amount: bundle.price },
+    })
+    const transactionId = crypto.randomBytes(16).toString('hex')
+
+    const customerDetails = {
+      name: `${req.user.firstName} ${req.user.lastName}`,
+      email: req.user.email,
+      ...value.shippingAddress,
+    }
+
+    const gateway = getGateway()
+    const checkout = await gateway.initiate({
+      transactionId,
+      amount: discountedAmount,
+      currency: 'BDT',
+      productName: bundle.title,
+      productCategory: bundle.type === 'path' ? 'Learning Path' : 'Course Bundle',
+      itemCount: courses.length,
+      customer: customerDetails,
+      metadata: { referenceId: bundle._id.toString(), purchaseType: 'bundle', userId: req.user._id.toString() },
+    })
+
+    await Payment.create({
+      user: req.user._id,
+      purchaseType: 'bundle',
+      bundle: bundle._id,
+      amount: bundle.price,
+      originalAmount: bundle.price,
+      discount: appliedDiscounts[0]?.discount,
+      appliedDiscounts,
+      discountedAmount,
+      transactionId,
+      gateway: gateway.name,
+      customerDetails,
+      status: 'pending',
+      sslcommerzSessionKey: checkout.sessionKey,
+      gatewayPageURL: checkout.gatewayPageURL,
+    })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Bundle payment initialized successfully',
+      data: {
+        transactionId,
+        bundlePrice: bundle.price,
+        finalAmount: discountedAmount,
+        courses: courses.map((course) => ({ id: course._id.toString(), title: course.title })),
+        gatewayRedirectURL: checkout.gatewayPageURL,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 exports.handlePaymentRedirect = async (req, res, next) => {
   const session = await mongoose.startSession()
   session.startTransaction()
 
   try {
     console.log('Payment redirect data:', req.body)
-    const { status, tran_id, val_id } = req.body
+    const gateway = getGateway(req.params.gateway || 'sslcommerz')
+    const callback = gateway.parseRedirect(req.body)
+    const { transactionId: tran_id, validationId: val_id } = callback
 
     // Find the payment record
     const payment = await Payment.findOne({
@@ -823,22 +890,24 @@ exports.handlePaymentRedirect = async (req, res, next) => {
       status: { $in: ['pending', 'processing'] },
     }).session(session)
 
-    if (!payment) {
+    if (!payment || payment.gateway !== gateway.name) {
       console.error('Payment not found for transaction:', tran_id)
       await session.abortTransaction()
       return res.redirect(`${process.env.FRONTEND_URL}/payment/verify-payment/error?message=invalid_transaction`)
     }
 
-    // Verify course exists
-    const course = await Course.findOne({
-      _id: payment.course,
-      isDeleted: false,
-    }).session(session)
+    // Verify course exists. Bundle courses are checked when the enrollment is processed
+    if (['course', 'module'].includes(payment.purchaseType)) {
+      const course = await Course.findOne({
+        _id: payment.course,
+        isDeleted: false,
+      }).session(session)
 
-    if (!course) {
-      console.error('Course not found:', payment.course)
-      await session.abortTransaction()
-      return res.redirect(`${process.env.FRONTEND_URL}/payment/verify-payment/error?message=course_not_found`)
+      if (!course) {
+        console.error('Course not found:', payment.course)
+        await session.abortTransaction()
+        return res.redirect(`${process.env.FRONTEND_URL}/payment/verify-payment/error?message=course_not_found`)
+      }
     }
 
     // For module purchases, verify all modules exist
@@ -857,48 +926,39 @@ exports.handlePaymentRedirect = async (req, res, next) => {
     }
 
     let redirectStatus
-    switch (status?.toUpperCase()) {
-      case 'VALID':
+    let underReview = false
+    switch (callback.status) {
+      case 'success': {
         redirectStatus = 'success'
-        if (redirectStatus === 'success') {
-          try {
-            // Process enrollment
-            await processEnrollment(payment.user, payment.course, payment.purchaseType, payment.modules || [], session)
-
-            // Update payment status
-            payment.status = 'completed'
-            payment.completedAt = new Date()
-            await payment.save({ session })
-
-            // Update course total students if this is their first enrollment
-            const existingEnrollment = await User.findOne({
-              _id: payment.user,
-              'enrolledCourses.course': payment.course,
-            }).session(session)
-
-            if (!existingEnrollment) {
-              await Course.updateOne({ _id: payment.course }, { $inc: { totalStudents: 1 } }, { session })
-            }
-
-            // Update discount usage if applicable
-            if (payment.discount) {
-              await Discount.updateOne({ _id: payment.discount }, { $inc: { usedCount: 1 } }, { session })
-            }
-          } catch (enrollmentError) {
-            console.error('Enrollment processing error:', enrollmentError)
-            redirectStatus = 'failed'
-            payment.status = 'failed'
-            payment.failureReason = enrollmentError.message
-            await payment.save({ session })
-          }
+
+        // Never trust the posted status on its own, confirm it with the gateway
+        const verification = await gateway.validate(callback)
+        const failureReason = getVerificationFailure(payment, verification)
+
+        if (failureReason) {
+          console.error(`Payment ${tran_id} could not be verified: ${failureReason}`)
+          redirectStatus = 'failed'
+          payment.status = 'failed'
+          payment.failureReason = failureReason
+          await payment.save({ session })
+          break
+        }
+
+        payment.validationResponse = verification.raw
+        payment.bankTransactionId = verification.gatewayTransactionId
+        payment.paymentMethod = verification.paymentMethod
+
+        try {
+          // Process enrollment and mark the payment completed
+          await completePaymentEnrollment(payment, session)
+        } catch (enrollmentError) {
+          console.error('Enrollment processing error:', enrollmentError)
+          await flagUnfulfilledPayment(payment, enrollmentError, session)
+          underReview = true
         }
         break
-      case 'FAILED':
-        redirectStatus = 'failed'
-        payment.status = 'failed'
-        await payment.save({ session })
-        break
-      case 'CANCELLED':
+      }
+      case 'cancelled':
         redirectStatus = 'cancelled'
         payment.status = 'cancelled'
         await payment.save({ session })
@@ -924,9 +984,18 @@ exports.handlePaymentRedirect = async (req, res, next) => {
 
     await session.commitTransaction()
 
+    if (underReview) {
+      await notifyPaymentUnderReview(payment)
+    } else if (redirectStatus === 'success') {
+      await notifyPaymentCompleted(payment)
+    }
+
     // Construct redirect URL
     let redirectUrl = process.env.FRONTEND_URL
-    switch (redirectStatus) {
+    switch (underReview ? 'review' : redirectStatus) {
+      case 'review':
+        redirectUrl += `/payment/verify-payment/error?message=payment_under_review&tran_id=${tran_id}`
+        break
       case 'success':
         redirectUrl += `/payment/verify-payment/success?tran_id=${tran_id}&val_id=${val_id}`
         break
@@ -958,53 +1027,86 @@ exports.handlePaymentRedirect = async (req, res, next) => {
   }
 }
 
+// Server-to-server notification. It can arrive before or after the redirect, or be the only
+// confirmation when the learner never returns from the gateway
 exports.handleIPN = async (req, res, next) => {
   const session = await mongoose.startSession()
   session.startTransaction()
 
   try {
     console.log('IPN Notification received:', req.body)
+    const gateway = getGateway(req.params.gateway || 'sslcommerz')
 
-    const { error, value } = ipnValidationSchema.validate(req.body)
-    if (error) {
-      console.error('IPN validation error:', error.details)
+    const notification = gateway.parseIpn(req.body)
+    if (!notification) {
+      await session.abortTransaction()
       return res.status(200).json({
         status: 'error',
         message: 'Invalid IPN data',
       })
     }
 
-    // Verify IPN authenticity
-    const isValidIPN = await validateIPN(value)
-    if (!isValidIPN) {
-      console.error('Invalid IPN signature')
-      return res.status(200).json({
-        status: 'error',
-        message: 'Invalid IPN signature',
-      })
-    }
-
-    const { tran_id, status, amount, bank_tran_id, card_type } = value
-
     const payment = await Payment.findOne({
-      transactionId: tran_id,
+      transactionId: notification.transactionId,
     }).session(session)
 
-    if (!payment) {
-      console.error('Payment not found:', tran_id)
+    if (!payment || payment.gateway !== gateway.name) {
+      console.error('Payment not found:', notification.transactionId)
       await session.abortTransaction()
       return res.status(200).json({ status: 'error', message: 'Invalid transaction' })
     }
 
+    // Verify IPN authenticity. Only successful payments can be confirmed with the gateway
+    let verification = null
+    if (notification.status === 'success') {
+      verification = await gateway.validate(notification)
+      if (!verification.valid) {
+        console.error('Invalid IPN signature')
+        await session.abortTransaction()
+        return res.status(200).json({
+          status: 'error',
+          message: 'Invalid IPN signature',
+        })
+      }
+    }
+
     // Store the IPN response
     payment.ipnResponse = req.body
-    payment.ipnStatus = status === 'VALID' ? 'success' : 'failed'
-    payment.bankTransactionId = bank_tran_id
-    payment.paymentMethod = card_type
+    payment.ipnStatus = verification ? 'success' : 'failed'
+
+    let completed = false
+    let underReview = false
+    if (verification) {
+      payment.bankTransactionId = verification.gatewayTransactionId
+      payment.paymentMethod = verification.paymentMethod
+
+      // Finish payments the redirect never completed. Late IPNs for completed payments are only recorded
+      const failureReason = getVerificationFailure(payment, verification)
+      if (['pending', 'processing'].includes(payment.status) && !failureReason) {
+        payment.validationResponse = verification.raw
+
+        try {
+          await completePaymentEnrollment(payment, session)
+          completed = true
+        } catch (enrollmentError) {
+          console.error('Enrollment processing error:', enrollmentError)
+          await flagUnfulfilledPayment(payment, enrollmentError, session)
+          underReview = true
+        }
+      } else if (failureReason) {
+        console.error(`IPN for ${payment.transactionId} not applied: ${failureReason}`)
+      }
+    }
 
     await payment.save({ session })
     await session.commitTransaction()
 
+    if (completed) {
+      await notifyPaymentCompleted(payment)
+    } else if (underReview) {
+      await notifyPaymentUnderReview(payment)
+    }
+
     return res.status(200).json({ status: 'success' })
   } catch (error) {
     console.error('IPN handling error:', error)
@@ -1015,6 +1117,42 @@ exports.handleIPN = async (req, res, next) => {
   }
 }
 
+// Sandbox checkout page the mock gateway sends learners to instead of a hosted payment page
+exports.getMockCheckout = async (req, res, next) => {
+  try {
+    const html = getGateway('mock').renderCheckout(req.params.transactionId)
+
+    // The form redirects through the API back to the frontend, which helmet's default policy would block
+    res.set('Content-Security-Policy', `default-src 'none'; style-src 'unsafe-inline'; form-action 'self' ${process.env.FRONTEND_URL}`)
+    res.status(200).send(html)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Settle a sandbox checkout and hand the browser to the redirect handler, as a real gateway would
+exports.submitMockCheckout = async (req, res, next) => {
+  try {
+    const { error, value } = mockCheckoutSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const redirectUrl = getGateway('mock').submitCheckout(value.transactionId, { outcome: value.outcome, ipn: value.ipn })
+
+    // 307 replays the same POST body against the redirect handler
+    res.redirect(307, redirectUrl)
+  } catch (error) {
+    next(error)
+  }
+}
+
 exports.verifyPayment = async (req, res, next) => {
   const session = await mongoose.startSession()
   session.startTransaction()
@@ -1056,50 +1194,55 @@ exports.verifyPayment = async (req, res, next) => {
       })
     }
 
-    try {
-      // Process enrollment
-      await processEnrollment(payment.user, payment.course, payment.purchaseType, payment.modules || [], session)
-
-      // Update payment record
-      payment.status = 'completed'
-      payment.completedAt = new Date()
-      await payment.save({ session })
+    // Confirm with the gateway that processed the payment before granting access
+    const verification = await getGateway(payment.gateway).validate({ transactionId: tran_id, validationId: val_id })
+    const failureReason = getVerificationFailure(payment, verification)
+    if (failureReason) {
+      await session.abortTransaction()
+      return next(new AppError(failureReason, 400))
+    }
 
-      // Update course total students if needed
-      const existingEnrollment = await User.findOne({
-        _id: payment.user,
-        'enrolledCourses.course': payment.course,
-      }).session(session)
+    payment.validationResponse = verification.raw
+    payment.bankTransactionId = verification.gatewayTransactionId
+    payment.paymentMethod = verification.paymentMethod
 
-      if (!existingEnrollment) {
-        await Course.updateOne({ _id: payment.course }, { $inc: { totalStudents: 1 } }, { session })
-      }
+    let underReview = false
+    try {
+      // Process enrollment and mark the payment completed
+      await completePaymentEnrollment(payment, session)
+    } catch (enrollmentError) {
+      console.error('Enrollment processing error:', enrollmentError)
+      await flagUnfulfilledPayment(payment, enrollmentError, session)
+      underReview = true
+    }
 
-      // Update discount usage if applicable
-      if (payment.discount) {
-        await Discount.updateOne({ _id: payment.discount }, { $inc: { usedCount: 1 } }, { session })
-      }
+    await session.commitTransaction()
 
-      await session.commitTransaction()
+    if (underReview) {
+      await notifyPaymentUnderReview(payment)
 
       return res.status(200).json({
         status: 'success',
         data: {
           verified: true,
+          accessGranted: false,
+          message: 'Payment received, but access could not be granted. Our team will set it up or refund you',
           transactionId: tran_id,
-          amount: payment.discountedAmount || payment.amount,
-          completedAt: payment.completedAt,
         },
       })
-    } catch (enrollmentError) {
-      console.error('Enrollment processing error:', enrollmentError)
-      payment.status = 'failed'
-      payment.failureReason = 'Enrollment processing failed'
-      payment.verificationResponse.enrollmentError = enrollmentError.message
-      await payment.save({ session })
-      await session.abortTransaction()
-      throw enrollmentError
     }
+
+    await notifyPaymentCompleted(payment)
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        verified: true,
+        transactionId: tran_id,
+        amount: payment.discountedAmount || payment.amount,
+        completedAt: payment.completedAt,
+      },
+    })
   } catch (error) {
     console.error('Payment verification error:', error)
     await session.abortTransaction()
@@ -1115,6 +1258,8 @@ exports.getPaymentHistory = async (req, res, next) => {
       .sort({ createdAt: -1 })
       .populate('course', 'title')
       .populate('modules', 'title')
+      .populate('bundle', 'title type')
+      .populate('subscriptionPlan', 'name interval')
       .select('-sslcommerzSessionKey -gatewayData -ipnResponse -verificationResponse')
 
     res.status(200).json({
@@ -1134,6 +1279,9 @@ exports.getPaymentDetails = async (req, res, next) => {
     })
       .populate('course', 'title')
       .populate('modules', 'title')
+      .populate('bundle', 'title type')
+      .populate('bundleCourses', 'title')
+      .populate('subscriptionPlan', 'name interval')
       .select('-sslcommerzSessionKey -gatewayData')
 
     if (!payment) {
@@ -1158,4 +1306,348 @@ exports.getPaymentDetails = async (req, res, next) => {
   } catch (error) {
     next(error)
   }
-}
\ No newline at end of file
+}
+
+// Download the invoice for a completed payment as PDF (default) or HTML. Admins can fetch any learner's invoice
+exports.getPaymentInvoice = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'pdf'
+    if (!['pdf', 'html'].includes(format)) {
+      return next(new AppError('Format must be pdf or html', 400))
+    }
+
+    const filter = { _id: req.params.paymentId }
+    if (!['admin', 'subAdmin'].includes(req.user.role)) {
+      filter.user = req.user._id
+    }
+
+    const payment = await Payment.findOne(filter)
+    if (!payment) {
+      return next(new AppError('Payment not found', 404))
+    }
+
+    // Refunded payments were completed once, so their invoice stays available
+    if (!['completed', 'refunded'].includes(payment.status)) {
+      return next(new AppError('Invoices are only available for completed payments', 400))
+    }
+
+    // Payments completed before invoicing existed get their invoice on first download
+    const invoice = await issueInvoice(payment)
+
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8')
+      return res.status(200).send(renderInvoiceHtml(invoice))
+    }
+
+    const pdfBuffer = await generateInvoicePdf(invoice)
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="invoice-${invoice.invoiceNumber}.pdf"`,
+      'Content-Length': pdfBuffer.length,
+    })
+    res.status(200).send(pdfBuffer)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// PAYMENT RECONCILIATION
+
+// Payments still pending after this long are checked against the gateway
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 30
+// Payments the gateway never confirmed are failed after this long
+const PAYMENT_EXPIRY_HOURS = parseInt(process.env.PAYMENT_EXPIRY_HOURS) || 24
+const RECONCILE_BATCH_SIZE = 100
+
+// Check a single stale payment against SSLCommerz and finalize or fail it
+async function reconcilePayment(payment, expiresBefore) {
+  const item = {
+    payment: payment._id,
+    transactionId: payment.transactionId,
+    previousStatus: payment.status,
+    newStatus: payment.status,
+  }
+
+  const transaction = await getGateway(payment.gateway).query(payment.transactionId)
+  if (!transaction.reachable) {
+    return { ...item, gatewayStatus: transaction.gatewayStatus, action: 'error', message: 'Transaction query failed' }
+  }
+
+  item.gatewayStatus = transaction.gatewayStatus
+
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    // Re-read inside the transaction in case the redirect arrived meanwhile
+    const current = await Payment.findOne({
+      _id: payment._id,
+      status: { $in: ['pending', 'processing'] },
+    }).session(session)
+
+    if (!current) {
+      await session.abortTransaction()
+      return { ...item, action: 'unchanged', message: 'Payment was processed during reconciliation' }
+    }
+
+    current.lastReconciledAt = new Date()
+
+    if (transaction.status === 'completed') {
+      const expectedAmount = current.discountedAmount ?? current.amount
+
+      if (Math.abs(transaction.amount - expectedAmount) > 0.01) {
+        await current.save({ session })
+        await session.commitTransaction()
+        return { ...item, action: 'unchanged', message: `Amount mismatch: paid ${transaction.amount}, expected ${expectedAmount}` }
+      }
+
+      current.validationResponse = transaction.raw
+      current.bankTransactionId = transaction.gatewayTransactionId
+      current.paymentMethod = transaction.paymentMethod
+
+      try {
+        // Process enrollment and mark the payment completed
+        await completePaymentEnrollment(current, session)
+        item.action = 'completed'
+        item.message = 'Payment confirmed by gateway'
+      } catch (enrollmentError) {
+        console.error('Enrollment processing error during reconciliation:', enrollmentError)
+        await flagUnfulfilledPayment(current, enrollmentError, session)
+        item.action = 'completed'
+        item.message = `Payment confirmed by gateway but flagged for review: ${enrollmentError.message}`
+      }
+    } else if (['failed', 'cancelled'].includes(transaction.status)) {
+      current.status = transaction.status
+      current.failureReason = `Gateway reported ${item.gatewayStatus}`
+      await current.save({ session })
+      item.action = 'failed'
+      item.message = current.failureReason
+    } else if (current.createdAt < expiresBefore) {
+      current.status = 'failed'
+      current.failureReason = 'Payment expired without confirmation from the gateway'
+      await current.save({ session })
+      item.action = 'failed'
+      item.message = current.failureReason
+    } else {
+      await current.save({ session })
+      item.action = 'unchanged'
+      item.message = 'Payment not yet confirmed by gateway'
+    }
+
+    await session.commitTransaction()
+
+    if (current.enrollmentFailed) {
+      await notifyPaymentUnderReview(current)
+    } else if (item.action === 'completed') {
+      await notifyPaymentCompleted(current)
+    }
+
+    item.newStatus = current.status
+    return item
+  } catch (error) {
+    await session.abortTransaction()
+    throw error
+  } finally {
+    session.endSession()
+  }
+}
+
+// Reconcile all stale pending payments and store a report. Used by the scheduler and the admin endpoint
+exports.runPaymentReconciliation = async ({ trigger = 'scheduled', triggeredBy = null } = {}) => {
+  const startedAt = new Date()
+  const staleBefore = new Date(startedAt.getTime() - RECONCILE_AFTER_MINUTES * 60 * 1000)
+  const expiresBefore = new Date(startedAt.getTime() - PAYMENT_EXPIRY_HOURS * 60 * 60 * 1000)
+
+  const stalePayments = await Payment.find({
+    status: { $in: ['pending', 'processing'] },
+    createdAt: { $lte: staleBefore },
+    transactionId: { $exists: true },
+  })
+    .sort({ createdAt: 1 })
+    .limit(RECONCILE_BATCH_SIZE)
+
+  const summary = { checked: 0, completed: 0, failed: 0, unchanged: 0, errors: 0 }
+  const items = []
+
+  for (const payment of stalePayments) {
+    let item
+    try {
+      item = await reconcilePayment(payment, expiresBefore)
+    } catch (error) {
+      console.error(`Reconciliation error for transaction ${payment.transactionId}:`, error)
+      item = {
+        payment: payment._id,
+        transactionId: payment.transactionId,
+        previousStatus: payment.status,
+        newStatus: payment.status,
+        action: 'error',
+        message: error.message,
+      }
+    }
+
+    items.push(item)
+    summary.checked += 1
+    summary[item.action === 'error' ? 'errors' : item.action] += 1
+  }
+
+  const report = await PaymentReconciliationReport.create({
+    trigger,
+    triggeredBy,
+    startedAt,
+    finishedAt: new Date(),
+    staleBefore,
+    summary,
+    items,
+  })
+
+  return report
+}
+
+// Admin: list reconciliation reports
+exports.getReconciliationReports = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    const totalReports = await PaymentReconciliationReport.countDocuments()
+
+    const reports = await PaymentReconciliationReport.find()
+      .select('-items')
+      .populate('triggeredBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+
+    const totalPages = Math.ceil(totalReports / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Reconciliation reports fetched successfully',
+      data: {
+        reports,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalReports,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: get a single reconciliation report with per-payment results
+exports.getReconciliationReport = async (req, res, next) => {
+  try {
+    const report = await PaymentReconciliationReport.findById(req.params.reportId)
+      .populate('triggeredBy', 'firstName lastName email')
+      .populate('items.payment', 'user course purchaseType amount discountedAmount status')
+
+    if (!report) {
+      return next(new AppError('Reconciliation report not found', 404))
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: report,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: run reconciliation now instead of waiting for the schedule
+exports.triggerReconciliation = async (req, res, next) => {
+  try {
+    const report = await exports.runPaymentReconciliation({ trigger: 'manual', triggeredBy: req.user._id })
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Payment reconciliation completed',
+      data: report,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: list paid payments flagged for review, oldest first
+exports.getPaymentsForReview = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    const filter = { needsReview: true }
+
+    const [totalPayments, payments] = await Promise.all([
+      Payment.countDocuments(filter),
+      Payment.find(filter)
+        .select('user course bundle subscriptionPlan purchaseType modules amount discountedAmount appliedDiscounts status transactionId completedAt reviewReason')
+        .populate('user', 'firstName lastName email')
+        .populate('course', 'title')
+        .populate('bundle', 'title')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+    ])
+
+    const totalPages = Math.ceil(totalPayments / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Payments needing review fetched successfully',
+      data: {
+        payments,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalPayments,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: mark a flagged payment as resolved once it has been handled, e.g. enrolled by hand or refunded
+exports.resolvePaymentReview = async (req, res, next) => {
+  try {
+    const { error, value } = resolveReviewSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+      { _id: req.params.paymentId, needsReview: true },
+      { $set: { needsReview: false, reviewedAt: new Date(), reviewedBy: req.user._id, reviewNote: value.reviewNote } },
+      { new: true }
+    )
+
+    if (!payment) {
+      return next(new AppError('Payment not found or not flagged for review', 404))
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Payment review resolved',
+      data: payment,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
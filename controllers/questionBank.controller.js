@@ -0,0 +1,484 @@
+// questionBank.controller.js
+const Joi = require('joi')
+const mongoose = require('mongoose')
+const { QuestionBank, BankQuestion, Course, Quiz } = require('../models')
+const { AppError } = require('../utils/errors')
+const { questionInputSchema, QUESTION_FIELDS } = require('../utils/quizQuestions')
+const { IMPORT_FORMATS, detectFormat, parseQuestionFile, validateImportedQuestions, exportQuestions } = require('../utils/quizFormats')
+
+// Validation Schemas
+const objectId = Joi.string()
+  .regex(/^[0-9a-fA-F]{24}$/)
+  .messages({ 'string.pattern.base': 'Invalid ID' })
+
+const createQuestionBankSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200).required(),
+  description: Joi.string().trim().max(2000).allow(''),
+  course: objectId.allow(null),
+}).options({ abortEarly: false })
+
+const updateQuestionBankSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200),
+  description: Joi.string().trim().max(2000).allow(''),
+  course: objectId.allow(null),
+})
+  .min(1)
+  .options({ abortEarly: false })
+
+const bankQuestionSchema = questionInputSchema.keys({
+  tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).unique().default([]),
+  difficulty: Joi.string().valid('easy', 'medium', 'hard').default('medium'),
+})
+
+const addBankQuestionsSchema = Joi.object({
+  questions: Joi.array().items(bankQuestionSchema).min(1).max(200).required(),
+}).options({ abortEarly: false })
+
+const importQuestionsSchema = Joi.object({
+  // Taken from the file extension when not given
+  format: Joi.string().valid(...IMPORT_FORMATS),
+  dryRun: Joi.boolean().default(false),
+}).options({ abortEarly: false })
+
+// Nested question errors are reported by their full path, e.g. questions.2.options
+const formatValidationErrors = (error) =>
+  error.details.map((detail) => ({
+    field: detail.path.join('.'),
+    message: detail.message,
+  }))
+
+// Helper Functions
+async function findBank(bankId) {
+  const bank = await QuestionBank.findOne({ _id: bankId, isDeleted: false })
+  if (!bank) {
+    throw new AppError('Question bank not found', 404)
+  }
+  return bank
+}
+
+async function checkCourse(courseId) {
+  if (courseId && !(await Course.exists({ _id: courseId, isDeleted: false }))) {
+    throw new AppError('Course not found', 404)
+  }
+}
+
+// Question content in a comparable form, ignoring subdocument IDs
+const getQuestionContent = (question) =>
+  JSON.stringify(
+    QUESTION_FIELDS.map((field) => {
+      const value = question[field]
+      if (field === 'options') return (value || []).map((opt) => ({ option: opt.option, isCorrect: opt.isCorrect }))
+      if (field === 'pairs') return (value || []).map((pair) => ({ prompt: pair.prompt, match: pair.match }))
+      return Array.isArray(value) && !value.length ? undefined : value
+    })
+  )
+
+// Create Question Bank
+exports.createQuestionBank = async (req, res, next) => {
+  try {
+    const { error, value } = createQuestionBankSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    await checkCourse(value.course)
+
+    const bank = await QuestionBank.create({
+      ...value,
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Question bank created successfully',
+      data: bank,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// List question banks with how many questions each holds
+exports.getQuestionBanks = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    const filter = { isDeleted: false }
+    if (req.query.course) {
+      filter.course = req.query.course
+    }
+
+    const [totalBanks, banks] = await Promise.all([
+      QuestionBank.countDocuments(filter),
+      QuestionBank.find(filter).populate('course', 'title').populate('createdBy', 'firstName lastName').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    ])
+
+    const counts = await BankQuestion.aggregate([
+      { $match: { bank: { $in: banks.map((bank) => bank._id) }, isDeleted: false } },
+      { $group: { _id: '$bank', questionCount: { $sum: 1 } } },
+    ])
+
+    const totalPages = Math.ceil(totalBanks / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question banks fetched successfully',
+      data: {
+        banks: banks.map((bank) => ({
+          ...bank,
+          questionCount: counts.find((c) => c._id.toString() === bank._id.toString())?.questionCount || 0,
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalBanks,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get Question Bank with the tags and difficulties available for quiz rules
+exports.getQuestionBank = async (req, res, next) => {
+  try {
+    const bank = await QuestionBank.findOne({ _id: req.params.bankId, isDeleted: false }).populate('course', 'title').populate('createdBy', 'firstName lastName').lean()
+
+    if (!bank) {
+      return next(new AppError('Question bank not found', 404))
+    }
+
+    const match = { bank: bank._id, isDeleted: false }
+
+    const [questionCount, difficulties, tags, usedByQuizzes] = await Promise.all([
+      BankQuestion.countDocuments(match),
+      BankQuestion.aggregate([{ $match: match }, { $group: { _id: '$difficulty', count: { $sum: 1 } } }, { $project: { _id: 0, difficulty: '$_id', count: 1 } }]),
+      BankQuestion.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        {
+          $group: {
+            _id: '$tags',
+            count: { $sum: 1 },
+            easy: { $sum: { $cond: [{ $eq: ['$difficulty', 'easy'] }, 1, 0] } },
+            medium: { $sum: { $cond: [{ $eq: ['$difficulty', 'medium'] }, 1, 0] } },
+            hard: { $sum: { $cond: [{ $eq: ['$difficulty', 'hard'] }, 1, 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, tag: '$_id', count: 1, easy: 1, medium: 1, hard: 1 } },
+      ]),
+      Quiz.countDocuments({ 'bankRules.bank': bank._id, isDeleted: false }),
+    ])
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question bank fetched successfully',
+      data: {
+        ...bank,
+        questionCount,
+        difficulties,
+        tags,
+        usedByQuizzes,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update Question Bank
+exports.updateQuestionBank = async (req, res, next) => {
+  try {
+    const { error, value } = updateQuestionBankSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const bank = await findBank(req.params.bankId)
+    await checkCourse(value.course)
+
+    Object.assign(bank, value)
+    await bank.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question bank updated successfully',
+      data: bank,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete Question Bank. Banks that quizzes still draw from can't be deleted
+exports.deleteQuestionBank = async (req, res, next) => {
+  const session = await mongoose.startSession()
+
+  try {
+    const bank = await findBank(req.params.bankId)
+
+    const quizCount = await Quiz.countDocuments({ 'bankRules.bank': bank._id, isDeleted: false })
+    if (quizCount > 0) {
+      return next(new AppError(`This question bank is used by ${quizCount} quiz(zes). Remove it from their rules first`, 400))
+    }
+
+    session.startTransaction()
+
+    bank.isDeleted = true
+    await bank.save({ session })
+    await BankQuestion.updateMany({ bank: bank._id }, { isDeleted: true }, { session })
+
+    await session.commitTransaction()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question bank deleted successfully',
+    })
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction()
+    }
+    next(error)
+  } finally {
+    session.endSession()
+  }
+}
+
+// List a bank's questions. Filter with ?tags=a,b (all required), ?difficulty= and ?type=
+exports.getBankQuestions = async (req, res, next) => {
+  try {
+    const bank = await findBank(req.params.bankId)
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    const skip = (page - 1) * limit
+
+    const filter = { bank: bank._id, isDeleted: false }
+    if (req.query.tags) {
+      filter.tags = { $all: req.query.tags.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean) }
+    }
+    if (req.query.difficulty) {
+      filter.difficulty = req.query.difficulty
+    }
+    if (req.query.type) {
+      filter.type = req.query.type
+    }
+
+    const [totalQuestions, questions] = await Promise.all([
+      BankQuestion.countDocuments(filter),
+      BankQuestion.find(filter).select('-isDeleted').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    ])
+
+    const totalPages = Math.ceil(totalQuestions / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Bank questions fetched successfully',
+      data: {
+        questions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalQuestions,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Add one or more questions to a bank
+exports.addBankQuestions = async (req, res, next) => {
+  try {
+    const { error, value } = addBankQuestionsSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const bank = await findBank(req.params.bankId)
+
+    const questions = await BankQuestion.insertMany(value.questions.map((question) => ({ ...question, bank: bank._id })))
+
+    res.status(201).json({
+      status: 'success',
+      message: `${questions.length} question(s) added successfully`,
+      data: questions,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Replace a bank question. Content changes start a new version, attempts keep the version they were served
+exports.updateBankQuestion = async (req, res, next) => {
+  try {
+    const { error, value } = bankQuestionSchema.validate(req.body, { abortEarly: false })
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const bank = await findBank(req.params.bankId)
+
+    const question = await BankQuestion.findOne({ _id: req.params.questionId, bank: bank._id, isDeleted: false })
+    if (!question) {
+      return next(new AppError('Question not found', 404))
+    }
+
+    const previousContent = getQuestionContent(question)
+
+    // Fields of the previous type that the new one doesn't use are cleared
+    QUESTION_FIELDS.forEach((field) => question.set(field, value[field]))
+    question.tags = value.tags
+    question.difficulty = value.difficulty
+
+    if (getQuestionContent(question) !== previousContent) {
+      question.version += 1
+    }
+
+    await question.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question updated successfully',
+      data: question,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete a bank question. Attempts that were served it keep their copy
+exports.deleteBankQuestion = async (req, res, next) => {
+  try {
+    const bank = await findBank(req.params.bankId)
+
+    const question = await BankQuestion.findOneAndUpdate({ _id: req.params.questionId, bank: bank._id, isDeleted: false }, { isDeleted: true })
+    if (!question) {
+      return next(new AppError('Question not found', 404))
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question deleted successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Import questions into a bank from a GIFT, QTI or CSV file. CSV rows can carry tags and difficulty.
+// With dryRun the file is only validated; otherwise nothing is saved unless the whole file is valid
+exports.importBankQuestions = async (req, res, next) => {
+  try {
+    const { error, value } = importQuestionsSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    if (!req.file) {
+      return next(new AppError('Please upload a question file', 400))
+    }
+
+    const format = value.format || detectFormat(req.file.originalname)
+    if (!format) {
+      return next(new AppError(`Could not tell the file format. Please choose one of: ${IMPORT_FORMATS.join(', ')}`, 400))
+    }
+
+    const bank = await findBank(req.params.bankId)
+
+    const { questions, errors } = validateImportedQuestions(parseQuestionFile(req.file.buffer, format), bankQuestionSchema)
+
+    if (value.dryRun) {
+      return res.status(200).json({
+        status: 'success',
+        message: errors.length ? `Dry run found ${errors.length} problem(s). No changes were saved` : 'Dry run completed. No changes were saved',
+        data: {
+          format,
+          questionCount: questions.length,
+          errorCount: errors.length,
+          errors,
+          questions,
+        },
+      })
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The file has errors. No questions were imported',
+        errors,
+      })
+    }
+
+    const inserted = await BankQuestion.insertMany(questions.map((question) => ({ ...question, bank: bank._id })))
+
+    res.status(201).json({
+      status: 'success',
+      message: `${inserted.length} question(s) imported successfully`,
+      data: {
+        format,
+        importedCount: inserted.length,
+        questions: inserted,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Download a bank's questions as a QTI 2.1 package (default), GIFT or CSV file
+exports.exportBankQuestions = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'qti'
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return next(new AppError(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`, 400))
+    }
+
+    const bank = await findBank(req.params.bankId)
+    const questions = await BankQuestion.find({ bank: bank._id, isDeleted: false }).sort({ createdAt: 1 }).lean()
+
+    const { body, contentType, fileName } = exportQuestions(questions, format, bank.title)
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    })
+    res.status(200).send(body)
+  } catch (error) {
+    next(error)
+  }
+}
@@ -1,6 +1,111 @@
+const Joi = require('joi')
 const mongoose = require('mongoose')
 const { Quiz, QuizAttempt, Lesson, Progress, User, LessonProgress, Module } = require('../models')
 const { AppError } = require('../utils/errors')
+const { createNotification } = require('../utils/notifications')
+const { questionInputSchema, toStudentQuestion, getCorrectAnswer, gradeAnswer, toSavedAnswer, isManuallyGraded } = require('../utils/quizQuestions')
+const { checkBankRules, drawBankQuestions } = require('../utils/questionBanks')
+const { MIN_RESPONSES, analyzeQuiz } = require('../utils/quizAnalysis')
+const { getModuleAccess } = require('../utils/moduleAccess')
+const { IMPORT_FORMATS, detectFormat, parseQuestionFile, validateImportedQuestions, exportQuestions } = require('../utils/quizFormats')
+
+// Expired attempts submitted per sweeper run
+const SWEEP_BATCH_SIZE = 200
+// Attempts that failed to auto-submit are tried again after this long
+const SWEEP_RETRY_MINUTES = 60
+
+// Validation Schemas
+// e.g. { bank, tags: ['scope-3-emissions'], difficulty: 'easy', count: 3 }
+const bankRuleSchema = Joi.object({
+  bank: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({ 'string.pattern.base': 'Invalid question bank ID' }),
+  tags: Joi.array().items(Joi.string().trim().lowercase()).unique().default([]),
+  difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+  count: Joi.number().integer().min(1).required(),
+})
+
+const createQuizSchema = Joi.object({
+  title: Joi.string().trim().required(),
+  quizTime: Joi.number().min(1).required(),
+  passingScore: Joi.number().min(0).max(100).default(50),
+  maxAttempts: Joi.number().integer().min(1).default(3),
+  questionPoolSize: Joi.number().integer().min(0).default(0),
+  submissionGracePeriod: Joi.number().integer().min(0).max(600).default(30),
+  questions: Joi.array().items(questionInputSchema).default([]),
+  bankRules: Joi.array().items(bankRuleSchema).default([]),
+})
+  .custom((quiz, helpers) => (quiz.questions.length || quiz.bankRules.length ? quiz : helpers.message('A quiz needs questions or question bank rules')))
+  .options({ abortEarly: false, stripUnknown: true })
+
+const updateQuizSchema = Joi.object({
+  title: Joi.string().trim(),
+  quizTime: Joi.number().min(1),
+  passingScore: Joi.number().min(0).max(100),
+  maxAttempts: Joi.number().integer().min(1),
+  questionPoolSize: Joi.number().integer().min(0),
+  submissionGracePeriod: Joi.number().integer().min(0).max(600),
+  questions: Joi.array().items(questionInputSchema),
+  bankRules: Joi.array().items(bankRuleSchema),
+}).options({ abortEarly: false, stripUnknown: true })
+
+const saveAnswersSchema = Joi.object({
+  answers: Joi.array()
+    .items(
+      Joi.object({
+        questionId: Joi.string()
+          .regex(/^[0-9a-fA-F]{24}$/)
+          .required()
+          .messages({ 'string.pattern.base': 'Invalid question ID' }),
+      }).unknown(true)
+    )
+    .max(500)
+    .required(),
+})
+
+const importQuestionsSchema = Joi.object({
+  // Taken from the file extension when not given
+  format: Joi.string().valid(...IMPORT_FORMATS),
+  dryRun: Joi.boolean().default(false),
+  // append adds to the quiz's questions, replace swaps them out
+  mode: Joi.string().valid('append', 'replace').default('append'),
+}).options({ abortEarly: false })
+
+// Nested question errors are reported by their full path, e.g. questions.2.options
+const formatValidationErrors = (error) =>
+  error.details.map((detail) => ({
+    field: detail.path.join('.'),
+    message: detail.message,
+  }))
+
+// A question from the quiz itself or the bank copy served in this attempt
+const findAttemptQuestion = (quiz, attempt, questionId) => quiz.questions.id(questionId) || attempt.servedQuestions?.id(questionId)
+
+// When an attempt's time runs out. Attempts started before deadlines were stored go by the quiz's time limit
+const getAttemptDeadline = (attempt, quiz) => attempt.expiresAt || new Date(attempt.startTime.getTime() + quiz.quizTime * 60 * 1000)
+
+// Submissions and saves are accepted until the deadline plus the quiz's grace period
+const getAutoSubmitTime = (attempt, quiz) => new Date(getAttemptDeadline(attempt, quiz).getTime() + (quiz.submissionGracePeriod || 0) * 1000)
+
+const isPastGracePeriod = (attempt, quiz, now = new Date()) => now.getTime() > getAutoSubmitTime(attempt, quiz).getTime()
+
+// Optional seconds spent on a question, capped at the quiz's time limit
+const readTimeSpent = (answer, quiz) => {
+  if (answer.timeSpent === undefined || answer.timeSpent === null) return undefined
+  const seconds = Number(answer.timeSpent)
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.min(Math.round(seconds), quiz.quizTime * 60) : undefined
+}
+
+// Answers saved on an in-progress attempt, as plain objects
+const getSavedAnswers = (attempt) => attempt.answers.map((answer) => answer.toObject())
+
+// Submitted answers take the place of saved ones, saved answers fill in the questions left out
+const mergeWithSavedAnswers = (attempt, answers) => {
+  const submitted = answers.filter((answer) => answer && answer.questionId)
+  const submittedIds = new Set(submitted.map((answer) => answer.questionId.toString()))
+  return [...submitted, ...getSavedAnswers(attempt).filter((answer) => !submittedIds.has(answer.questionId.toString()))]
+}
 
 //Helper functions
 async function hasPreviousLessonQuizPassed(userId, moduleId, currentLessonId) {
@@ -62,13 +167,153 @@ async function hasPreviousLessonQuizPassed(userId, moduleId, currentLessonId) {
   }
 }
 
+// Grade answers against the questions of this attempt, ignoring answers to questions it wasn't served
+function gradeAttemptAnswers(quiz, attempt, answers) {
+  let totalScore = 0
+  let totalPossibleMarks = 0
+  const processedAnswers = []
+  let needsManualGrading = false
+
+  // Get the set of questions for this attempt
+  const questionSet = (attempt.questionSet || []).map((id) => id.toString())
+  const questionsMap = {}
+
+  // Create a map of question ID to question for quick lookup, bank questions as served in this attempt
+  const attemptQuestions = [...quiz.questions, ...(attempt.servedQuestions || [])]
+  attemptQuestions.forEach((q) => {
+    questionsMap[q._id.toString()] = q
+  })
+
+  for (const answer of answers) {
+    // Skip answers for questions not in this attempt's question set
+    if (!questionSet.includes(answer.questionId.toString())) {
+      continue
+    }
+
+    const question = questionsMap[answer.questionId.toString()]
+    if (!question) continue
+
+    totalPossibleMarks += question.marks
+
+    // Auto-grade every type except free text, which waits for a grader
+    const graded = gradeAnswer(question, answer)
+    totalScore += graded.answer.marks
+    if (graded.needsManualGrading) {
+      needsManualGrading = true
+    }
+
+    const timeSpent = readTimeSpent(answer, quiz)
+    if (timeSpent !== undefined) {
+      graded.answer.timeSpent = timeSpent
+    }
+
+    processedAnswers.push(graded.answer)
+  }
+
+  return { processedAnswers, totalScore, totalPossibleMarks, needsManualGrading }
+}
+
+// Record a passed quiz in the learner's module progress and complete the lesson
+async function completeQuizLesson(userId, { courseId, moduleId, lessonId }, quizId, session) {
+  // Get or create user's progress record
+  let progress = await Progress.findOne({
+    user: userId,
+    course: courseId,
+    module: moduleId,
+  }).session(session)
+
+  if (!progress) {
+    progress = new Progress({
+      user: userId,
+      course: courseId,
+      module: moduleId,
+      completedLessons: [],
+      completedQuizzes: [],
+      progress: 0,
+      lastAccessed: new Date(),
+    })
+  }
+
+  // Use string comparison for IDs
+  const completedLessonIds = progress.completedLessons.map((id) => id.toString())
+  if (!completedLessonIds.includes(lessonId.toString())) {
+    progress.completedLessons.push(lessonId)
+  }
+
+  const completedQuizIds = progress.completedQuizzes.map((id) => id.toString())
+  if (!completedQuizIds.includes(quizId.toString())) {
+    progress.completedQuizzes.push(quizId)
+  }
+
+  // Update progress percentage
+  const totalLessons = await Lesson.countDocuments({
+    module: moduleId,
+    isDeleted: false,
+  }).session(session)
+
+  if (totalLessons > 0) {
+    progress.progress = (progress.completedLessons.length / totalLessons) * 100
+  }
+
+  await progress.save({ session })
+
+  // Also update LessonProgress specifically for this lesson if you're using it
+  const lessonProgress = await LessonProgress.findOne({
+    user: userId,
+    lesson: lessonId,
+  }).session(session)
+
+  if (lessonProgress) {
+    lessonProgress.completed = true
+    await lessonProgress.save({ session })
+  }
+}
+
+// Grade and close an in-progress attempt, completing the lesson when it passes.
+// context holds the course, module and lesson the quiz belongs to
+async function finalizeAttempt(quiz, attempt, answers, { context, submitTime = new Date(), autoSubmitted = false, session }) {
+  const { processedAnswers, totalScore, totalPossibleMarks, needsManualGrading } = gradeAttemptAnswers(quiz, attempt, answers)
+
+  attempt.answers = processedAnswers
+  attempt.submitTime = submitTime
+  attempt.autoSubmitted = autoSubmitted
+  attempt.status = needsManualGrading ? 'submitted' : 'graded'
+
+  if (!needsManualGrading) {
+    // Unanswered questions count against the score. Older attempts without totalMarks only count what was answered
+    const possibleMarks = attempt.totalMarks || totalPossibleMarks
+    attempt.score = totalScore
+    attempt.percentage = possibleMarks > 0 ? (totalScore / possibleMarks) * 100 : 0
+    attempt.passed = attempt.percentage >= quiz.passingScore
+  }
+
+  await attempt.save({ session })
+
+  const lessonCompleted = !needsManualGrading && attempt.passed
+  if (lessonCompleted) {
+    await completeQuizLesson(attempt.user, context, quiz._id, session)
+  }
+
+  return { needsManualGrading, lessonCompleted }
+}
+
 exports.createQuiz = async (req, res, next) => {
   const session = await mongoose.startSession()
   session.startTransaction()
 
   try {
     const { courseId, moduleId, lessonId } = req.params
-    const { title, quizTime, passingScore, questions, maxAttempts = 3, questionPoolSize = 0 } = req.body
+
+    const { error, value } = createQuizSchema.validate(req.body)
+    if (error) {
+      await session.abortTransaction()
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const { title, quizTime, passingScore, questions, bankRules, maxAttempts, questionPoolSize, submissionGracePeriod } = value
 
     // Validate lesson exists
     const lesson = await Lesson.findOne({
@@ -94,8 +339,12 @@ exports.createQuiz = async (req, res, next) => {
       return next(new AppError('Question pool size cannot exceed total number of questions', 400))
     }
 
-    // Calculate totalMarks from questions
-    const totalMarks = questions.reduce((sum, q) => sum + (q.marks || 1), 0)
+    if (bankRules.length) {
+      await checkBankRules(bankRules)
+    }
+
+    // Calculate totalMarks from questions. Bank questions are added per attempt
+    const totalMarks = questions.reduce((sum, q) => sum + q.marks, 0)
 
     // Create quiz
     const quiz = await Quiz.create(
@@ -107,13 +356,10 @@ exports.createQuiz = async (req, res, next) => {
           passingScore,
           maxAttempts,
           questionPoolSize,
+          submissionGracePeriod,
           totalMarks,
-          questions: questions.map((q) => ({
-            question: q.question,
-            type: q.options ? 'mcq' : 'text',
-            options: q.options,
-            marks: q.marks || 1,
-          })),
+          questions,
+          bankRules,
         },
       ],
       { session }
@@ -154,7 +400,17 @@ exports.updateQuiz = async (req, res, next) => {
 
   try {
     const { courseId, moduleId, lessonId } = req.params
-    const { title, quizTime, passingScore, questions, maxAttempts, questionPoolSize } = req.body
+
+    const { error, value } = updateQuizSchema.validate(req.body)
+    if (error) {
+      await session.abortTransaction()
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const { title, quizTime, passingScore, questions, bankRules, maxAttempts, questionPoolSize, submissionGracePeriod } = value
 
     // Validate lesson exists and has a quiz
     const lesson = await Lesson.findOne({
@@ -183,18 +439,26 @@ exports.updateQuiz = async (req, res, next) => {
     if (quizTime) updateData.quizTime = quizTime
     if (passingScore) updateData.passingScore = passingScore
     if (maxAttempts) updateData.maxAttempts = maxAttempts
+    if (submissionGracePeriod !== undefined) updateData.submissionGracePeriod = submissionGracePeriod
 
     // Update questions if provided
     if (questions) {
-      updateData.questions = questions.map((q) => ({
-        question: q.question,
-        type: q.options ? 'mcq' : 'text',
-        options: q.options,
-        marks: q.marks || 1,
-      }))
+      updateData.questions = questions
 
       // Recalculate totalMarks
-      updateData.totalMarks = questions.reduce((sum, q) => sum + (q.marks || 1), 0)
+      updateData.totalMarks = questions.reduce((sum, q) => sum + q.marks, 0)
+    }
+
+    if (bankRules) {
+      if (bankRules.length) {
+        await checkBankRules(bankRules)
+      }
+      updateData.bankRules = bankRules
+    }
+
+    if (!(questions || quiz.questions).length && !(bankRules || quiz.bankRules).length) {
+      await session.abortTransaction()
+      return next(new AppError('A quiz needs questions or question bank rules', 400))
     }
 
     // Update questionPoolSize if provided
@@ -241,6 +505,134 @@ exports.updateQuiz = async (req, res, next) => {
   }
 }
 
+// Import questions from a GIFT, QTI or CSV file. With dryRun the file is only validated, and every
+// problem is reported with the line it came from. Nothing is saved unless the whole file is valid
+exports.importQuizQuestions = async (req, res, next) => {
+  try {
+    const { moduleId, lessonId } = req.params
+
+    const { error, value } = importQuestionsSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    if (!req.file) {
+      return next(new AppError('Please upload a question file', 400))
+    }
+
+    const format = value.format || detectFormat(req.file.originalname)
+    if (!format) {
+      return next(new AppError(`Could not tell the file format. Please choose one of: ${IMPORT_FORMATS.join(', ')}`, 400))
+    }
+
+    const lesson = await Lesson.findOne({
+      _id: lessonId,
+      module: moduleId,
+      isDeleted: false,
+    }).populate('quiz')
+
+    if (!lesson) {
+      return next(new AppError('Lesson not found', 404))
+    }
+
+    // A dry run can check a file before the quiz is created
+    if (!lesson.quiz && !value.dryRun) {
+      return next(new AppError('Quiz not found for this lesson', 404))
+    }
+
+    const { questions, errors } = validateImportedQuestions(parseQuestionFile(req.file.buffer, format), questionInputSchema)
+
+    if (value.dryRun) {
+      return res.status(200).json({
+        status: 'success',
+        message: errors.length ? `Dry run found ${errors.length} problem(s). No changes were saved` : 'Dry run completed. No changes were saved',
+        data: {
+          format,
+          questionCount: questions.length,
+          errorCount: errors.length,
+          errors,
+          questions,
+        },
+      })
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The file has errors. No questions were imported',
+        errors,
+      })
+    }
+
+    const quiz = lesson.quiz
+
+    if (value.mode === 'replace') {
+      quiz.questions = questions
+    } else {
+      quiz.questions.push(...questions)
+    }
+
+    if (quiz.questionPoolSize > quiz.questions.length) {
+      return next(new AppError('Question pool size cannot exceed total number of questions', 400))
+    }
+
+    // totalMarks is recalculated on save
+    await quiz.save()
+
+    res.status(201).json({
+      status: 'success',
+      message: `${questions.length} question(s) imported successfully`,
+      data: {
+        format,
+        mode: value.mode,
+        importedCount: questions.length,
+        questionCount: quiz.questions.length,
+        totalMarks: quiz.totalMarks,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Download a quiz's questions as a QTI 2.1 package (default), GIFT or CSV file
+exports.exportQuizQuestions = async (req, res, next) => {
+  try {
+    const { moduleId, lessonId } = req.params
+    const format = req.query.format || 'qti'
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return next(new AppError(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`, 400))
+    }
+
+    const lesson = await Lesson.findOne({
+      _id: lessonId,
+      module: moduleId,
+      isDeleted: false,
+    }).populate('quiz')
+
+    if (!lesson || !lesson.quiz) {
+      return next(new AppError('Quiz not found', 404))
+    }
+
+    const { body, contentType, fileName } = exportQuestions(lesson.quiz.questions, format, lesson.quiz.title)
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    })
+    res.status(200).send(body)
+  } catch (error) {
+    next(error)
+  }
+}
+
 // Delete a quiz
 exports.deleteQuiz = async (req, res, next) => {
   const session = await mongoose.startSession()
@@ -462,22 +854,20 @@ exports.getQuiz = async (req, res, next) => {
     const userId = req.user._id
 
     // Check user has access to this module/course - simplified check
-    const user = await User.findById(userId).select('+role +enrolledCourses').lean()
+    const user = await User.findById(userId).select('+role').lean()
 
     if (!user) {
       return next(new AppError('User not found', 404))
     }
 
     const isAdmin = ['admin', 'subAdmin', 'moderator'].includes(user.role)
-    let hasAccess = isAdmin
 
+    // Members get in too, and cohort learners only once the module is released
     if (!isAdmin) {
-      const enrolledCourse = user.enrolledCourses?.find((ec) => ec.course.toString() === courseId)
-      hasAccess = enrolledCourse && (enrolledCourse.enrollmentType === 'full' || enrolledCourse.enrolledModules.some((em) => em.module.toString() === moduleId))
-    }
-
-    if (!hasAccess) {
-      return next(new AppError('You do not have access to this module', 403))
+      const { hasAccess, unlocksAt } = await getModuleAccess(userId, courseId, moduleId)
+      if (!hasAccess) {
+        return next(new AppError(unlocksAt ? `This module unlocks on ${unlocksAt.toISOString()}` : 'You do not have access to this module', 403))
+      }
     }
 
     const lesson = await Lesson.findOne({
@@ -509,7 +899,9 @@ exports.getQuiz = async (req, res, next) => {
             maxAttempts: quiz.maxAttempts,
             totalMarks: quiz.totalMarks,
             questionPoolSize: quiz.questionPoolSize,
+            submissionGracePeriod: quiz.submissionGracePeriod,
             questions: quiz.questions, // Include full questions with correct answers
+            bankRules: quiz.bankRules,
             createdAt: quiz.createdAt,
             updatedAt: quiz.updatedAt,
           },
@@ -560,15 +952,9 @@ exports.getQuiz = async (req, res, next) => {
     const inProgressAttempt = attempts.find((attempt) => attempt.status === 'inProgress')
     let ongoingAttemptId = null
 
-    if (inProgressAttempt) {
-      // Check if the attempt has expired based on quiz time
-      const timeLimit = quiz.quizTime * 60 * 1000 // Convert to milliseconds
-      const timeSinceStart = new Date() - inProgressAttempt.startTime
-
-      if (timeSinceStart <= timeLimit) {
-        // Still valid, provide the attempt ID
-        ongoingAttemptId = inProgressAttempt._id
-      }
+    if (inProgressAttempt && !isPastGracePeriod(inProgressAttempt, quiz)) {
+      // Still valid, provide the attempt ID so it can be resumed
+      ongoingAttemptId = inProgressAttempt._id
     }
 
     // Get progress data for this user and module
@@ -593,6 +979,8 @@ exports.getQuiz = async (req, res, next) => {
           totalMarks: quiz.totalMarks,
           questionCount: quiz.questions.length,
           questionPoolSize: quiz.questionPoolSize,
+          // Questions per attempt, including those drawn from question banks
+          questionsPerAttempt: (quiz.questionPoolSize > 0 ? Math.min(quiz.questionPoolSize, quiz.questions.length) : quiz.questions.length) + quiz.bankRules.reduce((sum, rule) => sum + rule.count, 0),
         },
         attempts: attempts.map((attempt) => ({
           _id: attempt._id,
@@ -602,6 +990,7 @@ exports.getQuiz = async (req, res, next) => {
           startTime: attempt.startTime,
           submitTime: attempt.submitTime,
           passed: attempt.passed,
+          autoSubmitted: attempt.autoSubmitted,
         })),
         canTakeQuiz,
         canStartNewAttempt,
@@ -737,11 +1126,7 @@ exports.getUngradedSubmissions = async (req, res, next) => {
     // Filter to only include attempts with text questions that need grading
     const attemptsWithTextQuestions = ungradedAttempts.filter((attempt) => {
       // Only keep attempts that have at least one text answer
-      return attempt.answers.some(
-        (answer) =>
-          // Text answers have textAnswer property but no selectedOption property
-          answer.textAnswer && !answer.hasOwnProperty('selectedOption')
-      )
+      return attempt.answers.some(isManuallyGraded)
     })
 
     // Apply additional filters if course/module/lesson IDs are provided
@@ -772,7 +1157,7 @@ exports.getUngradedSubmissions = async (req, res, next) => {
     // Format the response with useful information
     const formattedAttempts = filteredAttempts.map((attempt) => {
       // Count text questions that need grading
-      const textQuestionsCount = attempt.answers.filter((answer) => answer.textAnswer && !answer.hasOwnProperty('selectedOption')).length
+      const textQuestionsCount = attempt.answers.filter(isManuallyGraded).length
 
       return {
         attemptId: attempt._id,
@@ -794,7 +1179,7 @@ exports.getUngradedSubmissions = async (req, res, next) => {
         textQuestionsCount: textQuestionsCount,
         // Include the text answers that need grading
         textAnswers: attempt.answers
-          .filter((answer) => answer.textAnswer && !answer.hasOwnProperty('selectedOption'))
+          .filter(isManuallyGraded)
           .map((answer) => ({
             questionId: answer.questionId,
             textAnswer: answer.textAnswer,
@@ -813,92 +1198,6 @@ exports.getUngradedSubmissions = async (req, res, next) => {
   }
 }
 
-// Get notifications for graded quizzes
-exports.getQuizNotifications = async (req, res, next) => {
-  try {
-    const userId = req.user._id;
-    
-    // Find recently graded attempts for this user
-    // That haven't been viewed yet
-    const recentlyGradedAttempts = await QuizAttempt.find({
-      user: userId,
-      status: 'graded',
-      // You could add a field to track if notifications have been viewed
-      // notificationViewed: { $ne: true }
-    })
-    .populate({
-      path: 'quiz',
-      select: 'title lesson',
-      populate: {
-        path: 'lesson',
-        select: 'title'
-      }
-    })
-    .populate({
-      path: 'gradedBy',
-      select: 'firstName lastName'
-    })
-    .sort('-updatedAt')  // Most recently graded first
-    .limit(10)  // Limit to last 10 graded attempts
-    .lean();
-    
-    // Format the notifications
-    const notifications = recentlyGradedAttempts.map(attempt => ({
-      attemptId: attempt._id,
-      quizId: attempt.quiz._id,
-      quizTitle: attempt.quiz.title,
-      lessonId: attempt.quiz.lesson._id,
-      lessonTitle: attempt.quiz.lesson.title,
-      score: attempt.score,
-      percentage: attempt.percentage,
-      passed: attempt.passed,
-      gradedAt: attempt.updatedAt,
-      gradedBy: attempt.gradedBy ? 
-        `${attempt.gradedBy.firstName} ${attempt.gradedBy.lastName}` : 
-        'System'
-    }));
-    
-    res.status(200).json({
-      status: 'success',
-      message: 'Quiz notifications fetched successfully',
-      count: notifications.length,
-      data: notifications
-    });
-  } catch (error) {
-    next(error);
-  }
-}
-
-// Mark notifications as viewed
-exports.markNotificationsViewed = async (req, res, next) => {
-  try {
-    const userId = req.user._id;
-    const { attemptIds } = req.body;
-    
-    if (!attemptIds || !Array.isArray(attemptIds) || !attemptIds.length) {
-      return next(new AppError('Please provide attempt IDs to mark as viewed', 400));
-    }
-    
-    // Update attempts to set notification as viewed
-    await QuizAttempt.updateMany(
-      { 
-        _id: { $in: attemptIds }, 
-        user: userId 
-      },
-      { 
-        $set: { notificationViewed: true } 
-      }
-    );
-    
-    res.status(200).json({
-      status: 'success',
-      message: `${attemptIds.length} notifications marked as viewed`
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
 exports.startQuiz = async (req, res, next) => {
   const session = await mongoose.startSession()
   session.startTransaction()
@@ -908,7 +1207,7 @@ exports.startQuiz = async (req, res, next) => {
     const userId = req.user._id
 
     // Check user has access to this module/course - simplified check
-    const user = await User.findById(userId).select('+role +enrolledCourses').lean().session(session)
+    const user = await User.findById(userId).select('+role').lean().session(session)
 
     if (!user) {
       await session.abortTransaction()
@@ -916,16 +1215,14 @@ exports.startQuiz = async (req, res, next) => {
     }
 
     const isAdmin = ['admin', 'subAdmin', 'moderator'].includes(user.role)
-    let hasAccess = isAdmin
 
+    // Members get in too, and cohort learners only once the module is released
     if (!isAdmin) {
-      const enrolledCourse = user.enrolledCourses?.find((ec) => ec.course.toString() === courseId)
-      hasAccess = enrolledCourse && (enrolledCourse.enrollmentType === 'full' || enrolledCourse.enrolledModules.some((em) => em.module.toString() === moduleId))
-    }
-
-    if (!hasAccess) {
-      await session.abortTransaction()
-      return next(new AppError('You do not have access to this module', 403))
+      const { hasAccess, unlocksAt } = await getModuleAccess(userId, courseId, moduleId)
+      if (!hasAccess) {
+        await session.abortTransaction()
+        return next(new AppError(unlocksAt ? `This module unlocks on ${unlocksAt.toISOString()}` : 'You do not have access to this module', 403))
+      }
     }
 
     const lesson = await Lesson.findOne({
@@ -980,19 +1277,15 @@ exports.startQuiz = async (req, res, next) => {
       return next(new AppError(`Maximum attempts (${quiz.maxAttempts}) reached`, 400))
     }
 
-    // Step 1: Process expired attempts - mark them as submitted with zero score
+    // Step 1: Process expired attempts - submit them with the answers saved before the time ran out
     for (const attempt of inProgressAttempts) {
-      const timeLimit = quiz.quizTime * 60 * 1000 // Convert to milliseconds
-      const timeSinceStart = new Date() - attempt.startTime
-
-      if (timeSinceStart > timeLimit) {
-        // This attempt has expired, mark it as submitted with zero score
-        attempt.status = 'submitted'
-        attempt.submitTime = new Date(attempt.startTime.getTime() + timeLimit)
-        attempt.score = 0
-        attempt.percentage = 0
-        attempt.passed = false
-        await attempt.save({ session })
+      if (isPastGracePeriod(attempt, quiz)) {
+        await finalizeAttempt(quiz, attempt, getSavedAnswers(attempt), {
+          context: { courseId, moduleId, lessonId },
+          submitTime: getAttemptDeadline(attempt, quiz),
+          autoSubmitted: true,
+          session,
+        })
       } else {
         // Still valid attempt within time window
         await session.abortTransaction()
@@ -1000,8 +1293,12 @@ exports.startQuiz = async (req, res, next) => {
       }
     }
 
-    // Step 2: At this point all in-progress attempts are either expired (and marked as submitted)
-    // or we've returned an error for valid in-progress attempts
+    // Step 2: At this point all in-progress attempts are either expired (and submitted)
+    // or we've returned an error for valid in-progress attempts. The submitted ones count towards the limit
+    if (!isAdmin && inProgressAttempts.length && completedAttempts.length + inProgressAttempts.length >= quiz.maxAttempts) {
+      await session.commitTransaction()
+      return next(new AppError(`Maximum attempts (${quiz.maxAttempts}) reached`, 400))
+    }
 
     // Step 3: Find highest attempt number across all attempts (both completed and previously in-progress)
     // Re-query to get the updated status of attempts after marking expired ones
@@ -1033,43 +1330,43 @@ exports.startQuiz = async (req, res, next) => {
         .slice(0, quiz.questionPoolSize)
     }
 
+    // Add this attempt's draw from the question banks. The served copies are stored on the attempt,
+    // so later edits to the bank don't change how it is graded
+    const servedQuestions = await drawBankQuestions(quiz.bankRules, session)
+    questionSet = [...questionSet, ...servedQuestions]
+
     // Extract just the question IDs for storing in the attempt
     selectedQuestionIds = questionSet.map((q) => q._id)
 
-    // Create new attempt with the selected question set
+    // Calculate total marks for the selected questions
+    const attemptTotalMarks = questionSet.reduce((sum, q) => sum + q.marks, 0)
+
+    // Create new attempt with the selected question set. The deadline is fixed now, so later changes
+    // to the quiz's time limit don't move it
+    const startTime = new Date()
+    const expiresAt = new Date(startTime.getTime() + quiz.quizTime * 60 * 1000)
     const attempt = await QuizAttempt.create(
       [
         {
           quiz: quiz._id,
           user: userId,
           attempt: nextAttemptNumber,
-          startTime: new Date(),
+          startTime,
+          expiresAt,
+          autoSubmitAt: getAutoSubmitTime({ expiresAt }, quiz),
           questionSet: selectedQuestionIds,
+          servedQuestions,
+          totalMarks: attemptTotalMarks,
         },
       ],
       { session }
     )
 
-    // Prepare questions (remove correct answers for MCQs)
-    const questions = questionSet.map((q) => ({
-      _id: q._id,
-      question: q.question,
-      type: q.type,
-      marks: q.marks,
-      options:
-        q.type === 'mcq'
-          ? q.options.map((opt) => ({
-              _id: opt._id,
-              option: opt.option,
-            }))
-          : undefined,
-    }))
+    // Prepare questions (remove correct answers, shuffle ordering and matching items)
+    const questions = questionSet.map(toStudentQuestion)
 
     await session.commitTransaction()
 
-    // Calculate total marks for the selected questions
-    const attemptTotalMarks = questionSet.reduce((sum, q) => sum + q.marks, 0)
-
     res.status(200).json({
       status: 'success',
       data: {
@@ -1079,6 +1376,8 @@ exports.startQuiz = async (req, res, next) => {
         totalMarks: attemptTotalMarks,
         quizTime: quiz.quizTime,
         startTime: attempt[0].startTime,
+        expiresAt: attempt[0].expiresAt,
+        submissionGracePeriod: quiz.submissionGracePeriod,
       },
     })
   } catch (error) {
@@ -1089,6 +1388,133 @@ exports.startQuiz = async (req, res, next) => {
   }
 }
 
+// Find the learner's in-progress attempt and its quiz, for saving and resuming
+async function findInProgressAttempt(req) {
+  const { moduleId, lessonId, attemptId } = req.params
+
+  const attempt = await QuizAttempt.findOne({
+    _id: attemptId,
+    user: req.user._id,
+    status: 'inProgress',
+  })
+
+  if (!attempt) {
+    throw new AppError('Quiz attempt not found or already submitted', 404)
+  }
+
+  const lesson = await Lesson.findOne({
+    _id: lessonId,
+    module: moduleId,
+    isDeleted: false,
+  }).populate('quiz')
+
+  if (!lesson || !lesson.quiz || !lesson.quiz._id.equals(attempt.quiz)) {
+    throw new AppError('Quiz not found', 404)
+  }
+
+  return { attempt, quiz: lesson.quiz }
+}
+
+// Save answers on an in-progress attempt, so nothing is lost if the browser closes. Send only the
+// answers that changed: each one replaces the saved answer to the same question
+exports.saveQuizAnswers = async (req, res, next) => {
+  try {
+    const { error, value } = saveAnswersSchema.validate(req.body, { abortEarly: false })
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: formatValidationErrors(error),
+      })
+    }
+
+    const { attempt, quiz } = await findInProgressAttempt(req)
+
+    if (isPastGracePeriod(attempt, quiz)) {
+      return next(new AppError('Quiz time limit exceeded', 400))
+    }
+
+    const questionSet = attempt.questionSet.map((id) => id.toString())
+    let savedCount = 0
+
+    for (const answer of value.answers) {
+      const question = questionSet.includes(answer.questionId) && findAttemptQuestion(quiz, attempt, answer.questionId)
+      if (!question) continue
+
+      const savedAnswer = toSavedAnswer(question, answer)
+      const timeSpent = readTimeSpent(answer, quiz)
+      if (timeSpent !== undefined) {
+        savedAnswer.timeSpent = timeSpent
+      }
+
+      const index = attempt.answers.findIndex((a) => a.questionId.toString() === answer.questionId)
+      if (index === -1) {
+        attempt.answers.push(savedAnswer)
+      } else {
+        attempt.answers.set(index, savedAnswer)
+      }
+      savedCount++
+    }
+
+    // Only write while the attempt is still in progress, so a save racing a submission can't change it
+    const saved = await QuizAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'inProgress' },
+      { $set: { answers: attempt.answers.map((a) => a.toObject()), lastSavedAt: new Date() } },
+      { new: true }
+    )
+
+    if (!saved) {
+      return next(new AppError('Quiz attempt not found or already submitted', 404))
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Answers saved successfully',
+      data: {
+        savedCount,
+        answeredCount: saved.answers.length,
+        lastSavedAt: saved.lastSavedAt,
+        expiresAt: getAttemptDeadline(attempt, quiz),
+        remainingTime: Math.max(0, Math.floor((getAttemptDeadline(attempt, quiz) - new Date()) / 1000)),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Resume an in-progress attempt: its questions, the answers saved so far and the time left
+exports.resumeQuizAttempt = async (req, res, next) => {
+  try {
+    const { attempt, quiz } = await findInProgressAttempt(req)
+
+    if (isPastGracePeriod(attempt, quiz)) {
+      return next(new AppError('Quiz time limit exceeded', 400))
+    }
+
+    // Questions in the order they were served
+    const questions = attempt.questionSet.map((id) => findAttemptQuestion(quiz, attempt, id)).filter(Boolean)
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        attemptId: attempt._id,
+        questions: questions.map(toStudentQuestion),
+        questionCount: questions.length,
+        totalMarks: attempt.totalMarks,
+        answers: getSavedAnswers(attempt),
+        quizTime: quiz.quizTime,
+        startTime: attempt.startTime,
+        expiresAt: getAttemptDeadline(attempt, quiz),
+        remainingTime: Math.max(0, Math.floor((getAttemptDeadline(attempt, quiz) - new Date()) / 1000)),
+        submissionGracePeriod: quiz.submissionGracePeriod,
+        lastSavedAt: attempt.lastSavedAt,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 exports.submitQuiz = async (req, res, next) => {
   const session = await mongoose.startSession()
   session.startTransaction()
@@ -1098,6 +1524,11 @@ exports.submitQuiz = async (req, res, next) => {
     const { answers } = req.body
     const userId = req.user._id
 
+    if (!Array.isArray(answers)) {
+      await session.abortTransaction()
+      return next(new AppError('Answers must be an array', 400))
+    }
+
     // Get attempt and quiz
     const attempt = await QuizAttempt.findOne({
       _id: attemptId,
@@ -1125,131 +1556,24 @@ exports.submitQuiz = async (req, res, next) => {
 
     const quiz = lesson.quiz
 
-    // Check time limit
-    const timeLimit = quiz.quizTime * 60 * 1000 // Convert to milliseconds
-    const timeTaken = new Date() - attempt.startTime
-
-    if (timeTaken > timeLimit) {
-      await session.abortTransaction()
-      return next(new AppError('Quiz time limit exceeded', 400))
+    // Late submissions are rejected. What was saved before the deadline is submitted instead
+    if (isPastGracePeriod(attempt, quiz)) {
+      await finalizeAttempt(quiz, attempt, getSavedAnswers(attempt), {
+        context: { courseId, moduleId, lessonId },
+        submitTime: getAttemptDeadline(attempt, quiz),
+        autoSubmitted: true,
+        session,
+      })
+      await session.commitTransaction()
+      return next(new AppError('Quiz time limit exceeded. Your answers saved before the deadline were submitted', 400))
     }
 
-    // Process answers and calculate score
-    let totalScore = 0
-    let totalPossibleMarks = 0
-    const processedAnswers = []
-    let needsManualGrading = false
-
-    // Get the set of questions for this attempt
-    const questionSet = attempt.questionSet || []
-    const questionsMap = {}
-
-    // Create a map of question ID to question for quick lookup
-    quiz.questions.forEach((q) => {
-      questionsMap[q._id.toString()] = q
+    // Answers left out of the submission are taken from the last save
+    const { needsManualGrading, lessonCompleted } = await finalizeAttempt(quiz, attempt, mergeWithSavedAnswers(attempt, answers), {
+      context: { courseId, moduleId, lessonId },
+      session,
     })
 
-    for (const answer of answers) {
-      // Skip answers for questions not in this attempt's question set
-      if (!questionSet.includes(answer.questionId) && !questionSet.some((qId) => qId.toString() === answer.questionId.toString())) {
-        continue
-      }
-
-      const question = questionsMap[answer.questionId.toString()]
-      if (!question) continue
-
-      totalPossibleMarks += question.marks
-
-      const processedAnswer = {
-        questionId: answer.questionId,
-        marks: 0,
-      }
-
-      if (question.type === 'mcq') {
-        // Handle MCQ
-        const correctOption = question.options.find((opt) => opt.isCorrect)
-        processedAnswer.selectedOption = answer.selectedOption
-        processedAnswer.isCorrect = correctOption && correctOption.option === answer.selectedOption
-        processedAnswer.marks = processedAnswer.isCorrect ? question.marks : 0
-        totalScore += processedAnswer.marks
-      } else {
-        // Handle text answer
-        processedAnswer.textAnswer = answer.textAnswer
-        needsManualGrading = true
-      }
-
-      processedAnswers.push(processedAnswer)
-    }
-
-    // Update attempt
-    attempt.answers = processedAnswers
-    attempt.submitTime = new Date()
-    attempt.status = needsManualGrading ? 'submitted' : 'graded'
-
-    if (!needsManualGrading) {
-      attempt.score = totalScore
-      attempt.percentage = totalPossibleMarks > 0 ? (totalScore / totalPossibleMarks) * 100 : 0
-      attempt.passed = attempt.percentage >= quiz.passingScore
-    }
-
-    await attempt.save({ session })
-
-    // If passed, update progress
-    if (!needsManualGrading && attempt.percentage >= quiz.passingScore) {
-      // Get or create user's progress record
-      let progress = await Progress.findOne({
-        user: userId,
-        course: courseId,
-        module: moduleId,
-      }).session(session)
-
-      if (!progress) {
-        progress = new Progress({
-          user: userId,
-          course: courseId,
-          module: moduleId,
-          completedLessons: [],
-          completedQuizzes: [],
-          progress: 0,
-          lastAccessed: new Date(),
-        })
-      }
-
-      // Use string comparison for IDs
-      const completedLessonIds = progress.completedLessons.map((id) => id.toString())
-      if (!completedLessonIds.includes(lessonId)) {
-        progress.completedLessons.push(lessonId)
-      }
-
-      const completedQuizIds = progress.completedQuizzes.map((id) => id.toString())
-      if (!completedQuizIds.includes(quiz._id.toString())) {
-        progress.completedQuizzes.push(quiz._id)
-      }
-
-      // Update progress percentage
-      const totalLessons = await Lesson.countDocuments({
-        module: moduleId,
-        isDeleted: false,
-      }).session(session)
-
-      if (totalLessons > 0) {
-        progress.progress = (progress.completedLessons.length / totalLessons) * 100
-      }
-
-      await progress.save({ session })
-
-      // Also update LessonProgress specifically for this lesson if you're using it
-      let lessonProgress = await LessonProgress.findOne({
-        user: userId,
-        lesson: lessonId,
-      }).session(session)
-
-      if (lessonProgress) {
-        lessonProgress.completed = true
-        await lessonProgress.save({ session })
-      }
-    }
-
     await session.commitTransaction()
 
     res.status(200).json({
@@ -1259,18 +1583,108 @@ exports.submitQuiz = async (req, res, next) => {
         percentage: attempt.percentage,
         passed: attempt.passed,
         needsManualGrading,
-        answers: processedAnswers,
-        lessonCompleted: !needsManualGrading && attempt.percentage >= quiz.passingScore,
+        answers: attempt.answers,
+        lessonCompleted,
       },
     })
   } catch (error) {
-    await session.abortTransaction()
+    if (session.inTransaction()) {
+      await session.abortTransaction()
+    }
     next(error)
   } finally {
     session.endSession()
   }
 }
 
+// Submit attempts whose time and grace period have run out, using the answers saved before the deadline.
+// Used by the scheduler
+exports.runQuizAttemptSweeper = async () => {
+  const now = new Date()
+  const summary = { submitted: 0, graded: 0, skipped: 0, errors: 0 }
+
+  // Attempts started before auto-submit times were stored are checked against their quiz's time limit
+  const candidates = await QuizAttempt.find({
+    status: 'inProgress',
+    $or: [{ autoSubmitAt: { $lte: now } }, { autoSubmitAt: { $exists: false } }],
+  })
+    .select('_id quiz')
+    .sort({ startTime: 1 })
+    .limit(SWEEP_BATCH_SIZE)
+    .lean()
+
+  const quizzes = new Map()
+
+  for (const candidate of candidates) {
+    const session = await mongoose.startSession()
+
+    try {
+      const quizId = candidate.quiz.toString()
+      if (!quizzes.has(quizId)) {
+        const quiz = await Quiz.findById(quizId)
+        const lesson = quiz && (await Lesson.findById(quiz.lesson).select('module'))
+        const lessonModule = lesson && (await Module.findById(lesson.module).select('course'))
+        quizzes.set(quizId, quiz && lessonModule ? { quiz, context: { courseId: lessonModule.course, moduleId: lessonModule._id, lessonId: lesson._id } } : null)
+      }
+
+      // Every candidate that isn't submitted gets a new auto-submit time, so it can't hold up the batch again
+      const entry = quizzes.get(quizId)
+      if (!entry) {
+        await QuizAttempt.updateOne({ _id: candidate._id, status: 'inProgress' }, { $set: { autoSubmitAt: null } })
+        summary.skipped++
+        continue
+      }
+
+      session.startTransaction()
+
+      // Re-read inside the transaction so an attempt submitted in the meantime is left alone
+      const attempt = await QuizAttempt.findOne({ _id: candidate._id, status: 'inProgress' }).session(session)
+      if (!attempt || !isPastGracePeriod(attempt, entry.quiz, now)) {
+        await session.abortTransaction()
+        if (attempt) {
+          await QuizAttempt.updateOne({ _id: attempt._id, status: 'inProgress' }, { $set: { autoSubmitAt: getAutoSubmitTime(attempt, entry.quiz) } })
+        }
+        continue
+      }
+
+      const { needsManualGrading } = await finalizeAttempt(entry.quiz, attempt, getSavedAnswers(attempt), {
+        context: entry.context,
+        submitTime: getAttemptDeadline(attempt, entry.quiz),
+        autoSubmitted: true,
+        session,
+      })
+
+      await session.commitTransaction()
+      summary[needsManualGrading ? 'submitted' : 'graded']++
+
+      const { courseId, moduleId, lessonId } = entry.context
+      await createNotification(attempt.user, {
+        type: 'quiz_auto_submitted',
+        title: 'Quiz submitted',
+        message: needsManualGrading
+          ? `Time ran out on "${entry.quiz.title}". Your saved answers were submitted and are waiting to be graded`
+          : `Time ran out on "${entry.quiz.title}". Your saved answers were submitted: ${Math.round(attempt.percentage)}% (${attempt.passed ? 'passed' : 'not passed'})`,
+        link: `/courses/${courseId}/modules/${moduleId}/lessons/${lessonId}/quiz/results`,
+        data: { courseId, moduleId, lessonId, quizId: entry.quiz._id, attemptId: attempt._id },
+      })
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction()
+      }
+      console.error(`Auto-submit failed for quiz attempt ${candidate._id}:`, error)
+      summary.errors++
+      await QuizAttempt.updateOne(
+        { _id: candidate._id, status: 'inProgress' },
+        { $set: { autoSubmitAt: new Date(now.getTime() + SWEEP_RETRY_MINUTES * 60 * 1000) } }
+      ).catch((updateError) => console.error(`Could not reschedule quiz attempt ${candidate._id}:`, updateError))
+    } finally {
+      session.endSession()
+    }
+  }
+
+  return summary
+}
+
 // Grade text answers (admin/moderator only)
 // exports.gradeQuiz = async (req, res, next) => {
 //   const session = await mongoose.startSession()
@@ -1420,21 +1834,21 @@ exports.gradeQuiz = async (req, res, next) => {
 
     for (const answer of attempt.answers) {
       const grade = grades.find((g) => g.questionId.toString() === answer.questionId.toString())
-      const question = quiz.questions.id(answer.questionId)
+      const question = findAttemptQuestion(quiz, attempt, answer.questionId)
 
       if (grade && question) {
         answer.marks = Math.min(grade.marks, question.marks)
         answer.feedback = grade.feedback
         totalScore += answer.marks
-      } else if (answer.isCorrect) {
-        // Keep the score for autocorrected MCQ answers
-        totalScore += answer.marks
+      } else {
+        // Keep the score for auto-graded answers, including partial credit
+        totalScore += answer.marks || 0
       }
     }
 
     // Update attempt
     attempt.score = totalScore
-    attempt.percentage = (totalScore / quiz.totalMarks) * 100
+    attempt.percentage = (totalScore / (attempt.totalMarks || quiz.totalMarks)) * 100
     attempt.passed = attempt.percentage >= quiz.passingScore
     attempt.status = 'graded'
     attempt.gradedBy = req.user._id
@@ -1490,6 +1904,23 @@ exports.gradeQuiz = async (req, res, next) => {
 
     await session.commitTransaction()
 
+    await createNotification(attempt.user, {
+      type: 'quiz_graded',
+      title: 'Quiz graded',
+      message: `Your attempt at "${quiz.title}" was graded: ${attempt.percentage}% (${attempt.passed ? 'passed' : 'not passed'})`,
+      link: `/courses/${courseId}/modules/${moduleId}/lessons/${lessonId}/quiz/results`,
+      data: {
+        courseId,
+        moduleId,
+        lessonId,
+        quizId: quiz._id,
+        attemptId: attempt._id,
+        score: attempt.score,
+        percentage: attempt.percentage,
+        passed: attempt.passed,
+      },
+    })
+
     // Get the user for email notification
     const user = await User.findById(attempt.user)
 
@@ -1574,8 +2005,8 @@ exports.getQuizAttemptById = async (req, res, next) => {
     // Prepare the questions with answers
     const questionsWithAnswers = [];
     
-    // Map answers to their respective questions
-    for (const question of attempt.quiz.questions) {
+    // Map answers to their respective questions, including bank questions served in this attempt
+    for (const question of [...attempt.quiz.questions, ...(attempt.servedQuestions || [])]) {
       // Find the answer for this question
       const answer = attempt.answers.find(a => 
         a.questionId.toString() === question._id.toString()
@@ -1589,12 +2020,18 @@ exports.getQuizAttemptById = async (req, res, next) => {
         maxMarks: question.marks,
         userAnswer: {
           selectedOption: answer?.selectedOption,
+          selectedOptions: answer?.selectedOptions,
+          booleanAnswer: answer?.booleanAnswer,
+          orderedItems: answer?.orderedItems,
+          matches: answer?.matches,
+          numericAnswer: answer?.numericAnswer,
           textAnswer: answer?.textAnswer,
           marks: answer?.marks,
           feedback: answer?.feedback,
           isCorrect: answer?.isCorrect
         },
-        options: question.type === 'mcq' ? 
+        correctAnswer: isAdmin ? getCorrectAnswer(question) : undefined,
+        options: ['mcq', 'multiSelect'].includes(question.type) ? 
           // Admin can see correct answers
           (isAdmin ? question.options : 
             // Regular users only see options without correct answers
@@ -1660,22 +2097,20 @@ exports.getQuizResults = async (req, res, next) => {
     const userId = req.user._id
 
     // Check user has access to this module/course - simplified check
-    const user = await User.findById(userId).select('+role +enrolledCourses').lean()
+    const user = await User.findById(userId).select('+role').lean()
 
     if (!user) {
       return next(new AppError('User not found', 404))
     }
 
     const isAdmin = ['admin', 'subAdmin', 'moderator'].includes(user.role)
-    let hasAccess = isAdmin
 
+    // Members get in too, and cohort learners only once the module is released
     if (!isAdmin) {
-      const enrolledCourse = user.enrolledCourses?.find((ec) => ec.course.toString() === courseId)
-      hasAccess = enrolledCourse && (enrolledCourse.enrollmentType === 'full' || enrolledCourse.enrolledModules.some((em) => em.module.toString() === moduleId))
-    }
-
-    if (!hasAccess) {
-      return next(new AppError('You do not have access to this module', 403))
+      const { hasAccess, unlocksAt } = await getModuleAccess(userId, courseId, moduleId)
+      if (!hasAccess) {
+        return next(new AppError(unlocksAt ? `This module unlocks on ${unlocksAt.toISOString()}` : 'You do not have access to this module', 403))
+      }
     }
 
     const attempt = await QuizAttempt.findOne({
@@ -1687,6 +2122,11 @@ exports.getQuizResults = async (req, res, next) => {
       return next(new AppError('Quiz attempt not found', 404))
     }
 
+    // Saved answers stay hidden until the attempt is submitted, along with the correct answers
+    if (attempt.status === 'inProgress') {
+      return next(new AppError('Results are available once the attempt is submitted', 400))
+    }
+
     const lesson = await Lesson.findById(lessonId).select('quizSettings')
 
     // Check if review is allowed
@@ -1703,16 +2143,23 @@ exports.getQuizResults = async (req, res, next) => {
       startTime: attempt.startTime,
       submitTime: attempt.submitTime,
       answers: attempt.answers.map((answer) => {
-        const question = attempt.quiz.questions.id(answer.questionId)
+        const question = findAttemptQuestion(attempt.quiz, attempt, answer.questionId)
         return {
           question: question.question,
           type: question.type,
           marks: answer.marks,
           maxMarks: question.marks,
           selectedOption: answer.selectedOption,
+          selectedOptions: answer.selectedOptions,
+          booleanAnswer: answer.booleanAnswer,
+          orderedItems: answer.orderedItems,
+          matches: answer.matches,
+          numericAnswer: answer.numericAnswer,
           textAnswer: answer.textAnswer,
           feedback: answer.feedback,
+          isCorrect: answer.isCorrect,
           correctOption: question.type === 'mcq' && lesson.quizSettings.allowReview ? question.options.find((opt) => opt.isCorrect)?.option : undefined,
+          correctAnswer: lesson.quizSettings.allowReview ? getCorrectAnswer(question) : undefined,
         }
       }),
     }
@@ -1726,6 +2173,71 @@ exports.getQuizResults = async (req, res, next) => {
   }
 }
 
+// Item analysis for instructors: difficulty and discrimination per question, choice frequencies,
+// time spent and flags for likely bad questions, plus score distribution and pass rate by attempt number
+exports.getQuizAnalysis = async (req, res, next) => {
+  try {
+    const { moduleId, lessonId } = req.params
+
+    const lesson = await Lesson.findOne({
+      _id: lessonId,
+      module: moduleId,
+      isDeleted: false,
+    }).populate('quiz')
+
+    if (!lesson || !lesson.quiz) {
+      return next(new AppError('Quiz not found', 404))
+    }
+
+    const quiz = lesson.quiz
+
+    const attempts = await QuizAttempt.find({
+      quiz: quiz._id,
+      status: { $in: ['submitted', 'graded'] },
+    })
+      .select('user attempt status score percentage passed startTime submitTime questionSet servedQuestions answers')
+      .lean()
+
+    // The quiz's own questions, then bank questions as last served
+    const questions = new Map()
+    quiz.questions.forEach((question) => questions.set(question._id.toString(), { question, source: 'quiz' }))
+
+    const byStartTime = [...attempts].sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+    for (const attempt of byStartTime) {
+      for (const question of attempt.servedQuestions || []) {
+        const id = question._id.toString()
+        const versions = questions.get(id)?.versions || []
+        questions.set(id, {
+          question,
+          source: 'bank',
+          bank: question.bank,
+          versions: versions.includes(question.version) ? versions : [...versions, question.version],
+        })
+      }
+    }
+
+    const analysis = analyzeQuiz(quiz, questions, attempts)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Quiz analysis fetched successfully',
+      data: {
+        quiz: {
+          _id: quiz._id,
+          title: quiz.title,
+          passingScore: quiz.passingScore,
+          maxAttempts: quiz.maxAttempts,
+          totalMarks: quiz.totalMarks,
+        },
+        minResponsesForFlags: MIN_RESPONSES,
+        ...analysis,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 exports.resetUserAttempts = async (req, res, next) => {
   const session = await mongoose.startSession()
   session.startTransaction()
@@ -0,0 +1,348 @@
+// refund.controller.js
+const Joi = require('joi')
+const mongoose = require('mongoose')
+const { Payment, Discount, RefundRequest } = require('../models')
+const { AppError } = require('../utils/errors')
+const { getGateway } = require('../utils/paymentGateway')
+const { rollbackPaymentEnrollment } = require('../utils/enrollment')
+const { getPaymentDiscountIds } = require('../utils/coupons')
+
+const REFUND_WINDOW_DAYS = 30
+
+// Validation schemas
+const refundRequestSchema = Joi.object({
+  reason: Joi.string().trim().min(10).max(1000).required().messages({
+    'string.min': 'Reason must be at least 10 characters long',
+    'string.max': 'Reason cannot exceed 1000 characters',
+    'any.required': 'Reason is required',
+  }),
+}).options({ abortEarly: false })
+
+const approveRefundSchema = Joi.object({
+  adminNote: Joi.string().trim().max(1000).allow(''),
+}).options({ abortEarly: false })
+
+const rejectRefundSchema = Joi.object({
+  adminNote: Joi.string().trim().min(3).max(1000).required().messages({
+    'string.min': 'Note must be at least 3 characters long',
+    'any.required': 'A note explaining the rejection is required',
+  }),
+}).options({ abortEarly: false })
+
+// Helper functions
+
+// Amount the learner actually paid for this payment
+function getPaidAmount(payment) {
+  return payment.discountedAmount ?? payment.amount
+}
+
+// A later full course purchase credits the modules already bought through modulesPriceAdjustment.
+// Refunding such a module payment would pay the learner back for part of a course they keep
+function isCreditedToCoursePurchase(payment) {
+  if (payment.purchaseType !== 'module') {
+    return false
+  }
+
+  return Payment.exists({
+    user: payment.user,
+    course: payment.course,
+    purchaseType: 'course',
+    status: 'completed',
+    purchasedModuleIds: { $in: payment.modules },
+  })
+}
+
+// Learner: request a refund for a completed payment
+exports.requestRefund = async (req, res, next) => {
+  try {
+    const { error, value } = refundRequestSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      user: req.user._id,
+      status: 'completed',
+    })
+
+    if (!payment) {
+      return next(new AppError('Payment not found or not eligible for refund', 404))
+    }
+
+    if (getPaidAmount(payment) <= 0) {
+      return next(new AppError('Free enrollments cannot be refunded', 400))
+    }
+
+    if (payment.purchaseType === 'subscription') {
+      return next(new AppError('Subscription payments are not refundable. You can cancel the subscription instead', 400))
+    }
+
+    if (await isCreditedToCoursePurchase(payment)) {
+      return next(new AppError('These modules were credited toward your full course purchase and can no longer be refunded on their own', 400))
+    }
+
+    const refundTimeLimit = REFUND_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    if (Date.now() - (payment.completedAt || payment.createdAt) > refundTimeLimit) {
+      return next(new AppError('Refund time limit exceeded', 400))
+    }
+
+    const existingRequest = await RefundRequest.findOne({
+      payment: payment._id,
+      status: { $in: ['pending', 'processing'] },
+    })
+
+    if (existingRequest) {
+      return next(new AppError('A refund request for this payment is already pending', 400))
+    }
+
+    const refundRequest = await RefundRequest.create({
+      user: req.user._id,
+      payment: payment._id,
+      course: payment.course,
+      bundle: payment.bundle,
+      amount: getPaidAmount(payment),
+      reason: value.reason,
+    })
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Refund request submitted successfully',
+      data: refundRequest,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Learner: list own refund requests
+exports.getMyRefundRequests = async (req, res, next) => {
+  try {
+    const refundRequests = await RefundRequest.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('course', 'title')
+      .populate('bundle', 'title')
+      .populate('payment', 'transactionId purchaseType amount discountedAmount status')
+      .select('-gatewayResponse')
+
+    res.status(200).json({
+      status: 'success',
+      data: refundRequests,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: list refund requests
+exports.getAllRefundRequests = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    const filters = {}
+
+    if (req.query.status && ['pending', 'processing', 'approved', 'rejected'].includes(req.query.status)) {
+      filters.status = req.query.status
+    }
+
+    if (req.query.courseId && mongoose.Types.ObjectId.isValid(req.query.courseId)) {
+      filters.course = req.query.courseId
+    }
+
+    const totalRequests = await RefundRequest.countDocuments(filters)
+
+    const refundRequests = await RefundRequest.find(filters)
+      .populate('user', 'firstName lastName email')
+      .populate('course', 'title')
+      .populate('bundle', 'title')
+      .populate('payment', 'transactionId purchaseType modules amount discountedAmount status completedAt')
+      .populate('reviewedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+
+    const totalPages = Math.ceil(totalRequests / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Refund requests fetched successfully',
+      data: {
+        refundRequests,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRequests,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: approve a refund request, refund through the payment gateway and remove the purchased access
+exports.approveRefundRequest = async (req, res, next) => {
+  try {
+    const { error, value } = approveRefundSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    // Claim the request first, so concurrent approvals can't both refund through the gateway
+    const refundRequest = await RefundRequest.findOneAndUpdate(
+      { _id: req.params.refundId, status: 'pending' },
+      { status: 'processing', reviewedBy: req.user._id },
+      { new: true }
+    )
+
+    if (!refundRequest) {
+      return next(new AppError('Refund request not found or already reviewed', 404))
+    }
+
+    const payment = await Payment.findOne({
+      _id: refundRequest.payment,
+      status: 'completed',
+    })
+
+    if (!payment) {
+      await RefundRequest.updateOne({ _id: refundRequest._id }, { status: 'pending' })
+      return next(new AppError('Payment is no longer eligible for refund', 400))
+    }
+
+    // The learner may have upgraded to the full course after requesting the refund
+    if (await isCreditedToCoursePurchase(payment)) {
+      await RefundRequest.updateOne({ _id: refundRequest._id }, { status: 'pending' })
+      return next(new AppError('These modules were credited toward a full course purchase and can no longer be refunded on their own', 400))
+    }
+
+    // Refund through the gateway that took the payment before touching any enrollment data
+    let refund
+    try {
+      refund = await getGateway(payment.gateway).refund({
+        payment,
+        amount: refundRequest.amount,
+        reason: refundRequest.reason,
+        referenceId: refundRequest._id.toString(),
+      })
+    } catch (error) {
+      // Nothing was refunded, so the request can be reviewed again
+      await RefundRequest.updateOne({ _id: refundRequest._id }, { status: 'pending' })
+      throw error
+    }
+
+    if (!refund.success) {
+      console.error('Gateway refund failed:', refund.raw)
+      refundRequest.status = 'pending'
+      refundRequest.gatewayStatus = refund.status
+      refundRequest.gatewayResponse = refund.raw
+      await refundRequest.save()
+      return next(new AppError(`Refund failed at payment gateway: ${refund.message || 'Unknown error'}`, 502))
+    }
+
+    const session = await mongoose.startSession()
+    session.startTransaction()
+
+    try {
+      payment.status = 'refunded'
+      payment.refundedAt = new Date()
+      payment.refundReason = refundRequest.reason
+      payment.refundAmount = refundRequest.amount
+      payment.refundRefId = refund.refundRefId
+      payment.bankTransactionId = refund.gatewayTransactionId || payment.bankTransactionId
+      await payment.save({ session })
+
+      await rollbackPaymentEnrollment(payment, session)
+
+      const discountIds = getPaymentDiscountIds(payment)
+      if (discountIds.length) {
+        await Discount.updateMany({ _id: { $in: discountIds }, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session })
+      }
+
+      refundRequest.status = 'approved'
+      refundRequest.reviewedBy = req.user._id
+      refundRequest.reviewedAt = new Date()
+      refundRequest.adminNote = value.adminNote
+      refundRequest.refundRefId = refund.refundRefId
+      refundRequest.gatewayStatus = refund.status
+      refundRequest.gatewayResponse = refund.raw
+      await refundRequest.save({ session })
+
+      await session.commitTransaction()
+    } catch (error) {
+      // The request stays in processing, so the refund can't be issued a second time
+      await session.abortTransaction()
+      console.error(`Refund ${refund.refundRefId} was issued but could not be recorded:`, error)
+      throw error
+    } finally {
+      session.endSession()
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Refund approved successfully',
+      data: {
+        refundRequest,
+        refundedAmount: payment.refundAmount,
+        refundedAt: payment.refundedAt,
+        refundRefId: payment.refundRefId,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: reject a refund request
+exports.rejectRefundRequest = async (req, res, next) => {
+  try {
+    const { error, value } = rejectRefundSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    const refundRequest = await RefundRequest.findOneAndUpdate(
+      { _id: req.params.refundId, status: 'pending' },
+      {
+        status: 'rejected',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        adminNote: value.adminNote,
+      },
+      { new: true }
+    )
+
+    if (!refundRequest) {
+      return next(new AppError('Refund request not found or already reviewed', 404))
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Refund request rejected',
+      data: refundRequest,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,703 @@
+// subscription.controller.js
+const crypto = require('crypto')
+const Joi = require('joi')
+const mongoose = require('mongoose')
+const { SubscriptionPlan, Subscription, Payment, Course, User } = require('../models')
+const { AppError } = require('../utils/errors')
+const { getGateway } = require('../utils/paymentGateway')
+const { DAY_MS, ACCESS_STATUSES, activateSubscriptionPeriod } = require('../utils/subscriptions')
+const { createNotification } = require('../utils/notifications')
+const { deliverInvoice } = require('../utils/invoices')
+
+// Failed renewals are retried this often until the grace period runs out
+const RENEWAL_RETRY_HOURS = parseInt(process.env.SUBSCRIPTION_RENEWAL_RETRY_HOURS) || 24
+
+// Validation Schemas
+const courseIdsSchema = Joi.array().items(
+  Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': 'Invalid course ID' })
+)
+
+const createPlanSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  description: Joi.string().trim().max(2000).allow(''),
+  interval: Joi.string().valid('month', 'year').required(),
+  price: Joi.number().min(1).required(),
+  includesAllCourses: Joi.boolean().default(false),
+  courseIds: courseIdsSchema.unique().when('includesAllCourses', { is: false, then: Joi.array().min(1).required() }),
+  gracePeriodDays: Joi.number().integer().min(0).max(30).default(7),
+  isActive: Joi.boolean().default(true),
+}).options({ abortEarly: false })
+
+const updatePlanSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  description: Joi.string().trim().max(2000).allow(''),
+  price: Joi.number().min(1),
+  includesAllCourses: Joi.boolean(),
+  courseIds: courseIdsSchema.unique().min(1),
+  gracePeriodDays: Joi.number().integer().min(0).max(30),
+  isActive: Joi.boolean(),
+})
+  .min(1)
+  .options({ abortEarly: false })
+
+const subscribeSchema = Joi.object({
+  shippingAddress: Joi.object({
+    address: Joi.string().required(),
+    city: Joi.string().required(),
+    country: Joi.string().required(),
+    phone: Joi.string().required(),
+  }).required(),
+}).options({ abortEarly: false })
+
+// Helper Functions
+const hasAdminAccess = (user) => {
+  return ['admin', 'subAdmin'].includes(user?.role)
+}
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    status: 'error',
+    errors: error.details.map((detail) => ({
+      field: detail.context.key,
+      message: detail.message,
+    })),
+  })
+}
+
+async function validateCourseIds(courseIds) {
+  const count = await Course.countDocuments({ _id: { $in: courseIds }, isDeleted: false })
+  if (count !== courseIds.length) {
+    throw new AppError('One or more courses not found', 404)
+  }
+}
+
+// Gateway-neutral order for a subscription payment
+function buildOrder(payment, plan, subscription) {
+  return {
+    transactionId: payment.transactionId,
+    amount: payment.amount,
+    currency: plan.currency,
+    productName: `${plan.name} membership (${plan.interval}ly)`,
+    productCategory: 'Subscription',
+    customer: subscription.customerDetails,
+    metadata: {
+      referenceId: subscription._id.toString(),
+      purchaseType: 'subscription',
+      userId: subscription.user.toString(),
+    },
+  }
+}
+
+async function createSubscriptionPayment(subscription, plan, session = null) {
+  const [payment] = await Payment.create(
+    [
+      {
+        user: subscription.user,
+        purchaseType: 'subscription',
+        subscription: subscription._id,
+        subscriptionPlan: plan._id,
+        amount: plan.price,
+        originalAmount: plan.price,
+        currency: plan.currency,
+        gateway: subscription.gateway,
+        transactionId: crypto.randomBytes(16).toString('hex'),
+        customerDetails: subscription.customerDetails,
+        status: 'pending',
+      },
+    ],
+    { session }
+  )
+  return payment
+}
+
+// Record a payment the gateway settled immediately, start the next period and send the invoice
+async function completeSubscriptionPayment(payment, result) {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const subscription = await activateSubscriptionPeriod(payment, session)
+
+    payment.status = 'completed'
+    payment.completedAt = new Date()
+    payment.bankTransactionId = result.gatewayTransactionId
+    payment.paymentMethod = result.paymentMethod
+    await payment.save({ session })
+
+    await session.commitTransaction()
+
+    deliverInvoice(payment)
+    return subscription
+  } catch (error) {
+    await session.abortTransaction()
+    throw error
+  } finally {
+    session.endSession()
+  }
+}
+
+// Charge the next period. Gateways without recurring charges get a checkout link sent to the learner.
+// The caller must have claimed the subscription for this attempt
+async function renewSubscription(subscription) {
+  const plan = await SubscriptionPlan.findOne({ _id: subscription.plan, isDeleted: false })
+
+  if (!plan) {
+    subscription.status = 'cancelled'
+    subscription.cancelledAt = new Date()
+    subscription.graceEndsAt = subscription.currentPeriodEnd
+    await subscription.save()
+    return 'cancelled'
+  }
+
+  const gateway = getGateway(subscription.gateway)
+
+  // Remind the learner about a checkout from an earlier attempt rather than opening another one
+  if (!gateway.supportsRecurring) {
+    const openPayment = await Payment.findOne({
+      subscription: subscription._id,
+      purchaseType: 'subscription',
+      status: 'pending',
+      gatewayPageURL: { $exists: true },
+    }).sort({ createdAt: -1 })
+
+    if (openPayment) {
+      subscription.status = 'past_due'
+      await subscription.save()
+
+      await createNotification(subscription.user, {
+        type: 'subscription_payment_due',
+        title: 'Membership renewal due',
+        message: `Please complete the payment of ${openPayment.amount} ${openPayment.currency} to keep your ${plan.name} membership`,
+        link: `/subscriptions/${subscription._id}`,
+        data: { subscriptionId: subscription._id, paymentId: openPayment._id, gatewayPageURL: openPayment.gatewayPageURL },
+      })
+      return 'awaitingPayment'
+    }
+  }
+
+  const payment = await createSubscriptionPayment(subscription, plan)
+  let charged = null
+
+  try {
+    if (!gateway.supportsRecurring) {
+      const result = await gateway.initiate(buildOrder(payment, plan, subscription))
+      payment.gatewayPageURL = result.gatewayPageURL
+      payment.sslcommerzSessionKey = result.sessionKey
+      await payment.save()
+
+      subscription.status = 'past_due'
+      await subscription.save()
+
+      await createNotification(subscription.user, {
+        type: 'subscription_payment_due',
+        title: 'Membership renewal due',
+        message: `Please complete the payment of ${plan.price} ${plan.currency} to keep your ${plan.name} membership`,
+        link: `/subscriptions/${subscription._id}`,
+        data: { subscriptionId: subscription._id, paymentId: payment._id, gatewayPageURL: result.gatewayPageURL },
+      })
+      return 'awaitingPayment'
+    }
+
+    const result = await gateway.chargeRecurring(buildOrder(payment, plan, subscription))
+
+    if (result.status === 'completed') {
+      charged = result
+      await completeSubscriptionPayment(payment, result)
+
+      await createNotification(subscription.user, {
+        type: 'subscription_renewed',
+        title: 'Membership renewed',
+        message: `Your ${plan.name} membership has been renewed`,
+        link: `/subscriptions/${subscription._id}`,
+        data: { subscriptionId: subscription._id, paymentId: payment._id },
+      })
+      return 'renewed'
+    }
+
+    throw new AppError(result.message || 'Payment declined', 402)
+  } catch (error) {
+    // The learner was charged but recording it failed. Payment reconciliation finishes processing payments
+    if (charged) {
+      console.error(`Renewal charged but not recorded for subscription ${subscription._id}:`, error)
+      payment.status = 'processing'
+      payment.bankTransactionId = charged.gatewayTransactionId
+      payment.paymentMethod = charged.paymentMethod
+      payment.failureReason = error.message
+      await payment.save()
+      return 'needsReconciliation'
+    }
+
+    payment.status = 'failed'
+    payment.failureReason = error.message
+    await payment.save()
+
+    subscription.status = 'past_due'
+    subscription.lastRenewalError = error.message
+    await subscription.save()
+
+    await createNotification(subscription.user, {
+      type: 'subscription_payment_failed',
+      title: 'Membership renewal failed',
+      message: `We couldn't renew your ${plan.name} membership. Access continues until ${subscription.graceEndsAt.toDateString()}`,
+      link: `/subscriptions/${subscription._id}`,
+      data: { subscriptionId: subscription._id, paymentId: payment._id },
+    })
+    return 'failed'
+  }
+}
+
+// Renew due subscriptions and end the ones past their grace period or cancelled. Used by the scheduler and the admin endpoint
+exports.runSubscriptionRenewals = async () => {
+  const now = new Date()
+  const summary = { renewed: 0, awaitingPayment: 0, needsReconciliation: 0, failed: 0, cancelled: 0, expired: 0, errors: 0 }
+
+  // Cancellations take effect at the end of the paid period
+  const cancelled = await Subscription.updateMany(
+    { status: { $in: ACCESS_STATUSES }, cancelAtPeriodEnd: true, currentPeriodEnd: { $lte: now } },
+    { $set: { status: 'cancelled' } }
+  )
+  summary.cancelled += cancelled.modifiedCount
+
+  const dueFilter = {
+    status: { $in: ACCESS_STATUSES },
+    cancelAtPeriodEnd: false,
+    currentPeriodEnd: { $lte: now },
+    $or: [{ lastRenewalAttemptAt: null }, { lastRenewalAttemptAt: { $lte: new Date(now - RENEWAL_RETRY_HOURS * 60 * 60 * 1000) } }],
+  }
+  const due = await Subscription.find(dueFilter).select('_id').lean()
+
+  for (const { _id } of due) {
+    try {
+      // Claim the attempt first so an overlapping run (scheduler and admin trigger) can't charge twice
+      const subscription = await Subscription.findOneAndUpdate(
+        { _id, ...dueFilter },
+        { $set: { lastRenewalAttemptAt: new Date() }, $inc: { renewalAttempts: 1 } },
+        { new: true }
+      )
+      if (!subscription) continue
+
+      summary[await renewSubscription(subscription)]++
+    } catch (error) {
+      console.error(`Renewal error for subscription ${_id}:`, error)
+      summary.errors++
+    }
+  }
+
+  // Whatever is still unpaid once the grace period is over loses access
+  const expiring = await Subscription.find({ status: { $in: ACCESS_STATUSES }, graceEndsAt: { $lte: now } }).populate('plan', 'name')
+  for (const subscription of expiring) {
+    subscription.status = 'expired'
+    subscription.expiredAt = now
+    await subscription.save()
+    summary.expired++
+
+    await createNotification(subscription.user, {
+      type: 'subscription_expired',
+      title: 'Membership expired',
+      message: `Your ${subscription.plan?.name || 'membership'} plan has expired. Subscribe again to regain access`,
+      link: '/subscriptions',
+      data: { subscriptionId: subscription._id },
+    })
+  }
+
+  return summary
+}
+
+// PLANS
+
+// Admin: create a plan
+exports.createPlan = async (req, res, next) => {
+  try {
+    const { error, value } = createPlanSchema.validate(req.body)
+    if (error) return validationError(res, error)
+
+    const { courseIds = [], ...planData } = value
+    if (!planData.includesAllCourses) {
+      await validateCourseIds(courseIds)
+    }
+
+    const plan = await SubscriptionPlan.create({
+      ...planData,
+      courses: planData.includesAllCourses ? [] : courseIds,
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Subscription plan created successfully',
+      data: plan,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// List plans. Learners only see plans open for subscription
+exports.getPlans = async (req, res, next) => {
+  try {
+    // optionalAuth only provides the user ID, so read the role from the database
+    const user = req.user ? await User.findById(req.user._id).select('role').lean() : null
+
+    const filter = { isDeleted: false }
+    if (!hasAdminAccess(user)) {
+      filter.isActive = true
+    }
+
+    const plans = await SubscriptionPlan.find(filter).select('-createdBy').populate('courses', 'title thumbnail').sort({ price: 1 })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription plans fetched successfully',
+      data: plans,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: update a plan. Price changes apply from the next renewal
+exports.updatePlan = async (req, res, next) => {
+  try {
+    const { error, value } = updatePlanSchema.validate(req.body)
+    if (error) return validationError(res, error)
+
+    const plan = await SubscriptionPlan.findOne({ _id: req.params.planId, isDeleted: false })
+    if (!plan) {
+      return next(new AppError('Subscription plan not found', 404))
+    }
+
+    const { courseIds, ...planData } = value
+    Object.assign(plan, planData)
+
+    if (courseIds) {
+      await validateCourseIds(courseIds)
+      plan.courses = courseIds
+    }
+
+    if (!plan.includesAllCourses && !plan.courses.length) {
+      return next(new AppError('A plan must include at least one course', 400))
+    }
+
+    await plan.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription plan updated successfully',
+      data: plan,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: delete a plan. Its subscriptions are cancelled at their next renewal
+exports.deletePlan = async (req, res, next) => {
+  try {
+    const plan = await SubscriptionPlan.findOne({ _id: req.params.planId, isDeleted: false })
+    if (!plan) {
+      return next(new AppError('Subscription plan not found', 404))
+    }
+
+    plan.isDeleted = true
+    plan.isActive = false
+    await plan.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription plan deleted successfully',
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// SUBSCRIPTIONS
+
+// Start a subscription. Gateways that settle immediately activate it right away
+exports.subscribe = async (req, res, next) => {
+  try {
+    const { error, value } = subscribeSchema.validate(req.body)
+    if (error) return validationError(res, error)
+
+    const plan = await SubscriptionPlan.findOne({ _id: req.params.planId, isActive: true, isDeleted: false })
+    if (!plan) {
+      return next(new AppError('Subscription plan not found', 404))
+    }
+
+    const existing = await Subscription.exists({
+      user: req.user._id,
+      plan: plan._id,
+      status: { $in: ACCESS_STATUSES },
+    })
+    if (existing) {
+      return next(new AppError('You already have an active subscription to this plan', 400))
+    }
+
+    const customerDetails = {
+      name: `${req.user.firstName} ${req.user.lastName}`,
+      email: req.user.email,
+      ...value.shippingAddress,
+    }
+
+    // Pick up the learner's open checkout for this plan rather than starting a second one that could also be paid
+    let subscription = await Subscription.findOne({ user: req.user._id, plan: plan._id, status: 'pending' })
+
+    if (subscription) {
+      const openPayment = await Payment.findOne({
+        subscription: subscription._id,
+        status: { $in: ['pending', 'processing'] },
+      }).sort({ createdAt: -1 })
+
+      if (openPayment?.status === 'processing') {
+        return next(new AppError('Your payment for this plan is still being processed', 409))
+      }
+
+      if (openPayment?.gatewayPageURL) {
+        return res.status(200).json({
+          status: 'success',
+          message: 'Subscription payment initialized successfully',
+          data: {
+            subscriptionId: subscription._id,
+            transactionId: openPayment.transactionId,
+            amount: openPayment.amount,
+            gatewayRedirectURL: openPayment.gatewayPageURL,
+          },
+        })
+      }
+
+      subscription.customerDetails = customerDetails
+      await subscription.save()
+    } else {
+      try {
+        subscription = await Subscription.create({
+          user: req.user._id,
+          plan: plan._id,
+          gateway: getGateway().name,
+          customerDetails,
+        })
+      } catch (error) {
+        // Started by a concurrent request
+        if (error.code === 11000) {
+          return next(new AppError('A checkout for this plan is already in progress', 409))
+        }
+        throw error
+      }
+    }
+
+    const gateway = getGateway(subscription.gateway)
+    const payment = await createSubscriptionPayment(subscription, plan)
+    const result = await gateway.initiate(buildOrder(payment, plan, subscription))
+
+    if (result.status === 'completed') {
+      const activeSubscription = await completeSubscriptionPayment(payment, result)
+
+      return res.status(201).json({
+        status: 'success',
+        message: 'Subscription activated successfully',
+        data: { subscription: activeSubscription, transactionId: payment.transactionId },
+      })
+    }
+
+    if (result.status === 'failed') {
+      payment.status = 'failed'
+      payment.failureReason = result.message
+      await payment.save()
+      return next(new AppError(result.message || 'Payment declined', 402))
+    }
+
+    payment.gatewayPageURL = result.gatewayPageURL
+    payment.sslcommerzSessionKey = result.sessionKey
+    await payment.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription payment initialized successfully',
+      data: {
+        subscriptionId: subscription._id,
+        transactionId: payment.transactionId,
+        amount: plan.price,
+        gatewayRedirectURL: result.gatewayPageURL,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Learner: own subscriptions
+exports.getMySubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await Subscription.find({ user: req.user._id, status: { $ne: 'pending' } })
+      .populate('plan', 'name interval price currency includesAllCourses courses')
+      .sort({ createdAt: -1 })
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscriptions fetched successfully',
+      data: subscriptions.map((subscription) => ({
+        ...subscription.toObject(),
+        hasAccess: ACCESS_STATUSES.includes(subscription.status) && subscription.graceEndsAt > new Date(),
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Learner: subscription with its payments, including any renewal waiting to be paid
+exports.getSubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findOne({ _id: req.params.subscriptionId, user: req.user._id }).populate(
+      'plan',
+      'name interval price currency includesAllCourses courses gracePeriodDays'
+    )
+
+    if (!subscription) {
+      return next(new AppError('Subscription not found', 404))
+    }
+
+    const payments = await Payment.find({ subscription: subscription._id })
+      .select('transactionId amount currency status completedAt createdAt gatewayPageURL')
+      .sort({ createdAt: -1 })
+      .limit(24)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription fetched successfully',
+      data: {
+        ...subscription.toObject(),
+        hasAccess: ACCESS_STATUSES.includes(subscription.status) && subscription.graceEndsAt > new Date(),
+        pendingPayment: payments.find((payment) => payment.status === 'pending') || null,
+        payments,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Learner: stop renewing. Access continues until the end of the paid period
+exports.cancelSubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.subscriptionId,
+      user: req.user._id,
+      status: { $in: ACCESS_STATUSES },
+    })
+
+    if (!subscription) {
+      return next(new AppError('Active subscription not found', 404))
+    }
+
+    if (subscription.cancelAtPeriodEnd) {
+      return next(new AppError('Subscription is already set to cancel', 400))
+    }
+
+    subscription.cancelAtPeriodEnd = true
+    subscription.cancelledAt = new Date()
+    // No grace period once the learner has cancelled
+    subscription.graceEndsAt = subscription.currentPeriodEnd
+    await subscription.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: `Subscription cancelled. You keep access until ${subscription.currentPeriodEnd.toDateString()}`,
+      data: subscription,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Learner: undo a cancellation before the period ends
+exports.resumeSubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.subscriptionId,
+      user: req.user._id,
+      status: { $in: ACCESS_STATUSES },
+      cancelAtPeriodEnd: true,
+      currentPeriodEnd: { $gt: new Date() },
+    }).populate('plan', 'gracePeriodDays')
+
+    if (!subscription) {
+      return next(new AppError('No cancelled subscription to resume', 404))
+    }
+
+    subscription.cancelAtPeriodEnd = false
+    subscription.cancelledAt = undefined
+    subscription.graceEndsAt = new Date(subscription.currentPeriodEnd.getTime() + (subscription.plan?.gracePeriodDays || 0) * DAY_MS)
+    await subscription.save()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription resumed successfully',
+      data: subscription,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: list subscriptions
+exports.getSubscriptionsAdmin = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    const filter = {}
+    if (['pending', 'active', 'past_due', 'cancelled', 'expired'].includes(req.query.status)) {
+      filter.status = req.query.status
+    }
+    if (req.query.planId && mongoose.Types.ObjectId.isValid(req.query.planId)) {
+      filter.plan = req.query.planId
+    }
+
+    const [totalSubscriptions, subscriptions] = await Promise.all([
+      Subscription.countDocuments(filter),
+      Subscription.find(filter)
+        .populate('user', 'firstName lastName email')
+        .populate('plan', 'name interval price')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+    ])
+
+    const totalPages = Math.ceil(totalSubscriptions / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscriptions fetched successfully',
+      data: {
+        subscriptions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalSubscriptions,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Admin: run renewals now instead of waiting for the scheduler
+exports.triggerRenewals = async (req, res, next) => {
+  try {
+    const summary = await exports.runSubscriptionRenewals()
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription renewals completed',
+      data: summary,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,373 @@
+// userImport.controller.js
+const crypto = require('crypto')
+const Joi = require('joi')
+const mongoose = require('mongoose')
+const { User, Course, UserImport } = require('../models')
+const { AppError } = require('../utils/errors')
+const { parseCsv, toCsv } = require('../utils/csv')
+const { processEnrollment } = require('../utils/enrollment')
+const { sendOnboardingEmail } = require('../utils/email')
+
+const MAX_IMPORT_ROWS = 2000
+const SETUP_CODE_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const RESULT_COLUMNS = ['row', 'email', 'status', 'userId', 'courseId', 'moduleIds', 'emailSent', 'message']
+
+// Validation Schemas
+const importOptionsSchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+  sendEmails: Joi.boolean().default(true),
+  // Defaults for rows that leave courseId / moduleIds empty
+  courseId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': 'Invalid course ID' }),
+  moduleIds: Joi.string().allow(''),
+}).options({ abortEarly: false })
+
+const rowSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required().messages({
+    'string.email': 'Invalid email address',
+    'any.required': 'Email is required',
+    'string.empty': 'Email is required',
+  }),
+  firstName: Joi.string().trim().max(50).allow(''),
+  lastName: Joi.string().trim().max(50).allow(''),
+  phoneNumber: Joi.string().trim().allow(''),
+  courseId: Joi.string().trim().allow(''),
+  moduleIds: Joi.string().trim().allow(''),
+}).options({ abortEarly: false, stripUnknown: true })
+
+// Helper Functions
+const generateSetupCode = () => {
+  const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+  let code = ''
+  for (let i = 0; i < 6; i++) {
+    code += chars[crypto.randomInt(chars.length)]
+  }
+  return code
+}
+
+// Random password meeting the signup rules. The learner replaces it with the setup code
+const generateTemporaryPassword = () => `Tmp@${crypto.randomBytes(12).toString('base64url')}1a`
+
+const splitIds = (value) => {
+  return (value || '')
+    .split(/[;|,\s]+/)
+    .map((id) => id.trim())
+    .filter(Boolean)
+}
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id)
+
+// Create the user if needed and enroll them, inside one transaction. Dry runs roll everything back
+async function importRow(record, defaults, { dryRun, courseCache }) {
+  const { error, value } = rowSchema.validate(record)
+  if (error) {
+    return { status: 'error', email: record.email, message: error.details.map((detail) => detail.message).join(', ') }
+  }
+
+  const courseId = value.courseId || defaults.courseId
+  const moduleIds = value.moduleIds ? splitIds(value.moduleIds) : defaults.moduleIds
+  const result = { email: value.email, course: courseId || undefined, modules: moduleIds }
+
+  if (moduleIds.length && !courseId) {
+    return { ...result, status: 'error', message: 'moduleIds require a courseId' }
+  }
+
+  if ((courseId && !isObjectId(courseId)) || moduleIds.some((id) => !isObjectId(id))) {
+    return { ...result, status: 'error', message: 'Invalid course or module ID' }
+  }
+
+  let course = null
+  if (courseId) {
+    if (!courseCache.has(courseId)) {
+      courseCache.set(courseId, await Course.findOne({ _id: courseId, isDeleted: false }).select('title'))
+    }
+    course = courseCache.get(courseId)
+    if (!course) {
+      return { ...result, status: 'error', message: 'Course not found' }
+    }
+  }
+
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    let user = await User.findOne({ email: value.email }).session(session)
+    let setupCode = null
+
+    if (user) {
+      result.status = 'skipped'
+      result.message = 'User already exists'
+    } else {
+      if (!value.firstName || !value.lastName) {
+        throw new AppError('firstName and lastName are required for new users', 400)
+      }
+
+      setupCode = generateSetupCode()
+      ;[user] = await User.create(
+        [
+          {
+            email: value.email,
+            firstName: value.firstName,
+            lastName: value.lastName,
+            phoneNumber: value.phoneNumber || undefined,
+            password: generateTemporaryPassword(),
+            isEmailVerified: true,
+            resetPasswordToken: setupCode,
+            resetPasswordExpires: Date.now() + SETUP_CODE_TTL_MS,
+          },
+        ],
+        { session }
+      )
+
+      result.status = 'created'
+      result.message = 'User created'
+    }
+
+    result.user = user._id
+
+    if (course) {
+      const wasEnrolled = user.enrolledCourses.some((ec) => ec.course.toString() === course._id.toString())
+
+      try {
+        await processEnrollment(user._id, course._id, moduleIds.length ? 'module' : 'course', moduleIds, session)
+
+        if (!wasEnrolled) {
+          await Course.updateOne({ _id: course._id }, { $inc: { totalStudents: 1 } }, { session })
+        }
+
+        const enrolledIn = moduleIds.length ? `${moduleIds.length} module(s) of ${course.title}` : course.title
+        if (result.status === 'skipped') {
+          result.status = 'updated'
+          result.message = `Enrolled existing user in ${enrolledIn}`
+        } else {
+          result.message = `User created and enrolled in ${enrolledIn}`
+        }
+      } catch (enrollmentError) {
+        // Already enrolled is not a failure for an existing user
+        if (result.status !== 'skipped' || enrollmentError.statusCode !== 400) {
+          throw enrollmentError
+        }
+        result.message = enrollmentError.message
+      }
+    }
+
+    if (dryRun) {
+      await session.abortTransaction()
+    } else {
+      await session.commitTransaction()
+    }
+
+    return { ...result, setupCode, firstName: user.firstName, courseTitle: course?.title }
+  } catch (error) {
+    await session.abortTransaction()
+    const message = error.code === 11000 ? 'Email belongs to a deleted account' : error.isOperational ? error.message : 'Unexpected error'
+    if (!error.isOperational && error.code !== 11000) {
+      console.error(`User import failed for ${value.email}:`, error)
+    }
+    return { ...result, status: 'error', message }
+  } finally {
+    session.endSession()
+  }
+}
+
+const formatImport = (userImport) => ({
+  _id: userImport._id,
+  fileName: userImport.fileName,
+  dryRun: userImport.dryRun,
+  sendEmails: userImport.sendEmails,
+  summary: userImport.summary,
+  createdBy: userImport.createdBy,
+  createdAt: userImport.createdAt,
+})
+
+// Import users and enrollments from a CSV file. Columns: email, firstName, lastName, phoneNumber, courseId, moduleIds
+exports.importUsers = async (req, res, next) => {
+  try {
+    const { error, value } = importOptionsSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        errors: error.details.map((detail) => ({
+          field: detail.context.key,
+          message: detail.message,
+        })),
+      })
+    }
+
+    if (!req.file) {
+      return next(new AppError('Please upload a CSV file', 400))
+    }
+
+    const { headers, records, lines } = parseCsv(req.file.buffer.toString('utf8'))
+
+    if (!headers.includes('email')) {
+      return next(new AppError('CSV must have a header row with an "email" column', 400))
+    }
+
+    if (!records.length) {
+      return next(new AppError('CSV file has no rows', 400))
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return next(new AppError(`CSV files are limited to ${MAX_IMPORT_ROWS} rows`, 400))
+    }
+
+    const defaults = {
+      courseId: value.courseId,
+      moduleIds: splitIds(value.moduleIds),
+    }
+    const courseCache = new Map()
+    const seenEmails = new Map()
+    const rows = []
+
+    for (const [index, record] of records.entries()) {
+      // The line in the file, so quoted values spanning lines and blank lines don't shift the numbers
+      const rowNumber = lines[index]
+      const email = (record.email || '').trim().toLowerCase()
+
+      if (email && seenEmails.has(email)) {
+        rows.push({ row: rowNumber, email, status: 'error', message: `Duplicate of row ${seenEmails.get(email)}` })
+        continue
+      }
+      seenEmails.set(email, rowNumber)
+
+      const result = await importRow(record, defaults, { dryRun: value.dryRun, courseCache })
+      rows.push({ row: rowNumber, ...result })
+    }
+
+    // Onboarding emails go out only after the rows are saved
+    if (!value.dryRun && value.sendEmails) {
+      for (const row of rows.filter((r) => r.status === 'created')) {
+        try {
+          await sendOnboardingEmail(row.email, row.firstName, row.setupCode, row.courseTitle ? [row.courseTitle] : [])
+          row.emailSent = true
+        } catch (emailError) {
+          console.error(`Onboarding email failed for ${row.email}:`, emailError)
+          row.emailSent = false
+        }
+      }
+    }
+
+    const summary = {
+      total: rows.length,
+      created: rows.filter((r) => r.status === 'created').length,
+      updated: rows.filter((r) => r.status === 'updated').length,
+      skipped: rows.filter((r) => r.status === 'skipped').length,
+      errors: rows.filter((r) => r.status === 'error').length,
+    }
+
+    const userImport = await UserImport.create({
+      fileName: req.file.originalname,
+      dryRun: value.dryRun,
+      sendEmails: value.sendEmails,
+      createdBy: req.user._id,
+      summary,
+      rows: rows.map(({ row, email, user, course, modules, status, emailSent, message }) => ({
+        row,
+        email,
+        user,
+        course,
+        modules,
+        status,
+        emailSent,
+        message,
+      })),
+    })
+
+    res.status(value.dryRun ? 200 : 201).json({
+      status: 'success',
+      message: value.dryRun ? 'Dry run completed. No changes were saved' : 'Import completed',
+      data: {
+        ...formatImport(userImport),
+        rows: userImport.rows,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// List previous imports
+exports.getUserImports = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+    const skip = (page - 1) * limit
+
+    const [totalImports, imports] = await Promise.all([
+      UserImport.countDocuments(),
+      UserImport.find().select('-rows').populate('createdBy', 'firstName lastName email').sort({ createdAt: -1 }).skip(skip).limit(limit),
+    ])
+
+    const totalPages = Math.ceil(totalImports / limit)
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Imports fetched successfully',
+      data: {
+        imports,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalImports,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get a single import with its per-row results
+exports.getUserImport = async (req, res, next) => {
+  try {
+    const userImport = await UserImport.findById(req.params.importId).populate('createdBy', 'firstName lastName email')
+
+    if (!userImport) {
+      return next(new AppError('Import not found', 404))
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Import fetched successfully',
+      data: userImport,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Download per-row results as CSV
+exports.downloadUserImportResults = async (req, res, next) => {
+  try {
+    const userImport = await UserImport.findById(req.params.importId)
+
+    if (!userImport) {
+      return next(new AppError('Import not found', 404))
+    }
+
+    const records = userImport.rows.map((row) => ({
+      row: row.row,
+      email: row.email,
+      status: row.status,
+      userId: row.user,
+      courseId: row.course,
+      moduleIds: row.modules.join(';'),
+      emailSent: row.emailSent ?? '',
+      message: row.message,
+    }))
+
+    const fileName = `user-import-${userImport._id}${userImport.dryRun ? '-dry-run' : ''}-results.csv`
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    })
+    res.status(200).send(toCsv(records, RESULT_COLUMNS))
+  } catch (error) {
+    next(error)
+  }
+}
@@ -11,6 +11,10 @@ const hpp = require('hpp')
 const { apiLimiter } = require('./middleware/rateLimiter')
 const errorHandler = require('./middleware/error')
 const { AppError } = require('./utils/errors')
+const { scheduleJob } = require('./utils/scheduler')
+const { runPaymentReconciliation } = require('./controllers/payment.controller')
+const { runSubscriptionRenewals } = require('./controllers/subscription.controller')
+const { runQuizAttemptSweeper } = require('./controllers/quiz.controller')
 
 const testEnrollmentRouter = require('./routes/testEnrollment.routes')
 
@@ -57,9 +61,14 @@ app.use('/api/auth', require('./routes/auth.routes'))
 app.use('/api/users', require('./routes/user.routes'))
 app.use('/api/admin', require('./routes/admin.routes'))
 app.use('/api/courses', require('./routes/course.routes'))
+app.use('/api/bundles', require('./routes/bundle.routes'))
+app.use('/api/subscriptions', require('./routes/subscription.routes'))
 app.use('/api/payments', require('./routes/payment.routes'))
 app.use('/api/final-cert', require('./routes/certificate.routes'))
 app.use('/api/coupons', require('./routes/coupon.routes'))
+app.use('/api/notifications', require('./routes/notification.routes'))
+app.use('/api/organizations', require('./routes/organization.routes'))
+app.use('/api/question-banks', require('./routes/questionBank.routes'))
 // app.use('/api/discounts', require('./routes/discounts'));
 // app.use('/api/progress', require('./routes/progress'));
 // app.use('/api/reviews', require('./routes/reviews'));
@@ -104,6 +113,22 @@ mongoose
     server = app.listen(port, () => {
       console.log(`Server running on port ${port}`)
     })
+
+    // Background jobs
+    if (process.env.PAYMENT_RECONCILIATION_ENABLED !== 'false') {
+      const intervalMinutes = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES) || 15
+      scheduleJob('payment-reconciliation', intervalMinutes * 60 * 1000, () => runPaymentReconciliation())
+    }
+
+    if (process.env.SUBSCRIPTION_RENEWALS_ENABLED !== 'false') {
+      const intervalMinutes = parseInt(process.env.SUBSCRIPTION_RENEWAL_INTERVAL_MINUTES) || 60
+      scheduleJob('subscription-renewals', intervalMinutes * 60 * 1000, () => runSubscriptionRenewals())
+    }
+
+    if (process.env.QUIZ_SWEEPER_ENABLED !== 'false') {
+      const intervalMinutes = parseInt(process.env.QUIZ_SWEEPER_INTERVAL_MINUTES) || 1
+      scheduleJob('quiz-attempt-sweeper', intervalMinutes * 60 * 1000, () => runQuizAttemptSweeper())
+    }
   })
   .catch((err) => {
     console.error('MongoDB connection error:', err)
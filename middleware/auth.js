@@ -1,6 +1,15 @@
+const jwt = require('jsonwebtoken')
 const { verifyToken } = require('../utils/token')
-const { User } = require('../models')
+const { User, AuthSession } = require('../models')
 const { AppError } = require('../utils/errors')
+const { findActiveSession } = require('../utils/session')
+
+// Only write lastUsedAt this often to avoid a database write on every request
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000
+
+// Staff accounts can't use the API until they have enrolled in two-factor authentication
+const requiresTwoFactor = (user) => user.role !== 'user'
+exports.requiresTwoFactor = requiresTwoFactor
 
 
 // exports.protect = async (req, res, next) => {
@@ -95,14 +104,31 @@ exports.protect = async (req, res, next) => {
       const decoded = await verifyToken(token)
 
       try {
+        // Tokens issued before sessions existed carry no session ID and are no longer accepted
+        const authSession = decoded.sid ? await findActiveSession(decoded.sid) : null
+        if (!authSession || authSession.user.toString() !== decoded.id) {
+          return next(new AppError('Your session has expired. Please log in again', 401))
+        }
+
         const user = await User.findById(decoded.id).select('+role +enrolledCourses').lean().maxTimeMS(20000) // Add timeout
 
         if (!user) {
           return next(new AppError('User no longer exists', 401))
         }
 
+        if (requiresTwoFactor(user) && !user.twoFactor?.enabled && !req.allowTwoFactorSetup) {
+          return next(new AppError('Two-factor authentication must be enabled for this account', 403))
+        }
+
+        if (Date.now() - new Date(authSession.lastUsedAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+          AuthSession.updateOne({ _id: authSession._id }, { lastUsedAt: new Date() }).catch((err) => {
+            console.error('Failed to update session activity:', err)
+          })
+        }
+
         user.enrolledCourses = user.enrolledCourses || []
         req.user = user
+        req.authSession = authSession
         next()
       } catch (dbError) {
         console.error('Database query error:', dbError)
@@ -122,6 +148,64 @@ exports.protect = async (req, res, next) => {
   }
 }
 
+// For the two-factor setup endpoints: accepts a normal access token, or the restricted
+// setup token staff receive at login before they have enrolled
+exports.protectTwoFactorSetup = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.startsWith('Bearer') ? req.headers.authorization.split(' ')[1] : null
+    const decoded = token ? jwt.decode(token) : null
+
+    if (decoded?.purpose !== '2fa_setup') {
+      req.allowTwoFactorSetup = true
+      return exports.protect(req, res, next)
+    }
+
+    await verifyToken(token)
+
+    const user = await User.findById(decoded.id).select('+role').lean()
+    if (!user) {
+      return next(new AppError('User no longer exists', 401))
+    }
+
+    req.user = user
+    req.twoFactorSetup = true
+    next()
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new AppError('Your setup session has expired. Please log in again', 401))
+    }
+    return next(new AppError('Authentication failed', 401))
+  }
+}
+
+// For the notification stream: accepts only a stream ticket from the `ticket` query parameter
+exports.protectStream = async (req, res, next) => {
+  try {
+    const decoded = req.query.ticket ? await verifyToken(req.query.ticket) : null
+    if (decoded?.purpose !== 'notification_stream') {
+      return next(new AppError('Please log in to access this resource', 401))
+    }
+
+    const authSession = await findActiveSession(decoded.session)
+    if (!authSession || authSession.user.toString() !== decoded.id) {
+      return next(new AppError('Your session has expired. Please log in again', 401))
+    }
+
+    const user = await User.findById(decoded.id).lean()
+    if (!user) {
+      return next(new AppError('User no longer exists', 401))
+    }
+
+    req.user = user
+    next()
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new AppError('Your stream ticket has expired. Request a new one', 401))
+    }
+    return next(new AppError('Authentication failed', 401))
+  }
+}
+
 exports.optionalAuth = async (req, res, next) => {
   try {
     let token
@@ -138,6 +222,12 @@ exports.optionalAuth = async (req, res, next) => {
       // Verify token
       const decoded = await verifyToken(token)
 
+      // Revoked sessions browse as public users
+      const authSession = decoded.sid ? await findActiveSession(decoded.sid) : null
+      if (!authSession) {
+        return next()
+      }
+
       // Attach the user ID and role
       req.user = {
         _id: decoded.id,
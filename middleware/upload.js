@@ -76,6 +76,41 @@ exports.uploadQuizAttachment = multer({
   },
 })
 
+// Question import files: GIFT, QTI (XML or zipped package) and CSV
+const questionFileFilter = (req, file, cb) => {
+  const extension = file.originalname.toLowerCase().split('.').pop()
+  if (['gift', 'txt', 'xml', 'zip', 'csv'].includes(extension)) {
+    cb(null, true)
+  } else {
+    cb(new AppError('Please upload a GIFT (.gift, .txt), QTI (.xml, .zip) or CSV file', 400), false)
+  }
+}
+
+exports.uploadQuestionFile = multer({
+  storage,
+  fileFilter: questionFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit for question files
+  },
+})
+
+// CSV uploads for user imports
+const csvFileFilter = (req, file, cb) => {
+  if (file.originalname.toLowerCase().endsWith('.csv')) {
+    cb(null, true)
+  } else {
+    cb(new AppError('Please upload a .csv file', 400), false)
+  }
+}
+
+exports.uploadCsv = multer({
+  storage,
+  fileFilter: csvFileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit for CSV imports
+  },
+})
+
 // Error handler for multer
 exports.handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
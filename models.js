@@ -22,12 +22,35 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       index: true,
     },
+    // Accounts created through social login have no password until they set one
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.oauthAccounts?.length
+      },
       minlength: 8,
       select: false,
     },
+    // Linked Google / Microsoft identities
+    oauthAccounts: [
+      {
+        provider: {
+          type: String,
+          enum: ['google', 'microsoft'],
+          required: true,
+        },
+        // The identity provider's stable user ID (OIDC "sub")
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     role: {
       type: String,
       enum: ['user', 'admin', 'subAdmin', 'moderator'],
@@ -49,6 +72,33 @@ const userSchema = new mongoose.Schema(
     verificationToken: String,
     resetPasswordToken: String,
     resetPasswordExpires: Date,
+    // TOTP two-factor authentication. Mandatory for every role other than user
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
     enrolledCourses: [
       {
         course: {
@@ -93,6 +143,18 @@ const userSchema = new mongoose.Schema(
             },
           },
         ],
+        // Instructor-led batch, modules drip-release from its start date
+        cohort: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Cohort',
+          default: null,
+        },
+        // Set when access comes from an organization seat rather than a purchase
+        seat: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'SeatAssignment',
+          default: null,
+        },
       },
     ],
     isDeleted: {
@@ -108,6 +170,8 @@ const userSchema = new mongoose.Schema(
   }
 )
 
+userSchema.index({ 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 })
+
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next()
   this.password = await bcrypt.hash(this.password, 12)
@@ -122,6 +186,85 @@ userSchema.pre('findOne', function () {
   this.where({ isDeleted: false })
 })
 
+// Pending social login: created when the user is sent to the identity provider,
+// then holds a one-time code the frontend exchanges for tokens
+const oauthStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      enum: ['google', 'microsoft'],
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    // Frontend path to return to after login
+    returnTo: String,
+    // Signed-in user linking this provider to their account, instead of logging in
+    linkUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isNewUser: Boolean,
+    loginCodeHash: {
+      type: String,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+)
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// One login session per device, backing a rotating refresh token
+const authSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the current refresh token. Rotated on every refresh
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    userAgent: String,
+    device: String,
+    ipAddress: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  { timestamps: true }
+)
+
+// Let MongoDB clean up sessions once they have expired
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
 const instructorSchema = new mongoose.Schema(
   {
     name: {
@@ -161,6 +304,12 @@ const instructorSchema = new mongoose.Schema(
       trim: true,
     },
     achievements: [String],
+    // Platform account of the instructor, used for instructor badges
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   { _id: true }
 )
@@ -455,6 +604,12 @@ const moduleSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Days after cohort start when the module unlocks for cohort learners
+    releaseOffsetDays: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
@@ -482,33 +637,48 @@ moduleSchema.pre('findOne', function () {
   this.where({ isDeleted: false })
 })
 
-const moduleReviewSchema = new mongoose.Schema(
+const cohortSchema = new mongoose.Schema(
   {
-    user: {
+    course: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
+      ref: 'Course',
       required: true,
       index: true,
     },
-    module: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Module',
+    name: {
+      type: String,
       required: true,
-      index: true,
+      trim: true,
     },
-    course: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Course',
+    description: String,
+    startDate: {
+      type: Date,
       required: true,
-      index: true,
     },
-    rating: {
-      type: Number,
+    enrollmentOpensAt: {
+      type: Date,
+      required: true,
+    },
+    enrollmentClosesAt: {
+      type: Date,
       required: true,
+    },
+    // null means unlimited seats
+    capacity: {
+      type: Number,
       min: 1,
-      max: 5,
+      default: null,
+    },
+    enrolledCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
     },
-    feedback: String,
     isDeleted: {
       type: Boolean,
       default: false,
@@ -518,138 +688,629 @@ const moduleReviewSchema = new mongoose.Schema(
   { timestamps: true }
 )
 
-moduleReviewSchema.index({ user: 1, module: 1 }, { unique: true })
-moduleReviewSchema.pre('find', function () {
-  this.where({ isDeleted: false })
-})
-
-// Update module rating when a review is added or modified
-moduleReviewSchema.post('save', async function () {
-  const ModuleReview = this.constructor
-  const Module = mongoose.model('Module')
-  const Course = mongoose.model('Course')
-
-  // Update module rating
-  const moduleStats = await ModuleReview.aggregate([
-    { $match: { module: this.module, isDeleted: false } },
-    {
-      $group: {
-        _id: '$module',
-        avgRating: { $avg: '$rating' },
-      },
-    },
-  ])
-
-  await Module.findByIdAndUpdate(this.module, {
-    rating: moduleStats.length > 0 ? Math.round(moduleStats[0].avgRating * 10) / 10 : 0,
-  })
-
-  // Update course rating based on module reviews
-  const courseId = this.course
-
-  // Get all module reviews for this course
-  const courseStats = await ModuleReview.aggregate([
-    { $match: { course: courseId, isDeleted: false } },
-    {
-      $group: {
-        _id: '$course',
-        avgRating: { $avg: '$rating' },
-      },
-    },
-  ])
-
-  // Update the course rating
-  if (courseStats.length > 0) {
-    await Course.findByIdAndUpdate(courseId, {
-      rating: Math.round(courseStats[0].avgRating * 10) / 10,
-    })
-  }
-})
-
+cohortSchema.index({ course: 1, startDate: 1 })
 
-const lessonSchema = new mongoose.Schema(
+// Company buying course access for its employees
+const organizationSchema = new mongoose.Schema(
   {
-    title: {
+    name: {
       type: String,
       required: true,
       trim: true,
     },
-    description: String,
-    // New field for rich text content
-    details: {
-      type: String,
-      maxLength: 50000, // 50KB limit for rich text content
-    },
-    module: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Module',
-      required: true,
-      index: true,
+    // Verified users with these email domains join automatically
+    domains: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+    ],
+    autoJoinEnabled: {
+      type: Boolean,
+      default: false,
     },
-    order: {
-      type: Number,
-      required: true,
-      index: true,
+    inviteCode: {
+      type: String,
+      unique: true,
+      sparse: true,
     },
-    // Video related fields
-    videoUrl: String,
-    dashUrl: String,
-    rawUrl: String,
-    cloudflareVideoId: String,
-    duration: Number,
-    thumbnail: String,
-    videoMeta: {
-      size: Number,
-      created: String,
-      modified: String,
-      status: String,
+    inviteEnabled: {
+      type: Boolean,
+      default: true,
     },
-    // Downloadable assets/files
-    assets: [
+    members: [
       {
-        title: {
-          type: String,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
           required: true,
-          trim: true,
         },
-        description: String,
-        fileUrl: {
+        // Organization admins manage members and seats
+        role: {
           type: String,
-          required: true,
+          enum: ['admin', 'member'],
+          default: 'member',
         },
-        fileKey: {
+        joinedVia: {
           type: String,
-          required: true,
-        },
-        fileType: String,
-        fileSize: Number,
-        downloadCount: {
-          type: Number,
-          default: 0,
+          enum: ['admin', 'invite', 'domain'],
+          default: 'admin',
         },
-        uploadedAt: {
+        joinedAt: {
           type: Date,
           default: Date.now,
         },
-        isPublic: {
-          type: Boolean,
-          default: false,
-        },
       },
     ],
-    //  quiz settings
-    quiz: {
+    createdBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Quiz',
+      ref: 'User',
+      required: true,
     },
-    quizSettings: {
-      required: {
-        type: Boolean,
-        default: false,
-      },
-      minimumPassingScore: {
-        type: Number,
-        min: 0,
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  { timestamps: true }
+)
+
+organizationSchema.index({ 'members.user': 1 })
+organizationSchema.index({ domains: 1 })
+
+// Seats an organization has bought for one course
+const seatPoolSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+    },
+    totalSeats: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    usedSeats: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Seats can't be assigned after this date. Existing assignments stay active
+    expiresAt: Date,
+    notes: String,
+  },
+  { timestamps: true }
+)
+
+seatPoolSchema.index({ organization: 1, course: 1 }, { unique: true })
+
+const seatAssignmentSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    seatPool: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SeatPool',
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'revoked'],
+      default: 'active',
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Seat handed over to another member
+    reassignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SeatAssignment',
+    },
+  },
+  { timestamps: true }
+)
+
+seatAssignmentSchema.index({ organization: 1, course: 1, status: 1 })
+seatAssignmentSchema.index({ user: 1, course: 1, status: 1 })
+
+// Several courses sold together. Learning paths are taken in order and earn a path certificate
+const bundleSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    type: {
+      type: String,
+      enum: ['bundle', 'path'],
+      default: 'bundle',
+    },
+    courses: [
+      {
+        course: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Course',
+          required: true,
+        },
+        order: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    isPublished: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  { timestamps: true }
+)
+
+bundleSchema.index({ 'courses.course': 1 })
+
+// Recurring membership giving access to a set of courses while active
+const subscriptionPlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    interval: {
+      type: String,
+      enum: ['month', 'year'],
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'BDT',
+    },
+    // Catalog subset covered by the plan, ignored when includesAllCourses is set
+    courses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+      },
+    ],
+    includesAllCourses: {
+      type: Boolean,
+      default: false,
+    },
+    // Days of continued access after a renewal fails
+    gracePeriodDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+    },
+    // Inactive plans take no new subscribers but existing ones keep renewing
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  { timestamps: true }
+)
+
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionPlan',
+      required: true,
+      index: true,
+    },
+    // pending until the first payment completes, past_due while a renewal is unpaid
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'past_due', 'cancelled', 'expired'],
+      default: 'pending',
+      index: true,
+    },
+    // Payment gateway adapter used for renewals
+    gateway: {
+      type: String,
+      required: true,
+    },
+    currentPeriodStart: Date,
+    currentPeriodEnd: {
+      type: Date,
+      index: true,
+    },
+    // Access ends here: the period end plus the plan's grace period
+    graceEndsAt: {
+      type: Date,
+      index: true,
+    },
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false,
+    },
+    cancelledAt: Date,
+    expiredAt: Date,
+    renewalAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastRenewalAttemptAt: Date,
+    lastRenewalError: String,
+    customerDetails: {
+      name: String,
+      email: String,
+      address: String,
+      city: String,
+      country: String,
+      phone: String,
+    },
+  },
+  { timestamps: true }
+)
+
+subscriptionSchema.index({ user: 1, status: 1, graceEndsAt: 1 })
+// One open checkout per plan, so two can't both be paid
+subscriptionSchema.index({ user: 1, plan: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } })
+
+const discussionPostSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+      index: true,
+    },
+    module: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Module',
+      required: true,
+      index: true,
+    },
+    lesson: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lesson',
+      required: true,
+      index: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Root post of the thread, null for the thread itself
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DiscussionPost',
+      default: null,
+      index: true,
+    },
+    // Post being replied to, for nested replies
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DiscussionPost',
+      default: null,
+    },
+    title: {
+      type: String,
+      trim: true,
+      required: function () {
+        return !this.thread
+      },
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    upvotes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    upvoteCount: {
+      type: Number,
+      default: 0,
+    },
+    // Thread fields
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    acceptedAnswer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DiscussionPost',
+      default: null,
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    isLocked: {
+      type: Boolean,
+      default: false,
+    },
+    // Moderation
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderationReason: String,
+    editedAt: Date,
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  { timestamps: true }
+)
+
+discussionPostSchema.index({ lesson: 1, thread: 1, isPinned: -1, lastActivityAt: -1 })
+discussionPostSchema.index({ course: 1, thread: 1, lastActivityAt: -1 })
+
+const moduleReviewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    module: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Module',
+      required: true,
+      index: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+      index: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    feedback: String,
+    // Staff reply shown under the review
+    reply: {
+      text: String,
+      repliedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      repliedAt: Date,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  { timestamps: true }
+)
+
+moduleReviewSchema.index({ user: 1, module: 1 }, { unique: true })
+moduleReviewSchema.pre('find', function () {
+  this.where({ isDeleted: false })
+})
+
+// Update module rating when a review is added or modified
+moduleReviewSchema.post('save', async function () {
+  const ModuleReview = this.constructor
+  const Module = mongoose.model('Module')
+  const Course = mongoose.model('Course')
+
+  // Update module rating
+  const moduleStats = await ModuleReview.aggregate([
+    { $match: { module: this.module, isDeleted: false } },
+    {
+      $group: {
+        _id: '$module',
+        avgRating: { $avg: '$rating' },
+      },
+    },
+  ])
+
+  await Module.findByIdAndUpdate(this.module, {
+    rating: moduleStats.length > 0 ? Math.round(moduleStats[0].avgRating * 10) / 10 : 0,
+  })
+
+  // Update course rating based on module reviews
+  const courseId = this.course
+
+  // Get all module reviews for this course
+  const courseStats = await ModuleReview.aggregate([
+    { $match: { course: courseId, isDeleted: false } },
+    {
+      $group: {
+        _id: '$course',
+        avgRating: { $avg: '$rating' },
+      },
+    },
+  ])
+
+  // Update the course rating
+  if (courseStats.length > 0) {
+    await Course.findByIdAndUpdate(courseId, {
+      rating: Math.round(courseStats[0].avgRating * 10) / 10,
+    })
+  }
+})
+
+
+const lessonSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    // New field for rich text content
+    details: {
+      type: String,
+      maxLength: 50000, // 50KB limit for rich text content
+    },
+    module: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Module',
+      required: true,
+      index: true,
+    },
+    order: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    // Video related fields
+    videoUrl: String,
+    dashUrl: String,
+    rawUrl: String,
+    cloudflareVideoId: String,
+    duration: Number,
+    thumbnail: String,
+    videoMeta: {
+      size: Number,
+      created: String,
+      modified: String,
+      status: String,
+    },
+    // Downloadable assets/files
+    assets: [
+      {
+        title: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        description: String,
+        fileUrl: {
+          type: String,
+          required: true,
+        },
+        fileKey: {
+          type: String,
+          required: true,
+        },
+        fileType: String,
+        fileSize: Number,
+        downloadCount: {
+          type: Number,
+          default: 0,
+        },
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        isPublic: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    //  quiz settings
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+    },
+    quizSettings: {
+      required: {
+        type: Boolean,
+        default: false,
+      },
+      minimumPassingScore: {
+        type: Number,
+        min: 0,
         max: 100,
         default: 70,
       },
@@ -753,10 +1414,10 @@ const questionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['mcq', 'text'],
+    enum: ['mcq', 'multiSelect', 'trueFalse', 'ordering', 'matching', 'fillBlank', 'numeric', 'text'],
     required: true,
   },
-  // For MCQ questions
+  // For MCQ and multi-select questions
   options: [
     {
       option: {
@@ -769,6 +1430,41 @@ const questionSchema = new mongoose.Schema({
       },
     },
   ],
+  // Multi-select, ordering and matching: award a share of the marks for partly correct answers
+  partialCredit: Boolean,
+  // For true/false questions
+  correctAnswer: Boolean,
+  // For ordering questions, in the correct order
+  items: {
+    type: [String],
+    default: undefined,
+  },
+  // For matching questions
+  pairs: {
+    type: [
+      {
+        _id: false,
+        prompt: {
+          type: String,
+          required: true,
+        },
+        match: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    default: undefined,
+  },
+  // For fill-in-the-blank questions
+  acceptedAnswers: {
+    type: [String],
+    default: undefined,
+  },
+  caseSensitive: Boolean,
+  // For numeric questions
+  correctNumber: Number,
+  tolerance: Number,
   marks: {
     type: Number,
     required: true,
@@ -776,6 +1472,86 @@ const questionSchema = new mongoose.Schema({
   },
 })
 
+const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard']
+
+// Question Bank Schema - reusable questions shared across quizzes
+const questionBankSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+)
+
+// Bank Question Schema - same fields as a quiz question plus tags and difficulty for rule-based draws
+const bankQuestionSchema = new mongoose.Schema(
+  {
+    ...questionSchema.obj,
+    bank: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuestionBank',
+      required: true,
+    },
+    tags: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+    ],
+    difficulty: {
+      type: String,
+      enum: QUESTION_DIFFICULTIES,
+      default: 'medium',
+    },
+    // Bumped on every edit, attempts record the version they were served
+    version: {
+      type: Number,
+      default: 1,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+)
+
+bankQuestionSchema.index({ bank: 1, isDeleted: 1, difficulty: 1, tags: 1 })
+
+// Snapshot of a bank question as served in an attempt. _id is the bank question's ID
+const servedQuestionSchema = new mongoose.Schema({
+  ...questionSchema.obj,
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionBank',
+  },
+  version: Number,
+})
+
 // Quiz Schema
 const quizSchema = new mongoose.Schema(
   {
@@ -813,7 +1589,35 @@ const quizSchema = new mongoose.Schema(
       min: 0, // 0 means use all questions
       default: 0,
     },
+    // Seconds after the time limit that a submission is still accepted, to allow for network delays
+    submissionGracePeriod: {
+      type: Number,
+      min: 0,
+      default: 30,
+    },
     questions: [questionSchema],
+    // Drawn from question banks on every attempt, on top of the quiz's own questions
+    bankRules: [
+      {
+        _id: false,
+        bank: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'QuestionBank',
+          required: true,
+        },
+        // Questions must carry all of these tags
+        tags: [String],
+        difficulty: {
+          type: String,
+          enum: QUESTION_DIFFICULTIES,
+        },
+        count: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
     totalMarks: {
       type: Number,
       required: true,
@@ -857,25 +1661,69 @@ const quizAttemptSchema = new mongoose.Schema(
       required: true,
       default: Date.now,
     },
+    // When the time limit runs out, fixed when the attempt starts
+    expiresAt: Date,
+    // When the sweeper submits the attempt: the deadline plus the quiz's grace period. Null once it can't be
+    autoSubmitAt: Date,
     submitTime: Date,
+    // Last time in-progress answers were saved
+    lastSavedAt: Date,
+    // Submitted by the server with the saved answers once the time ran out
+    autoSubmitted: {
+      type: Boolean,
+      default: false,
+    },
     questionSet: [
       {
         type: mongoose.Schema.Types.ObjectId,
       },
     ],
+    // Bank questions drawn for this attempt, exactly as they were when served
+    servedQuestions: [servedQuestionSchema],
+    // Marks available across this attempt's question set
+    totalMarks: Number,
     answers: [
       {
         questionId: {
           type: mongoose.Schema.Types.ObjectId,
           required: true,
         },
+        // Question type, recorded so graders can tell free text apart from auto-graded answers
+        type: { type: String },
         // For MCQ
         selectedOption: String,
-        // For text questions
+        // For multi-select
+        selectedOptions: {
+          type: [String],
+          default: undefined,
+        },
+        // For true/false
+        booleanAnswer: Boolean,
+        // For ordering
+        orderedItems: {
+          type: [String],
+          default: undefined,
+        },
+        // For matching
+        matches: {
+          type: [
+            {
+              _id: false,
+              prompt: String,
+              match: String,
+            },
+          ],
+          default: undefined,
+        },
+        // For numeric
+        numericAnswer: Number,
+        // For text and fill-in-the-blank questions
         textAnswer: String,
         marks: Number,
         isCorrect: Boolean,
         feedback: String,
+        // Seconds the learner spent on the question, as reported by the client
+        timeSpent: Number,
       },
     ],
     score: Number,
@@ -890,10 +1738,6 @@ const quizAttemptSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
-    notificationViewed: {
-      type: Boolean,
-      default: false,
-    },
     gradedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -907,14 +1751,17 @@ const quizAttemptSchema = new mongoose.Schema(
 // Index for checking attempt limits
 quizAttemptSchema.index({ quiz: 1, user: 1, attempt: 1 }, { unique: true })
 
+// For the sweeper that submits expired attempts
+quizAttemptSchema.index({ status: 1, autoSubmitAt: 1 })
+
 // Virtual for remaining time
 quizAttemptSchema.virtual('remainingTime').get(function () {
   if (this.status !== 'inProgress' || !this.startTime) return 0
 
   const quiz = this.quiz
-  if (!quiz?.quizTime) return 0
+  if (!this.expiresAt && !quiz?.quizTime) return 0
 
-  const endTime = new Date(this.startTime.getTime() + quiz.quizTime * 60000)
+  const endTime = this.expiresAt || new Date(this.startTime.getTime() + quiz.quizTime * 60000)
   const remaining = endTime - new Date()
 
   return Math.max(0, Math.floor(remaining / 1000)) // Return remaining seconds
@@ -931,15 +1778,43 @@ const paymentSchema = new mongoose.Schema(
     course: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Course',
-      required: true,
+      required: function () {
+        return ['course', 'module'].includes(this.purchaseType)
+      },
       index: true,
     },
     purchaseType: {
       type: String,
-      enum: ['course', 'module'],
+      enum: ['course', 'module', 'bundle', 'subscription'],
       required: true,
       index: true,
     },
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bundle',
+      index: true,
+    },
+    // Courses a bundle purchase actually granted, so a refund only takes those back
+    bundleCourses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+      },
+    ],
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+      index: true,
+    },
+    subscriptionPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionPlan',
+    },
+    // Payment gateway adapter that handled the payment
+    gateway: {
+      type: String,
+      default: 'sslcommerz',
+    },
     modules: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -956,7 +1831,7 @@ const paymentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded'],
       default: 'pending',
     },
     redirectStatus: {
@@ -985,6 +1860,29 @@ const paymentSchema = new mongoose.Schema(
     completedAt: Date,
     refundedAt: Date,
     refundReason: String,
+    refundAmount: Number,
+    refundRefId: String,
+    bankTransactionId: String,
+    paymentMethod: String,
+    failureReason: String,
+    // Paid payments an admin should look at, e.g. a coupon that was used more times than allowed
+    needsReview: {
+      type: Boolean,
+      default: false,
+    },
+    reviewReason: String,
+    // Charged but no access was granted, so a refund has nothing to take back
+    enrollmentFailed: {
+      type: Boolean,
+      default: false,
+    },
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewNote: String,
+    lastReconciledAt: Date,
     gatewayPageURL: String,
     gatewayData: Object,
     sslcommerzSessionKey: String,
@@ -997,28 +1895,236 @@ const paymentSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
-    purchasedModuleIds: [
+    purchasedModuleIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Module',
+      },
+    ],
+    paymentNotes: {
+      type: String,
+    },
+    discount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Discount',
+    },
+    // Every coupon applied to this payment, in the order applied. `discount` holds the first one
+    appliedDiscounts: [
+      {
+        discount: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Discount',
+        },
+        code: String,
+        amount: Number,
+      },
+    ],
+    discountedAmount: Number,
+    ipnResponse: Object,
+    validationResponse: Object,
+  },
+  { timestamps: true }
+)
+
+paymentSchema.index({ createdAt: -1 })
+paymentSchema.index({ user: 1, status: 1 })
+paymentSchema.index({ status: 1, createdAt: 1 })
+paymentSchema.index({ needsReview: 1, createdAt: -1 })
+
+// Named sequences, e.g. invoice numbers. Incremented atomically with $inc
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+})
+
+// Invoice for a completed payment. Amounts and customer details are copied at issue time so later edits don't change it
+const invoiceSchema = new mongoose.Schema(
+  {
+    // Set right after the invoice is claimed for its payment
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    sequence: Number,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    purchaseType: String,
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    paidAt: Date,
+    currency: {
+      type: String,
+      default: 'BDT',
+    },
+    customerDetails: {
+      name: String,
+      email: String,
+      address: String,
+      city: String,
+      country: String,
+      phone: String,
+    },
+    items: [
+      {
+        description: {
+          type: String,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    // Price before any deductions
+    originalAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Credit for modules bought before upgrading to the full course
+    modulesPriceAdjustment: {
+      type: Number,
+      default: 0,
+    },
+    discountCode: String,
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+    },
+    transactionId: String,
+    paymentMethod: String,
+    emailedAt: Date,
+    emailError: String,
+  },
+  { timestamps: true }
+)
+
+const paymentReconciliationReportSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: Date,
+    // Payments created before this time were considered stale
+    staleBefore: Date,
+    summary: {
+      checked: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    items: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Module',
+        payment: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Payment',
+        },
+        transactionId: String,
+        previousStatus: String,
+        newStatus: String,
+        gatewayStatus: String,
+        action: {
+          type: String,
+          enum: ['completed', 'failed', 'unchanged', 'error'],
+        },
+        message: String,
       },
     ],
-    paymentNotes: {
-      type: String,
+  },
+  { timestamps: true }
+)
+
+paymentReconciliationReportSchema.index({ createdAt: -1 })
+
+// Result of a CSV user import. Dry runs are stored too so the preview can be downloaded
+const userImportSchema = new mongoose.Schema(
+  {
+    fileName: String,
+    dryRun: {
+      type: Boolean,
+      default: false,
     },
-    discount: {
+    sendEmails: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Discount',
+      ref: 'User',
+      required: true,
     },
-    discountedAmount: Number,
-    ipnResponse: Object,
-    validationResponse: Object,
+    summary: {
+      total: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    rows: [
+      {
+        row: Number,
+        email: String,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        course: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Course',
+        },
+        modules: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Module',
+          },
+        ],
+        status: {
+          type: String,
+          enum: ['created', 'updated', 'skipped', 'error'],
+        },
+        emailSent: Boolean,
+        message: String,
+      },
+    ],
   },
   { timestamps: true }
 )
 
-paymentSchema.index({ createdAt: -1 })
-paymentSchema.index({ user: 1, status: 1 })
+userImportSchema.index({ createdAt: -1 })
 
 const discountSchema = new mongoose.Schema(
   {
@@ -1056,11 +2162,50 @@ const discountSchema = new mongoose.Schema(
       type: Date,
       index: true,
     },
+    // Additional courses and course categories the coupon is valid for, alongside `course`
+    courses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+      },
+    ],
+    categories: [String],
     maxUses: Number,
     usedCount: {
       type: Number,
       default: 0,
     },
+    // Completed payments a single user can make with this coupon
+    perUserLimit: Number,
+    // Order amount (after module credit, before coupons) required to use the coupon
+    minOrderAmount: Number,
+    // Only for users without any completed payment
+    firstPurchaseOnly: {
+      type: Boolean,
+      default: false,
+    },
+    // Restrict to users whose email is on one of these domains, e.g. "example.com"
+    allowedEmailDomains: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+    ],
+    // Upper limit on the discount amount, mainly for percentage coupons
+    maxDiscountAmount: Number,
+    // Exclusive coupons must be used alone, stackable ones combine with other stackable coupons
+    stacking: {
+      type: String,
+      enum: ['exclusive', 'stackable'],
+      default: 'exclusive',
+    },
+    // Campaign batch this code was generated in
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CouponBatch',
+      index: true,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -1076,10 +2221,107 @@ const discountSchema = new mongoose.Schema(
 )
 
 discountSchema.index({ code: 1, startDate: 1, endDate: 1 })
+
 discountSchema.pre('find', function () {
   this.where({ isDeleted: false })
 })
 
+// A campaign of generated single-use codes. The codes are Discount documents sharing one rule set
+const couponBatchSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    prefix: {
+      type: String,
+      uppercase: true,
+      default: '',
+    },
+    codeLength: {
+      type: Number,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  { timestamps: true }
+)
+
+const refundRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true,
+      index: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: function () {
+        return !this.bundle
+      },
+    },
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bundle',
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      // processing: claimed by an admin while the gateway refund runs
+      enum: ['pending', 'processing', 'approved', 'rejected'],
+      default: 'pending',
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    adminNote: {
+      type: String,
+      trim: true,
+    },
+    // SSLCommerz refund details, set on approval
+    refundRefId: String,
+    gatewayStatus: String,
+    gatewayResponse: Object,
+  },
+  { timestamps: true }
+)
+
+refundRequestSchema.index({ status: 1, createdAt: -1 })
+
 const progressSchema = new mongoose.Schema(
   {
     user: {
@@ -1129,6 +2371,114 @@ const progressSchema = new mongoose.Schema(
 
 progressSchema.index({ user: 1, course: 1, module: 1 }, { unique: true })
 
+const lessonNoteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+    },
+    module: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Module',
+      required: true,
+    },
+    lesson: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lesson',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['note', 'bookmark'],
+      required: true,
+    },
+    // Bookmark label or optional note heading
+    title: {
+      type: String,
+      trim: true,
+    },
+    content: {
+      type: String,
+      trim: true,
+      required: function () {
+        return this.type === 'note'
+      },
+    },
+    videoTimestamp: {
+      type: Number, // in seconds
+      min: 0,
+      default: null,
+      required: function () {
+        return this.type === 'bookmark'
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+)
+
+lessonNoteSchema.index({ user: 1, course: 1, createdAt: -1 })
+lessonNoteSchema.index({ user: 1, lesson: 1, videoTimestamp: 1 })
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        'payment_completed',
+        'new_module',
+        'certificate_issued',
+        'review_reply',
+        'discussion_reply',
+        'quiz_graded',
+        'quiz_auto_submitted',
+        'subscription_renewed',
+        'subscription_payment_due',
+        'subscription_payment_failed',
+        'subscription_expired',
+      ],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Frontend path to open when the notification is clicked
+    link: String,
+    // References to the related course, payment, attempt, etc.
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+)
+
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 })
+
 const certificateSchema = new mongoose.Schema(
   {
     certificateId: {
@@ -1141,7 +2491,7 @@ const certificateSchema = new mongoose.Schema(
     },
     certificateType: {
       type: String,
-      enum: ['course', 'module'],
+      enum: ['course', 'module', 'path'],
       required: true,
     },
     user: {
@@ -1152,16 +2502,34 @@ const certificateSchema = new mongoose.Schema(
     course: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Course',
-      required: true,
+      required: function () {
+        return this.certificateType !== 'path'
+      },
     },
     module: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Module',
       required: false,
     },
+    // Learning path certificates
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bundle',
+      required: function () {
+        return this.certificateType === 'path'
+      },
+    },
+    pathTitle: {
+      type: String,
+      required: function () {
+        return this.certificateType === 'path'
+      },
+    },
     courseTitle: {
       type: String,
-      required: true,
+      required: function () {
+        return this.certificateType !== 'path'
+      },
     },
     moduleTitle: {
       type: String,
@@ -1191,6 +2559,40 @@ const certificateSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    revocationReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Links between a revoked certificate and the one issued to replace it
+    reissuedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Certificate',
+      default: null,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Certificate',
+      default: null,
+    },
+    // Rendered PDF cached in S3
+    pdfUrl: {
+      type: String,
+      default: null,
+    },
+    pdfKey: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -1370,19 +2772,39 @@ assetProgressSchema.index({ user: 1, lesson: 1, asset: 1 }, { unique: true })
 
 module.exports = {
   User: mongoose.model('User', userSchema),
+  AuthSession: mongoose.model('AuthSession', authSessionSchema),
+  OAuthState: mongoose.model('OAuthState', oauthStateSchema),
   Course: mongoose.model('Course', courseSchema),
   Module: mongoose.model('Module', moduleSchema),
+  Cohort: mongoose.model('Cohort', cohortSchema),
+  Organization: mongoose.model('Organization', organizationSchema),
+  SeatPool: mongoose.model('SeatPool', seatPoolSchema),
+  SeatAssignment: mongoose.model('SeatAssignment', seatAssignmentSchema),
+  Bundle: mongoose.model('Bundle', bundleSchema),
+  SubscriptionPlan: mongoose.model('SubscriptionPlan', subscriptionPlanSchema),
+  Subscription: mongoose.model('Subscription', subscriptionSchema),
   ModuleReview: mongoose.model('ModuleReview', moduleReviewSchema),
+  DiscussionPost: mongoose.model('DiscussionPost', discussionPostSchema),
   Lesson: mongoose.model('Lesson', lessonSchema),
   Quiz: mongoose.model('Quiz', quizSchema),
+  QuestionBank: mongoose.model('QuestionBank', questionBankSchema),
+  BankQuestion: mongoose.model('BankQuestion', bankQuestionSchema),
   QuizAttempt: mongoose.model('QuizAttempt', quizAttemptSchema),
   Payment: mongoose.model('Payment', paymentSchema),
   Discount: mongoose.model('Discount', discountSchema),
+  CouponBatch: mongoose.model('CouponBatch', couponBatchSchema),
+  RefundRequest: mongoose.model('RefundRequest', refundRequestSchema),
+  UserImport: mongoose.model('UserImport', userImportSchema),
+  Counter: mongoose.model('Counter', counterSchema),
+  Invoice: mongoose.model('Invoice', invoiceSchema),
+  PaymentReconciliationReport: mongoose.model('PaymentReconciliationReport', paymentReconciliationReportSchema),
   Progress: mongoose.model('Progress', progressSchema),
   Review: mongoose.model('Review', reviewSchema),
   Certificate: mongoose.model('Certificate', certificateSchema),
   LessonProgress: mongoose.model('LessonProgress', lessonProgressSchema),
   VideoProgress: mongoose.model('VideoProgress', videoProgressSchema),
+  LessonNote: mongoose.model('LessonNote', lessonNoteSchema),
+  Notification: mongoose.model('Notification', notificationSchema),
   AssetProgress: mongoose.model('AssetProgress', assetProgressSchema),
 }
 
@@ -1,5 +1,7 @@
 const express = require('express')
 const { protect, restrictTo } = require('../middleware/auth')
+const { uploadCsv } = require('../middleware/upload')
+const validateMongoId = require('../middleware/validateMongoId')
 const adminController = require('../controllers/admin.controller')
 
 const router = express.Router()
@@ -7,6 +9,12 @@ const router = express.Router()
 const { createUser, getUsers, deleteUser, updateUserRole } = adminController
 const { getUngradedSubmissions, getQuizAttemptById } = require('../controllers/quiz.controller')
 const { getAllReviewsAdmin } = require('../controllers/moduleReview.controller')
+const { getReconciliationReports, getReconciliationReport, triggerReconciliation, getPaymentsForReview, resolvePaymentReview } = require('../controllers/payment.controller')
+const { getSubscriptionsAdmin, triggerRenewals } = require('../controllers/subscription.controller')
+const { getRevenueOverview, getRevenueByCourse, getRevenueByPurchaseType, getRevenueByCoupon } = require('../controllers/analytics.controller')
+const { getAllRefundRequests, approveRefundRequest, rejectRefundRequest } = require('../controllers/refund.controller')
+const { getAllCertificatesAdmin, getCertificateAdmin, revokeCertificate, reissueCertificate } = require('../controllers/certificate.controller')
+const { importUsers, getUserImports, getUserImport, downloadUserImportResults } = require('../controllers/userImport.controller')
 
 // Non conflicting submitted quiz grading route for admins and moderators
 router.get('/quizzes/ungraded', protect, restrictTo('admin', 'subAdmin', 'moderator'), getUngradedSubmissions)
@@ -17,6 +25,18 @@ router.get('/quizzes/attempts/:attemptId', protect, restrictTo('admin', 'subAdmi
 // User creation
 router.post('/users', protect, restrictTo('admin', 'subAdmin'), createUser)
 
+// Bulk import users and enrollments from CSV (dryRun=true to preview)
+router.post('/users/import', protect, restrictTo('admin', 'subAdmin'), uploadCsv.single('file'), importUsers)
+
+// List previous imports
+router.get('/users/imports', protect, restrictTo('admin', 'subAdmin'), getUserImports)
+
+// Get an import with per-row results
+router.get('/users/imports/:importId', protect, restrictTo('admin', 'subAdmin'), validateMongoId, getUserImport)
+
+// Download per-row results as CSV
+router.get('/users/imports/:importId/results.csv', protect, restrictTo('admin', 'subAdmin'), validateMongoId, downloadUserImportResults)
+
 // Get all users
 router.get('/users', protect, restrictTo('admin', 'subAdmin'), getUsers)
 
@@ -30,4 +50,63 @@ router.patch('/users/:userId', protect, restrictTo('admin', 'subAdmin'), updateU
 // Get all reviews across all modules and courses
 router.get('/reviews', protect, restrictTo('admin', 'subAdmin', 'moderator'), getAllReviewsAdmin)
 
+// CERTIFICATE MANAGEMENT ROUTES
+// List and search certificates
+router.get('/certificates', protect, restrictTo('admin', 'subAdmin'), getAllCertificatesAdmin)
+
+// Get a single certificate
+router.get('/certificates/:certificateId', protect, restrictTo('admin', 'subAdmin'), getCertificateAdmin)
+
+// Revoke a certificate
+router.patch('/certificates/:certificateId/revoke', protect, restrictTo('admin', 'subAdmin'), revokeCertificate)
+
+// Reissue a certificate with a new ID
+router.post('/certificates/:certificateId/reissue', protect, restrictTo('admin', 'subAdmin'), reissueCertificate)
+
+// REFUND MANAGEMENT ROUTES
+// List refund requests
+router.get('/refunds', protect, restrictTo('admin', 'subAdmin'), getAllRefundRequests)
+
+// Approve a refund request and refund through the payment gateway
+router.patch('/refunds/:refundId/approve', protect, restrictTo('admin', 'subAdmin'), validateMongoId, approveRefundRequest)
+
+// Reject a refund request
+router.patch('/refunds/:refundId/reject', protect, restrictTo('admin', 'subAdmin'), validateMongoId, rejectRefundRequest)
+
+// PAYMENT RECONCILIATION ROUTES
+// List reconciliation reports
+router.get('/payments/reconciliation', protect, restrictTo('admin', 'subAdmin'), getReconciliationReports)
+
+// Run reconciliation now
+router.post('/payments/reconciliation', protect, restrictTo('admin', 'subAdmin'), triggerReconciliation)
+
+// Get a single reconciliation report
+router.get('/payments/reconciliation/:reportId', protect, restrictTo('admin', 'subAdmin'), validateMongoId, getReconciliationReport)
+
+// List paid payments flagged for review
+router.get('/payments/review', protect, restrictTo('admin', 'subAdmin'), getPaymentsForReview)
+
+// Mark a flagged payment as resolved
+router.patch('/payments/:paymentId/review', protect, restrictTo('admin', 'subAdmin'), validateMongoId, resolvePaymentReview)
+
+// SUBSCRIPTION ROUTES
+// List subscriptions
+router.get('/subscriptions', protect, restrictTo('admin', 'subAdmin'), getSubscriptionsAdmin)
+
+// Run renewals and expiry now
+router.post('/subscriptions/renewals', protect, restrictTo('admin', 'subAdmin'), triggerRenewals)
+
+// ANALYTICS ROUTES
+// Revenue summary and timeline by day, week or month
+router.get('/analytics/revenue', protect, restrictTo('admin', 'subAdmin'), getRevenueOverview)
+
+// Revenue by course
+router.get('/analytics/revenue/courses', protect, restrictTo('admin', 'subAdmin'), getRevenueByCourse)
+
+// Revenue by module vs full course purchases
+router.get('/analytics/revenue/purchase-types', protect, restrictTo('admin', 'subAdmin'), getRevenueByPurchaseType)
+
+// Revenue by coupon
+router.get('/analytics/revenue/coupons', protect, restrictTo('admin', 'subAdmin'), getRevenueByCoupon)
+
 module.exports = router
\ No newline at end of file
@@ -1,15 +1,59 @@
 const express = require('express')
 const { loginLimiter } = require('../middleware/rateLimiter')
-const { protect } = require('../middleware/auth')
-const { signup, verifyEmail, login, forgotPassword, resetPassword, changePassword } = require('../controllers/auth.controller')
+const { protect, protectTwoFactorSetup } = require('../middleware/auth')
+const validateMongoId = require('../middleware/validateMongoId')
+const {
+  signup,
+  verifyEmail,
+  login,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyLoginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getOAuthProviders,
+  startOAuthLogin,
+  handleOAuthCallback,
+  exchangeOAuthCode,
+  startOAuthLink,
+} = require('../controllers/auth.controller')
 
 const router = express.Router()
 
 router.post('/signup', signup)
 router.post('/verify-email', verifyEmail)
 router.post('/login', loginLimiter, login)
+router.post('/login/2fa', loginLimiter, verifyLoginTwoFactor)
 router.post('/forgot-password', forgotPassword)
 router.post('/reset-password', resetPassword)
 router.post('/change-password', protect, changePassword)
 
+// Social login
+router.get('/oauth/providers', getOAuthProviders)
+router.post('/oauth/exchange', loginLimiter, exchangeOAuthCode)
+router.get('/oauth/:provider', startOAuthLogin)
+router.get('/oauth/:provider/callback', handleOAuthCallback)
+router.post('/oauth/:provider/link', protect, startOAuthLink)
+
+// Two-factor authentication
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor)
+router.post('/2fa/enable', protectTwoFactorSetup, enableTwoFactor)
+router.post('/2fa/disable', protect, disableTwoFactor)
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes)
+
+// Session management
+router.post('/refresh', refreshToken)
+router.post('/logout', protect, logout)
+router.post('/logout-all', protect, logoutAll)
+router.get('/sessions', protect, getSessions)
+router.delete('/sessions/:sessionId', protect, validateMongoId, revokeSession)
+
 module.exports = router
@@ -0,0 +1,22 @@
+// bundle.routes.js
+const express = require('express')
+const { protect, restrictTo, optionalAuth } = require('../middleware/auth')
+const validateMongoId = require('../middleware/validateMongoId')
+const { createBundle, getBundles, getBundle, updateBundle, deleteBundle } = require('../controllers/bundle.controller')
+const { getPathCertificate, getPathCertificatePdf } = require('../controllers/certificate.controller')
+
+const router = express.Router()
+
+// Public catalogue, admins also see drafts
+router.get('/', optionalAuth, getBundles)
+router.get('/:bundleId', optionalAuth, validateMongoId, getBundle)
+
+router.post('/', protect, restrictTo('admin', 'subAdmin'), createBundle)
+router.put('/:bundleId', protect, restrictTo('admin', 'subAdmin'), validateMongoId, updateBundle)
+router.delete('/:bundleId', protect, restrictTo('admin', 'subAdmin'), validateMongoId, deleteBundle)
+
+// Learning path certificates, issued once every course in the path is completed
+router.get('/:bundleId/certificate', protect, validateMongoId, getPathCertificate)
+router.get('/:bundleId/certificate.pdf', protect, validateMongoId, getPathCertificatePdf)
+
+module.exports = router
@@ -5,6 +5,8 @@ const validateMongoId = require('../middleware/validateMongoId')
 const {
   getCourseCertificate,
   getModuleCertificate,
+  getCourseCertificatePdf,
+  getModuleCertificatePdf,
   getMockCourseCertificate,
   getMockModuleCertificate,
   verifyCertificate,
@@ -19,6 +21,10 @@ router.get('/verify/:certificateId', verifyCertificate)
 router.get('/:courseId/certificate', protect, validateMongoId, getCourseCertificate)
 router.get('/:courseId/modules/:moduleId/certificate', protect, validateMongoId, getModuleCertificate)
 
+// Downloadable PDF certificates with a verification QR code
+router.get('/:courseId/certificate.pdf', protect, validateMongoId, getCourseCertificatePdf)
+router.get('/:courseId/modules/:moduleId/certificate.pdf', protect, validateMongoId, getModuleCertificatePdf)
+
 // Mock certificate routes - provide certificate data without verifying completion
 router.get('/:courseId/mock-certificate', protect, validateMongoId, getMockCourseCertificate)
 router.get('/:courseId/modules/:moduleId/mock-certificate', protect, validateMongoId, getMockModuleCertificate)
@@ -0,0 +1,22 @@
+const express = require('express')
+const { protect, restrictTo, optionalAuth } = require('../middleware/auth')
+const validateMongoId = require('../middleware/validateMongoId')
+
+const { createCohort, getCohorts, getCohort, updateCohort, deleteCohort, joinCohort, assignCohortMember } = require('../controllers/cohort.controller')
+
+const router = express.Router({ mergeParams: true })
+
+// Public routes with optional authentication
+router.get('/', optionalAuth, validateMongoId, getCohorts)
+router.get('/:cohortId', optionalAuth, validateMongoId, getCohort)
+
+// Enrolled learners join a cohort
+router.post('/:cohortId/join', protect, validateMongoId, joinCohort)
+
+// Routes requiring admin rights
+router.post('/', protect, restrictTo('admin', 'subAdmin'), validateMongoId, createCohort)
+router.put('/:cohortId', protect, restrictTo('admin', 'subAdmin'), validateMongoId, updateCohort)
+router.delete('/:cohortId', protect, restrictTo('admin', 'subAdmin'), validateMongoId, deleteCohort)
+router.post('/:cohortId/members', protect, restrictTo('admin', 'subAdmin'), validateMongoId, assignCohortMember)
+
+module.exports = router
@@ -1,7 +1,20 @@
 const express = require('express')
 const { protect, restrictTo } = require('../middleware/auth')
 const validateMongoId = require('../middleware/validateMongoId')
-const { createCoupon, getAllCoupons, getCoupon, updateCoupon, deleteCoupon, validateCoupon, getCouponStats } = require('../controllers/coupon.controller')
+const {
+  createCoupon,
+  getAllCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon,
+  getCouponStats,
+  createCouponBatch,
+  getCouponBatches,
+  getCouponBatch,
+  exportCouponBatch,
+  deleteCouponBatch,
+} = require('../controllers/coupon.controller')
 
 const router = express.Router()
 
@@ -13,6 +26,14 @@ router.use(protect, restrictTo('admin', 'subAdmin'))
 
 // Coupon management
 router.get('/stats', getCouponStats)
+
+// Single-use code batches
+router.post('/batches', createCouponBatch)
+router.get('/batches', getCouponBatches)
+router.get('/batches/:batchId', validateMongoId, getCouponBatch)
+router.get('/batches/:batchId/codes.csv', validateMongoId, exportCouponBatch)
+router.delete('/batches/:batchId', validateMongoId, deleteCouponBatch)
+
 router.get('/', getAllCoupons)
 router.post('/', createCoupon)
 router.get('/:couponId', validateMongoId, getCoupon)
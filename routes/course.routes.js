@@ -8,6 +8,7 @@ const { uploadVideo } = require('../middleware/upload')
 // Import module router
 const moduleRouter = require('./module.routes')
 const lessonRouter = require('./lesson.routes')
+const cohortRouter = require('./cohort.routes')
 // const moduleReviewRouter = require('./moduleReview.routes')
 
 // Configure multer for memory storage
@@ -64,6 +65,8 @@ const {
   uploadKnowledgeImages,
   deleteKnowledgeImage,
 } = require('../controllers/course.controller')
+const { getCourseDiscussions } = require('../controllers/discussion.controller')
+const { getCourseNotes, exportCourseNotes } = require('../controllers/note.controller')
 
 const router = express.Router()
 
@@ -78,6 +81,9 @@ router.get('/:courseId', optionalAuth, getCourse)
 router.get('/:courseId/progress', protect, validateMongoId, getCourseProgress)
 router.get('/:courseId/modules/:moduleId/progress', protect, validateMongoId, getModuleProgress)
 router.get('/:courseId/modules/:moduleId/access', protect, validateMongoId, checkModuleAccess)
+router.get('/:courseId/discussions', protect, validateMongoId, getCourseDiscussions)
+router.get('/:courseId/notes', protect, validateMongoId, getCourseNotes)
+router.get('/:courseId/notes/export', protect, validateMongoId, exportCourseNotes)
 
 // Admin/SubAdmin routes
 router.post('/', protect, restrictTo('admin', 'subAdmin'), uploadFields, createCourse)
@@ -105,6 +111,9 @@ router.use('/:courseId/modules', moduleRouter)
 // Forward lesson routes
 router.use('/:courseId/modules/:moduleId/lessons', lessonRouter)
 
+// Mount cohort router
+router.use('/:courseId/cohorts', cohortRouter)
+
 module.exports = router
 
 // const express = require('express')
@@ -0,0 +1,38 @@
+const express = require('express')
+const { protect, restrictTo } = require('../middleware/auth')
+const validateMongoId = require('../middleware/validateMongoId')
+
+const {
+  getLessonDiscussions,
+  createDiscussionThread,
+  getDiscussionThread,
+  createDiscussionReply,
+  updateDiscussionPost,
+  deleteDiscussionPost,
+  toggleDiscussionUpvote,
+  acceptDiscussionAnswer,
+  moderateDiscussionThread,
+  moderateDiscussionPost,
+} = require('../controllers/discussion.controller')
+
+const router = express.Router({ mergeParams: true })
+
+// Threads on a lesson
+router.get('/', protect, validateMongoId, getLessonDiscussions)
+router.post('/', protect, validateMongoId, createDiscussionThread)
+
+// Individual posts (threads or replies)
+router.patch('/posts/:postId', protect, validateMongoId, updateDiscussionPost)
+router.delete('/posts/:postId', protect, validateMongoId, deleteDiscussionPost)
+router.post('/posts/:postId/upvote', protect, validateMongoId, toggleDiscussionUpvote)
+
+// Thread with replies
+router.get('/:threadId', protect, validateMongoId, getDiscussionThread)
+router.post('/:threadId/replies', protect, validateMongoId, createDiscussionReply)
+router.put('/:threadId/accepted-answer', protect, validateMongoId, acceptDiscussionAnswer)
+
+// Moderation tools
+router.patch('/:threadId/moderate', protect, restrictTo('admin', 'subAdmin', 'moderator'), validateMongoId, moderateDiscussionThread)
+router.patch('/posts/:postId/moderate', protect, restrictTo('admin', 'subAdmin', 'moderator'), validateMongoId, moderateDiscussionPost)
+
+module.exports = router
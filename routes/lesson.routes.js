@@ -3,6 +3,7 @@ const { protect, restrictTo } = require('../middleware/auth')
 const validateMongoId = require('../middleware/validateMongoId')
 const { uploadVideo, uploadAsset } = require('../middleware/upload')
 const quizRouter = require('./quiz.routes')
+const discussionRouter = require('./discussion.routes')
 
 const {
   createLesson,
@@ -20,6 +21,8 @@ const {
   deleteAsset,
 } = require('../controllers/lesson.controller')
 
+const { createNote, getLessonNotes, updateNote, deleteNote } = require('../controllers/note.controller')
+
 const parseFormDataJSON = require('../middleware/parseFormData')
 
 const router = express.Router({ mergeParams: true })
@@ -27,6 +30,9 @@ const router = express.Router({ mergeParams: true })
 // Mount quiz router
 router.use('/:lessonId/quiz', quizRouter)
 
+// Mount discussion router
+router.use('/:lessonId/discussions', discussionRouter)
+
 // Basic lesson routes
 router.get('/', protect, getLessons)
 router.get('/:lessonId', protect, validateMongoId, getLesson)
@@ -58,4 +64,13 @@ router.get('/:lessonId/progress', protect, validateMongoId, getLessonProgress)
 
 router.post('/:lessonId/track-progress', protect, validateMongoId, trackProgress)
 
+// Personal notes and video bookmarks
+router.get('/:lessonId/notes', protect, validateMongoId, getLessonNotes)
+
+router.post('/:lessonId/notes', protect, validateMongoId, createNote)
+
+router.patch('/:lessonId/notes/:noteId', protect, validateMongoId, updateNote)
+
+router.delete('/:lessonId/notes/:noteId', protect, validateMongoId, deleteNote)
+
 module.exports = router
@@ -18,8 +18,10 @@ const {
   getModuleEnrollmentStatus,
 } = require('../controllers/module.controller')
 
+const { getModuleDiscussions } = require('../controllers/discussion.controller')
+
 // Import module review controller
-const { createModuleReview, getModuleReview, deleteModuleReview, getAllModuleReviews, getPublicModuleReviews,deleteReviewAdmin } = require('../controllers/moduleReview.controller')
+const { createModuleReview, getModuleReview, deleteModuleReview, getAllModuleReviews, getPublicModuleReviews,deleteReviewAdmin, replyToReview } = require('../controllers/moduleReview.controller')
 
 const router = express.Router({ mergeParams: true })
 
@@ -27,6 +29,7 @@ const router = express.Router({ mergeParams: true })
 router.get('/', protect, validateMongoId, getModules)
 router.get('/:moduleId', protect, validateMongoId, getModule)
 router.get('/:moduleId/enrollment-status', protect, validateMongoId, getModuleEnrollmentStatus)
+router.get('/:moduleId/discussions', protect, validateMongoId, getModuleDiscussions)
 
 // Routes requiring admin rights
 router.post('/', protect, restrictTo('admin', 'subAdmin'), /* checkCourseOwnership, */ createModule)
@@ -48,6 +51,7 @@ router.delete('/:moduleId/reviews/my', protect, validateMongoId, deleteModuleRev
 // Admin review routes
 router.get('/:moduleId/reviews/admin', protect, restrictTo('admin', 'subAdmin', 'moderator'), validateMongoId, getAllModuleReviews)
 router.delete('/:moduleId/reviews/:reviewId', protect, restrictTo('admin', 'subAdmin', 'moderator'), validateMongoId, deleteReviewAdmin)
+router.put('/:moduleId/reviews/:reviewId/reply', protect, restrictTo('admin', 'subAdmin', 'moderator'), validateMongoId, replyToReview)
 
 module.exports = router
 
@@ -0,0 +1,32 @@
+// notification.routes.js
+const express = require('express')
+const { protect, protectStream } = require('../middleware/auth')
+const validateMongoId = require('../middleware/validateMongoId')
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markAllAsRead,
+  deleteNotification,
+  streamNotifications,
+  createStreamTicket,
+} = require('../controllers/notification.controller')
+
+const router = express.Router()
+
+// EventSource can't send headers, so the stream takes a short-lived ticket instead of the access token
+router.get('/stream', protectStream, streamNotifications)
+
+router.use(protect)
+
+router.post('/stream-ticket', createStreamTicket)
+
+router.get('/', getNotifications)
+router.get('/unread-count', getUnreadCount)
+router.patch('/read-all', markAllAsRead)
+router.patch('/:notificationId/read', validateMongoId, markAsRead)
+router.patch('/:notificationId/unread', validateMongoId, markAsUnread)
+router.delete('/:notificationId', validateMongoId, deleteNotification)
+
+module.exports = router
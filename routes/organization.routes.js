@@ -0,0 +1,49 @@
+// organization.routes.js
+const express = require('express')
+const { protect, restrictTo } = require('../middleware/auth')
+const validateMongoId = require('../middleware/validateMongoId')
+const {
+  createOrganization,
+  getOrganizations,
+  getMyOrganizations,
+  joinOrganization,
+  getOrganization,
+  updateOrganization,
+  regenerateInviteCode,
+  addMember,
+  updateMember,
+  removeMember,
+  upsertSeatPool,
+  getSeats,
+  assignSeat,
+  revokeSeat,
+  reassignSeat,
+  getOrganizationDashboard,
+} = require('../controllers/organization.controller')
+
+const router = express.Router()
+
+router.use(protect)
+
+router.post('/', restrictTo('admin', 'subAdmin'), createOrganization)
+router.get('/', restrictTo('admin', 'subAdmin'), getOrganizations)
+router.get('/mine', getMyOrganizations)
+router.post('/join', joinOrganization)
+
+// Organization admins or platform admins (checked in the controller)
+router.get('/:organizationId', validateMongoId, getOrganization)
+router.patch('/:organizationId', validateMongoId, updateOrganization)
+router.post('/:organizationId/invite-code', validateMongoId, regenerateInviteCode)
+router.get('/:organizationId/dashboard', validateMongoId, getOrganizationDashboard)
+
+router.post('/:organizationId/members', validateMongoId, addMember)
+router.patch('/:organizationId/members/:userId', validateMongoId, updateMember)
+router.delete('/:organizationId/members/:userId', validateMongoId, removeMember)
+
+router.put('/:organizationId/seat-pools', restrictTo('admin', 'subAdmin'), validateMongoId, upsertSeatPool)
+router.get('/:organizationId/seats', validateMongoId, getSeats)
+router.post('/:organizationId/seats', validateMongoId, assignSeat)
+router.delete('/:organizationId/seats/:seatId', validateMongoId, revokeSeat)
+router.post('/:organizationId/seats/:seatId/reassign', validateMongoId, reassignSeat)
+
+module.exports = router
@@ -2,7 +2,8 @@
 const express = require('express')
 const { protect } = require('../middleware/auth')
 const validateMongoId = require('../middleware/validateMongoId')
-const { initiateCoursePayment, initiateModulePayment, handleIPN, getPaymentHistory, getPaymentDetails, verifyPayment, handlePaymentRedirect } = require('../controllers/payment.controller')
+const { initiateCoursePayment, initiateModulePayment, initiateBundlePayment, handleIPN, getPaymentHistory, getPaymentDetails, verifyPayment, handlePaymentRedirect, getMockCheckout, submitMockCheckout, getPaymentInvoice } = require('../controllers/payment.controller')
+const { requestRefund, getMyRefundRequests } = require('../controllers/refund.controller')
 
 const router = express.Router({ mergeParams: true })
 
@@ -11,16 +12,31 @@ router.post('/courses/:courseId/initiate-course', protect, validateMongoId, init
 
 router.post('/courses/:courseId/initiate-module', protect, validateMongoId, initiateModulePayment)
 
-router.post('/redirect', handlePaymentRedirect)
+router.post('/bundles/:bundleId/initiate', protect, validateMongoId, initiateBundlePayment)
 
-// IPN route - no authentication middleware as it's called by SSLCommerz
-router.post('/ipn', handleIPN)
+// Gateway redirect routes. SSLCommerz uses the bare paths, other gateways add their name
+router.post('/redirect/:gateway?', handlePaymentRedirect)
+
+// IPN route - no authentication middleware as it's called by the gateway
+router.post('/ipn/:gateway?', handleIPN)
+
+// Sandbox checkout page for the mock gateway
+router.get('/mock-gateway/:transactionId', getMockCheckout)
+router.post('/mock-gateway', submitMockCheckout)
 
 // Payment verification route (backup for when IPN fails)
 router.get('/verify', verifyPayment)
 
 // Payment history routes
 router.get('/history', protect, getPaymentHistory)
+
+// Refund request routes
+router.get('/refund-requests', protect, getMyRefundRequests)
+router.post('/:paymentId/refund-request', protect, validateMongoId, requestRefund)
+
+// Invoice download, ?format=pdf (default) or html
+router.get('/:paymentId/invoice', protect, validateMongoId, getPaymentInvoice)
+
 router.get('/:paymentId', protect, validateMongoId, getPaymentDetails)
 
 module.exports = router
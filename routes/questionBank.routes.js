@@ -0,0 +1,38 @@
+const express = require('express')
+const { protect, restrictTo } = require('../middleware/auth')
+const validateMongoId = require('../middleware/validateMongoId')
+const { uploadQuestionFile } = require('../middleware/upload')
+const {
+  createQuestionBank,
+  getQuestionBanks,
+  getQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank,
+  getBankQuestions,
+  addBankQuestions,
+  updateBankQuestion,
+  deleteBankQuestion,
+  importBankQuestions,
+  exportBankQuestions,
+} = require('../controllers/questionBank.controller')
+
+const router = express.Router()
+
+router.use(protect, restrictTo('admin', 'subAdmin'))
+
+router.get('/', getQuestionBanks)
+router.post('/', createQuestionBank)
+router.get('/:bankId', validateMongoId, getQuestionBank)
+router.put('/:bankId', validateMongoId, updateQuestionBank)
+router.delete('/:bankId', validateMongoId, deleteQuestionBank)
+
+router.get('/:bankId/questions', validateMongoId, getBankQuestions)
+router.post('/:bankId/questions', validateMongoId, addBankQuestions)
+router.put('/:bankId/questions/:questionId', validateMongoId, updateBankQuestion)
+router.delete('/:bankId/questions/:questionId', validateMongoId, deleteBankQuestion)
+
+// GIFT, QTI and CSV files (dryRun=true to validate only)
+router.post('/:bankId/import', validateMongoId, uploadQuestionFile.single('file'), importBankQuestions)
+router.get('/:bankId/export', validateMongoId, exportBankQuestions)
+
+module.exports = router
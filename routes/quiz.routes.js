@@ -1,6 +1,7 @@
 const express = require('express')
 const { protect, restrictTo } = require('../middleware/auth')
 const validateMongoId = require('../middleware/validateMongoId')
+const { uploadQuestionFile } = require('../middleware/upload')
 
 const {
   createQuiz,
@@ -13,8 +14,11 @@ const {
   getQuizResults,
   resetUserAttempts,
   getUngradedSubmissions,
-  getQuizNotifications,
-  markNotificationsViewed,
+  importQuizQuestions,
+  exportQuizQuestions,
+  getQuizAnalysis,
+  saveQuizAnswers,
+  resumeQuizAttempt,
 } = require('../controllers/quiz.controller')
 
 // mergeParams allows access to params from parent router
@@ -29,24 +33,33 @@ router.put('/', protect, restrictTo('admin', 'subAdmin'), validateMongoId, updat
 // Delete quiz (Admin/SubAdmin only)
 router.delete('/', protect, restrictTo('admin', 'subAdmin'), validateMongoId, deleteQuiz)
 
+// Import questions from a GIFT, QTI or CSV file (Admin/SubAdmin only, dryRun=true to validate only)
+router.post('/import', protect, restrictTo('admin', 'subAdmin'), validateMongoId, uploadQuestionFile.single('file'), importQuizQuestions)
+
+// Export questions as QTI, GIFT or CSV (Admin/SubAdmin only)
+router.get('/export', protect, restrictTo('admin', 'subAdmin'), validateMongoId, exportQuizQuestions)
+
 // Reset user's quiz attempts (Admin/SubAdmin only)
 router.post('/reset-attempts', protect, restrictTo('admin', 'subAdmin'), validateMongoId, resetUserAttempts)
 
+// Item analysis and score statistics (Admin/SubAdmin/Moderator only)
+router.get('/analysis', protect, restrictTo('admin', 'subAdmin', 'moderator'), validateMongoId, getQuizAnalysis)
+
 // Get quiz details
 router.get('/', protect, validateMongoId, getQuiz)
 
 // // Admin route to get all ungraded submissions
 // router.get('/ungraded', protect, restrictTo('admin', 'subAdmin', 'moderator'), getUngradedSubmissions)
 
-// Route to get notifications for graded quizzes
-router.get('/notifications', protect, getQuizNotifications)
-
-// Route to mark notifications as viewed
-router.post('/notifications/viewed', protect, markNotificationsViewed)
-
 // Start a new quiz attempt
 router.post('/attempts', protect, validateMongoId, startQuiz)
 
+// Autosave answers on an in-progress attempt
+router.put('/attempts/:attemptId/answers', protect, validateMongoId, saveQuizAnswers)
+
+// Resume an in-progress attempt with its saved answers
+router.get('/attempts/:attemptId/resume', protect, validateMongoId, resumeQuizAttempt)
+
 // Submit quiz attempt
 router.post('/attempts/:attemptId/submit', protect, validateMongoId, submitQuiz)
 
@@ -0,0 +1,33 @@
+// subscription.routes.js
+const express = require('express')
+const { protect, restrictTo, optionalAuth } = require('../middleware/auth')
+const validateMongoId = require('../middleware/validateMongoId')
+const {
+  createPlan,
+  getPlans,
+  updatePlan,
+  deletePlan,
+  subscribe,
+  getMySubscriptions,
+  getSubscription,
+  cancelSubscription,
+  resumeSubscription,
+} = require('../controllers/subscription.controller')
+
+const router = express.Router()
+
+// Plans, admins also see inactive ones
+router.get('/plans', optionalAuth, getPlans)
+router.post('/plans', protect, restrictTo('admin', 'subAdmin'), createPlan)
+router.put('/plans/:planId', protect, restrictTo('admin', 'subAdmin'), validateMongoId, updatePlan)
+router.delete('/plans/:planId', protect, restrictTo('admin', 'subAdmin'), validateMongoId, deletePlan)
+
+router.post('/plans/:planId/subscribe', protect, validateMongoId, subscribe)
+
+// Own subscriptions
+router.get('/', protect, getMySubscriptions)
+router.get('/:subscriptionId', protect, validateMongoId, getSubscription)
+router.post('/:subscriptionId/cancel', protect, validateMongoId, cancelSubscription)
+router.post('/:subscriptionId/resume', protect, validateMongoId, resumeSubscription)
+
+module.exports = router
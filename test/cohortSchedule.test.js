@@ -0,0 +1,50 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const { User, Module, Cohort } = require('../models')
+const { getReleaseDate, getModuleUnlockDate } = require('../utils/cohortSchedule')
+
+const DAY = 24 * 60 * 60 * 1000
+
+const courseId = new mongoose.Types.ObjectId()
+const moduleId = new mongoose.Types.ObjectId()
+const cohortId = new mongoose.Types.ObjectId()
+
+// Learner in a cohort that started `startedDaysAgo` days ago, and a module released `offsetDays` after the start
+function mockSchedule(t, { startedDaysAgo, offsetDays, cohort = cohortId }) {
+  const startDate = new Date(Date.now() - startedDaysAgo * DAY)
+
+  t.mock.method(User, 'findById', async () => ({ enrolledCourses: [{ course: courseId, cohort }] }))
+  t.mock.method(Cohort, 'findOne', async () => ({ _id: cohortId, startDate }))
+  t.mock.method(Module, 'findById', () => ({ select: async () => ({ _id: moduleId, releaseOffsetDays: offsetDays }) }))
+
+  return startDate
+}
+
+test('modules are released their offset in days after the cohort starts', () => {
+  const cohort = { startDate: '2026-03-01T09:00:00.000Z' }
+
+  assert.equal(getReleaseDate(cohort, { releaseOffsetDays: 0 }).toISOString(), '2026-03-01T09:00:00.000Z')
+  assert.equal(getReleaseDate(cohort, { releaseOffsetDays: 14 }).toISOString(), '2026-03-15T09:00:00.000Z')
+  assert.equal(getReleaseDate(cohort, {}).toISOString(), '2026-03-01T09:00:00.000Z')
+})
+
+test('a module not yet released returns its unlock date', async (t) => {
+  const startDate = mockSchedule(t, { startedDaysAgo: 3, offsetDays: 7 })
+
+  const unlocksAt = await getModuleUnlockDate('user', courseId, moduleId)
+
+  assert.equal(unlocksAt.getTime(), startDate.getTime() + 7 * DAY)
+})
+
+test('a released module is open', async (t) => {
+  mockSchedule(t, { startedDaysAgo: 10, offsetDays: 7 })
+
+  assert.equal(await getModuleUnlockDate('user', courseId, moduleId), null)
+})
+
+test('self-paced learners are never locked', async (t) => {
+  mockSchedule(t, { startedDaysAgo: 0, offsetDays: 30, cohort: null })
+
+  assert.equal(await getModuleUnlockDate('user', courseId, moduleId), null)
+})
@@ -0,0 +1,128 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const { Discount, Payment, Course } = require('../models')
+const { getRequestedCodes, evaluateCoupons, recordCouponUse } = require('../utils/coupons')
+
+// Stand-in for a chained mongoose query that resolves to `result`
+const query = (result) => ({
+  select() {
+    return this
+  },
+  session() {
+    return this
+  },
+  lean: async () => result,
+})
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'learner@acme.io' }
+const courseId = new mongoose.Types.ObjectId()
+const coursePurchase = { purchaseType: 'course', amount: 1000, courseId }
+
+const coupon = (fields) => ({ _id: new mongoose.Types.ObjectId(), type: 'percentage', value: 10, usedCount: 0, stacking: 'exclusive', ...fields })
+
+// Coupons in the database, and no earlier payments unless a test says otherwise
+function mockCoupons(t, coupons) {
+  t.mock.method(Discount, 'find', async ({ code }) => coupons.filter((c) => code.$in.includes(c.code)))
+  t.mock.method(Payment, 'countDocuments', async () => 0)
+  t.mock.method(Payment, 'exists', async () => null)
+}
+
+const evaluate = (codes, purchase = coursePurchase) => evaluateCoupons({ codes, user, purchase })
+
+test('requested codes are trimmed, upper-cased and deduplicated', () => {
+  assert.deepEqual(getRequestedCodes({ discountCodes: [' spring ', 'WELCOME'], discountCode: 'spring' }), ['SPRING', 'WELCOME'])
+  assert.deepEqual(getRequestedCodes({}), [])
+})
+
+test('stacked coupons each apply to what the previous one left', async (t) => {
+  mockCoupons(t, [
+    coupon({ code: 'SPRING', value: 20, stacking: 'stackable' }),
+    coupon({ code: 'LOYAL', type: 'fixed', value: 100, stacking: 'stackable' }),
+    coupon({ code: 'EXTRA', value: 50, maxDiscountAmount: 150, stacking: 'stackable' }),
+  ])
+
+  const result = await evaluate(['SPRING', 'LOYAL', 'EXTRA'])
+
+  assert.deepEqual(result.appliedDiscounts.map((applied) => applied.amount), [200, 100, 150])
+  assert.equal(result.discountAmount, 450)
+  assert.equal(result.finalAmount, 550)
+})
+
+test('a discount never takes the price below zero', async (t) => {
+  mockCoupons(t, [coupon({ code: 'FREEBIE', type: 'fixed', value: 5000 })])
+
+  const result = await evaluate(['FREEBIE'])
+
+  assert.equal(result.discountAmount, 1000)
+  assert.equal(result.finalAmount, 0)
+})
+
+test('exclusive coupons cannot be combined', async (t) => {
+  mockCoupons(t, [coupon({ code: 'SPRING', stacking: 'stackable' }), coupon({ code: 'VIP' })])
+
+  await assert.rejects(evaluate(['SPRING', 'VIP']), { statusCode: 400, message: "Coupon VIP can't be combined with other coupons" })
+})
+
+test('unknown codes and too many coupons are rejected', async (t) => {
+  mockCoupons(t, [])
+
+  await assert.rejects(evaluate(['NOPE']), { statusCode: 400, message: 'Invalid or expired coupon code: NOPE' })
+  await assert.rejects(evaluate(['A', 'B', 'C', 'D', 'E', 'F']), { statusCode: 400, message: 'No more than 5 coupons can be used together' })
+})
+
+test('checkouts still open count towards the usage limit', async (t) => {
+  mockCoupons(t, [coupon({ code: 'LAUNCH', maxUses: 3, usedCount: 2 })])
+  t.mock.method(Payment, 'countDocuments', async () => 1)
+
+  await assert.rejects(evaluate(['LAUNCH']), { statusCode: 400, message: 'This coupon has reached its usage limit' })
+})
+
+test('minimum spend and email domain rules', async (t) => {
+  mockCoupons(t, [coupon({ code: 'BIGCART', minOrderAmount: 2000 }), coupon({ code: 'PARTNER', allowedEmailDomains: ['partner.com'] })])
+
+  await assert.rejects(evaluate(['BIGCART']), { message: 'This coupon requires a minimum order of 2000' })
+  await assert.rejects(evaluate(['PARTNER']), { message: 'This coupon is not available for your email address' })
+})
+
+test('first purchase and per-user limits look at the learner\'s payments', async (t) => {
+  mockCoupons(t, [coupon({ code: 'WELCOME', firstPurchaseOnly: true }), coupon({ code: 'TWICE', perUserLimit: 2 })])
+  t.mock.method(Payment, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }))
+  t.mock.method(Payment, 'countDocuments', async () => 2)
+
+  await assert.rejects(evaluate(['WELCOME']), { message: 'This coupon is only valid for your first purchase' })
+  await assert.rejects(evaluate(['TWICE']), { message: 'You have already used this coupon the maximum number of times' })
+})
+
+test('category coupons apply to courses in the category and never to bundles', async (t) => {
+  mockCoupons(t, [coupon({ code: 'DESIGN', categories: ['design'] })])
+  t.mock.method(Course, 'findById', () => query({ _id: courseId, category: 'design' }))
+
+  const result = await evaluate(['DESIGN'])
+  assert.equal(result.finalAmount, 900)
+
+  await assert.rejects(evaluate(['DESIGN'], { purchaseType: 'bundle', amount: 1000 }), { message: 'This coupon is only valid for specific courses' })
+})
+
+test('a batch code completed by two checkouts flags the later one instead of failing it', async (t) => {
+  const batchCode = coupon({ code: 'SPRING-7KQ2M9', maxUses: 1 })
+
+  // Same guard as the conditional $inc: only matches while uses are left
+  t.mock.method(Discount, 'updateOne', async () => {
+    if (batchCode.usedCount >= batchCode.maxUses) return { matchedCount: 0 }
+    batchCode.usedCount++
+    return { matchedCount: 1 }
+  })
+  t.mock.method(Discount, 'findById', () => query(batchCode))
+  t.mock.method(console, 'warn', () => {})
+
+  const payments = ['TXN-A', 'TXN-B'].map((transactionId) => ({
+    transactionId,
+    appliedDiscounts: [{ discount: batchCode._id, code: batchCode.code, amount: 500 }],
+  }))
+
+  const results = await Promise.all(payments.map((payment) => recordCouponUse(payment, null)))
+
+  assert.deepEqual(results, [[], ['SPRING-7KQ2M9']])
+  assert.equal(batchCode.usedCount, 1)
+})
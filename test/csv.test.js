@@ -0,0 +1,24 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseCsv, toCsv } = require('../utils/csv')
+
+test('records keep the line they start on', () => {
+  const text = 'email,firstName\r\na@example.com,"Multi\nline"\r\n\r\nb@example.com,Bea\r\n'
+
+  const { records, lines } = parseCsv(text)
+
+  assert.equal(records.length, 2)
+  assert.deepEqual(lines, [2, 5])
+})
+
+test('text cells that look like formulas are prefixed', () => {
+  const csv = toCsv([{ message: '=HYPERLINK("http://example.com")', email: '@evil', row: -1 }], ['message', 'email', 'row'])
+
+  assert.equal(csv.split('\r\n')[1], `"'=HYPERLINK(""http://example.com"")",'@evil,-1`)
+})
+
+test('formula guard can be turned off for files meant to be imported again', () => {
+  const csv = toCsv([{ correct: '-5' }], ['correct'], { guardFormulas: false })
+
+  assert.equal(csv.split('\r\n')[1], '-5')
+})
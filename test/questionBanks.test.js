@@ -0,0 +1,91 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const { QuestionBank, BankQuestion } = require('../models')
+const { checkBankRules, drawBankQuestions } = require('../utils/questionBanks')
+
+const bankId = new mongoose.Types.ObjectId()
+
+// Six questions: four tagged arrays (two of them hard), two tagged strings
+const bankQuestions = [
+  ['arrays', 'easy'],
+  ['arrays', 'easy'],
+  ['arrays', 'hard'],
+  ['arrays', 'hard'],
+  ['strings', 'easy'],
+  ['strings', 'hard'],
+].map(([tag, difficulty]) => ({ _id: new mongoose.Types.ObjectId(), tags: [tag], difficulty }))
+
+// Applies the rule filter to the in-memory bank, the way the query would
+const matching = (filter) =>
+  bankQuestions.filter(
+    (question) =>
+      (!filter.tags || filter.tags.$all.every((tag) => question.tags.includes(tag))) &&
+      (!filter.difficulty || question.difficulty === filter.difficulty) &&
+      !filter._id?.$nin.some((id) => id.equals(question._id))
+  )
+
+function mockBank(t) {
+  t.mock.method(QuestionBank, 'find', () => ({ select: async () => [{ _id: bankId, title: 'Data structures' }] }))
+  t.mock.method(BankQuestion, 'find', (filter) => ({ select: () => ({ lean: async () => matching(filter) }) }))
+}
+
+test('rules within the bank pass', async (t) => {
+  mockBank(t)
+
+  await checkBankRules([
+    { bank: bankId, count: 2, tags: ['arrays'], difficulty: 'hard' },
+    { bank: bankId, count: 2, tags: ['strings'] },
+  ])
+})
+
+test('a rule asking for more questions than match is rejected', async (t) => {
+  mockBank(t)
+
+  await assert.rejects(checkBankRules([{ bank: bankId, count: 3, tags: ['strings'] }]), {
+    statusCode: 400,
+    message: 'Question bank rule 1 (3 tagged strings): "Data structures" only has 2 matching questions',
+  })
+})
+
+test('overlapping rules must leave enough for the later rule', async (t) => {
+  mockBank(t)
+
+  // The first rule can take both hard array questions, leaving the second rule two of four
+  await assert.rejects(
+    checkBankRules([
+      { bank: bankId, count: 2, tags: ['arrays'], difficulty: 'hard' },
+      { bank: bankId, count: 3, tags: ['arrays'] },
+    ]),
+    { statusCode: 400, message: /^Question bank rule 2 \(3 tagged arrays\): earlier rules can draw 2 of the 4/ }
+  )
+
+  await checkBankRules([
+    { bank: bankId, count: 2, tags: ['arrays'], difficulty: 'hard' },
+    { bank: bankId, count: 2, tags: ['arrays'] },
+  ])
+})
+
+test('a deleted bank is rejected', async (t) => {
+  t.mock.method(QuestionBank, 'find', () => ({ select: async () => [] }))
+
+  await assert.rejects(checkBankRules([{ bank: bankId, count: 1 }]), { statusCode: 400, message: 'Question bank rule 1: question bank not found' })
+})
+
+test('draws never repeat a question and go ahead when a rule comes up short', async (t) => {
+  t.mock.method(BankQuestion, 'aggregate', ([{ $match }, { $sample }]) => ({ session: async () => matching($match).slice(0, $sample.size) }))
+  const warn = t.mock.method(console, 'warn', () => {})
+
+  const drawn = await drawBankQuestions(
+    [
+      { bank: bankId, count: 2, tags: ['arrays'], difficulty: 'hard' },
+      { bank: bankId, count: 3, tags: ['arrays'] },
+    ],
+    null
+  )
+
+  assert.equal(drawn.length, 4)
+  assert.equal(new Set(drawn.map((question) => question._id.toString())).size, 4)
+  assert.equal(warn.mock.callCount(), 1)
+  assert.match(warn.mock.calls[0].arguments[0], /^Question bank rule 2 \(3 tagged arrays\) drew 2 of 3 questions/)
+})
@@ -0,0 +1,95 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const { analyzeQuiz, MIN_RESPONSES } = require('../utils/quizAnalysis')
+
+const id = () => new mongoose.Types.ObjectId()
+
+const quiz = { passingScore: 50 }
+
+const mcq = {
+  _id: id(),
+  type: 'mcq',
+  question: 'Which hook runs after every render?',
+  marks: 2,
+  options: [
+    { option: 'useEffect', isCorrect: true },
+    { option: 'useMemo', isCorrect: false },
+    { option: 'useRef', isCorrect: false },
+  ],
+}
+
+const trueFalse = { _id: id(), type: 'trueFalse', question: 'State updates are synchronous', marks: 1, correctAnswer: true }
+
+const questionsOf = (...questions) => new Map(questions.map((question) => [question._id.toString(), { question, source: 'quiz' }]))
+
+// One graded attempt per score, each from a different learner
+const attemptsFor = (percentages, answer) =>
+  percentages.map((percentage, index) => ({
+    _id: id(),
+    user: id(),
+    attempt: 1,
+    status: 'graded',
+    percentage,
+    answers: answer(percentage, index),
+  }))
+
+test('item statistics separate strong and weak learners', () => {
+  const percentages = [100, 90, 80, 70, 60, 50, 40, 30, 20, 10]
+  const attempts = attemptsFor(percentages, (percentage) => [
+    // Learners scoring 60% or more pick the right option
+    percentage >= 60
+      ? { questionId: mcq._id, selectedOption: 'useEffect', marks: 2, isCorrect: true }
+      : { questionId: mcq._id, selectedOption: 'useMemo', marks: 0, isCorrect: false },
+    // Only the lowest scorer gets the true/false question right
+    { questionId: trueFalse._id, booleanAnswer: percentage === 10, marks: percentage === 10 ? 1 : 0, isCorrect: percentage === 10 },
+  ])
+
+  const { summary, questions, scoreDistribution } = analyzeQuiz(quiz, questionsOf(mcq, trueFalse), attempts)
+  const [mcqStats, trueFalseStats] = questions
+
+  assert.equal(mcqStats.difficultyIndex, 50)
+  assert.equal(mcqStats.discriminationIndex, 1)
+  assert.equal(mcqStats.correctAnswer, 'useEffect')
+  assert.deepEqual(mcqStats.choices.map((choice) => choice.chosen), [5, 5, 0])
+  assert.deepEqual(mcqStats.flags, ['unusedDistractor'])
+
+  assert.equal(trueFalseStats.difficultyIndex, 10)
+  assert.equal(trueFalseStats.discriminationIndex, -0.5)
+  assert.deepEqual(trueFalseStats.flags, ['tooHard', 'negativeDiscrimination', 'distractorMorePopular'])
+
+  assert.equal(summary.passRate, 60)
+  assert.equal(summary.averageScore, 55)
+  assert.equal(summary.medianScore, 55)
+  assert.equal(summary.flaggedQuestions, 2)
+  // The last band includes 100%
+  assert.equal(scoreDistribution[9].count, 2)
+  assert.equal(scoreDistribution[0].count, 0)
+})
+
+test('questions with too few responses are reported but not flagged', () => {
+  const percentages = Array.from({ length: MIN_RESPONSES - 1 }, () => 0)
+  const attempts = attemptsFor(percentages, () => [{ questionId: mcq._id, selectedOption: 'useRef', marks: 0, isCorrect: false }])
+
+  const { flags, questions } = analyzeQuiz(quiz, questionsOf(mcq), attempts)
+
+  assert.equal(questions[0].difficultyIndex, 0)
+  assert.deepEqual(questions[0].flags, [])
+  assert.deepEqual(flags, [])
+})
+
+test('skipped questions count against the skip rate, and ungraded attempts are left out', () => {
+  const attempts = attemptsFor([80, 70, 60, 50, 40], (percentage) =>
+    percentage >= 60 ? [{ questionId: trueFalse._id, booleanAnswer: true, marks: 1, isCorrect: true }] : []
+  )
+  attempts.push({ _id: id(), user: id(), attempt: 1, status: 'submitted', answers: [] })
+
+  const { summary, questions } = analyzeQuiz(quiz, questionsOf(trueFalse), attempts)
+
+  assert.equal(summary.totalAttempts, 6)
+  assert.equal(summary.gradedAttempts, 5)
+  assert.equal(summary.pendingGrading, 1)
+  assert.equal(questions[0].timesServed, 5)
+  assert.equal(questions[0].skipRate, 40)
+  assert.ok(questions[0].flags.includes('oftenSkipped'))
+})
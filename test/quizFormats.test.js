@@ -0,0 +1,42 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseQuestionFile, exportQuestions } = require('../utils/quizFormats')
+const { readZip, createZip } = require('../utils/zip')
+const { parseXml } = require('../utils/xml')
+const { AppError } = require('../utils/errors')
+
+test('GIFT exports keep marks other than 1', () => {
+  const questions = [
+    { type: 'trueFalse', question: 'Methane is a greenhouse gas', correctAnswer: true, marks: 3 },
+    { type: 'text', question: 'Describe scope 3 emissions', marks: 1 },
+  ]
+
+  const { body } = exportQuestions(questions, 'gift', 'Emissions')
+  const items = parseQuestionFile(Buffer.from(body), 'gift')
+
+  assert.equal(items[0].question.marks, 3)
+  assert.equal(items[1].question.marks, undefined)
+})
+
+test('truncated or corrupted zip files throw AppError', () => {
+  const zip = createZip([{ name: 'item.xml', data: '<assessmentItem/>' }])
+
+  for (let length = 0; length < zip.length; length++) {
+    assert.throws(() => readZip(zip.subarray(0, length)), AppError)
+  }
+
+  for (let i = 0; i < zip.length; i++) {
+    const corrupted = Buffer.from(zip)
+    corrupted[i] ^= 0xff
+    try {
+      readZip(corrupted)
+    } catch (error) {
+      assert.ok(error instanceof AppError, `byte ${i}: ${error.message}`)
+    }
+  }
+})
+
+test('out of range character references and deep nesting throw AppError', () => {
+  assert.throws(() => parseXml('<a>&#x110000;</a>'), AppError)
+  assert.throws(() => parseXml('<a>'.repeat(1000)), AppError)
+})
@@ -0,0 +1,57 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { gradeAnswer } = require('../utils/quizQuestions')
+
+const matching = {
+  type: 'matching',
+  marks: 3,
+  pairs: [
+    { prompt: 'CO2', match: 'Carbon dioxide' },
+    { prompt: 'CH4', match: 'Methane' },
+    { prompt: 'N2O', match: 'Nitrous oxide' },
+  ],
+}
+
+const ordering = {
+  type: 'ordering',
+  marks: 2,
+  items: ['Measure', 'Reduce', 'Offset'],
+}
+
+test('matching answers keep one match per prompt', () => {
+  // Every prompt paired with every match
+  const matches = matching.pairs.flatMap((pair) => matching.pairs.map((other) => ({ prompt: pair.prompt, match: other.match })))
+
+  const { answer } = gradeAnswer(matching, { questionId: 'q1', matches })
+
+  assert.equal(answer.matches.length, 3)
+  assert.equal(answer.isCorrect, false)
+  assert.equal(answer.marks, 1)
+})
+
+test('matching answers with every pair right get full marks', () => {
+  const { answer } = gradeAnswer(matching, { questionId: 'q1', matches: matching.pairs })
+
+  assert.equal(answer.isCorrect, true)
+  assert.equal(answer.marks, 3)
+})
+
+test('ordering answers with extra items score nothing', () => {
+  const { answer } = gradeAnswer(ordering, { questionId: 'q2', orderedItems: ['Measure', 'Reduce', 'Offset', 'Measure'] })
+
+  assert.equal(answer.isCorrect, false)
+  assert.equal(answer.marks, 0)
+})
+
+test('ordering answers with repeated items score nothing', () => {
+  const { answer } = gradeAnswer(ordering, { questionId: 'q2', orderedItems: ['Measure', 'Measure', 'Offset'] })
+
+  assert.equal(answer.marks, 0)
+})
+
+test('ordering answers in the right order get full marks', () => {
+  const { answer } = gradeAnswer(ordering, { questionId: 'q2', orderedItems: ['Measure', 'Reduce', 'Offset'] })
+
+  assert.equal(answer.isCorrect, true)
+  assert.equal(answer.marks, 2)
+})
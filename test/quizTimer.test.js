@@ -0,0 +1,107 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const { Quiz, QuizAttempt, Lesson, Module, Notification } = require('../models')
+const { runQuizAttemptSweeper } = require('../controllers/quiz.controller')
+
+const MINUTE = 60 * 1000
+
+const questionId = new mongoose.Types.ObjectId()
+const quiz = {
+  _id: new mongoose.Types.ObjectId(),
+  lesson: new mongoose.Types.ObjectId(),
+  title: 'Arrays',
+  quizTime: 10,
+  passingScore: 50,
+  submissionGracePeriod: 30,
+  questions: [
+    {
+      _id: questionId,
+      type: 'mcq',
+      question: 'Which method adds to the end of an array?',
+      marks: 2,
+      options: [
+        { option: 'push', isCorrect: true },
+        { option: 'shift', isCorrect: false },
+      ],
+    },
+  ],
+}
+
+// An in-progress attempt whose time ran out `expiredAgo` ms ago, with one saved answer
+const inProgressAttempt = (t, expiredAgo) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  quiz: quiz._id,
+  status: 'inProgress',
+  startTime: new Date(Date.now() - expiredAgo - quiz.quizTime * MINUTE),
+  expiresAt: new Date(Date.now() - expiredAgo),
+  totalMarks: 2,
+  questionSet: [questionId],
+  answers: [{ toObject: () => ({ questionId, type: 'mcq', selectedOption: 'shift' }) }],
+  save: t.mock.fn(async () => {}),
+})
+
+function mockSweep(t, attempt, { quizExists = true } = {}) {
+  let active = false
+  t.mock.method(mongoose, 'startSession', async () => ({
+    startTransaction: () => (active = true),
+    commitTransaction: async () => (active = false),
+    abortTransaction: async () => (active = false),
+    inTransaction: () => active,
+    endSession: () => {},
+  }))
+
+  const candidates = [{ _id: attempt._id, quiz: quiz._id }]
+  t.mock.method(QuizAttempt, 'find', () => ({ select: () => ({ sort: () => ({ limit: () => ({ lean: async () => candidates }) }) }) }))
+  t.mock.method(QuizAttempt, 'findOne', () => ({ session: async () => attempt }))
+  t.mock.method(Quiz, 'findById', async () => (quizExists ? quiz : null))
+  t.mock.method(Lesson, 'findById', () => ({ select: async () => ({ _id: quiz.lesson, module: new mongoose.Types.ObjectId() }) }))
+  t.mock.method(Module, 'findById', () => ({ select: async () => ({ _id: new mongoose.Types.ObjectId(), course: new mongoose.Types.ObjectId() }) }))
+
+  return {
+    updateAttempt: t.mock.method(QuizAttempt, 'updateOne', async () => ({ modifiedCount: 1 })),
+    notify: t.mock.method(Notification, 'create', async (fields) => ({ toObject: () => fields })),
+  }
+}
+
+test('attempts past their deadline and grace period are submitted with the saved answers', async (t) => {
+  const attempt = inProgressAttempt(t, 5 * MINUTE)
+  const { notify } = mockSweep(t, attempt)
+  const deadline = attempt.expiresAt
+
+  const summary = await runQuizAttemptSweeper()
+
+  assert.equal(summary.graded, 1)
+  assert.equal(attempt.status, 'graded')
+  assert.equal(attempt.autoSubmitted, true)
+  // Submitted as of the deadline, not when the sweeper got to it
+  assert.equal(attempt.submitTime, deadline)
+  assert.equal(attempt.answers[0].selectedOption, 'shift')
+  assert.equal(attempt.percentage, 0)
+  assert.equal(attempt.passed, false)
+  assert.equal(attempt.save.mock.callCount(), 1)
+  assert.match(notify.mock.calls[0].arguments[0].message, /^Time ran out on "Arrays". Your saved answers were submitted: 0% \(not passed\)$/)
+})
+
+test('attempts still within the grace period are rescheduled, not submitted', async (t) => {
+  const attempt = inProgressAttempt(t, 10 * 1000)
+  const { updateAttempt } = mockSweep(t, attempt)
+
+  const summary = await runQuizAttemptSweeper()
+
+  assert.deepEqual(summary, { submitted: 0, graded: 0, skipped: 0, errors: 0 })
+  assert.equal(attempt.status, 'inProgress')
+  const [, update] = updateAttempt.mock.calls[0].arguments
+  assert.equal(update.$set.autoSubmitAt.getTime(), attempt.expiresAt.getTime() + quiz.submissionGracePeriod * 1000)
+})
+
+test('attempts of a deleted quiz are skipped and not picked up again', async (t) => {
+  const attempt = inProgressAttempt(t, 5 * MINUTE)
+  const { updateAttempt } = mockSweep(t, attempt, { quizExists: false })
+
+  const summary = await runQuizAttemptSweeper()
+
+  assert.equal(summary.skipped, 1)
+  assert.deepEqual(updateAttempt.mock.calls[0].arguments[1], { $set: { autoSubmitAt: null } })
+})
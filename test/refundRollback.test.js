@@ -0,0 +1,100 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const { User, Course, Payment, Progress } = require('../models')
+const { rollbackPaymentEnrollment } = require('../utils/enrollment')
+
+const id = () => new mongoose.Types.ObjectId()
+
+const userId = id()
+const courseId = id()
+const otherCourseId = id()
+const [moduleA, moduleB] = [id(), id()]
+
+// A user document with the given enrollments, and stubs for everything the rollback reads
+function mockRollback(t, { enrolledCourses, modulePayments = [], progress = [] }) {
+  const user = { _id: userId, enrolledCourses, save: t.mock.fn(async () => {}) }
+
+  t.mock.method(User, 'findById', () => ({ session: async () => user }))
+  t.mock.method(Payment, 'find', () => ({ session: async () => modulePayments }))
+  t.mock.method(Progress, 'find', () => ({ session: async () => progress }))
+  const updateCourse = t.mock.method(Course, 'updateOne', async () => ({ modifiedCount: 1 }))
+
+  return { user, updateCourse }
+}
+
+test('refunding a course purchase falls back to modules bought separately, keeping their progress', async (t) => {
+  const lastAccessed = new Date('2026-05-04T10:00:00.000Z')
+  const { user, updateCourse } = mockRollback(t, {
+    enrolledCourses: [{ course: courseId, enrollmentType: 'full', enrolledModules: [] }],
+    modulePayments: [{ modules: [moduleA] }],
+    progress: [{ module: moduleA, completedLessons: ['lesson-1'], completedQuizzes: [], lastAccessed }],
+  })
+
+  await rollbackPaymentEnrollment({ _id: id(), user: userId, course: courseId, purchaseType: 'course' }, null)
+
+  const [enrollment] = user.enrolledCourses
+  assert.equal(enrollment.enrollmentType, 'module')
+  assert.equal(enrollment.enrolledModules.length, 1)
+  assert.equal(enrollment.enrolledModules[0].module, moduleA.toString())
+  assert.deepEqual(enrollment.enrolledModules[0].completedLessons, ['lesson-1'])
+  assert.equal(enrollment.enrolledModules[0].lastAccessed, lastAccessed)
+  assert.equal(updateCourse.mock.callCount(), 0)
+  assert.equal(user.save.mock.callCount(), 1)
+})
+
+test('refunding a course purchase with nothing left removes the enrollment', async (t) => {
+  const { user, updateCourse } = mockRollback(t, {
+    enrolledCourses: [{ course: courseId, enrollmentType: 'full', enrolledModules: [] }],
+  })
+
+  await rollbackPaymentEnrollment({ _id: id(), user: userId, course: courseId, purchaseType: 'course' }, null)
+
+  assert.deepEqual(user.enrolledCourses, [])
+  assert.deepEqual(updateCourse.mock.calls[0].arguments[1], { $inc: { totalStudents: -1 } })
+})
+
+test('refunding a module purchase removes only the refunded modules', async (t) => {
+  const { user, updateCourse } = mockRollback(t, {
+    enrolledCourses: [{ course: courseId, enrollmentType: 'module', enrolledModules: [{ module: moduleA }, { module: moduleB }] }],
+  })
+
+  await rollbackPaymentEnrollment({ _id: id(), user: userId, course: courseId, purchaseType: 'module', modules: [moduleA] }, null)
+
+  assert.deepEqual(user.enrolledCourses[0].enrolledModules, [{ module: moduleB }])
+  assert.equal(updateCourse.mock.callCount(), 0)
+})
+
+test('refunding a module purchase leaves full access from a later course purchase alone', async (t) => {
+  const { user } = mockRollback(t, {
+    enrolledCourses: [{ course: courseId, enrollmentType: 'full', enrolledModules: [] }],
+  })
+
+  await rollbackPaymentEnrollment({ _id: id(), user: userId, course: courseId, purchaseType: 'module', modules: [moduleA] }, null)
+
+  assert.equal(user.enrolledCourses[0].enrollmentType, 'full')
+})
+
+test('refunding a bundle takes back only the courses the bundle granted', async (t) => {
+  const { user } = mockRollback(t, {
+    enrolledCourses: [
+      { course: courseId, enrollmentType: 'full', enrolledModules: [] },
+      { course: otherCourseId, enrollmentType: 'full', enrolledModules: [] },
+    ],
+  })
+
+  await rollbackPaymentEnrollment({ _id: id(), user: userId, purchaseType: 'bundle', bundleCourses: [courseId] }, null)
+
+  assert.deepEqual(user.enrolledCourses.map((ec) => ec.course), [otherCourseId])
+})
+
+test('a payment flagged because access was never granted has nothing to roll back', async (t) => {
+  const { user } = mockRollback(t, {
+    enrolledCourses: [{ course: courseId, enrollmentType: 'full', enrolledModules: [] }],
+  })
+
+  await rollbackPaymentEnrollment({ _id: id(), user: userId, course: courseId, purchaseType: 'course', enrollmentFailed: true }, null)
+
+  assert.equal(User.findById.mock.callCount(), 0)
+  assert.equal(user.enrolledCourses.length, 1)
+})
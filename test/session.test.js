@@ -0,0 +1,83 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const { AuthSession } = require('../models')
+const { createSession, rotateSession, describeDevice } = require('../utils/session')
+const { verifyToken } = require('../utils/token')
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret'
+
+const req = {
+  ip: '203.0.113.7',
+  get: () => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36',
+}
+
+// In-memory AuthSession collection. Each update matches and writes in one step, like the database does
+function mockSessions(t) {
+  const sessions = new Map()
+  const live = (stored, filter) => stored && stored.revokedAt === null && (!filter.refreshTokenHash || stored.refreshTokenHash === filter.refreshTokenHash)
+
+  t.mock.method(AuthSession.prototype, 'save', async function () {
+    sessions.set(this._id.toString(), { _id: this._id, user: this.user, refreshTokenHash: this.refreshTokenHash, revokedAt: null, expiresAt: this.expiresAt })
+  })
+  t.mock.method(AuthSession, 'findOneAndUpdate', async (filter, { $set }) => {
+    const stored = sessions.get(filter._id.toString())
+    if (!live(stored, filter)) return null
+    return Object.assign(stored, $set)
+  })
+  t.mock.method(AuthSession, 'updateOne', async (filter, { $set }) => {
+    const stored = sessions.get(filter._id.toString())
+    if (live(stored, filter)) Object.assign(stored, $set)
+  })
+
+  return sessions
+}
+
+test('a refresh token rotates into a new pair for the same session', async (t) => {
+  mockSessions(t)
+  const userId = new mongoose.Types.ObjectId()
+
+  const first = await createSession(userId, req)
+  const second = await rotateSession(first.refreshToken, req)
+
+  assert.notEqual(second.refreshToken, first.refreshToken)
+  assert.equal(second.refreshToken.split('.')[0], first.refreshToken.split('.')[0])
+  assert.equal(verifyToken(second.token).id, userId.toString())
+  assert.equal(verifyToken(second.token).sid, first.refreshToken.split('.')[0])
+})
+
+test('replaying a rotated refresh token ends the session', async (t) => {
+  const sessions = mockSessions(t)
+
+  const first = await createSession(new mongoose.Types.ObjectId(), req)
+  const second = await rotateSession(first.refreshToken, req)
+
+  await assert.rejects(rotateSession(first.refreshToken, req), { statusCode: 401 })
+  const [stored] = sessions.values()
+  assert.equal(stored.revokedReason, 'refresh_token_reuse')
+
+  // The token issued to whoever rotated first is dead too
+  await assert.rejects(rotateSession(second.refreshToken, req), { statusCode: 401 })
+})
+
+test('two concurrent rotations of the same token only succeed once', async (t) => {
+  mockSessions(t)
+
+  const { refreshToken } = await createSession(new mongoose.Types.ObjectId(), req)
+  const results = await Promise.allSettled([rotateSession(refreshToken, req), rotateSession(refreshToken, req)])
+
+  assert.deepEqual(results.map((result) => result.status), ['fulfilled', 'rejected'])
+})
+
+test('malformed refresh tokens are rejected without a lookup', async (t) => {
+  mockSessions(t)
+
+  await assert.rejects(rotateSession('not-a-token', req), { statusCode: 401, message: 'Invalid refresh token' })
+  assert.equal(AuthSession.findOneAndUpdate.mock.callCount(), 0)
+})
+
+test('devices are labelled from the user agent', () => {
+  assert.equal(describeDevice(req.get()), 'Chrome on Windows')
+  assert.equal(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Version/17.5 Mobile/15E148 Safari/604.1'), 'Safari on iOS')
+  assert.equal(describeDevice(''), 'Unknown device')
+})
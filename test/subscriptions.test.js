@@ -0,0 +1,129 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const { Subscription, SubscriptionPlan, Payment, Notification } = require('../models')
+const { DAY_MS, addInterval, activateSubscriptionPeriod } = require('../utils/subscriptions')
+const { runSubscriptionRenewals } = require('../controllers/subscription.controller')
+
+const plan = { _id: new mongoose.Types.ObjectId(), interval: 'month', gracePeriodDays: 3 }
+
+// A subscription document, its plan, and whether the learner already has another live subscription to it
+function mockActivation(t, fields, { otherLive = null } = {}) {
+  const subscription = {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    plan: plan._id,
+    status: 'pending',
+    ...fields,
+    save: t.mock.fn(async () => {}),
+  }
+
+  t.mock.method(Subscription, 'findById', () => ({ session: async () => subscription }))
+  t.mock.method(SubscriptionPlan, 'findById', () => ({ session: async () => plan }))
+  t.mock.method(Subscription, 'exists', () => ({ session: async () => otherLive }))
+
+  return subscription
+}
+
+const activate = (subscription) => activateSubscriptionPeriod({ subscription: subscription._id }, null)
+
+test('intervals keep the billing day and clamp to the end of shorter months', () => {
+  assert.equal(addInterval('2026-01-31T08:00:00.000Z', 'month').toISOString(), '2026-02-28T08:00:00.000Z')
+  assert.equal(addInterval('2026-03-15T08:00:00.000Z', 'month').toISOString(), '2026-04-15T08:00:00.000Z')
+  assert.equal(addInterval('2026-12-31T08:00:00.000Z', 'month').toISOString(), '2027-01-31T08:00:00.000Z')
+  assert.equal(addInterval('2028-02-29T08:00:00.000Z', 'year').toISOString(), '2029-02-28T08:00:00.000Z')
+})
+
+test('a first payment starts the period today, with the grace period after it', async (t) => {
+  const before = Date.now()
+  const subscription = mockActivation(t, {})
+
+  await activate(subscription)
+
+  assert.equal(subscription.status, 'active')
+  assert.ok(subscription.currentPeriodStart.getTime() >= before)
+  assert.equal(subscription.currentPeriodEnd.getTime(), addInterval(subscription.currentPeriodStart, 'month').getTime())
+  assert.equal(subscription.graceEndsAt.getTime(), subscription.currentPeriodEnd.getTime() + 3 * DAY_MS)
+  assert.equal(subscription.save.mock.callCount(), 1)
+})
+
+test('a renewal continues from the previous period end, even when paid during the grace period', async (t) => {
+  const currentPeriodEnd = new Date(Date.now() - DAY_MS)
+  const subscription = mockActivation(t, { status: 'past_due', currentPeriodEnd, renewalAttempts: 2, lastRenewalError: 'Card declined' })
+
+  await activate(subscription)
+
+  assert.equal(subscription.status, 'active')
+  assert.equal(subscription.currentPeriodStart, currentPeriodEnd)
+  assert.equal(subscription.currentPeriodEnd.getTime(), addInterval(currentPeriodEnd, 'month').getTime())
+  assert.equal(subscription.renewalAttempts, 0)
+  assert.equal(subscription.lastRenewalError, undefined)
+  // Renewals are never checked against the learner's other subscriptions
+  assert.equal(Subscription.exists.mock.callCount(), 0)
+})
+
+test('a renewal paid after the whole next period would have passed restarts from today', async (t) => {
+  const before = Date.now()
+  const subscription = mockActivation(t, { status: 'past_due', currentPeriodEnd: new Date(Date.now() - 60 * DAY_MS) })
+
+  await activate(subscription)
+
+  assert.ok(subscription.currentPeriodStart.getTime() >= before)
+})
+
+test('a second live subscription to the same plan is refused', async (t) => {
+  const subscription = mockActivation(t, {}, { otherLive: { _id: new mongoose.Types.ObjectId() } })
+
+  await assert.rejects(activate(subscription), { statusCode: 409, message: 'You already have an active subscription to this plan' })
+  assert.equal(subscription.save.mock.callCount(), 0)
+})
+
+test('a declined renewal moves to past due and keeps access until the grace period ends', async (t) => {
+  const previous = process.env.MOCK_GATEWAY_OUTCOME
+  process.env.MOCK_GATEWAY_OUTCOME = 'failed'
+  t.after(() => (previous === undefined ? delete process.env.MOCK_GATEWAY_OUTCOME : (process.env.MOCK_GATEWAY_OUTCOME = previous)))
+
+  const currentPeriodEnd = new Date(Date.now() - DAY_MS)
+  const graceEndsAt = new Date(currentPeriodEnd.getTime() + 3 * DAY_MS)
+  const due = {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    plan: plan._id,
+    gateway: 'mock',
+    status: 'active',
+    currentPeriodEnd,
+    graceEndsAt,
+    save: t.mock.fn(async () => {}),
+  }
+  const payment = { transactionId: 'renewal-1', amount: 500, save: t.mock.fn(async () => {}) }
+
+  t.mock.method(Subscription, 'updateMany', async () => ({ modifiedCount: 0 }))
+  t.mock.method(Subscription, 'find', (filter) => (filter.graceEndsAt ? { populate: async () => [] } : { select: () => ({ lean: async () => [{ _id: due._id }] }) }))
+  t.mock.method(Subscription, 'findOneAndUpdate', async () => due)
+  t.mock.method(SubscriptionPlan, 'findOne', async () => ({ ...plan, name: 'Pro', price: 500, currency: 'BDT' }))
+  t.mock.method(Payment, 'create', async () => [payment])
+  const notify = t.mock.method(Notification, 'create', async (fields) => ({ toObject: () => fields }))
+
+  const summary = await runSubscriptionRenewals()
+
+  assert.equal(summary.failed, 1)
+  assert.equal(payment.status, 'failed')
+  assert.equal(due.status, 'past_due')
+  assert.equal(due.lastRenewalError, 'Mock gateway declined renewal-1')
+  assert.equal(due.graceEndsAt, graceEndsAt)
+  assert.equal(notify.mock.calls[0].arguments[0].type, 'subscription_payment_failed')
+})
+
+test('subscriptions still unpaid after the grace period expire', async (t) => {
+  const lapsed = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), status: 'past_due', plan: { name: 'Pro' }, save: t.mock.fn(async () => {}) }
+
+  t.mock.method(Subscription, 'updateMany', async () => ({ modifiedCount: 0 }))
+  t.mock.method(Subscription, 'find', (filter) => (filter.graceEndsAt ? { populate: async () => [lapsed] } : { select: () => ({ lean: async () => [] }) }))
+  const notify = t.mock.method(Notification, 'create', async (fields) => ({ toObject: () => fields }))
+
+  const summary = await runSubscriptionRenewals()
+
+  assert.equal(summary.expired, 1)
+  assert.equal(lapsed.status, 'expired')
+  assert.equal(notify.mock.calls[0].arguments[0].message, 'Your Pro plan has expired. Subscribe again to regain access')
+})
@@ -0,0 +1,50 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { generateSecret, generateCode, verifyCode, generateRecoveryCodes, normalizeRecoveryCode } = require('../utils/totp')
+
+// RFC 6238 appendix B secret, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  // Last 6 digits of the 8 digit reference values
+  assert.equal(generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082')
+  assert.equal(generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804')
+  assert.equal(generateCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924')
+  assert.equal(generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), '279037')
+})
+
+test('verification accepts one step of clock drift either way', (t) => {
+  const now = 1234567890 * 1000
+  t.mock.method(Date, 'now', () => now)
+  const step = Math.floor(now / 1000 / 30)
+
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step)), step)
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1)), step - 1)
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1)), step + 1)
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2)), null)
+})
+
+test('verification ignores spaces and rejects malformed codes', (t) => {
+  t.mock.method(Date, 'now', () => 59 * 1000)
+
+  assert.equal(verifyCode(RFC_SECRET, '287 082'), 1)
+  assert.equal(verifyCode(RFC_SECRET, '28708'), null)
+  assert.equal(verifyCode(RFC_SECRET, 'abcdef'), null)
+})
+
+test('generated secrets round-trip through code generation', () => {
+  const secret = generateSecret()
+
+  assert.match(secret, /^[A-Z2-7]{32}$/)
+  assert.match(generateCode(secret, 1), /^\d{6}$/)
+})
+
+test('recovery codes normalize the way users type them', () => {
+  const codes = generateRecoveryCodes(10)
+
+  assert.equal(new Set(codes).size, 10)
+  for (const code of codes) {
+    assert.match(code, /^[a-f0-9]{5}-[a-f0-9]{5}$/)
+    assert.equal(normalizeRecoveryCode(` ${code.toUpperCase()} `), code.replace('-', ''))
+  }
+})
@@ -0,0 +1,94 @@
+const PDFDocument = require('pdfkit')
+const QRCode = require('qrcode')
+
+const PLATFORM_NAME = process.env.PLATFORM_NAME || 'Education Platform'
+const BRAND_COLOR = '#4F46E5'
+
+// Public URL that the QR code on the certificate points to
+const getVerificationUrl = (certificateId) => {
+  return `${process.env.API_BASE_URL}/api/final-cert/verify/${certificateId}`
+}
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  })
+}
+
+// Render a certificate document into a PDF buffer
+const generateCertificatePdf = async (certificate) => {
+  const verificationUrl = getVerificationUrl(certificate.certificateId)
+  const qrImage = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 240 })
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 0 })
+    const chunks = []
+
+    doc.on('data', (chunk) => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    const { width, height } = doc.page
+
+    // Border
+    doc.lineWidth(6).strokeColor(BRAND_COLOR).rect(20, 20, width - 40, height - 40).stroke()
+    doc.lineWidth(1).strokeColor('#C7D2FE').rect(32, 32, width - 64, height - 64).stroke()
+
+    // Header
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(16).text(PLATFORM_NAME.toUpperCase(), 0, 70, { align: 'center', characterSpacing: 2 })
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(36).text('Certificate of Completion', 0, 110, { align: 'center' })
+
+    // Body
+    doc.fillColor('#4B5563').font('Helvetica').fontSize(14).text('This is to certify that', 0, 180, { align: 'center' })
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(30).text(certificate.studentName, 0, 210, { align: 'center' })
+
+    const completedWhat = {
+      module: 'has successfully completed the module',
+      path: 'has successfully completed the learning path',
+    }[certificate.certificateType] || 'has successfully completed the course'
+    doc.fillColor('#4B5563').font('Helvetica').fontSize(14).text(completedWhat, 0, 262, { align: 'center' })
+
+    const title = { module: certificate.moduleTitle, path: certificate.pathTitle }[certificate.certificateType] || certificate.courseTitle
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(22).text(title, 80, 290, { align: 'center', width: width - 160 })
+
+    if (certificate.certificateType === 'module') {
+      doc.fillColor('#4B5563').font('Helvetica').fontSize(13).text(`part of ${certificate.courseTitle}`, 80, doc.y + 6, { align: 'center', width: width - 160 })
+    }
+
+    if (certificate.certificateType === 'path') {
+      const courseTitles = (certificate.metadata?.courses || []).map((c) => c.courseTitle)
+      doc.fillColor('#4B5563').font('Helvetica').fontSize(12).text(courseTitles.join('  |  '), 80, doc.y + 6, { align: 'center', width: width - 160 })
+    }
+
+    // Footer details
+    const footerY = height - 150
+    const instructors = certificate.metadata?.instructors || []
+
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(12).text('Completion Date', 80, footerY)
+    doc.font('Helvetica').fontSize(12).text(formatDate(certificate.completionDate), 80, footerY + 16)
+
+    doc.font('Helvetica-Bold').text('Issue Date', 80, footerY + 42)
+    doc.font('Helvetica').text(formatDate(certificate.issueDate), 80, footerY + 58)
+
+    if (instructors.length > 0) {
+      doc.font('Helvetica-Bold').text('Instructors', 300, footerY)
+      doc.font('Helvetica').text(instructors.join(', '), 300, footerY + 16, { width: 260 })
+    }
+
+    // Verification QR code
+    const qrSize = 100
+    const qrX = width - 80 - qrSize
+    doc.image(qrImage, qrX, footerY - 10, { width: qrSize, height: qrSize })
+    doc.fillColor('#6B7280').font('Helvetica').fontSize(9).text('Scan to verify', qrX, footerY + qrSize - 4, { width: qrSize, align: 'center' })
+    doc.text(`ID: ${certificate.certificateId}`, qrX - 20, footerY + qrSize + 8, { width: qrSize + 40, align: 'center' })
+
+    doc.end()
+  })
+}
+
+module.exports = {
+  generateCertificatePdf,
+  getVerificationUrl,
+}
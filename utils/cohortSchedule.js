@@ -0,0 +1,34 @@
+// utils/cohortSchedule.js
+const { User, Module, Cohort } = require('../models')
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000
+
+// Date a module opens for a cohort, based on the module's release offset
+const getReleaseDate = (cohort, module) => {
+  return new Date(new Date(cohort.startDate).getTime() + (module.releaseOffsetDays || 0) * DAY_IN_MS)
+}
+
+// Returns the unlock date if the module is still locked for this learner's cohort, otherwise null.
+// Self-paced enrollments (no cohort) and staff are never locked
+const getModuleUnlockDate = async (userId, courseId, moduleId) => {
+  const user = await User.findById(userId)
+  if (!user) return null
+
+  const enrollment = user.enrolledCourses?.find((ec) => ec.course.toString() === courseId.toString())
+  if (!enrollment?.cohort) return null
+
+  const [cohort, module] = await Promise.all([
+    Cohort.findOne({ _id: enrollment.cohort, isDeleted: false }),
+    Module.findById(moduleId).select('releaseOffsetDays'),
+  ])
+
+  if (!cohort || !module) return null
+
+  const releaseDate = getReleaseDate(cohort, module)
+  return releaseDate > new Date() ? releaseDate : null
+}
+
+module.exports = {
+  getReleaseDate,
+  getModuleUnlockDate,
+}
@@ -0,0 +1,198 @@
+// utils/coupons.js
+// Shared coupon rules for the coupon preview and every payment path
+const { Discount, Payment, Course } = require('../models')
+const { AppError } = require('./errors')
+
+const MAX_STACKED_COUPONS = 5
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+// Codes from a request body that may send a single `discountCode` and/or a `discountCodes` list
+const getRequestedCodes = ({ discountCode, discountCodes } = {}) => {
+  const codes = [...(discountCodes || []), ...(discountCode ? [discountCode] : [])]
+  return [...new Set(codes.map((code) => code.trim().toUpperCase()).filter(Boolean))]
+}
+
+// Checkouts that haven't settled yet hold their coupon until they complete or fail
+const OPEN_PAYMENT_STATUSES = ['pending', 'processing']
+
+const paymentUsesCoupon = (couponId) => ({ $or: [{ discount: couponId }, { 'appliedDiscounts.discount': couponId }] })
+
+// IDs of every coupon a payment used. Payments from before stacking only have `discount`
+const getPaymentDiscountIds = (payment) => {
+  if (payment.appliedDiscounts?.length) {
+    return payment.appliedDiscounts.map((applied) => applied.discount)
+  }
+  return payment.discount ? [payment.discount] : []
+}
+
+// Course/module/category restrictions. Bundles and subscriptions only accept unrestricted coupons
+async function checkScope(coupon, purchase) {
+  const courseIds = [coupon.course, ...(coupon.courses || [])].filter(Boolean).map((id) => id.toString())
+  const categories = coupon.categories || []
+  const isRestricted = Boolean(coupon.module) || courseIds.length > 0 || categories.length > 0
+
+  if (!isRestricted) {
+    return null
+  }
+
+  if (!['course', 'module'].includes(purchase.purchaseType) || !purchase.courseId) {
+    return 'This coupon is only valid for specific courses'
+  }
+
+  if (coupon.module) {
+    const moduleIds = (purchase.moduleIds || []).map((id) => id.toString())
+    if (purchase.purchaseType !== 'module' || !moduleIds.includes(coupon.module.toString())) {
+      return 'This coupon is not valid for this module'
+    }
+  }
+
+  if (courseIds.length || categories.length) {
+    let matches = courseIds.includes(purchase.courseId.toString())
+
+    if (!matches && categories.length) {
+      const course = await Course.findById(purchase.courseId).select('category').lean()
+      matches = Boolean(course) && categories.includes(course.category)
+    }
+
+    if (!matches) {
+      return 'This coupon is not valid for this course'
+    }
+  }
+
+  return null
+}
+
+// First rule the user or order breaks, or null when the coupon can be used
+async function getRuleViolation(coupon, user, purchase) {
+  const now = new Date()
+  if ((coupon.startDate && coupon.startDate > now) || (coupon.endDate && coupon.endDate < now)) {
+    return 'Invalid or expired coupon code'
+  }
+
+  if (coupon.maxUses) {
+    const openUses = coupon.usedCount < coupon.maxUses ? await Payment.countDocuments({ status: { $in: OPEN_PAYMENT_STATUSES }, ...paymentUsesCoupon(coupon._id) }) : 0
+    if (coupon.usedCount + openUses >= coupon.maxUses) {
+      return 'This coupon has reached its usage limit'
+    }
+  }
+
+  if (coupon.minOrderAmount && purchase.amount < coupon.minOrderAmount) {
+    return `This coupon requires a minimum order of ${coupon.minOrderAmount}`
+  }
+
+  if (coupon.allowedEmailDomains?.length) {
+    const domain = user.email?.split('@')[1]?.toLowerCase()
+    if (!coupon.allowedEmailDomains.includes(domain)) {
+      return 'This coupon is not available for your email address'
+    }
+  }
+
+  const scopeError = await checkScope(coupon, purchase)
+  if (scopeError) {
+    return scopeError
+  }
+
+  if (coupon.firstPurchaseOnly) {
+    const hasPurchased = await Payment.exists({
+      user: user._id,
+      $or: [{ status: 'completed', amount: { $gt: 0 } }, { status: { $in: OPEN_PAYMENT_STATUSES }, ...paymentUsesCoupon(coupon._id) }],
+    })
+    if (hasPurchased) {
+      return 'This coupon is only valid for your first purchase'
+    }
+  }
+
+  if (coupon.perUserLimit) {
+    const timesUsed = await Payment.countDocuments({
+      user: user._id,
+      status: { $in: ['completed', ...OPEN_PAYMENT_STATUSES] },
+      ...paymentUsesCoupon(coupon._id),
+    })
+    if (timesUsed >= coupon.perUserLimit) {
+      return 'You have already used this coupon the maximum number of times'
+    }
+  }
+
+  return null
+}
+
+// Check the requested codes against the purchase and price the order. Coupons are applied in the order
+// given, each to what is left after the previous one. Throws AppError 400 naming the first failed rule.
+// purchase: { purchaseType, amount, courseId, moduleIds }
+const evaluateCoupons = async ({ codes, user, purchase }) => {
+  const amount = roundAmount(purchase.amount)
+
+  if (!codes.length) {
+    return { appliedDiscounts: [], discountAmount: 0, finalAmount: amount }
+  }
+
+  if (codes.length > MAX_STACKED_COUPONS) {
+    throw new AppError(`No more than ${MAX_STACKED_COUPONS} coupons can be used together`, 400)
+  }
+
+  const coupons = await Discount.find({ code: { $in: codes }, isDeleted: false })
+
+  const appliedDiscounts = []
+  let remaining = amount
+
+  for (const code of codes) {
+    const coupon = coupons.find((c) => c.code === code)
+    if (!coupon) {
+      throw new AppError(`Invalid or expired coupon code: ${code}`, 400)
+    }
+
+    if (codes.length > 1 && coupon.stacking !== 'stackable') {
+      throw new AppError(`Coupon ${code} can't be combined with other coupons`, 400)
+    }
+
+    const violation = await getRuleViolation(coupon, user, purchase)
+    if (violation) {
+      throw new AppError(codes.length > 1 ? `${code}: ${violation}` : violation, 400)
+    }
+
+    let discountAmount = coupon.type === 'percentage' ? (remaining * coupon.value) / 100 : coupon.value
+    if (coupon.maxDiscountAmount) {
+      discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount)
+    }
+    discountAmount = roundAmount(Math.min(discountAmount, remaining))
+
+    remaining = roundAmount(remaining - discountAmount)
+    appliedDiscounts.push({ discount: coupon._id, code: coupon.code, amount: discountAmount, coupon })
+  }
+
+  return {
+    appliedDiscounts,
+    discountAmount: roundAmount(amount - remaining),
+    finalAmount: remaining,
+  }
+}
+
+// Count a completed payment against its coupons. The increment never takes a coupon past maxUses.
+// Returns the codes that were already used up, e.g. a batch code another checkout redeemed first.
+// The gateway has taken the money by then, so callers flag the payment for review instead of failing it
+const recordCouponUse = async (payment, session) => {
+  const overusedCodes = []
+
+  for (const discountId of getPaymentDiscountIds(payment)) {
+    const result = await Discount.updateOne(
+      { _id: discountId, $or: [{ maxUses: null }, { maxUses: 0 }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }] },
+      { $inc: { usedCount: 1 } },
+      { session }
+    )
+    if (result.matchedCount) continue
+
+    const coupon = await Discount.findById(discountId).select('code').session(session).lean()
+    console.warn(`Coupon ${coupon?.code || discountId} was already used up when payment ${payment.transactionId} completed`)
+    overusedCodes.push(coupon?.code || discountId.toString())
+  }
+
+  return overusedCodes
+}
+
+module.exports = {
+  getRequestedCodes,
+  getPaymentDiscountIds,
+  evaluateCoupons,
+  recordCouponUse,
+}
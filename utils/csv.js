@@ -0,0 +1,98 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reader and writer
+
+// Parse CSV text into an array of rows (arrays of strings). Each row also carries the `line` it starts on
+const parseCsvRows = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+  let line = 1
+  let rowLine = 1
+
+  // Strip a UTF-8 byte order mark left by Excel
+  const input = text.replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        if (char === '\n') line++
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      row.line = rowLine
+      rows.push(row)
+      row = []
+      field = ''
+      rowLine = ++line
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field)
+    row.line = rowLine
+    rows.push(row)
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ''))
+}
+
+// Parse CSV text with a header row into objects keyed by header. `lines` holds the line each record starts on
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text)
+  const keys = header.map((key) => key.trim())
+
+  return {
+    headers: keys,
+    records: rows.map((row) => Object.fromEntries(keys.map((key, index) => [key, (row[index] ?? '').trim()]))),
+    lines: rows.map((row) => row.line),
+  }
+}
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+const escapeCsvValue = (value, guardFormulas = false) => {
+  if (value === null || value === undefined) return ''
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (guardFormulas && typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Build CSV text from objects, using the given columns in order. Text cells that look like formulas get a
+// leading apostrophe unless guardFormulas is false, for files meant to be imported again rather than opened
+const toCsv = (records, columns, { guardFormulas = true } = {}) => {
+  const lines = [columns.map((column) => escapeCsvValue(column)).join(',')]
+  records.forEach((record) => {
+    lines.push(columns.map((column) => escapeCsvValue(record[column], guardFormulas)).join(','))
+  })
+  return lines.join('\r\n')
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  toCsv,
+}
@@ -24,7 +24,7 @@ const verifyConnection = async () => {
 }
 
 // Utility function to send email
-const sendEmail = async ({ to, subject, text, html }) => {
+const sendEmail = async ({ to, subject, text, html, attachments }) => {
   try {
     if (!to) {
       throw new Error('Recipient email is required')
@@ -36,6 +36,7 @@ const sendEmail = async ({ to, subject, text, html }) => {
       subject,
       text,
       html,
+      attachments,
     }
 
     const info = await transporter.sendMail(mailOptions)
@@ -113,11 +114,50 @@ const sendQuizGradedEmail = async (userEmail, userName, quizTitle, lessonTitle,
   }
 }
 
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+}
+
+// Send onboarding email to a user created by an admin import. Names and titles come from the CSV, so they are escaped
+const sendOnboardingEmail = async (email, userName, setupCode, courseTitles = []) => {
+  const subject = 'Your learning account is ready'
+  const courseList = courseTitles.length ? ` You have been enrolled in: ${courseTitles.join(', ')}.` : ''
+  const text = `Hello ${userName}, an account has been created for you.${courseList} To choose your password, use "Forgot password" on the login page, or reset it with this code: ${setupCode}. The code expires in 7 days.`
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 5px;">
+      <h2 style="color: #333;">Hello ${escapeHtml(userName)},</h2>
+      <p>An account has been created for you on our learning platform.</p>
+      ${courseTitles.length ? `<p>You have been enrolled in:</p><ul>${courseTitles.map((title) => `<li>${escapeHtml(title)}</li>`).join('')}</ul>` : ''}
+      <p>Use this code to set your password:</p>
+      <h2 style="color: #4F46E5; letter-spacing: 2px; font-size: 24px; margin: 20px 0;">${setupCode}</h2>
+      <p>Go to <a href="${process.env.FRONTEND_URL}/reset-password?email=${encodeURIComponent(email)}">set your password</a>. This code will expire in 7 days.</p>
+    </div>
+  `
+
+  return await sendEmail({ to: email, subject, text, html })
+}
+
+// Send an invoice with the PDF attached. The HTML version is the email body
+const sendInvoiceEmail = async (email, invoiceNumber, html, pdfBuffer) => {
+  const subject = `Your invoice ${invoiceNumber}`
+  const text = `Thank you for your purchase. Your invoice ${invoiceNumber} is attached.`
+
+  return await sendEmail({
+    to: email,
+    subject,
+    text,
+    html,
+    attachments: [{ filename: `invoice-${invoiceNumber}.pdf`, content: pdfBuffer, contentType: 'application/pdf' }],
+  })
+}
+
 module.exports = {
   sendEmail,
   sendVerificationOtp,
   sendPasswordResetOtp,
   sendQuizGradedEmail,
+  sendOnboardingEmail,
+  sendInvoiceEmail,
   verifyConnection,
 }
 
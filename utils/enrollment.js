@@ -0,0 +1,308 @@
+// utils/enrollment.js
+// Shared enrollment logic for payments and admin imports
+const { User, Module, Course, Payment, Bundle, Progress } = require('../models')
+const { AppError } = require('./errors')
+
+// Grant full course access or add modules to a user's enrollment. Throws if nothing would change
+const processEnrollment = async (userId, courseId, purchaseType, moduleIds = [], session) => {
+  const user = await User.findById(userId).session(session)
+  if (!user) {
+    throw new AppError('User not found', 404)
+  }
+
+  // Find existing course enrollment
+  const existingEnrollment = user.enrolledCourses.find((ec) => ec.course.toString() === courseId.toString())
+
+  if (purchaseType === 'course') {
+    // Handle full course enrollment
+    if (existingEnrollment) {
+      if (existingEnrollment.enrollmentType === 'full') {
+        throw new AppError('Already enrolled in this course', 400)
+      }
+      // Upgrade from module to full access
+      existingEnrollment.enrollmentType = 'full'
+      existingEnrollment.enrolledModules = []
+    } else {
+      // Create new full course enrollment
+      user.enrolledCourses.push({
+        course: courseId,
+        enrollmentType: 'full',
+        enrolledAt: new Date(),
+        enrolledModules: [],
+      })
+    }
+  } else {
+    // Handle module enrollment
+    if (!moduleIds.length) {
+      throw new AppError('No modules specified for module purchase', 400)
+    }
+
+    // Validate all modules exist and belong to the course
+    const modules = await Module.find({
+      _id: { $in: moduleIds },
+      course: courseId,
+      isDeleted: false,
+    }).session(session)
+
+    if (modules.length !== moduleIds.length) {
+      throw new AppError('One or more modules not found or do not belong to this course', 404)
+    }
+
+    if (existingEnrollment) {
+      // Check existing enrollment type
+      if (existingEnrollment.enrollmentType === 'full') {
+        throw new AppError('Already have full access to this course', 400)
+      }
+
+      // Check for duplicate module enrollments
+      const existingModuleIds = existingEnrollment.enrolledModules.map((em) => em.module.toString())
+      const newModuleIds = moduleIds.filter((moduleId) => !existingModuleIds.includes(moduleId.toString()))
+
+      if (!newModuleIds.length) {
+        throw new AppError('Already enrolled in all specified modules', 400)
+      }
+
+      // Add new modules to existing enrollment
+      newModuleIds.forEach((moduleId) => {
+        existingEnrollment.enrolledModules.push({
+          module: moduleId,
+          enrolledAt: new Date(),
+          completedLessons: [],
+          completedQuizzes: [],
+          lastAccessed: new Date(),
+        })
+      })
+    } else {
+      // Create new module-based enrollment
+      user.enrolledCourses.push({
+        course: courseId,
+        enrollmentType: 'module',
+        enrolledAt: new Date(),
+        enrolledModules: moduleIds.map((moduleId) => ({
+          module: moduleId,
+          enrolledAt: new Date(),
+          completedLessons: [],
+          completedQuizzes: [],
+          lastAccessed: new Date(),
+        })),
+      })
+    }
+  }
+
+  await user.save({ session })
+  return user
+}
+
+// Give full access to every course of a bundle the user doesn't fully own yet. Returns the courses granted
+const processBundleEnrollment = async (userId, courseIds, session) => {
+  const user = await User.findById(userId).session(session)
+  if (!user) {
+    throw new AppError('User not found', 404)
+  }
+
+  const grantedCourseIds = []
+
+  for (const courseId of courseIds) {
+    const existingEnrollment = user.enrolledCourses.find((ec) => ec.course.toString() === courseId.toString())
+    if (existingEnrollment?.enrollmentType === 'full') continue
+
+    await processEnrollment(userId, courseId, 'course', [], session)
+
+    if (!existingEnrollment) {
+      await Course.updateOne({ _id: courseId }, { $inc: { totalStudents: 1 } }, { session })
+    }
+
+    grantedCourseIds.push(courseId)
+  }
+
+  if (!grantedCourseIds.length) {
+    throw new AppError('User already has full access to every course in this bundle', 400)
+  }
+
+  return grantedCourseIds
+}
+
+// Modules the user still holds through completed module purchases
+const getPaidModuleIds = async (userId, courseId, session, excludePaymentId = null) => {
+  const filter = {
+    user: userId,
+    course: courseId,
+    purchaseType: 'module',
+    status: 'completed',
+  }
+  if (excludePaymentId) {
+    filter._id = { $ne: excludePaymentId }
+  }
+
+  const modulePayments = await Payment.find(filter).session(session)
+  return [...new Set(modulePayments.flatMap((p) => p.modules.map((m) => m.toString())))]
+}
+
+// Module enrollments for the given modules, keeping the progress already made in them
+const buildModuleEnrollments = async (enrollment, userId, courseId, moduleIds, session) => {
+  const progress = await Progress.find({ user: userId, course: courseId, module: { $in: moduleIds } }).session(session)
+
+  return moduleIds.map((moduleId) => {
+    const existing = enrollment.enrolledModules.find((em) => em.module.toString() === moduleId.toString())
+    if (existing) {
+      return existing
+    }
+
+    const moduleProgress = progress.find((p) => p.module.toString() === moduleId.toString())
+    return {
+      module: moduleId,
+      enrolledAt: new Date(),
+      completedLessons: moduleProgress?.completedLessons || [],
+      completedQuizzes: moduleProgress?.completedQuizzes || [],
+      lastAccessed: moduleProgress?.lastAccessed || new Date(),
+    }
+  })
+}
+
+// A completed course or bundle purchase that gives the user full access to the course, or null
+const findPaidFullAccess = async (userId, courseId, session) => {
+  const paid = { user: userId, status: 'completed', enrollmentFailed: { $ne: true } }
+
+  const coursePayment = await Payment.findOne({ ...paid, course: courseId, purchaseType: 'course' }).session(session)
+  if (coursePayment) {
+    return coursePayment
+  }
+
+  const bundlePayments = await Payment.find({ ...paid, purchaseType: 'bundle' }).select('bundle bundleCourses').session(session)
+  if (!bundlePayments.length) {
+    return null
+  }
+
+  const bundles = await Bundle.find({ _id: { $in: bundlePayments.map((p) => p.bundle) }, 'courses.course': courseId })
+    .select('_id')
+    .session(session)
+
+  return bundlePayments.find((p) => bundles.some((b) => b._id.toString() === p.bundle?.toString())) || null
+}
+
+// Give full course access through an organization seat. Upgrades module purchases, never replaces full access
+const grantSeatEnrollment = async (userId, courseId, seatId, session) => {
+  const user = await User.findById(userId).session(session)
+  if (!user) {
+    throw new AppError('User not found', 404)
+  }
+
+  const existingEnrollment = user.enrolledCourses.find((ec) => ec.course.toString() === courseId.toString())
+  if (existingEnrollment?.enrollmentType === 'full') {
+    throw new AppError('User already has full access to this course', 400)
+  }
+
+  await processEnrollment(userId, courseId, 'course', [], session)
+  await User.updateOne({ _id: userId, 'enrolledCourses.course': courseId }, { $set: { 'enrolledCourses.$.seat': seatId } }, { session })
+
+  if (!existingEnrollment) {
+    await Course.updateOne({ _id: courseId }, { $inc: { totalStudents: 1 } }, { session })
+  }
+}
+
+// Take back seat access. Courses the user also paid for, directly or in a bundle, stay fully theirs;
+// otherwise they fall back to any modules they bought themselves
+const releaseSeatEnrollment = async (userId, courseId, seatId, session) => {
+  const user = await User.findById(userId).session(session)
+  if (!user) return
+
+  const enrollmentIndex = user.enrolledCourses.findIndex((ec) => ec.course.toString() === courseId.toString() && ec.seat?.toString() === seatId.toString())
+  if (enrollmentIndex === -1) return
+
+  const enrollment = user.enrolledCourses[enrollmentIndex]
+  const paidFullAccess = await findPaidFullAccess(userId, courseId, session)
+
+  if (paidFullAccess) {
+    enrollment.seat = null
+
+    // A bundle skips courses already held through a seat, so record the course against it now for refunds
+    if (paidFullAccess.purchaseType === 'bundle') {
+      await Payment.updateOne({ _id: paidFullAccess._id }, { $addToSet: { bundleCourses: courseId } }, { session })
+    }
+
+    await user.save({ session })
+    return
+  }
+
+  const paidModuleIds = await getPaidModuleIds(userId, courseId, session)
+
+  if (paidModuleIds.length) {
+    enrollment.enrollmentType = 'module'
+    enrollment.seat = null
+    enrollment.enrolledModules = await buildModuleEnrollments(enrollment, userId, courseId, paidModuleIds, session)
+  } else {
+    user.enrolledCourses.splice(enrollmentIndex, 1)
+    await Course.updateOne({ _id: courseId, totalStudents: { $gt: 0 } }, { $inc: { totalStudents: -1 } }, { session })
+  }
+
+  await user.save({ session })
+}
+
+// Take one course back from the user. Full access falls back to any modules still paid for
+const rollbackCourseEnrollment = async (user, courseId, payment, session) => {
+  const enrollmentIndex = user.enrolledCourses.findIndex((ec) => ec.course.toString() === courseId.toString())
+  if (enrollmentIndex === -1) {
+    return
+  }
+
+  const enrollment = user.enrolledCourses[enrollmentIndex]
+  let removeEnrollment = false
+
+  if (payment.purchaseType !== 'module') {
+    // Fall back to any modules still covered by other completed module payments
+    const remainingModuleIds = await getPaidModuleIds(payment.user, courseId, session, payment._id)
+
+    if (remainingModuleIds.length) {
+      // Keep the progress already made in the modules the learner still owns
+      enrollment.enrollmentType = 'module'
+      enrollment.enrolledModules = await buildModuleEnrollments(enrollment, payment.user, courseId, remainingModuleIds, session)
+    } else {
+      removeEnrollment = true
+    }
+  } else if (enrollment.enrollmentType === 'module') {
+    // A later full course purchase supersedes module purchases, so only module enrollments are rolled back
+    const refundedModuleIds = payment.modules.map((m) => m.toString())
+    enrollment.enrolledModules = enrollment.enrolledModules.filter((em) => !refundedModuleIds.includes(em.module.toString()))
+
+    if (enrollment.enrolledModules.length === 0) {
+      removeEnrollment = true
+    }
+  }
+
+  if (removeEnrollment) {
+    user.enrolledCourses.splice(enrollmentIndex, 1)
+    await Course.updateOne({ _id: courseId, totalStudents: { $gt: 0 } }, { $inc: { totalStudents: -1 } }, { session })
+  }
+}
+
+// Undo the enrollment changes a refunded payment made
+const rollbackPaymentEnrollment = async (payment, session) => {
+  // Paid payments that never granted access have nothing to take back
+  if (payment.enrollmentFailed) {
+    return
+  }
+
+  const user = await User.findById(payment.user).session(session)
+  if (!user) {
+    return
+  }
+
+  // A bundle refund takes back only the courses the bundle granted
+  const courseIds = payment.purchaseType === 'bundle' ? payment.bundleCourses : [payment.course]
+
+  for (const courseId of courseIds) {
+    await rollbackCourseEnrollment(user, courseId, payment, session)
+  }
+
+  await user.save({ session })
+}
+
+module.exports = {
+  processEnrollment,
+  processBundleEnrollment,
+  getPaidModuleIds,
+  buildModuleEnrollments,
+  grantSeatEnrollment,
+  releaseSeatEnrollment,
+  rollbackPaymentEnrollment,
+}
@@ -0,0 +1,117 @@
+const PDFDocument = require('pdfkit')
+
+const PLATFORM_NAME = process.env.PLATFORM_NAME || 'Education Platform'
+const BRAND_COLOR = '#4F46E5'
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  })
+}
+
+const formatMoney = (amount, currency) => `${Number(amount || 0).toFixed(2)} ${currency}`
+
+// Price breakdown shared by the PDF and HTML invoices. Deductions are only listed when they apply
+const getInvoiceSummary = (invoice) => {
+  const rows = [{ label: 'Original price', amount: invoice.originalAmount }]
+
+  if (invoice.modulesPriceAdjustment > 0) {
+    rows.push({ label: 'Modules already purchased', amount: -invoice.modulesPriceAdjustment })
+  }
+
+  if (invoice.discountAmount > 0) {
+    rows.push({ label: `Coupon discount${invoice.discountCode ? ` (${invoice.discountCode})` : ''}`, amount: -invoice.discountAmount })
+  }
+
+  rows.push({ label: 'Total paid', amount: invoice.totalAmount, isTotal: true })
+  return rows
+}
+
+const getCustomerLines = (customer = {}) => {
+  return [customer.name, customer.email, customer.phone, customer.address, [customer.city, customer.country].filter(Boolean).join(', ')].filter(Boolean)
+}
+
+// Render an invoice document into an A4 PDF buffer
+const generateInvoicePdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 })
+    const chunks = []
+
+    doc.on('data', (chunk) => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    const { width } = doc.page
+    const right = width - 50
+    const amountX = right - 150
+
+    // Header
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(18).text(PLATFORM_NAME.toUpperCase(), 50, 50, { characterSpacing: 1 })
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(26).text('INVOICE', 50, 50, { align: 'right' })
+
+    doc.fillColor('#4B5563').font('Helvetica').fontSize(11)
+    doc.text(`Invoice number: ${invoice.invoiceNumber}`, 50, 100, { align: 'right' })
+    doc.text(`Issue date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+    if (invoice.paidAt) {
+      doc.text(`Paid on: ${formatDate(invoice.paidAt)}`, { align: 'right' })
+    }
+
+    // Customer
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(12).text('Billed to', 50, 100)
+    doc.fillColor('#4B5563').font('Helvetica').fontSize(11)
+    getCustomerLines(invoice.customerDetails).forEach((line) => doc.text(line, { width: 250 }))
+
+    // Items
+    let y = 200
+    doc.lineWidth(1).strokeColor('#E5E7EB')
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(11)
+    doc.text('Description', 50, y)
+    doc.text('Amount', amountX, y, { width: 150, align: 'right' })
+    y += 18
+    doc.moveTo(50, y).lineTo(right, y).stroke()
+    y += 10
+
+    doc.font('Helvetica').fillColor('#374151')
+    invoice.items.forEach((item) => {
+      doc.text(item.description, 50, y, { width: amountX - 60 })
+      const rowHeight = doc.y - y
+      doc.text(formatMoney(item.amount, invoice.currency), amountX, y, { width: 150, align: 'right' })
+      y += Math.max(rowHeight, 14) + 8
+    })
+
+    doc.moveTo(50, y).lineTo(right, y).stroke()
+    y += 14
+
+    // Summary
+    getInvoiceSummary(invoice).forEach((row) => {
+      doc.font(row.isTotal ? 'Helvetica-Bold' : 'Helvetica').fontSize(row.isTotal ? 13 : 11).fillColor(row.isTotal ? '#111827' : '#374151')
+      doc.text(row.label, amountX - 200, y, { width: 200, align: 'right' })
+      doc.text(formatMoney(row.amount, invoice.currency), amountX, y, { width: 150, align: 'right' })
+      y += row.isTotal ? 22 : 18
+    })
+
+    // Payment reference
+    y += 20
+    doc.fillColor('#6B7280').font('Helvetica').fontSize(10)
+    if (invoice.transactionId) {
+      doc.text(`Transaction ID: ${invoice.transactionId}`, 50, y)
+    }
+    if (invoice.paymentMethod) {
+      doc.text(`Payment method: ${invoice.paymentMethod}`, 50)
+    }
+
+    doc.fontSize(9).fillColor('#9CA3AF').text(`Thank you for learning with ${PLATFORM_NAME}.`, 50, doc.page.height - 80, { align: 'center', width: width - 100 })
+
+    doc.end()
+  })
+}
+
+module.exports = {
+  generateInvoicePdf,
+  getInvoiceSummary,
+  getCustomerLines,
+  formatMoney,
+  formatDate,
+}
@@ -0,0 +1,227 @@
+// utils/invoices.js
+// Sequential invoices for completed payments, rendered as PDF and HTML
+const { Invoice, Counter, Course, Module, Bundle, SubscriptionPlan, Discount } = require('../models')
+const { generateInvoicePdf, getInvoiceSummary, getCustomerLines, formatMoney, formatDate } = require('./invoicePdf')
+const { sendInvoiceEmail } = require('./email')
+const { AppError } = require('./errors')
+
+const PLATFORM_NAME = process.env.PLATFORM_NAME || 'Education Platform'
+
+// How long an unnumbered invoice is left to the request that claimed it
+const CLAIM_TIMEOUT_MS = 60 * 1000
+
+const roundAmount = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+// Next value of a named counter. The $inc is atomic, so concurrent payments never share a number
+const nextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true, upsert: true })
+  return counter.seq
+}
+
+const formatInvoiceNumber = (sequence, date) => `INV-${date.getFullYear()}-${String(sequence).padStart(6, '0')}`
+
+// One line per purchased item, priced before adjustments and discounts
+async function buildInvoiceItems(payment, originalAmount) {
+  if (payment.purchaseType === 'module') {
+    const [course, modules] = await Promise.all([
+      Course.findById(payment.course).select('title').lean(),
+      Module.find({ _id: { $in: payment.modules } }).select('title price').lean(),
+    ])
+
+    return modules.map((module) => ({
+      description: `Module: ${module.title}${course ? ` (${course.title})` : ''}`,
+      amount: module.price,
+    }))
+  }
+
+  if (payment.purchaseType === 'bundle') {
+    const bundle = await Bundle.findById(payment.bundle).select('title type').lean()
+    return [{ description: `${bundle?.type === 'path' ? 'Learning path' : 'Course bundle'}: ${bundle?.title || 'Bundle'}`, amount: originalAmount }]
+  }
+
+  if (payment.purchaseType === 'subscription') {
+    const plan = await SubscriptionPlan.findById(payment.subscriptionPlan).select('name interval').lean()
+    return [{ description: `${plan?.name || 'Membership'} membership${plan ? ` (${plan.interval}ly)` : ''}`, amount: originalAmount }]
+  }
+
+  const course = await Course.findById(payment.course).select('title').lean()
+  return [{ description: `Course: ${course?.title || 'Course'}`, amount: originalAmount }]
+}
+
+// Number a claimed invoice. Only set while the invoice has no number, so it is never renumbered
+async function assignInvoiceNumber(invoice) {
+  const sequence = await nextSequence('invoice')
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, invoiceNumber: { $exists: false } },
+    { $set: { invoiceNumber: formatInvoiceNumber(sequence, invoice.issuedAt), sequence } },
+    { new: true }
+  )
+  return numbered || Invoice.findById(invoice._id)
+}
+
+// Issue the invoice for a completed payment, or return the one already issued.
+// The invoice is claimed by payment first and only the request that created it draws a number,
+// so concurrent calls (e.g. redirect and IPN at once) don't leave gaps in the sequence
+const issueInvoice = async (payment) => {
+  const existing = await Invoice.findOne({ payment: payment._id })
+  if (existing) {
+    return existing.invoiceNumber ? existing : numberStalledInvoice(existing)
+  }
+
+  const originalAmount = roundAmount(payment.originalAmount || payment.amount)
+  const modulesPriceAdjustment = roundAmount(Math.min(payment.modulesPriceAdjustment || 0, originalAmount))
+  const totalAmount = roundAmount(payment.discountedAmount ?? payment.amount)
+  const discountAmount = roundAmount(Math.max(0, payment.amount - totalAmount))
+
+  const items = await buildInvoiceItems(payment, originalAmount)
+
+  // Stacked coupons are listed together, older payments only reference a single discount
+  let discountCode = payment.appliedDiscounts?.map((applied) => applied.code).join(', ')
+  if (!discountCode && payment.discount) {
+    const discount = await Discount.findById(payment.discount).select('code').lean()
+    discountCode = discount?.code
+  }
+
+  let claim
+  try {
+    claim = await Invoice.findOneAndUpdate(
+      { payment: payment._id },
+      {
+        $setOnInsert: {
+          payment: payment._id,
+          user: payment.user,
+          purchaseType: payment.purchaseType,
+          issuedAt: new Date(),
+          paidAt: payment.completedAt,
+          currency: payment.currency || 'BDT',
+          customerDetails: payment.customerDetails,
+          items,
+          originalAmount,
+          modulesPriceAdjustment,
+          discountCode,
+          discountAmount,
+          totalAmount,
+          transactionId: payment.transactionId,
+          paymentMethod: payment.paymentMethod,
+        },
+      },
+      { new: true, upsert: true, includeResultMetadata: true }
+    )
+  } catch (error) {
+    // Claimed by a concurrent request
+    if (error.code === 11000) {
+      return issueInvoice(payment)
+    }
+    throw error
+  }
+
+  if (claim.lastErrorObject?.updatedExisting) {
+    return claim.value.invoiceNumber ? claim.value : numberStalledInvoice(claim.value)
+  }
+
+  return assignInvoiceNumber(claim.value)
+}
+
+// An invoice without a number is still being numbered by the request that claimed it.
+// Number it here only if that request has clearly failed, so a live claim never draws twice
+async function numberStalledInvoice(invoice) {
+  if (Date.now() - invoice.issuedAt.getTime() < CLAIM_TIMEOUT_MS) {
+    throw new AppError('Invoice is still being issued, please try again shortly', 409)
+  }
+  return assignInvoiceNumber(invoice)
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+}
+
+// Standalone HTML invoice, also used as the email body
+const renderInvoiceHtml = (invoice) => {
+  const cell = 'padding: 8px; border-bottom: 1px solid #eee;'
+  const items = invoice.items
+    .map((item) => `<tr><td style="${cell}">${escapeHtml(item.description)}</td><td style="${cell} text-align: right;">${formatMoney(item.amount, invoice.currency)}</td></tr>`)
+    .join('')
+  const summary = getInvoiceSummary(invoice)
+    .map(
+      (row) =>
+        `<tr style="${row.isTotal ? 'font-weight: bold; font-size: 1.1em;' : ''}"><td style="padding: 6px 8px; text-align: right;">${escapeHtml(row.label)}</td><td style="padding: 6px 8px; text-align: right;">${formatMoney(
+          row.amount,
+          invoice.currency
+        )}</td></tr>`
+    )
+    .join('')
+
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Invoice ${invoice.invoiceNumber}</title></head>
+  <body>
+    <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 5px; color: #333;">
+      <table style="width: 100%;">
+        <tr>
+          <td><h2 style="color: #4F46E5; margin: 0;">${escapeHtml(PLATFORM_NAME)}</h2></td>
+          <td style="text-align: right;"><h1 style="margin: 0;">INVOICE</h1></td>
+        </tr>
+      </table>
+      <table style="width: 100%; margin-top: 20px;">
+        <tr>
+          <td style="vertical-align: top;">
+            <strong>Billed to</strong><br>
+            ${getCustomerLines(invoice.customerDetails).map(escapeHtml).join('<br>')}
+          </td>
+          <td style="vertical-align: top; text-align: right;">
+            Invoice number: <strong>${invoice.invoiceNumber}</strong><br>
+            Issue date: ${formatDate(invoice.issuedAt)}<br>
+            ${invoice.paidAt ? `Paid on: ${formatDate(invoice.paidAt)}` : ''}
+          </td>
+        </tr>
+      </table>
+      <table style="width: 100%; margin-top: 30px; border-collapse: collapse;">
+        <tr><th style="${cell} text-align: left;">Description</th><th style="${cell} text-align: right;">Amount</th></tr>
+        ${items}
+      </table>
+      <table style="width: 100%; margin-top: 10px;">${summary}</table>
+      <p style="color: #666; font-size: 0.9em; margin-top: 30px;">
+        ${invoice.transactionId ? `Transaction ID: ${escapeHtml(invoice.transactionId)}<br>` : ''}
+        ${invoice.paymentMethod ? `Payment method: ${escapeHtml(invoice.paymentMethod)}` : ''}
+      </p>
+    </div>
+  </body>
+</html>`
+}
+
+// Email the invoice with the PDF attached. Delivery errors are stored on the invoice, not thrown
+const emailInvoice = async (invoice) => {
+  try {
+    const pdfBuffer = await generateInvoicePdf(invoice)
+    await sendInvoiceEmail(invoice.customerDetails.email, invoice.invoiceNumber, renderInvoiceHtml(invoice), pdfBuffer)
+    invoice.emailedAt = new Date()
+    invoice.emailError = undefined
+  } catch (error) {
+    console.error(`Failed to email invoice ${invoice.invoiceNumber}:`, error)
+    invoice.emailError = error.message
+  }
+
+  await invoice.save()
+  return invoice
+}
+
+// Issue and email the invoice for a payment that just completed. Never throws, so it can't break payment flows
+const deliverInvoice = async (payment) => {
+  try {
+    const invoice = await issueInvoice(payment)
+    if (!invoice.emailedAt) {
+      await emailInvoice(invoice)
+    }
+    return invoice
+  } catch (error) {
+    console.error(`Failed to issue invoice for payment ${payment._id}:`, error)
+    return null
+  }
+}
+
+module.exports = {
+  issueInvoice,
+  renderInvoiceHtml,
+  emailInvoice,
+  deliverInvoice,
+}
@@ -0,0 +1,33 @@
+// utils/moduleAccess.js
+// Who can open a module's lessons, discussions and notes
+const { User } = require('../models')
+const { findActiveMembership } = require('./subscriptions')
+const { getModuleUnlockDate } = require('./cohortSchedule')
+
+const STAFF_ROLES = ['admin', 'subAdmin', 'moderator']
+
+// Staff, learners who bought the course or module, and members of a plan covering the course.
+// Cohort learners only once their cohort has released the module; unlocksAt is set until then
+const getModuleAccess = async (userId, courseId, moduleId) => {
+  const user = await User.findById(userId).select('+role +enrolledCourses').lean()
+  if (!user) return { hasAccess: false }
+
+  if (STAFF_ROLES.includes(user.role)) return { hasAccess: true }
+
+  const enrollment = user.enrolledCourses?.find((ec) => ec.course.toString() === courseId.toString())
+  const isEnrolled =
+    enrollment?.enrollmentType === 'full' || Boolean(enrollment?.enrolledModules?.some((em) => em.module.toString() === moduleId.toString()))
+
+  if (!isEnrolled && !(await findActiveMembership(userId, courseId))) return { hasAccess: false }
+
+  const unlocksAt = await getModuleUnlockDate(userId, courseId, moduleId)
+  if (unlocksAt) {
+    return { hasAccess: false, unlocksAt }
+  }
+
+  return { hasAccess: true }
+}
+
+module.exports = {
+  getModuleAccess,
+}
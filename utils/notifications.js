@@ -0,0 +1,77 @@
+// utils/notifications.js
+// Stores in-app notifications and pushes them to connected Server-Sent Events clients
+const { Notification } = require('../models')
+
+// userId -> Set of open SSE responses. Only covers clients connected to this process
+const subscribers = new Map()
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  // compression buffers the response unless it is flushed explicitly
+  if (typeof res.flush === 'function') res.flush()
+}
+
+const publish = (notification) => {
+  const clients = subscribers.get(notification.user.toString())
+  if (!clients) return
+
+  clients.forEach((res) => {
+    try {
+      writeEvent(res, 'notification', notification)
+    } catch (error) {
+      console.error('Failed to push notification:', error)
+    }
+  })
+}
+
+const subscribe = (userId, res) => {
+  const key = userId.toString()
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set())
+  }
+  subscribers.get(key).add(res)
+}
+
+const unsubscribe = (userId, res) => {
+  const key = userId.toString()
+  const clients = subscribers.get(key)
+  if (!clients) return
+
+  clients.delete(res)
+  if (clients.size === 0) {
+    subscribers.delete(key)
+  }
+}
+
+// Notifications are a side effect, so failures are logged rather than thrown
+const createNotification = async (userId, { type, title, message, link, data }) => {
+  try {
+    const notification = await Notification.create({ user: userId, type, title, message, link, data })
+    publish(notification.toObject())
+    return notification
+  } catch (error) {
+    console.error(`Failed to create ${type} notification:`, error)
+    return null
+  }
+}
+
+const notifyUsers = async (userIds, { type, title, message, link, data }) => {
+  if (!userIds.length) return []
+
+  try {
+    const notifications = await Notification.insertMany(userIds.map((userId) => ({ user: userId, type, title, message, link, data })))
+    notifications.forEach((notification) => publish(notification.toObject()))
+    return notifications
+  } catch (error) {
+    console.error(`Failed to create ${type} notifications:`, error)
+    return []
+  }
+}
+
+module.exports = {
+  createNotification,
+  notifyUsers,
+  subscribe,
+  unsubscribe,
+  writeEvent,
+}
@@ -0,0 +1,143 @@
+// utils/oauth.js
+// OAuth2 / OpenID Connect authorization code flow with PKCE for Google and Microsoft.
+// Each provider's issuer can be overridden (e.g. GOOGLE_OAUTH_ISSUER=http://localhost:9000)
+// to run the flow against a local mock identity provider.
+const crypto = require('crypto')
+const fetch = require('node-fetch')
+const { AppError } = require('./errors')
+
+const PROVIDERS = {
+  google: {
+    name: 'Google',
+    issuer: () => process.env.GOOGLE_OAUTH_ISSUER || 'https://accounts.google.com',
+    clientId: () => process.env.GOOGLE_CLIENT_ID,
+    clientSecret: () => process.env.GOOGLE_CLIENT_SECRET,
+  },
+  microsoft: {
+    name: 'Microsoft',
+    issuer: () => process.env.MICROSOFT_OAUTH_ISSUER || `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT_ID || 'common'}/v2.0`,
+    clientId: () => process.env.MICROSOFT_CLIENT_ID,
+    clientSecret: () => process.env.MICROSOFT_CLIENT_SECRET,
+  },
+}
+
+const SCOPES = 'openid email profile'
+
+// Discovery documents rarely change, so fetch each one once per process
+const discoveryCache = new Map()
+
+const getProvider = (provider) => {
+  const config = PROVIDERS[provider]
+  if (!config || !config.clientId() || !config.clientSecret()) {
+    throw new AppError('Unsupported login provider', 404)
+  }
+  return config
+}
+
+const getEnabledProviders = () => {
+  return Object.entries(PROVIDERS)
+    .filter(([, config]) => config.clientId() && config.clientSecret())
+    .map(([id, config]) => ({ id, name: config.name }))
+}
+
+const getRedirectUri = (provider) => `${process.env.API_BASE_URL}/api/auth/oauth/${provider}/callback`
+
+const getDiscoveryDocument = async (provider) => {
+  const issuer = getProvider(provider).issuer()
+  if (discoveryCache.has(issuer)) {
+    return discoveryCache.get(issuer)
+  }
+
+  const response = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`)
+  if (!response.ok) {
+    throw new AppError(`Could not reach ${PROVIDERS[provider].name} sign-in`, 502)
+  }
+
+  const document = await response.json()
+  discoveryCache.set(issuer, document)
+  return document
+}
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+// Random values for one login attempt
+const createAuthorizationParams = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32))
+  return {
+    state: base64Url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+  }
+}
+
+const getAuthorizationUrl = async (provider, { state, codeChallenge }) => {
+  const config = getProvider(provider)
+  const { authorization_endpoint } = await getDiscoveryDocument(provider)
+
+  const params = new URLSearchParams({
+    client_id: config.clientId(),
+    redirect_uri: getRedirectUri(provider),
+    response_type: 'code',
+    scope: SCOPES,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    prompt: 'select_account',
+  })
+
+  return `${authorization_endpoint}?${params.toString()}`
+}
+
+// Exchange the authorization code and load the user's profile from the userinfo endpoint
+const fetchProfile = async (provider, { code, codeVerifier }) => {
+  const config = getProvider(provider)
+  const { token_endpoint, userinfo_endpoint } = await getDiscoveryDocument(provider)
+
+  const tokenResponse = await fetch(token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getRedirectUri(provider),
+      client_id: config.clientId(),
+      client_secret: config.clientSecret(),
+      code_verifier: codeVerifier,
+    }),
+  })
+
+  const tokens = await tokenResponse.json().catch(() => ({}))
+  if (!tokenResponse.ok || !tokens.access_token) {
+    console.error(`${config.name} token exchange failed:`, tokens)
+    throw new AppError(`${config.name} sign-in failed`, 401)
+  }
+
+  const userInfoResponse = await fetch(userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' },
+  })
+
+  const claims = await userInfoResponse.json().catch(() => ({}))
+  if (!userInfoResponse.ok || !claims.sub) {
+    console.error(`${config.name} userinfo request failed:`, claims)
+    throw new AppError(`${config.name} sign-in failed`, 401)
+  }
+
+  const email = (claims.email || '').toLowerCase()
+
+  return {
+    subject: String(claims.sub),
+    email,
+    // Only an explicit claim counts. Microsoft's multi-tenant endpoint lets any tenant put any address in
+    // email / preferred_username without asserting it, so those accounts have to be linked while signed in
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || claims.name?.split(' ')[0] || email.split('@')[0],
+    lastName: claims.family_name || claims.name?.split(' ').slice(1).join(' ') || '-',
+  }
+}
+
+module.exports = {
+  getEnabledProviders,
+  createAuthorizationParams,
+  getAuthorizationUrl,
+  fetchProfile,
+}
@@ -0,0 +1,34 @@
+// utils/organizations.js
+const { Organization } = require('../models')
+
+// Add a verified user to every organization that auto-joins their email domain
+const autoJoinOrganizations = async (user) => {
+  try {
+    const domain = user.email?.split('@')[1]?.toLowerCase()
+    if (!domain) return []
+
+    const organizations = await Organization.find({
+      domains: domain,
+      autoJoinEnabled: true,
+      isDeleted: false,
+      'members.user': { $ne: user._id },
+    }).select('_id name')
+
+    if (!organizations.length) return []
+
+    await Organization.updateMany(
+      { _id: { $in: organizations.map((org) => org._id) }, 'members.user': { $ne: user._id } },
+      { $push: { members: { user: user._id, role: 'member', joinedVia: 'domain', joinedAt: new Date() } } }
+    )
+
+    return organizations
+  } catch (error) {
+    // Joining is a convenience, it must never block sign-up
+    console.error('Organization auto-join failed:', error)
+    return []
+  }
+}
+
+module.exports = {
+  autoJoinOrganizations,
+}
@@ -0,0 +1,420 @@
+// utils/paymentGateway.js
+// Payment gateway adapters. Each adapter takes a gateway-neutral order:
+// { transactionId, amount, currency, productName, productCategory, itemCount, customer, metadata }
+//
+// and implements:
+//   initiate(order)        -> { status: 'pending' | 'completed' | 'failed', gatewayPageURL, sessionKey, gatewayTransactionId, paymentMethod, message }
+//   parseRedirect(body)    -> { transactionId, status: 'success' | 'failed' | 'cancelled', validationId }
+//   parseIpn(body)         -> same shape as parseRedirect, or null when the payload is malformed
+//   validate(callback)     -> { valid, amount, gatewayTransactionId, paymentMethod, raw }
+//   query(transactionId)   -> { reachable, status: 'completed' | 'failed' | 'cancelled' | 'pending' | 'not_found', gatewayStatus, amount, gatewayTransactionId, paymentMethod, raw }
+//   refund({ payment, amount, reason, referenceId }) -> { success, status, refundRefId, gatewayTransactionId, message, raw }
+const crypto = require('crypto')
+const Joi = require('joi')
+const { AppError } = require('./errors')
+const sslcommerz = require('./sslcommerz')
+
+// SSLCommerz posts back to the original URLs, other adapters get their own so the controller knows who is calling
+const callbackUrls = (name) => {
+  const suffix = name === 'sslcommerz' ? '' : `/${name}`
+  return {
+    redirectUrl: `${process.env.API_BASE_URL}/api/payments/redirect${suffix}`,
+    ipnUrl: `${process.env.API_BASE_URL}/api/payments/ipn${suffix}`,
+  }
+}
+
+// SSLCOMMERZ
+
+const sslcommerzIpnSchema = Joi.object({
+  tran_id: Joi.string().required(),
+  val_id: Joi.string().required(),
+  amount: Joi.string().required(),
+  card_type: Joi.string().allow('', null),
+  store_amount: Joi.string().allow('', null),
+  card_no: Joi.string().allow('', null),
+  bank_tran_id: Joi.string().allow('', null),
+  status: Joi.string().required(),
+  tran_date: Joi.string().allow('', null),
+  currency: Joi.string().allow('', null),
+  card_issuer: Joi.string().allow('', null),
+  card_brand: Joi.string().allow('', null),
+  risk_level: Joi.string().allow('', null),
+  risk_title: Joi.string().allow('', null),
+  verify_sign: Joi.string().required(),
+  verify_key: Joi.string().required(),
+}).options({
+  abortEarly: false,
+  stripUnknown: true,
+  allowUnknown: true, // Allow additional fields from SSLCommerz
+})
+
+const SSLCOMMERZ_PAID_STATUSES = ['VALID', 'VALIDATED']
+
+const sslcommerzStatus = (status) => {
+  const normalized = status?.toUpperCase()
+  if (SSLCOMMERZ_PAID_STATUSES.includes(normalized)) return 'success'
+  if (normalized === 'CANCELLED') return 'cancelled'
+  return 'failed'
+}
+
+// Hosted checkout through SSLCommerz. It can't charge a saved card, so renewals also go through checkout
+const sslcommerzGateway = {
+  name: 'sslcommerz',
+  supportsRecurring: false,
+
+  // Returns { status: 'pending', gatewayPageURL, sessionKey }
+  initiate: async (order) => {
+    const { redirectUrl, ipnUrl } = callbackUrls('sslcommerz')
+
+    const response = await sslcommerz.initiatePayment({
+      store_id: process.env.SSLCOMMERZ_STORE_ID,
+      store_passwd: process.env.SSLCOMMERZ_STORE_PASSWORD,
+      total_amount: Number(order.amount).toFixed(2),
+      currency: order.currency || 'BDT',
+      tran_id: order.transactionId,
+      success_url: redirectUrl,
+      fail_url: redirectUrl,
+      cancel_url: redirectUrl,
+      ipn_url: ipnUrl,
+      product_name: order.productName,
+      product_category: order.productCategory,
+      product_profile: 'non-physical-goods',
+      cus_name: order.customer.name,
+      cus_email: order.customer.email,
+      cus_add1: order.customer.address,
+      cus_city: order.customer.city,
+      cus_country: order.customer.country,
+      cus_phone: order.customer.phone,
+      shipping_method: 'NO',
+      num_of_item: order.itemCount || 1,
+      emi_option: 0,
+      value_a: order.metadata?.referenceId,
+      value_b: order.metadata?.purchaseType,
+      value_c: order.metadata?.userId,
+      value_d: order.metadata?.moduleIds?.join(','),
+    })
+
+    if (!response?.GatewayPageURL || !response?.sessionkey) {
+      throw new AppError('Failed to initialize payment gateway', 500)
+    }
+
+    return { status: 'pending', gatewayPageURL: response.GatewayPageURL, sessionKey: response.sessionkey }
+  },
+
+  parseRedirect: (body) => ({
+    transactionId: body.tran_id,
+    status: sslcommerzStatus(body.status),
+    validationId: body.val_id,
+  }),
+
+  parseIpn: (body) => {
+    const { error, value } = sslcommerzIpnSchema.validate(body)
+    if (error) {
+      console.error('SSLCommerz IPN validation error:', error.details)
+      return null
+    }
+
+    return {
+      transactionId: value.tran_id,
+      status: sslcommerzStatus(value.status),
+      validationId: value.val_id,
+    }
+  },
+
+  // Confirm a redirect or IPN through the SSLCommerz validation API instead of trusting the posted status
+  validate: async ({ validationId }) => {
+    if (!validationId) {
+      return { valid: false }
+    }
+
+    const response = await sslcommerz.validatePayment({ val_id: validationId })
+
+    return {
+      valid: SSLCOMMERZ_PAID_STATUSES.includes(response?.status),
+      amount: parseFloat(response?.amount),
+      gatewayTransactionId: response?.bank_tran_id,
+      paymentMethod: response?.card_type,
+      raw: response,
+    }
+  },
+
+  query: async (transactionId) => {
+    const response = await sslcommerz.queryTransaction({ trans_id: transactionId })
+    if (response?.APIConnect !== 'DONE') {
+      return { reachable: false, gatewayStatus: response?.APIConnect, raw: response }
+    }
+
+    const transactions = response.element || []
+    const paid = transactions.find((transaction) => SSLCOMMERZ_PAID_STATUSES.includes(transaction.status))
+
+    let status = 'pending'
+    if (paid) {
+      status = 'completed'
+    } else if (!transactions.length) {
+      status = 'not_found'
+    } else if (transactions.every((transaction) => ['FAILED', 'CANCELLED', 'EXPIRED'].includes(transaction.status))) {
+      status = transactions.some((transaction) => transaction.status === 'CANCELLED') ? 'cancelled' : 'failed'
+    }
+
+    return {
+      reachable: true,
+      status,
+      gatewayStatus: paid?.status || transactions[0]?.status || 'NOT_FOUND',
+      amount: paid ? parseFloat(paid.amount) : undefined,
+      gatewayTransactionId: paid?.bank_tran_id,
+      paymentMethod: paid?.card_type,
+      raw: paid,
+    }
+  },
+
+  // SSLCommerz needs the bank transaction ID to refund. Older payments only have it inside the IPN response
+  refund: async ({ payment, amount, reason, referenceId }) => {
+    let bankTransactionId = payment.bankTransactionId || payment.ipnResponse?.bank_tran_id || payment.validationResponse?.bank_tran_id
+    if (!bankTransactionId) {
+      const transaction = await sslcommerzGateway.query(payment.transactionId)
+      bankTransactionId = transaction.gatewayTransactionId
+    }
+
+    if (!bankTransactionId) {
+      throw new AppError('Bank transaction ID not found for this payment', 400)
+    }
+
+    const response = await sslcommerz.initiateRefund({
+      refund_amount: amount,
+      refund_remarks: reason,
+      bank_tran_id: bankTransactionId,
+      refe_id: referenceId,
+    })
+
+    return {
+      success: response?.APIConnect === 'DONE' && ['success', 'processing'].includes(response?.status),
+      status: response?.status || 'failed',
+      refundRefId: response?.refund_ref_id,
+      gatewayTransactionId: bankTransactionId,
+      message: response?.errorReason,
+      raw: response,
+    }
+  },
+}
+
+// MOCK
+
+// Sandbox ledger of mock transactions by transaction ID. Like a real sandbox, it is wiped on restart
+const mockTransactions = new Map()
+
+const MOCK_OUTCOMES = ['success', 'failed', 'cancelled']
+const MOCK_IPN_MODES = ['immediate', 'late', 'none']
+
+// Offline gateway for development and end-to-end tests. Checkout goes through a local page where the
+// outcome and IPN timing are picked, recurring charges settle with the outcome from MOCK_GATEWAY_OUTCOME
+const mockGateway = {
+  name: 'mock',
+  supportsRecurring: true,
+
+  initiate: async (order) => {
+    const { redirectUrl, ipnUrl } = callbackUrls('mock')
+
+    mockTransactions.set(order.transactionId, {
+      transactionId: order.transactionId,
+      amount: Number(order.amount),
+      currency: order.currency || 'BDT',
+      productName: order.productName,
+      status: 'pending',
+      redirectUrl,
+      ipnUrl,
+      createdAt: new Date(),
+    })
+
+    return {
+      status: 'pending',
+      gatewayPageURL: `${process.env.API_BASE_URL}/api/payments/mock-gateway/${order.transactionId}`,
+      sessionKey: `mock_session_${crypto.randomBytes(8).toString('hex')}`,
+    }
+  },
+
+  chargeRecurring: async (order) => {
+    const outcome = process.env.MOCK_GATEWAY_OUTCOME || 'success'
+    const transaction = settleMockTransaction(
+      { transactionId: order.transactionId, amount: Number(order.amount), currency: order.currency || 'BDT', productName: order.productName, createdAt: new Date() },
+      outcome === 'success' ? 'success' : 'failed'
+    )
+
+    if (transaction.status === 'success') {
+      return { status: 'completed', gatewayTransactionId: transaction.gatewayTransactionId, paymentMethod: transaction.paymentMethod }
+    }
+
+    return { status: 'failed', gatewayTransactionId: transaction.gatewayTransactionId, message: `Mock gateway declined ${order.transactionId}` }
+  },
+
+  // The outcome always comes from the ledger, never from the posted form
+  parseRedirect: (body) => {
+    const transaction = mockTransactions.get(body.transactionId)
+    return {
+      transactionId: body.transactionId,
+      status: transaction && transaction.status !== 'pending' ? transaction.status : 'failed',
+      validationId: transaction?.validationId,
+    }
+  },
+
+  parseIpn: (body) => {
+    if (!body?.transactionId || !MOCK_OUTCOMES.includes(body.status)) {
+      return null
+    }
+    return { transactionId: body.transactionId, status: body.status, validationId: body.validationId }
+  },
+
+  validate: async ({ transactionId, validationId }) => {
+    const transaction = mockTransactions.get(transactionId)
+    const valid = Boolean(transaction) && transaction.status === 'success' && transaction.validationId === validationId
+
+    return {
+      valid,
+      amount: transaction?.amount,
+      gatewayTransactionId: transaction?.gatewayTransactionId,
+      paymentMethod: transaction?.paymentMethod,
+      raw: transaction && { ...transaction },
+    }
+  },
+
+  query: async (transactionId) => {
+    const transaction = mockTransactions.get(transactionId)
+    if (!transaction) {
+      return { reachable: true, status: 'not_found', gatewayStatus: 'NOT_FOUND' }
+    }
+
+    const statuses = { pending: 'pending', success: 'completed', failed: 'failed', cancelled: 'cancelled' }
+
+    return {
+      reachable: true,
+      status: statuses[transaction.status],
+      gatewayStatus: transaction.status.toUpperCase(),
+      amount: transaction.amount,
+      gatewayTransactionId: transaction.gatewayTransactionId,
+      paymentMethod: transaction.paymentMethod,
+      raw: { ...transaction },
+    }
+  },
+
+  // Refunds succeed unless MOCK_GATEWAY_REFUND_OUTCOME is "failed"
+  refund: async ({ payment, amount }) => {
+    if (process.env.MOCK_GATEWAY_REFUND_OUTCOME === 'failed') {
+      return { success: false, status: 'failed', message: `Mock gateway declined refund for ${payment.transactionId}` }
+    }
+
+    const refundRefId = `mock_refund_${crypto.randomBytes(8).toString('hex')}`
+    return {
+      success: true,
+      status: 'success',
+      refundRefId,
+      gatewayTransactionId: payment.bankTransactionId,
+      raw: { refundRefId, amount, transactionId: payment.transactionId },
+    }
+  },
+
+  // Checkout page with one button per outcome. It posts back to submitCheckout
+  renderCheckout: (transactionId) => {
+    const transaction = mockTransactions.get(transactionId)
+    if (!transaction || transaction.status !== 'pending') {
+      throw new AppError('Mock transaction not found or already settled', 404)
+    }
+
+    const buttons = MOCK_OUTCOMES.flatMap((outcome) =>
+      MOCK_IPN_MODES.map(
+        (ipn) => `
+      <form method="POST" action="/api/payments/mock-gateway">
+        <input type="hidden" name="transactionId" value="${transactionId}">
+        <input type="hidden" name="outcome" value="${outcome}">
+        <input type="hidden" name="ipn" value="${ipn}">
+        <button type="submit">${outcome} (${ipn} IPN)</button>
+      </form>`
+      )
+    )
+
+    return `<!DOCTYPE html>
+<html>
+  <head><title>Mock payment gateway</title></head>
+  <body style="font-family: sans-serif; max-width: 480px; margin: 40px auto">
+    <h1>Mock payment gateway</h1>
+    <p>${escapeHtml(transaction.productName)}: ${transaction.amount.toFixed(2)} ${escapeHtml(transaction.currency)}</p>
+    <p>Transaction ${transactionId}</p>
+    ${buttons.join('')}
+  </body>
+</html>`
+  },
+
+  // Settle a checkout the way a real gateway would: update the ledger, schedule the IPN and return where to send the browser
+  submitCheckout: (transactionId, { outcome = 'success', ipn = 'immediate' } = {}) => {
+    const transaction = mockTransactions.get(transactionId)
+    if (!transaction || transaction.status !== 'pending') {
+      throw new AppError('Mock transaction not found or already settled', 404)
+    }
+
+    if (!MOCK_OUTCOMES.includes(outcome) || !MOCK_IPN_MODES.includes(ipn)) {
+      throw new AppError(`Outcome must be one of ${MOCK_OUTCOMES.join(', ')} and ipn one of ${MOCK_IPN_MODES.join(', ')}`, 400)
+    }
+
+    settleMockTransaction(transaction, outcome)
+
+    if (ipn !== 'none') {
+      const delaySeconds = ipn === 'late' ? parseInt(process.env.MOCK_GATEWAY_IPN_DELAY_SECONDS) || 30 : 0
+      setTimeout(() => sendMockIpn(transaction), delaySeconds * 1000).unref()
+    }
+
+    return transaction.redirectUrl
+  },
+}
+
+function settleMockTransaction(transaction, outcome) {
+  transaction.status = outcome
+  transaction.gatewayTransactionId = `mock_${crypto.randomBytes(8).toString('hex')}`
+  transaction.settledAt = new Date()
+
+  if (outcome === 'success') {
+    transaction.validationId = `mock_val_${crypto.randomBytes(8).toString('hex')}`
+    transaction.paymentMethod = 'mock-card'
+  }
+
+  mockTransactions.set(transaction.transactionId, transaction)
+  return transaction
+}
+
+async function sendMockIpn(transaction) {
+  try {
+    await fetch(transaction.ipnUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        transactionId: transaction.transactionId,
+        status: transaction.status,
+        validationId: transaction.validationId,
+        amount: transaction.amount,
+      }),
+    })
+  } catch (error) {
+    console.error(`Mock gateway IPN for ${transaction.transactionId} failed:`, error.message)
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+}
+
+const gateways = {
+  [sslcommerzGateway.name]: sslcommerzGateway,
+  [mockGateway.name]: mockGateway,
+}
+
+// Adapter by name, defaulting to PAYMENT_GATEWAY. The mock gateway is never available in production
+const getGateway = (name = process.env.PAYMENT_GATEWAY || 'sslcommerz') => {
+  const gateway = gateways[name]
+
+  if (!gateway || (gateway === mockGateway && process.env.NODE_ENV === 'production')) {
+    throw new AppError(`Payment gateway "${name}" is not available`, 500)
+  }
+
+  return gateway
+}
+
+module.exports = {
+  getGateway,
+}
@@ -0,0 +1,78 @@
+// utils/questionBanks.js
+// Rule-based question draws from shared question banks
+const mongoose = require('mongoose')
+const { QuestionBank, BankQuestion } = require('../models')
+const { AppError } = require('./errors')
+
+// Bank questions a quiz rule can draw from
+const getRuleFilter = (rule) => {
+  const filter = { bank: new mongoose.Types.ObjectId(rule.bank.toString()), isDeleted: false }
+  if (rule.tags?.length) {
+    filter.tags = { $all: rule.tags }
+  }
+  if (rule.difficulty) {
+    filter.difficulty = rule.difficulty
+  }
+  return filter
+}
+
+const describeRule = (rule) => [rule.count, rule.difficulty, rule.tags?.length ? `tagged ${rule.tags.join(', ')}` : null].filter(Boolean).join(' ')
+
+// Make sure every rule points at a live bank with enough matching questions. Rules are drawn in order and
+// never repeat a question, so each rule also needs enough left over whatever the earlier rules draw from
+// the questions it shares with them. Throws AppError 400
+const checkBankRules = async (rules) => {
+  const bankIds = [...new Set(rules.map((rule) => rule.bank.toString()))]
+  const banks = await QuestionBank.find({ _id: { $in: bankIds }, isDeleted: false }).select('title')
+  const matches = []
+
+  for (const [index, rule] of rules.entries()) {
+    const bank = banks.find((b) => b._id.toString() === rule.bank.toString())
+    if (!bank) {
+      throw new AppError(`Question bank rule ${index + 1}: question bank not found`, 400)
+    }
+
+    const questionIds = new Set((await BankQuestion.find(getRuleFilter(rule)).select('_id').lean()).map((q) => q._id.toString()))
+    if (questionIds.size < rule.count) {
+      throw new AppError(`Question bank rule ${index + 1} (${describeRule(rule)}): "${bank.title}" only has ${questionIds.size} matching questions`, 400)
+    }
+
+    // Most an earlier rule can take from this rule's questions: its count, or all the questions they share
+    const takenEarlier = matches.reduce((sum, earlier) => {
+      const shared = [...earlier.questionIds].filter((id) => questionIds.has(id)).length
+      return sum + Math.min(earlier.count, shared)
+    }, 0)
+
+    if (questionIds.size - takenEarlier < rule.count) {
+      throw new AppError(
+        `Question bank rule ${index + 1} (${describeRule(rule)}): earlier rules can draw ${takenEarlier} of the ${questionIds.size} matching questions in "${bank.title}", leaving too few`,
+        400
+      )
+    }
+
+    matches.push({ count: rule.count, questionIds })
+  }
+}
+
+// Random questions for one attempt, rule by rule. A question drawn by an earlier rule isn't drawn again.
+// Returns plain question documents to be stored as the attempt's served snapshot
+const drawBankQuestions = async (rules, session) => {
+  const drawn = []
+
+  for (const [index, rule] of (rules || []).entries()) {
+    const questions = await BankQuestion.aggregate([{ $match: { ...getRuleFilter(rule), _id: { $nin: drawn.map((q) => q._id) } } }, { $sample: { size: rule.count } }]).session(session)
+    // Questions deleted or retagged since the quiz was saved can leave a rule short. The attempt goes ahead with fewer
+    if (questions.length < rule.count) {
+      console.warn(`Question bank rule ${index + 1} (${describeRule(rule)}) drew ${questions.length} of ${rule.count} questions from bank ${rule.bank}`)
+    }
+    drawn.push(...questions)
+  }
+
+  return drawn
+}
+
+module.exports = {
+  getRuleFilter,
+  checkBankRules,
+  drawBankQuestions,
+}
@@ -0,0 +1,198 @@
+// utils/quizAnalysis.js
+// Item analysis for quizzes: how each question performs across finished attempts, and how the quiz scores overall
+const { getCorrectAnswer } = require('./quizQuestions')
+
+// Below this many responses a question's statistics are reported but not flagged
+const MIN_RESPONSES = 5
+
+// Share of attempts in each of the top and bottom groups used for the discrimination index
+const GROUP_SHARE = 0.27
+
+const round = (value, places = 2) => (value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places)
+
+const percent = (count, total) => (total > 0 ? round((count / total) * 100) : null)
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null)
+
+function median(values) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+function standardDeviation(values) {
+  const mean = average(values)
+  if (mean === null) return null
+  return Math.sqrt(average(values.map((value) => (value - mean) ** 2)))
+}
+
+const attemptPassed = (attempt, passingScore) => (typeof attempt.passed === 'boolean' ? attempt.passed : attempt.percentage >= passingScore)
+
+// Share of the question's marks an answer earned, and whether it counts as correct. Unanswered questions score 0
+function scoreResponse(question, answer) {
+  if (!answer) return { score: 0, correct: false }
+  const score = question.marks > 0 ? Math.min((answer.marks || 0) / question.marks, 1) : 0
+  return { score, correct: answer.isCorrect === true || score >= 1 }
+}
+
+// How often each choice was picked, for question types with a fixed set of choices
+function getChoiceStats(question, answers) {
+  const answered = answers.length
+
+  if (['mcq', 'multiSelect'].includes(question.type)) {
+    return question.options.map((opt) => {
+      const chosen = answers.filter((answer) => (question.type === 'mcq' ? answer.selectedOption === opt.option : answer.selectedOptions?.includes(opt.option))).length
+      return { option: opt.option, isCorrect: opt.isCorrect, chosen, percentage: percent(chosen, answered) }
+    })
+  }
+
+  if (question.type === 'trueFalse') {
+    return [true, false].map((value) => {
+      const chosen = answers.filter((answer) => answer.booleanAnswer === value).length
+      return { option: String(value), isCorrect: question.correctAnswer === value, chosen, percentage: percent(chosen, answered) }
+    })
+  }
+
+  return undefined
+}
+
+// Likely problems with a question, from its statistics
+function getQuestionFlags(stats) {
+  const flags = []
+  if (stats.timesServed < MIN_RESPONSES) return flags
+
+  if (stats.difficultyIndex < 20) flags.push('tooHard')
+  if (stats.difficultyIndex > 95) flags.push('tooEasy')
+  if (stats.discriminationIndex !== null) {
+    if (stats.discriminationIndex < 0) flags.push('negativeDiscrimination')
+    else if (stats.discriminationIndex < 0.2) flags.push('lowDiscrimination')
+  }
+  if (stats.skipRate > 20) flags.push('oftenSkipped')
+
+  if (stats.choices && stats.timesAnswered >= MIN_RESPONSES) {
+    const correctChosen = Math.max(0, ...stats.choices.filter((choice) => choice.isCorrect).map((choice) => choice.chosen))
+    const distractors = stats.choices.filter((choice) => !choice.isCorrect)
+    // A wrong choice picked more often than the right one often means the answer key is wrong
+    if (distractors.some((choice) => choice.chosen > correctChosen)) flags.push('distractorMorePopular')
+    if (stats.type !== 'trueFalse' && distractors.some((choice) => choice.chosen === 0)) flags.push('unusedDistractor')
+  }
+
+  return flags
+}
+
+// Analyse finished attempts against the quiz's questions.
+// questions: the quiz's own questions and any bank questions served in the attempts, keyed by question ID
+// attempts: graded attempts (lean). Answers to questions that are no longer in the quiz are left out
+const analyzeQuiz = (quiz, questions, attempts) => {
+  const gradedAttempts = attempts.filter((attempt) => attempt.status === 'graded' && typeof attempt.percentage === 'number')
+  const percentages = gradedAttempts.map((attempt) => attempt.percentage)
+
+  // Upper and lower groups by overall score, for the discrimination index
+  const ranked = [...gradedAttempts].sort((a, b) => b.percentage - a.percentage)
+  const groupSize = Math.floor(ranked.length * GROUP_SHARE)
+  const upperGroup = new Set(ranked.slice(0, groupSize).map((attempt) => attempt._id.toString()))
+  const lowerGroup = new Set(groupSize ? ranked.slice(-groupSize).map((attempt) => attempt._id.toString()) : [])
+
+  const questionStats = [...questions.values()].map(({ question, source, bank, versions }) => {
+    const questionId = question._id.toString()
+    // Attempts from before question sets were recorded were served every quiz question
+    const served = gradedAttempts.filter((attempt) =>
+      attempt.questionSet?.length ? attempt.questionSet.some((id) => id.toString() === questionId) : source === 'quiz'
+    )
+
+    const responses = served.map((attempt) => {
+      const answer = attempt.answers.find((a) => a.questionId.toString() === questionId)
+      return { attemptId: attempt._id.toString(), answer, ...scoreResponse(question, answer) }
+    })
+    const answers = responses.filter((response) => response.answer).map((response) => response.answer)
+
+    const groupCorrectRate = (group) => {
+      const groupResponses = responses.filter((response) => group.has(response.attemptId))
+      return groupResponses.length ? groupResponses.filter((response) => response.correct).length / groupResponses.length : null
+    }
+    const upperRate = groupCorrectRate(upperGroup)
+    const lowerRate = groupCorrectRate(lowerGroup)
+
+    const times = answers.map((answer) => answer.timeSpent).filter((time) => typeof time === 'number')
+
+    const stats = {
+      questionId: question._id,
+      question: question.question,
+      type: question.type || 'text',
+      marks: question.marks,
+      source,
+      ...(bank ? { bank, versions } : {}),
+      timesServed: responses.length,
+      timesAnswered: answers.length,
+      skipRate: percent(responses.length - answers.length, responses.length),
+      // Difficulty index: percentage of learners who got the question fully right
+      difficultyIndex: percent(responses.filter((response) => response.correct).length, responses.length),
+      averageScore: responses.length ? round(average(responses.map((response) => response.score)) * 100) : null,
+      // Discrimination index: correct rate in the top scoring group minus the bottom group, from -1 to 1
+      discriminationIndex: upperRate !== null && lowerRate !== null ? round(upperRate - lowerRate) : null,
+      averageTimeSpent: times.length ? round(average(times), 1) : null,
+      correctAnswer: getCorrectAnswer(question),
+      choices: getChoiceStats(question, answers),
+    }
+
+    stats.flags = getQuestionFlags(stats)
+    return stats
+  })
+
+  // Ten 10-point bands, the last one including 100%
+  const scoreDistribution = Array.from({ length: 10 }, (_, band) => {
+    const min = band * 10
+    const count = percentages.filter((p) => (band === 9 ? p >= min : p >= min && p < min + 10)).length
+    return { range: `${min}-${min + 10}`, count, percentage: percent(count, percentages.length) }
+  })
+
+  const attemptNumbers = [...new Set(gradedAttempts.map((attempt) => attempt.attempt))].sort((a, b) => a - b)
+  const passRateByAttempt = attemptNumbers.map((attemptNumber) => {
+    const group = gradedAttempts.filter((attempt) => attempt.attempt === attemptNumber)
+    const passed = group.filter((attempt) => attemptPassed(attempt, quiz.passingScore)).length
+    return {
+      attempt: attemptNumber,
+      attempts: group.length,
+      passed,
+      passRate: percent(passed, group.length),
+      averageScore: round(average(group.map((attempt) => attempt.percentage))),
+    }
+  })
+
+  const durations = gradedAttempts.filter((attempt) => attempt.submitTime && attempt.startTime).map((attempt) => (new Date(attempt.submitTime) - new Date(attempt.startTime)) / 1000)
+
+  const passedCount = gradedAttempts.filter((attempt) => attemptPassed(attempt, quiz.passingScore)).length
+  const learners = new Set(gradedAttempts.map((attempt) => attempt.user.toString()))
+  const learnersPassed = new Set(gradedAttempts.filter((attempt) => attemptPassed(attempt, quiz.passingScore)).map((attempt) => attempt.user.toString()))
+
+  const summary = {
+    totalAttempts: attempts.length,
+    gradedAttempts: gradedAttempts.length,
+    pendingGrading: attempts.filter((attempt) => attempt.status === 'submitted').length,
+    learners: learners.size,
+    learnersPassed: learnersPassed.size,
+    passingScore: quiz.passingScore,
+    passRate: percent(passedCount, gradedAttempts.length),
+    averageScore: round(average(percentages)),
+    medianScore: round(median(percentages)),
+    standardDeviation: round(standardDeviation(percentages)),
+    highestScore: percentages.length ? round(Math.max(...percentages)) : null,
+    lowestScore: percentages.length ? round(Math.min(...percentages)) : null,
+    averageDuration: durations.length ? Math.round(average(durations)) : null,
+    flaggedQuestions: questionStats.filter((stats) => stats.flags.length).length,
+  }
+
+  const flags = []
+  if (gradedAttempts.length >= MIN_RESPONSES) {
+    if (summary.passRate < 30) flags.push('lowPassRate')
+    if (learners.size && learnersPassed.size === 0) flags.push('noLearnerPassed')
+  }
+
+  return { summary, flags, scoreDistribution, passRateByAttempt, questions: questionStats }
+}
+
+module.exports = {
+  MIN_RESPONSES,
+  analyzeQuiz,
+}
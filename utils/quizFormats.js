@@ -0,0 +1,692 @@
+// utils/quizFormats.js
+// Quiz question import and export: Moodle GIFT, IMS QTI 2.1 and CSV, mapped onto questionSchema.
+//
+// CSV layout, one question per row with a header row. Lists are separated with "|":
+//   type           mcq, multiSelect, trueFalse, ordering, matching, fillBlank, numeric or text
+//                  (empty: mcq when options are given, otherwise text)
+//   question       question text. Use _____ to mark the blank in fill-in-the-blank questions
+//   marks          defaults to 1
+//   options        mcq / multiSelect: the choices. ordering: the items in the correct order.
+//                  matching: "prompt -> match" pairs
+//   correct        mcq / multiSelect: the correct choice(s), as text or 1-based position.
+//                  trueFalse: true or false. fillBlank: accepted answers. numeric: the number
+//   tolerance      numeric: accepted distance from the correct number
+//   partialCredit  multiSelect, ordering, matching: true (default) or false
+//   caseSensitive  fillBlank: true or false (default)
+//   tags, difficulty  question banks only
+//
+// GIFT has no marks or ordering questions. Exports write marks other than 1 in a "// marks: 2" comment above
+// the question, which imports read back; other GIFT files get 1 mark. Ordering questions are left out of exports.
+const { parseCsvRows, toCsv } = require('./csv')
+const { parseXml, escapeXml, childElements, findAll, findFirst, textContent } = require('./xml')
+const { isZip, readZip, createZip } = require('./zip')
+const { AppError } = require('./errors')
+
+const IMPORT_FORMATS = ['gift', 'qti', 'csv']
+const MAX_IMPORT_QUESTIONS = 500
+const BLANK = '_____'
+
+const CSV_COLUMNS = ['type', 'question', 'marks', 'options', 'correct', 'tolerance', 'partialCredit', 'caseSensitive', 'tags', 'difficulty']
+
+// Format from an explicit choice or the uploaded file's extension
+const detectFormat = (fileName = '') => {
+  const extension = fileName.toLowerCase().split('.').pop()
+  if (['gift', 'txt'].includes(extension)) return 'gift'
+  if (['xml', 'zip'].includes(extension)) return 'qti'
+  if (extension === 'csv') return 'csv'
+  return null
+}
+
+// GIFT
+
+const GIFT_SPECIAL = /[~=#{}:\\]/g
+
+const escapeGift = (text) => String(text ?? '').replace(GIFT_SPECIAL, '\\$&').replace(/\n/g, '\\n')
+
+const unescapeGift = (text) => text.replace(/\\n/g, '\n').replace(/\\(.)/g, '$1').trim()
+
+// Index of the first unescaped occurrence of any of the characters, from a position
+function findUnescaped(text, chars, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++
+    } else if (chars.includes(text[i])) {
+      return i
+    }
+  }
+  return -1
+}
+
+// Split an answer block into its =/~ answers, dropping feedback and reading %weight% prefixes
+function splitGiftAnswers(body) {
+  const answers = []
+  let start = findUnescaped(body, '=~')
+
+  while (start !== -1) {
+    const next = findUnescaped(body, '=~', start + 1)
+    let text = body.slice(start + 1, next === -1 ? body.length : next)
+
+    const feedback = findUnescaped(text, '#')
+    if (feedback !== -1) text = text.slice(0, feedback)
+
+    const weight = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/)
+    if (weight) text = text.slice(weight[0].length)
+
+    answers.push({ isRight: body[start] === '=', weight: weight ? Number(weight[1]) : null, text })
+    start = next
+  }
+
+  return answers
+}
+
+function parseGiftNumber(body) {
+  // Only the first answer is used when several are given
+  let answer = body.slice(1)
+  if (findUnescaped(answer, '=') !== -1) {
+    answer = splitGiftAnswers(answer)[0]?.text || ''
+  }
+  const feedback = findUnescaped(answer, '#')
+  if (feedback !== -1) answer = answer.slice(0, feedback)
+  answer = answer.trim()
+
+  const range = answer.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/)
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])]
+    return { correctNumber: (min + max) / 2, tolerance: Math.abs(max - min) / 2 }
+  }
+
+  const [value, tolerance] = answer.split(':')
+  return { correctNumber: value, tolerance: tolerance || undefined }
+}
+
+function parseGiftQuestion(source) {
+  // Optional ::title:: and [format] marker
+  let text = source.replace(/^\s*::(?:\\.|[^:])*::/, '').replace(/^\s*\[(html|moodle|plain|markdown)\]/, '')
+
+  const open = findUnescaped(text, '{')
+  const close = open === -1 ? -1 : findUnescaped(text, '}', open)
+  if (open === -1 || close === -1) {
+    throw new Error('No answer block {...} found')
+  }
+
+  const body = text.slice(open + 1, close).trim()
+  const before = unescapeGift(text.slice(0, open))
+  const after = unescapeGift(text.slice(close + 1))
+  const question = after ? `${before} ${BLANK} ${after}` : before
+
+  if (body === '') {
+    return { type: 'text', question }
+  }
+
+  const trueFalse = body.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is)
+  if (trueFalse) {
+    return { type: 'trueFalse', question, correctAnswer: trueFalse[1].toUpperCase().startsWith('T') }
+  }
+
+  if (body.startsWith('#')) {
+    return { type: 'numeric', question, ...parseGiftNumber(body) }
+  }
+
+  const answers = splitGiftAnswers(body)
+  if (!answers.length) {
+    throw new Error('Answer block has no answers')
+  }
+
+  const allRight = answers.every((answer) => answer.isRight)
+
+  if (allRight && answers.some((answer) => answer.text.includes('->'))) {
+    return {
+      type: 'matching',
+      question,
+      pairs: answers.map((answer) => {
+        const [prompt, ...match] = answer.text.split('->')
+        return { prompt: unescapeGift(prompt), match: unescapeGift(match.join('->')) }
+      }),
+    }
+  }
+
+  // Only "=" answers and no wrong ones is a short answer question
+  if (allRight) {
+    return { type: 'fillBlank', question, acceptedAnswers: answers.map((answer) => unescapeGift(answer.text)) }
+  }
+
+  const options = answers.map((answer) => ({
+    option: unescapeGift(answer.text),
+    isCorrect: answer.weight !== null ? answer.weight > 0 : answer.isRight,
+  }))
+
+  return {
+    type: options.filter((opt) => opt.isCorrect).length > 1 ? 'multiSelect' : 'mcq',
+    question,
+    options,
+  }
+}
+
+const GIFT_MARKS_COMMENT = /^\/\/\s*marks:\s*(\d+(?:\.\d+)?)\s*$/i
+
+// Questions separated by blank lines. // comments and $CATEGORY lines are skipped, except a marks comment
+// which applies to the next question
+const parseGift = (text) => {
+  const blocks = []
+  let current = null
+  let pendingMarks = null
+
+  text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const trimmed = rawLine.trim()
+      const marksComment = trimmed.match(GIFT_MARKS_COMMENT)
+      if (marksComment) {
+        pendingMarks = Number(marksComment[1])
+        return
+      }
+      if (trimmed.startsWith('//') || trimmed.startsWith('$CATEGORY:')) return
+
+      if (trimmed === '') {
+        current = null
+        return
+      }
+
+      if (!current) {
+        current = { line: index + 1, lines: [], marks: pendingMarks }
+        pendingMarks = null
+        blocks.push(current)
+      }
+      current.lines.push(rawLine)
+    })
+
+  return blocks.map(({ line, lines, marks }) => {
+    try {
+      const question = parseGiftQuestion(lines.join('\n'))
+      return { line, question: marks !== null ? { ...question, marks } : question }
+    } catch (error) {
+      return { line, error: error.message }
+    }
+  })
+}
+
+// A question in GIFT syntax
+function toGiftQuestion(q) {
+  const question = escapeGift(q.question)
+
+  switch (q.type) {
+    case 'mcq':
+      return `${question} {\n${q.options.map((opt) => `\t${opt.isCorrect ? '=' : '~'}${escapeGift(opt.option)}`).join('\n')}\n}`
+
+    case 'multiSelect': {
+      // Each wrong choice cancels out a right one, as in auto-grading
+      const correctCount = q.options.filter((opt) => opt.isCorrect).length
+      const weight = Number((100 / correctCount).toFixed(5))
+      return `${question} {\n${q.options.map((opt) => `\t~%${opt.isCorrect ? weight : -weight}%${escapeGift(opt.option)}`).join('\n')}\n}`
+    }
+
+    case 'trueFalse':
+      return `${question} {${q.correctAnswer ? 'TRUE' : 'FALSE'}}`
+
+    case 'matching':
+      return `${question} {\n${q.pairs.map((pair) => `\t=${escapeGift(pair.prompt)} -> ${escapeGift(pair.match)}`).join('\n')}\n}`
+
+    case 'fillBlank': {
+      const answers = `{${q.acceptedAnswers.map((answer) => `=${escapeGift(answer)}`).join(' ')}}`
+      const blankAt = question.indexOf(BLANK)
+      return blankAt === -1 ? `${question} ${answers}` : `${question.slice(0, blankAt)}${answers}${question.slice(blankAt + BLANK.length)}`
+    }
+
+    case 'numeric':
+      return `${question} {#${q.correctNumber}${q.tolerance ? `:${q.tolerance}` : ''}}`
+
+    case 'text':
+      return `${question} {}`
+
+    default:
+      return `// Skipped: ${q.type} questions have no GIFT equivalent: ${q.question.replace(/\s+/g, ' ')}`
+  }
+}
+
+const toGift = (questions) => {
+  const blocks = questions.map((q) => {
+    const marks = q.marks !== undefined && q.marks !== 1 && q.type !== 'ordering' ? `// marks: ${q.marks}\n` : ''
+    return `${marks}${toGiftQuestion(q)}`
+  })
+
+  return `${blocks.join('\n\n')}\n`
+}
+
+// CSV
+
+const splitList = (value) =>
+  (value || '')
+    .split('|')
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+const parseCsvQuestion = (record) => {
+  const options = splitList(record.options)
+  const correct = splitList(record.correct)
+  const optional = (value) => (value === '' ? undefined : value)
+
+  const question = {
+    type: optional(record.type) || (options.length ? 'mcq' : 'text'),
+    question: record.question,
+    marks: optional(record.marks),
+    partialCredit: optional(record.partialCredit),
+    caseSensitive: optional(record.caseSensitive),
+    tolerance: optional(record.tolerance),
+    tags: record.tags !== undefined ? splitList(record.tags) : undefined,
+    difficulty: optional(record.difficulty),
+  }
+
+  switch (question.type) {
+    case 'mcq':
+    case 'multiSelect':
+      // Correct choices can be given by text or by 1-based position
+      question.options = options.map((option, index) => ({
+        option,
+        isCorrect: correct.includes(option) || correct.includes(String(index + 1)),
+      }))
+      break
+    case 'trueFalse':
+      question.correctAnswer = optional(record.correct)
+      break
+    case 'ordering':
+      question.items = options
+      break
+    case 'matching':
+      question.pairs = options.map((pair) => {
+        const [prompt, ...match] = pair.split('->')
+        return { prompt: prompt.trim(), match: match.join('->').trim() }
+      })
+      break
+    case 'fillBlank':
+      question.acceptedAnswers = correct
+      break
+    case 'numeric':
+      question.correctNumber = optional(record.correct)
+      break
+  }
+
+  return question
+}
+
+const parseQuestionCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text)
+  const keys = header.map((key) => key.trim())
+
+  if (!keys.includes('question')) {
+    throw new AppError('CSV must have a header row with a "question" column', 400)
+  }
+
+  return rows.map((row) => {
+    const record = Object.fromEntries(keys.map((key, index) => [key, (row[index] ?? '').trim()]))
+    return { line: row.line, question: parseCsvQuestion(record) }
+  })
+}
+
+const toQuestionCsv = (questions) => {
+  const records = questions.map((q) => {
+    const record = {
+      type: q.type,
+      question: q.question,
+      marks: q.marks,
+      tolerance: q.type === 'numeric' ? q.tolerance : undefined,
+      partialCredit: ['multiSelect', 'ordering', 'matching'].includes(q.type) ? q.partialCredit !== false : undefined,
+      caseSensitive: q.type === 'fillBlank' ? Boolean(q.caseSensitive) : undefined,
+      tags: q.tags?.join('|'),
+      difficulty: q.difficulty,
+    }
+
+    switch (q.type) {
+      case 'mcq':
+      case 'multiSelect':
+        record.options = q.options.map((opt) => opt.option).join('|')
+        record.correct = q.options
+          .filter((opt) => opt.isCorrect)
+          .map((opt) => opt.option)
+          .join('|')
+        break
+      case 'trueFalse':
+        record.correct = q.correctAnswer
+        break
+      case 'ordering':
+        record.options = q.items.join('|')
+        break
+      case 'matching':
+        record.options = q.pairs.map((pair) => `${pair.prompt} -> ${pair.match}`).join('|')
+        break
+      case 'fillBlank':
+        record.correct = q.acceptedAnswers.join('|')
+        break
+      case 'numeric':
+        record.correct = q.correctNumber
+        break
+    }
+
+    return record
+  })
+
+  // Exported questions are meant to be imported again, so cells are written as they are
+  return toCsv(records, CSV_COLUMNS, { guardFormulas: false })
+}
+
+// QTI 2.1
+
+const INTERACTIONS = ['choiceInteraction', 'orderInteraction', 'matchInteraction', 'textEntryInteraction', 'extendedTextInteraction']
+
+const allElements = (node) => childElements(node).flatMap((child) => [child, ...allElements(child)])
+
+// Item body text with interactions left out. Inline text entries become a blank
+function getItemBodyText(node, blank) {
+  return node.children
+    .map((child) => {
+      if (typeof child === 'string') return child
+      if (child.name === 'textEntryInteraction') return blank ? ` ${BLANK} ` : ' '
+      if (INTERACTIONS.includes(child.name)) return ' '
+      return ` ${getItemBodyText(child, blank)} `
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+function getResponseDeclarations(item) {
+  const declarations = {}
+  childElements(item, 'responseDeclaration').forEach((declaration) => {
+    const correct = findFirst(declaration, 'correctResponse')
+    declarations[declaration.attrs.identifier] = {
+      cardinality: declaration.attrs.cardinality,
+      baseType: declaration.attrs.baseType,
+      correct: correct ? childElements(correct, 'value').map(textContent) : [],
+      mapEntries: findAll(declaration, 'mapEntry'),
+    }
+  })
+  return declarations
+}
+
+function getItemMarks(item) {
+  const score = childElements(item, 'outcomeDeclaration').find((outcome) => outcome.attrs.identifier === 'SCORE')
+  const marks = Number(score?.attrs.normalMaximum)
+  return marks > 0 ? marks : undefined
+}
+
+function parseQtiItem(item) {
+  const itemBody = findFirst(item, 'itemBody')
+  const interaction = itemBody && INTERACTIONS.map((name) => findFirst(itemBody, name)).find(Boolean)
+  if (!interaction) {
+    const other = itemBody && allElements(itemBody).find((node) => node.name.endsWith('Interaction'))
+    throw new Error(other ? `Unsupported interaction <${other.name}>` : 'No supported interaction found')
+  }
+
+  const declaration = getResponseDeclarations(item)[interaction.attrs.responseIdentifier] || { correct: [], mapEntries: [] }
+  const isNumeric = interaction.name === 'textEntryInteraction' && ['float', 'integer'].includes(declaration.baseType)
+  const prompt = textContent(findFirst(interaction, 'prompt'))
+  const question = [getItemBodyText(itemBody, interaction.name === 'textEntryInteraction' && !isNumeric), prompt].filter(Boolean).join(' ')
+  const base = { question, marks: getItemMarks(item) }
+
+  const choiceText = (choices, id) => textContent(choices.find((choice) => choice.attrs.identifier === id) || { children: [] })
+
+  switch (interaction.name) {
+    case 'choiceInteraction': {
+      const choices = findAll(interaction, 'simpleChoice')
+      const isMultiple = declaration.cardinality === 'multiple' || (interaction.attrs.maxChoices ?? '1') !== '1'
+      const texts = choices.map((choice) => textContent(choice).toLowerCase())
+
+      if (!isMultiple && texts.length === 2 && texts.includes('true') && texts.includes('false')) {
+        return { ...base, type: 'trueFalse', correctAnswer: choiceText(choices, declaration.correct[0]).toLowerCase() === 'true' }
+      }
+
+      const options = choices.map((choice) => ({ option: textContent(choice), isCorrect: declaration.correct.includes(choice.attrs.identifier) }))
+
+      // A score mapping gives credit per choice, without one only the exact answer scores
+      return isMultiple ? { ...base, type: 'multiSelect', options, partialCredit: declaration.mapEntries.length > 0 } : { ...base, type: 'mcq', options }
+    }
+
+    case 'orderInteraction': {
+      const choices = findAll(interaction, 'simpleChoice')
+      if (!declaration.correct.length) throw new Error('Ordering item has no correct response')
+      return { ...base, type: 'ordering', items: declaration.correct.map((id) => choiceText(choices, id)) }
+    }
+
+    case 'matchInteraction': {
+      const [promptSet, matchSet] = childElements(interaction, 'simpleMatchSet').map((set) => findAll(set, 'simpleAssociableChoice'))
+      if (!promptSet || !matchSet) throw new Error('Matching item needs two match sets')
+      return {
+        ...base,
+        type: 'matching',
+        pairs: declaration.correct.map((value) => {
+          const [promptId, matchId] = value.split(/\s+/)
+          return { prompt: choiceText(promptSet, promptId), match: choiceText(matchSet, matchId) }
+        }),
+      }
+    }
+
+    case 'textEntryInteraction': {
+      if (isNumeric) {
+        const equal = findAll(item, 'equal').find((node) => node.attrs.toleranceMode === 'absolute')
+        return { ...base, type: 'numeric', correctNumber: declaration.correct[0], tolerance: equal?.attrs.tolerance?.split(/\s+/)[0] }
+      }
+
+      const mapped = declaration.mapEntries.map((entry) => entry.attrs.mapKey)
+      return {
+        ...base,
+        type: 'fillBlank',
+        acceptedAnswers: [...new Set([...declaration.correct, ...mapped].filter(Boolean))],
+        caseSensitive: declaration.mapEntries.some((entry) => entry.attrs.caseSensitive === 'true'),
+      }
+    }
+
+    default:
+      return { ...base, type: 'text' }
+  }
+}
+
+// Items from a single XML file or a content package zip, in manifest order when there is one
+const parseQti = (buffer) => {
+  let files = [{ name: 'upload.xml', data: buffer }]
+
+  if (isZip(buffer)) {
+    const entries = readZip(buffer)
+    const manifest = entries.find((entry) => entry.name.toLowerCase().endsWith('imsmanifest.xml'))
+    const hrefs = manifest ? findAll(parseXml(manifest.data.toString('utf8')), 'resource').map((resource) => resource.attrs.href) : []
+
+    files = entries.filter((entry) => entry.name.toLowerCase().endsWith('.xml') && entry !== manifest)
+    files.sort((a, b) => {
+      const [indexA, indexB] = [hrefs.indexOf(a.name), hrefs.indexOf(b.name)]
+      if (indexA === -1 || indexB === -1) return indexA === indexB ? a.name.localeCompare(b.name) : indexA === -1 ? 1 : -1
+      return indexA - indexB
+    })
+  }
+
+  return files.flatMap((file) => {
+    let document
+    try {
+      document = parseXml(file.data.toString('utf8'))
+    } catch (error) {
+      return [{ file: file.name, line: null, error: error.message }]
+    }
+
+    return findAll(document, 'assessmentItem').map((item) => {
+      try {
+        return { file: file.name, line: item.line, question: parseQtiItem(item) }
+      } catch (error) {
+        return { file: file.name, line: item.line, error: error.message }
+      }
+    })
+  })
+}
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1'
+const RP_TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates'
+
+function renderQtiItem(q, identifier) {
+  const correct = (values) => `<correctResponse>${values.map((value) => `<value>${escapeXml(value)}</value>`).join('')}</correctResponse>`
+  const declaration = (cardinality, baseType, inner = '') => `<responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${baseType}">${inner}</responseDeclaration>`
+  const prompt = `<prompt>${escapeXml(q.question)}</prompt>`
+  const choices = (texts, prefix, element = 'simpleChoice', extra = '') => texts.map((text, index) => `<${element} identifier="${prefix}${index + 1}"${extra}>${escapeXml(text)}</${element}>`).join('')
+  const template = (name) => `<responseProcessing template="${RP_TEMPLATES}/${name}"/>`
+
+  let response
+  let body
+  let processing = template('match_correct')
+
+  switch (q.type) {
+    case 'mcq':
+    case 'multiSelect': {
+      const isMultiple = q.type === 'multiSelect'
+      const isMapped = isMultiple && q.partialCredit !== false
+      const correctIds = q.options.map((opt, index) => (opt.isCorrect ? `C${index + 1}` : null)).filter(Boolean)
+      const share = q.marks / correctIds.length
+      const mapping = isMapped
+        ? `<mapping lowerBound="0" upperBound="${q.marks}" defaultValue="0">${q.options.map((opt, index) => `<mapEntry mapKey="C${index + 1}" mappedValue="${opt.isCorrect ? share : -share}"/>`).join('')}</mapping>`
+        : ''
+      response = declaration(isMultiple ? 'multiple' : 'single', 'identifier', correct(correctIds) + mapping)
+      body = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${isMultiple ? 0 : 1}">${prompt}${choices(
+        q.options.map((opt) => opt.option),
+        'C'
+      )}</choiceInteraction>`
+      if (isMapped) processing = template('map_response')
+      break
+    }
+
+    case 'trueFalse':
+      response = declaration('single', 'identifier', correct([q.correctAnswer ? 'C1' : 'C2']))
+      body = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">${prompt}${choices(['True', 'False'], 'C')}</choiceInteraction>`
+      break
+
+    case 'ordering':
+      response = declaration('ordered', 'identifier', correct(q.items.map((_, index) => `C${index + 1}`)))
+      body = `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">${prompt}${choices(q.items, 'C')}</orderInteraction>`
+      break
+
+    case 'matching':
+      response = declaration('multiple', 'directedPair', correct(q.pairs.map((_, index) => `P${index + 1} M${index + 1}`)))
+      body = `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${q.pairs.length}">${prompt}<simpleMatchSet>${choices(
+        q.pairs.map((pair) => pair.prompt),
+        'P',
+        'simpleAssociableChoice',
+        ' matchMax="1"'
+      )}</simpleMatchSet><simpleMatchSet>${choices(
+        q.pairs.map((pair) => pair.match),
+        'M',
+        'simpleAssociableChoice',
+        ' matchMax="1"'
+      )}</simpleMatchSet></matchInteraction>`
+      break
+
+    case 'fillBlank': {
+      const entries = q.acceptedAnswers.map((answer) => `<mapEntry mapKey="${escapeXml(answer)}" mappedValue="${q.marks}" caseSensitive="${Boolean(q.caseSensitive)}"/>`).join('')
+      response = declaration('single', 'string', correct(q.acceptedAnswers.slice(0, 1)) + `<mapping defaultValue="0">${entries}</mapping>`)
+      const interaction = '<textEntryInteraction responseIdentifier="RESPONSE"/>'
+      const [before, ...after] = q.question.split(BLANK)
+      body = `<p>${escapeXml(before)}${interaction}${escapeXml(after.join(BLANK))}</p>`
+      processing = template('map_response')
+      break
+    }
+
+    case 'numeric':
+      response = declaration('single', 'float', correct([q.correctNumber]))
+      body = `<p>${escapeXml(q.question)} <textEntryInteraction responseIdentifier="RESPONSE"/></p>`
+      processing = `<responseProcessing><responseCondition><responseIf><equal toleranceMode="absolute" tolerance="${q.tolerance || 0} ${
+        q.tolerance || 0
+      }"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal><setOutcomeValue identifier="SCORE"><baseValue baseType="float">${
+        q.marks
+      }</baseValue></setOutcomeValue></responseIf></responseCondition></responseProcessing>`
+      break
+
+    default:
+      response = declaration('single', 'string')
+      body = `<extendedTextInteraction responseIdentifier="RESPONSE">${prompt}</extendedTextInteraction>`
+      processing = ''
+  }
+
+  const title = q.question.length > 80 ? `${q.question.slice(0, 77)}...` : q.question
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">
+  ${response}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${q.marks}"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+  <itemBody>${body}</itemBody>
+  ${processing}
+</assessmentItem>
+`
+}
+
+// IMS content package: a manifest plus one item file per question
+const toQtiPackage = (questions) => {
+  const items = questions.map((q, index) => ({ identifier: `item-${index + 1}`, href: `items/item-${index + 1}.xml`, xml: renderQtiItem(q, `item-${index + 1}`) }))
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST-${Date.now()}">
+  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>
+  <organizations/>
+  <resources>
+${items.map((item) => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}"><file href="${item.href}"/></resource>`).join('\n')}
+  </resources>
+</manifest>
+`
+
+  return createZip([{ name: 'imsmanifest.xml', data: manifest }, ...items.map((item) => ({ name: item.href, data: item.xml }))])
+}
+
+// Parse an uploaded question file into [{ line, file?, question } | { line, file?, error }]
+const parseQuestionFile = (buffer, format) => {
+  let items
+  if (format === 'gift') items = parseGift(buffer.toString('utf8'))
+  else if (format === 'csv') items = parseQuestionCsv(buffer.toString('utf8'))
+  else items = parseQti(buffer)
+
+  if (!items.length) {
+    throw new AppError('No questions found in the file', 400)
+  }
+  if (items.length > MAX_IMPORT_QUESTIONS) {
+    throw new AppError(`Imports are limited to ${MAX_IMPORT_QUESTIONS} questions`, 400)
+  }
+
+  return items
+}
+
+// Validate parsed questions against a question schema. Errors keep the line they came from
+const validateImportedQuestions = (items, schema) => {
+  const questions = []
+  const errors = []
+
+  items.forEach((item, index) => {
+    const location = { line: item.line, ...(item.file ? { file: item.file } : {}), question: index + 1 }
+
+    if (item.error) {
+      errors.push({ ...location, field: null, message: item.error })
+      return
+    }
+
+    const { error, value } = schema.validate(item.question, { abortEarly: false })
+    if (error) {
+      error.details.forEach((detail) => errors.push({ ...location, field: detail.path.join('.') || null, message: detail.message }))
+      return
+    }
+
+    questions.push(value)
+  })
+
+  return { questions, errors }
+}
+
+// File contents and download details for exported questions
+const exportQuestions = (questions, format, title) => {
+  const baseName = (title || 'questions').replace(/[^a-zA-Z0-9-_]+/g, '-').replace(/^-+|-+$/g, '') || 'questions'
+
+  if (format === 'gift') {
+    return { body: toGift(questions), contentType: 'text/plain; charset=utf-8', fileName: `${baseName}.gift.txt` }
+  }
+  if (format === 'csv') {
+    return { body: toQuestionCsv(questions), contentType: 'text/csv; charset=utf-8', fileName: `${baseName}.csv` }
+  }
+  return { body: toQtiPackage(questions), contentType: 'application/zip', fileName: `${baseName}-qti.zip` }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  parseQuestionFile,
+  validateImportedQuestions,
+  exportQuestions,
+}
@@ -0,0 +1,261 @@
+// utils/quizQuestions.js
+// Question types: validation of authored questions, the student view and auto-grading
+const Joi = require('joi')
+
+const QUESTION_TYPES = ['mcq', 'multiSelect', 'trueFalse', 'ordering', 'matching', 'fillBlank', 'numeric', 'text']
+
+// Everything that makes up a question's content, whatever its type
+const QUESTION_FIELDS = ['question', 'type', 'marks', 'options', 'partialCredit', 'correctAnswer', 'items', 'pairs', 'acceptedAnswers', 'caseSensitive', 'correctNumber', 'tolerance']
+
+// Types where a partly correct answer can earn a share of the marks
+const PARTIAL_CREDIT_TYPES = ['multiSelect', 'ordering', 'matching']
+
+const roundMarks = (marks) => Math.round(marks * 100) / 100
+
+const onlyFor = (types, schema) => Joi.any().when('type', { is: Joi.valid(...types), then: schema, otherwise: Joi.any().strip() })
+
+const questionInputSchema = Joi.object({
+  question: Joi.string().trim().required(),
+  // Older clients don't send a type: questions with options are MCQs, everything else free text
+  type: Joi.string()
+    .valid(...QUESTION_TYPES)
+    .default((parent) => (parent.options ? 'mcq' : 'text')),
+  marks: Joi.number().positive().default(1),
+  options: onlyFor(
+    ['mcq', 'multiSelect'],
+    Joi.array()
+      .items(
+        Joi.object({
+          option: Joi.string().trim().required(),
+          isCorrect: Joi.boolean().default(false),
+        })
+      )
+      .min(2)
+      .unique('option')
+      .required()
+  ),
+  partialCredit: onlyFor(PARTIAL_CREDIT_TYPES, Joi.boolean().default(true)),
+  correctAnswer: onlyFor(['trueFalse'], Joi.boolean().required()),
+  items: onlyFor(['ordering'], Joi.array().items(Joi.string().trim()).min(2).unique().required()),
+  pairs: onlyFor(
+    ['matching'],
+    Joi.array()
+      .items(
+        Joi.object({
+          prompt: Joi.string().trim().required(),
+          match: Joi.string().trim().required(),
+        })
+      )
+      .min(2)
+      .unique('prompt')
+      .unique('match')
+      .required()
+  ),
+  acceptedAnswers: onlyFor(['fillBlank'], Joi.array().items(Joi.string().trim()).min(1).required()),
+  caseSensitive: onlyFor(['fillBlank'], Joi.boolean().default(false)),
+  correctNumber: onlyFor(['numeric'], Joi.number().required()),
+  tolerance: onlyFor(['numeric'], Joi.number().min(0).default(0)),
+})
+  .custom((question, helpers) => {
+    const correctCount = question.options?.filter((opt) => opt.isCorrect).length
+    if (question.type === 'mcq' && correctCount !== 1) {
+      return helpers.message('Multiple choice questions must have exactly one correct option')
+    }
+    if (question.type === 'multiSelect' && correctCount < 1) {
+      return helpers.message('Multi-select questions must have at least one correct option')
+    }
+    return question
+  })
+  .options({ stripUnknown: true })
+
+function shuffle(values) {
+  return values
+    .map((value) => ({ value, sort: Math.random() }))
+    .sort((a, b) => a.sort - b.sort)
+    .map(({ value }) => value)
+}
+
+// Question as shown to a student taking the quiz, without anything that gives the answer away
+const toStudentQuestion = (question) => {
+  const studentQuestion = {
+    _id: question._id,
+    question: question.question,
+    type: question.type,
+    marks: question.marks,
+  }
+
+  if (['mcq', 'multiSelect'].includes(question.type)) {
+    studentQuestion.options = question.options.map((opt) => ({
+      _id: opt._id,
+      option: opt.option,
+    }))
+  } else if (question.type === 'ordering') {
+    studentQuestion.items = shuffle(question.items)
+  } else if (question.type === 'matching') {
+    studentQuestion.prompts = question.pairs.map((pair) => pair.prompt)
+    studentQuestion.matches = shuffle(question.pairs.map((pair) => pair.match))
+  }
+
+  return studentQuestion
+}
+
+// The expected answer, for review after submission
+const getCorrectAnswer = (question) => {
+  switch (question.type) {
+    case 'mcq':
+      return question.options.find((opt) => opt.isCorrect)?.option
+    case 'multiSelect':
+      return question.options.filter((opt) => opt.isCorrect).map((opt) => opt.option)
+    case 'trueFalse':
+      return question.correctAnswer
+    case 'ordering':
+      return question.items
+    case 'matching':
+      return question.pairs.map((pair) => ({ prompt: pair.prompt, match: pair.match }))
+    case 'fillBlank':
+      return question.acceptedAnswers
+    case 'numeric':
+      return { value: question.correctNumber, tolerance: question.tolerance || 0 }
+    default:
+      return undefined
+  }
+}
+
+const normalizeBlank = (value, caseSensitive) => {
+  const text = String(value ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+  return caseSensitive ? text : text.toLowerCase()
+}
+
+// Share of the answer that is right, from 0 to 1
+function scoreAnswer(question, answer) {
+  switch (question.type) {
+    case 'mcq': {
+      const correctOption = question.options.find((opt) => opt.isCorrect)
+      return correctOption && correctOption.option === answer.selectedOption ? 1 : 0
+    }
+
+    case 'multiSelect': {
+      // Each wrong pick cancels out a right one, so selecting everything earns nothing
+      const correct = question.options.filter((opt) => opt.isCorrect).map((opt) => opt.option)
+      const hits = answer.selectedOptions.filter((option) => correct.includes(option)).length
+      const misses = answer.selectedOptions.length - hits
+      return Math.max(0, (hits - misses) / correct.length)
+    }
+
+    case 'trueFalse':
+      return answer.booleanAnswer === question.correctAnswer ? 1 : 0
+
+    case 'ordering': {
+      // The answer has to be an arrangement of exactly the question's items
+      const ordered = answer.orderedItems
+      if (ordered.length !== question.items.length || !question.items.every((item) => ordered.includes(item))) {
+        return 0
+      }
+      const inPlace = question.items.filter((item, index) => ordered[index] === item).length
+      return inPlace / question.items.length
+    }
+
+    case 'matching': {
+      const matched = question.pairs.filter((pair) => answer.matches.some((m) => m.prompt === pair.prompt && m.match === pair.match)).length
+      return matched / question.pairs.length
+    }
+
+    case 'fillBlank': {
+      const given = normalizeBlank(answer.textAnswer, question.caseSensitive)
+      return given && question.acceptedAnswers.some((accepted) => normalizeBlank(accepted, question.caseSensitive) === given) ? 1 : 0
+    }
+
+    case 'numeric':
+      // Small epsilon so decimal answers like 0.1 + 0.2 aren't marked wrong on float error
+      return Number.isFinite(answer.numericAnswer) && Math.abs(answer.numericAnswer - question.correctNumber) <= (question.tolerance || 0) + 1e-9 ? 1 : 0
+
+    default:
+      return 0
+  }
+}
+
+// Keep only the answer fields that belong to the question type, coerced to their stored shape
+function readAnswer(question, answer) {
+  const strings = (values) => (Array.isArray(values) ? values.filter((value) => typeof value === 'string') : [])
+
+  switch (question.type) {
+    case 'mcq':
+      return { selectedOption: answer.selectedOption }
+    case 'multiSelect':
+      return { selectedOptions: [...new Set(strings(answer.selectedOptions))] }
+    case 'trueFalse':
+      return { booleanAnswer: typeof answer.booleanAnswer === 'boolean' ? answer.booleanAnswer : undefined }
+    case 'ordering':
+      return { orderedItems: strings(answer.orderedItems) }
+    case 'matching': {
+      // One match per prompt: later matches for a prompt already answered are dropped, so sending
+      // every combination can't collect every pair
+      const seenPrompts = new Set()
+      return {
+        matches: (Array.isArray(answer.matches) ? answer.matches : [])
+          .filter((m) => m && typeof m.prompt === 'string' && typeof m.match === 'string')
+          .filter((m) => !seenPrompts.has(m.prompt) && seenPrompts.add(m.prompt))
+          .map((m) => ({ prompt: m.prompt, match: m.match })),
+      }
+    }
+    case 'numeric': {
+      const value = answer.numericAnswer === '' || answer.numericAnswer === null ? NaN : Number(answer.numericAnswer)
+      return { numericAnswer: Number.isFinite(value) ? value : undefined }
+    }
+    default:
+      return { textAnswer: answer.textAnswer }
+  }
+}
+
+// Grade one submitted answer. Free text questions are left at 0 marks for manual grading
+const gradeAnswer = (question, answer) => {
+  const processedAnswer = {
+    questionId: answer.questionId,
+    type: question.type,
+    ...readAnswer(question, answer),
+    marks: 0,
+  }
+
+  if (question.type === 'text') {
+    return { answer: processedAnswer, needsManualGrading: true }
+  }
+
+  let score = scoreAnswer(question, processedAnswer)
+  if (score < 1 && PARTIAL_CREDIT_TYPES.includes(question.type) && question.partialCredit === false) {
+    score = 0
+  }
+
+  processedAnswer.isCorrect = score === 1
+  processedAnswer.marks = roundMarks(score * question.marks)
+
+  return { answer: processedAnswer, needsManualGrading: false }
+}
+
+// An in-progress answer as saved before submission, ungraded
+const toSavedAnswer = (question, answer) => ({
+  questionId: answer.questionId,
+  type: question.type,
+  ...readAnswer(question, answer),
+})
+
+// Whether a stored answer is waiting for a grader. Answers saved before question types were recorded
+// are text answers when they have no selected option
+const isManuallyGraded = (answer) => {
+  if (answer.type) {
+    return answer.type === 'text'
+  }
+  return Boolean(answer.textAnswer) && !Object.prototype.hasOwnProperty.call(answer, 'selectedOption')
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  QUESTION_FIELDS,
+  questionInputSchema,
+  toStudentQuestion,
+  getCorrectAnswer,
+  gradeAnswer,
+  toSavedAnswer,
+  isManuallyGraded,
+}
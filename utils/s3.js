@@ -94,6 +94,21 @@ const generatePresignedUrl = async (key, expiresIn = 3600) => {
   }
 }
 
+const downloadFromS3 = async (key) => {
+  try {
+    const command = new GetObjectCommand({
+      Bucket: process.env.AWS_BUCKET_NAME,
+      Key: key,
+    })
+
+    const response = await s3.send(command)
+    return Buffer.from(await response.Body.transformToByteArray())
+  } catch (error) {
+    console.error('Error downloading file from S3:', error)
+    throw error
+  }
+}
+
 // Helper Functions (no JSDoc)
 const generateKey = (file, prefix) => {
   const timestamp = Date.now()
@@ -125,6 +140,7 @@ module.exports = {
   uploadMultipleToS3,
   deleteMultipleFromS3,
   generatePresignedUrl,
+  downloadFromS3,
 }
 
 // const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3')
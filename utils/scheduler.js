@@ -0,0 +1,44 @@
+// utils/scheduler.js
+// Minimal in-process scheduler for recurring background jobs
+const jobs = new Map()
+
+// Run a task every intervalMs, skipping a tick if the previous run is still going
+const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    return jobs.get(name)
+  }
+
+  let running = false
+
+  const run = async () => {
+    if (running) return
+    running = true
+    try {
+      await task()
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error)
+    } finally {
+      running = false
+    }
+  }
+
+  const timer = setInterval(run, intervalMs)
+  // Don't keep the process alive just for background jobs
+  timer.unref()
+  jobs.set(name, timer)
+
+  return timer
+}
+
+const stopJob = (name) => {
+  const timer = jobs.get(name)
+  if (timer) {
+    clearInterval(timer)
+    jobs.delete(name)
+  }
+}
+
+module.exports = {
+  scheduleJob,
+  stopJob,
+}
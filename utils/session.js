@@ -0,0 +1,106 @@
+// utils/session.js
+// Server-side login sessions backing rotating refresh tokens
+const mongoose = require('mongoose')
+const { AuthSession } = require('../models')
+const { AppError } = require('./errors')
+const { generateToken, generateRefreshToken, hashToken } = require('./token')
+
+const getRefreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000
+
+// Short human readable label such as "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ]
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ]
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0]
+  const os = systems.find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+  if (browser && os) return `${browser} on ${os}`
+  return browser || os || 'Unknown device'
+}
+
+const issueTokens = (session, refreshToken) => ({
+  token: generateToken({ id: session.user, sid: session._id }),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+})
+
+// Start a session for a freshly authenticated user and return its tokens
+const createSession = async (userId, req) => {
+  const session = new AuthSession({
+    user: userId,
+    userAgent: req.get('user-agent'),
+    device: describeDevice(req.get('user-agent')),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  })
+
+  const refreshToken = generateRefreshToken(session._id)
+  session.refreshTokenHash = hashToken(refreshToken)
+  await session.save()
+
+  return issueTokens(session, refreshToken)
+}
+
+// Swap a refresh token for a new access/refresh token pair
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = refreshToken.split('.')
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new AppError('Invalid refresh token', 401)
+  }
+
+  // Swap the hash only if it still matches, so a token can be rotated once even under concurrent requests
+  const nextRefreshToken = generateRefreshToken(sessionId)
+  const session = await AuthSession.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hashToken(refreshToken), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { refreshTokenHash: hashToken(nextRefreshToken), lastUsedAt: new Date(), ipAddress: req.ip } },
+    { new: true }
+  )
+
+  if (!session) {
+    // An old token being replayed on a live session means it leaked, so end the session for both parties
+    await AuthSession.updateOne(
+      { _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    )
+    throw new AppError('Your session has expired. Please log in again', 401)
+  }
+
+  return issueTokens(session, nextRefreshToken)
+}
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, { exceptSessionId = null, reason = 'logout_all' } = {}) => {
+  const filter = { user: userId, revokedAt: null }
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId }
+  }
+
+  const result = await AuthSession.updateMany(filter, { revokedAt: new Date(), revokedReason: reason })
+  return result.modifiedCount
+}
+
+// Session for an access token, or null if it was revoked or has expired
+const findActiveSession = (sessionId) => {
+  return AuthSession.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }).lean()
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  findActiveSession,
+  describeDevice,
+}
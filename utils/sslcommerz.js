@@ -85,7 +85,7 @@ exports.validatePayment = async ({ val_id }) => {
 exports.queryTransaction = async ({ trans_id }) => {
   try {
     const response = await sslcommerz.transactionQueryByTransactionId({
-      trans_id,
+      tran_id: trans_id,
     })
     return response
   } catch (error) {
@@ -94,6 +94,33 @@ exports.queryTransaction = async ({ trans_id }) => {
   }
 }
 
+exports.initiateRefund = async ({ refund_amount, refund_remarks, bank_tran_id, refe_id }) => {
+  try {
+    const response = await sslcommerz.initiateRefund({
+      refund_amount,
+      refund_remarks: encodeURIComponent(refund_remarks),
+      bank_tran_id,
+      refe_id,
+    })
+    return response
+  } catch (error) {
+    console.error('SSLCommerz refund initiation error:', error)
+    throw error
+  }
+}
+
+exports.checkRefundStatus = async ({ refund_ref_id }) => {
+  try {
+    const response = await sslcommerz.refundQuery({
+      refund_ref_id,
+    })
+    return response
+  } catch (error) {
+    console.error('SSLCommerz refund status check error:', error)
+    throw error
+  }
+}
+
 // const SSLCommerzPayment = require('sslcommerz-lts')
 // const store_id = process.env.SSLCOMMERZ_STORE_ID
 // const store_passwd = process.env.SSLCOMMERZ_STORE_PASSWORD
@@ -0,0 +1,95 @@
+// utils/subscriptions.js
+// Membership access and billing periods
+const { Subscription, SubscriptionPlan } = require('../models')
+const { AppError } = require('./errors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Statuses that still grant access, as long as the grace period hasn't ended
+const ACCESS_STATUSES = ['active', 'past_due']
+
+// Same day next month or year, clamped to the end of shorter months (Jan 31 -> Feb 28)
+const addInterval = (date, interval) => {
+  const result = new Date(date)
+  const day = result.getUTCDate()
+  result.setUTCDate(1)
+  result.setUTCMonth(result.getUTCMonth() + (interval === 'year' ? 12 : 1))
+
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate()
+  result.setUTCDate(Math.min(day, lastDay))
+  return result
+}
+
+const planIncludesCourse = (plan, courseId) => {
+  return Boolean(plan) && (plan.includesAllCourses || plan.courses.some((c) => c.toString() === courseId.toString()))
+}
+
+// The user's subscription covering this course, or null
+const findActiveMembership = async (userId, courseId) => {
+  const subscriptions = await Subscription.find({
+    user: userId,
+    status: { $in: ACCESS_STATUSES },
+    graceEndsAt: { $gt: new Date() },
+  }).populate({ path: 'plan', select: 'name courses includesAllCourses', match: { isDeleted: false } })
+
+  return subscriptions.find((subscription) => planIncludesCourse(subscription.plan, courseId)) || null
+}
+
+// Start the next billing period once a subscription payment completes
+const activateSubscriptionPeriod = async (payment, session) => {
+  const subscription = await Subscription.findById(payment.subscription).session(session)
+  if (!subscription) {
+    throw new AppError('Subscription not found', 404)
+  }
+
+  const plan = await SubscriptionPlan.findById(subscription.plan).session(session)
+  if (!plan) {
+    throw new AppError('Subscription plan not found', 404)
+  }
+
+  // Renewals continue from the previous period end so the billing date doesn't drift
+  const now = new Date()
+  const isRenewal = ACCESS_STATUSES.includes(subscription.status) && subscription.currentPeriodEnd
+
+  // Never bill a learner twice for the same plan. The payment path flags the charge for review
+  if (!isRenewal) {
+    const otherLive = await Subscription.exists({
+      _id: { $ne: subscription._id },
+      user: subscription.user,
+      plan: subscription.plan,
+      status: { $in: ACCESS_STATUSES },
+    }).session(session)
+
+    if (otherLive) {
+      throw new AppError('You already have an active subscription to this plan', 409)
+    }
+  }
+
+  let periodStart = isRenewal ? subscription.currentPeriodEnd : now
+
+  // A renewal paid after the whole next period would have passed restarts from today
+  if (addInterval(periodStart, plan.interval) < now) {
+    periodStart = now
+  }
+
+  const periodEnd = addInterval(periodStart, plan.interval)
+
+  subscription.status = 'active'
+  subscription.currentPeriodStart = periodStart
+  subscription.currentPeriodEnd = periodEnd
+  subscription.graceEndsAt = new Date(periodEnd.getTime() + plan.gracePeriodDays * DAY_MS)
+  subscription.renewalAttempts = 0
+  subscription.lastRenewalError = undefined
+  await subscription.save({ session })
+
+  return subscription
+}
+
+module.exports = {
+  DAY_MS,
+  ACCESS_STATUSES,
+  addInterval,
+  planIncludesCourse,
+  findActiveMembership,
+  activateSubscriptionPeriod,
+}
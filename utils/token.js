@@ -1,11 +1,37 @@
+const crypto = require('crypto')
 const jwt = require('jsonwebtoken')
 
+// Access tokens are short-lived. Clients renew them with a refresh token
 exports.generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
   })
 }
 
 exports.verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET)
 }
+
+// Refresh tokens are opaque: "<sessionId>.<random secret>". Only a hash of the secret is stored
+exports.generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`
+}
+
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+// Restricted token proving the password step of a login. Only accepted by the two-factor endpoints
+exports.generateTwoFactorToken = (userId, purpose) => {
+  return jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_TOKEN_EXPIRES_IN || '10m',
+  })
+}
+
+// Ticket for opening the notification stream. EventSource can't send headers, so it goes in the URL
+// where access logs see it: it only opens the stream, and only for a minute
+exports.generateStreamTicket = (userId, sessionId) => {
+  return jwt.sign({ id: userId, session: sessionId, purpose: 'notification_stream' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.STREAM_TICKET_EXPIRES_IN || '1m',
+  })
+}
@@ -0,0 +1,147 @@
+// utils/xml.js
+// Minimal XML reader and writer for question imports. Handles elements, attributes, text, CDATA and
+// character entities; DTDs are skipped and namespace prefixes are dropped from names
+const { AppError } = require('./errors')
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+// Highest Unicode code point, the limit for character references
+const MAX_CODE_POINT = 0x10ffff
+
+// Deepest element nesting accepted, so the recursive helpers below can't run out of stack
+const MAX_DEPTH = 100
+
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      if (code > MAX_CODE_POINT) {
+        throw new AppError(`Invalid XML: character reference ${match} is out of range`, 400)
+      }
+      return String.fromCodePoint(code)
+    }
+    return ENTITIES[entity] ?? match
+  })
+}
+
+const escapeXml = (value) => {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&${Object.keys(ENTITIES).find((key) => ENTITIES[key] === char)};`)
+}
+
+const localName = (name) => name.slice(name.indexOf(':') + 1)
+
+// Parse XML text into a tree of { name, attrs, children, line }. Text and CDATA are string children
+const parseXml = (text) => {
+  const input = text.replace(/^\uFEFF/, '')
+  const root = { name: '#document', attrs: {}, children: [], line: 1 }
+  const stack = [root]
+  let i = 0
+  let line = 1
+
+  const fail = (message) => {
+    throw new AppError(`Invalid XML on line ${line}: ${message}`, 400)
+  }
+
+  // Move to a position, counting the lines passed on the way
+  const advance = (to) => {
+    for (; i < to; i++) {
+      if (input[i] === '\n') line++
+    }
+  }
+
+  const skipPast = (terminator, what) => {
+    const end = input.indexOf(terminator, i)
+    if (end === -1) fail(`unclosed ${what}`)
+    advance(end + terminator.length)
+    return end
+  }
+
+  while (i < input.length) {
+    const current = stack[stack.length - 1]
+    const lt = input.indexOf('<', i)
+    const textEnd = lt === -1 ? input.length : lt
+
+    if (textEnd > i) {
+      current.children.push(decodeEntities(input.slice(i, textEnd)))
+      advance(textEnd)
+    }
+    if (lt === -1) break
+
+    if (input.startsWith('<!--', i)) {
+      skipPast('-->', 'comment')
+    } else if (input.startsWith('<![CDATA[', i)) {
+      const start = i + 9
+      const end = skipPast(']]>', 'CDATA section')
+      current.children.push(input.slice(start, end))
+    } else if (input.startsWith('<?', i)) {
+      skipPast('?>', 'processing instruction')
+    } else if (input.startsWith('<!', i)) {
+      skipPast('>', 'declaration')
+    } else if (input.startsWith('</', i)) {
+      const start = i + 2
+      const end = skipPast('>', 'closing tag')
+      const name = localName(input.slice(start, end).trim())
+      if (current === root || current.name !== name) fail(`unexpected closing tag </${name}>`)
+      stack.pop()
+    } else {
+      // Find the end of the tag, ignoring any '>' inside quoted attribute values
+      let end = i + 1
+      let quote = null
+      while (end < input.length && (quote || input[end] !== '>')) {
+        if (quote && input[end] === quote) quote = null
+        else if (!quote && (input[end] === '"' || input[end] === "'")) quote = input[end]
+        end++
+      }
+      if (end >= input.length) fail('unclosed tag')
+
+      const source = input.slice(i + 1, end)
+      const selfClosing = source.endsWith('/')
+      const nameMatch = source.match(/^[^\s/>]+/)
+      if (!nameMatch) fail('missing element name')
+
+      const attrs = {}
+      for (const [, key, doubleQuoted, singleQuoted] of source.matchAll(/([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[localName(key)] = decodeEntities(doubleQuoted ?? singleQuoted)
+      }
+
+      const node = { name: localName(nameMatch[0]), attrs, children: [], line }
+      current.children.push(node)
+      if (!selfClosing) {
+        if (stack.length > MAX_DEPTH) fail('elements are nested too deeply')
+        stack.push(node)
+      }
+      advance(end + 1)
+    }
+  }
+
+  if (stack.length > 1) fail(`<${stack[stack.length - 1].name}> is never closed`)
+
+  return root
+}
+
+const isElement = (node) => typeof node === 'object'
+
+// Direct child elements, optionally only those with the given name
+const childElements = (node, name) => node.children.filter((child) => isElement(child) && (!name || child.name === name))
+
+// All descendant elements with the given name, in document order
+const findAll = (node, name) => {
+  return node.children.filter(isElement).flatMap((child) => [...(child.name === name ? [child] : []), ...findAll(child, name)])
+}
+
+const findFirst = (node, name) => findAll(node, name)[0]
+
+// Text of a node and everything inside it, with whitespace collapsed
+const textContent = (node) => {
+  const collect = (n) => n.children.map((child) => (isElement(child) ? collect(child) : child)).join('')
+  return node ? collect(node).replace(/\s+/g, ' ').trim() : ''
+}
+
+module.exports = {
+  parseXml,
+  escapeXml,
+  childElements,
+  findAll,
+  findFirst,
+  textContent,
+}
@@ -0,0 +1,156 @@
+// utils/zip.js
+// Minimal ZIP reader and writer for content packages (stored and deflated entries, no ZIP64)
+const zlib = require('zlib')
+const { AppError } = require('./errors')
+
+const MAX_UNZIPPED_SIZE = 50 * 1024 * 1024
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const isZip = (buffer) => buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50
+
+// Files in a ZIP archive as [{ name, data }], directories left out
+const readZip = (buffer) => {
+  const invalid = () => new AppError('Invalid or corrupted zip file', 400)
+
+  // The end of central directory record sits at the end, before an optional comment
+  let eocd = -1
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd === -1) throw invalid()
+
+  const entryCount = buffer.readUInt16LE(eocd + 10)
+  let offset = buffer.readUInt32LE(eocd + 16)
+  let totalSize = 0
+  const files = []
+
+  for (let n = 0; n < entryCount; n++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) throw invalid()
+
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const size = buffer.readUInt32LE(offset + 24)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localOffset = buffer.readUInt32LE(offset + 42)
+    if (offset + 46 + nameLength > buffer.length) throw invalid()
+
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+
+    totalSize += size
+    if (totalSize > MAX_UNZIPPED_SIZE) {
+      throw new AppError('Zip file contents are too large', 400)
+    }
+
+    // Local header lengths can differ from the central directory's
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) throw invalid()
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+    if (dataStart + compressedSize > buffer.length) throw invalid()
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize)
+
+    let data
+    if (method === 0) {
+      if (compressedSize !== size) throw invalid()
+      data = raw
+    } else if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) })
+      } catch (error) {
+        throw invalid()
+      }
+    } else {
+      throw new AppError(`Unsupported compression in zip entry ${name}`, 400)
+    }
+
+    files.push({ name, data })
+  }
+
+  return files
+}
+
+// Build a ZIP archive from [{ name, data }] with deflated entries
+const createZip = (files) => {
+  const now = new Date()
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2)
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8')
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8')
+    const compressed = zlib.deflateRawSync(data)
+    const crc = crc32(data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4) // version needed
+    local.writeUInt16LE(0x0800, 6) // UTF-8 names
+    local.writeUInt16LE(8, 8) // deflate
+    local.writeUInt16LE(dosTime, 10)
+    local.writeUInt16LE(dosDate, 12)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+    local.writeUInt16LE(0, 28)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(20, 4) // version made by
+    central.writeUInt16LE(20, 6) // version needed
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt16LE(dosTime, 12)
+    central.writeUInt16LE(dosDate, 14)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(compressed.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt32LE(offset, 42)
+
+    localParts.push(local, name, compressed)
+    centralParts.push(central, name)
+    offset += local.length + name.length + compressed.length
+  }
+
+  const centralDirectory = Buffer.concat(centralParts)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(centralDirectory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...localParts, centralDirectory, end])
+}
+
+module.exports = {
+  isZip,
+  readZip,
+  createZip,
+}